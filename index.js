@@ -4,12 +4,33 @@ const BotService = require('./lib/bot-service');
 const Attachment = require('./lib/messaging/events/attachment');
 const messagingHandler = require('./lib/utils/messaging-handler');
 const azureUtils = require('./lib/utils/azure-utils');
+const jwtAuth = require('./lib/utils/jwt-auth');
 const Message = require('./lib/messaging/events/message');
 const ContactNotification = require('./lib/messaging/events/contact-notification');
 const HistoryDisclosed = require('./lib/messaging/events/history-disclosed');
 const TopicUpdated = require('./lib/messaging/events/topic-updated');
 const UserAdded = require('./lib/messaging/events/user-added');
 const UserRemoved = require('./lib/messaging/events/user-removed');
+const messagingErrors = require('./lib/messaging/errors');
+const RetryPolicy = require('./lib/messaging/retry-policy');
+const OutboundQueue = require('./lib/messaging/outbound-queue');
+const MessagingEmulator = require('./lib/emulator/messaging-emulator');
+const commandRouter = require('./lib/messaging/command-router');
+const Dialog = require('./lib/dialogs/dialog');
+const DialogManager = require('./lib/dialogs/dialog-manager');
+const WaterfallDialog = require('./lib/dialogs/waterfall-dialog');
+const prompts = require('./lib/dialogs/prompts');
+const outgoing = require('./lib/messaging/model/v2/activity-outgoing');
+const messagingEnums = require('./lib/messaging/model/v2/enums');
+const format = require('./lib/messaging/text-format');
+const fallbackRenderer = require('./lib/messaging/fallback-renderer');
+const richText = require('./lib/messaging/rich-text');
+const media = require('./lib/messaging/media');
+const DuplicateDetector = require('./lib/messaging/duplicate-detector');
+const TokenProvider = require('./lib/messaging/token-provider');
+const AuthService = require('./lib/messaging/auth-service');
+const S2SClient = require('./lib/messaging/s2s');
+const ClientCertificate = require('./lib/messaging/client-certificate');
 
 // Calling
 const actions = require('./lib/calling/model/actions');
@@ -21,8 +42,25 @@ const conversations = require('./lib/calling/model/conversation');
 const notification = require('./lib/calling/model/notifications');
 const outcomes = require('./lib/calling/model/operation-outcomes');
 const Participant = require('./lib/calling/model/participant');
+const RosterParticipant = require('./lib/calling/model/roster-participant');
+const RosterChanges = require('./lib/calling/roster-changes');
+const CallSession = require('./lib/calling/call-session');
+const ivr = require('./lib/calling/ivr-flow');
 const Workflow = require('./lib/calling/model/workflow');
 const callingUtils = require('./lib/utils/calling-handler');
+const callingSimulator = require('./lib/emulator/calling-simulator');
+
+// HTTP
+const httpProcessors = require('./lib/http/processors');
+const httpAdapters = require('./lib/http/adapters');
+const createServer = require('./lib/http/server');
+
+// State
+const botState = require('./lib/state/bot-state');
+const stateErrors = require('./lib/state/errors');
+const MemoryStorage = require('./lib/state/memory-storage');
+const FileStorage = require('./lib/state/file-storage');
+const RedisStorage = require('./lib/state/redis-storage');
 
 module.exports = {
     BotService,
@@ -35,22 +73,78 @@ module.exports = {
     TopicUpdated,
     UserAdded,
     UserRemoved,
+    RetryPolicy,
+    OutboundQueue,
+    MessagingEmulator,
+    MessagingServiceError: messagingErrors.MessagingServiceError,
+    AuthenticationError: messagingErrors.AuthenticationError,
+    NotFoundError: messagingErrors.NotFoundError,
+    ThrottledError: messagingErrors.ThrottledError,
+    ServerError: messagingErrors.ServerError,
+    InvalidRequestError: messagingErrors.InvalidRequestError,
+    CommandRouter: commandRouter.CommandRouter,
+    CommandScope: commandRouter.CommandScope,
+    ArgumentType: commandRouter.ArgumentType,
+    UsageError: commandRouter.UsageError,
+    Dialog,
+    DialogManager,
+    WaterfallDialog,
+    PromptDialog: prompts.PromptDialog,
+    TextPrompt: prompts.TextPrompt,
+    NumberPrompt: prompts.NumberPrompt,
+    ConfirmPrompt: prompts.ConfirmPrompt,
+    ChoicePrompt: prompts.ChoicePrompt,
+    DatePrompt: prompts.DatePrompt,
+    AttachmentPrompt: prompts.AttachmentPrompt,
+    OutgoingMessage: outgoing.Message,
+    HeroCard: outgoing.HeroCard,
+    ThumbnailCard: outgoing.ThumbnailCard,
+    CardAction: outgoing.CardAction,
+    CardImage: outgoing.CardImage,
+    SuggestedActions: outgoing.SuggestedActions,
+    CardActionType: messagingEnums.CardActionType,
+    AttachmentLayout: messagingEnums.AttachmentLayout,
+    format,
+    FormattedText: format.FormattedText,
+    renderFallback: fallbackRenderer.renderFallback,
+    RichTextBuilder: richText.RichTextBuilder,
+    RichTextNodeType: richText.RichTextNodeType,
+    parseRichText: richText.parseRichText,
+    MediaFormat: messagingEnums.MediaFormat,
+    detectMedia: media.detectMedia,
+    DuplicateDetector,
+    TokenProvider,
+    AuthService,
+    S2SClient,
+    ClientCertificate,
     
     // Calling
     Answer: actions.Answer,
+    AnswerAppHostedMedia: actions.AnswerAppHostedMedia,
     Hangup: actions.Hangup,
+    PlaceCall: actions.PlaceCall,
     Recognize: actions.Recognize,
     PlayPrompt: actions.PlayPrompt,
     Record: actions.Record,
     Reject: actions.Reject,
+    Transfer: actions.Transfer,
+    VideoSubscription: actions.VideoSubscription,
     CallBackLink,
+    CallSession,
     CollectDigits,
+    IvrFlow: ivr.IvrFlow,
+    IvrNodeType: ivr.IvrNodeType,
+    CallingSimulator: callingSimulator.CallingSimulator,
+    CallTranscript: callingSimulator.CallTranscript,
     Conversation: conversations.Conversation,
     ConversationResult: conversations.ConversationResult,
     CallStateChangeNotification: notification.CallStateChangeNotification,
+    RosterUpdateNotification: notification.RosterUpdateNotification,
     NotificationResponse: notification.NotificationResponse,
     AnswerOutcome: outcomes.AnswerOutcome,
+    AnswerAppHostedMediaOutcome: outcomes.AnswerAppHostedMediaOutcome,
     HangupOutcome: outcomes.HangupOutcome,
+    PlaceCallOutcome: outcomes.PlaceCallOutcome,
     PlayPromptOutcome: outcomes.PlayPromptOutcome,
     RecognizeOutcome: outcomes.RecognizeOutcome,
     ChoiceOutcome: outcomes.ChoiceOutcome,
@@ -58,16 +152,42 @@ module.exports = {
     RecordOutcome: outcomes.RecordOutcome,
     TranscriptionOutcome: outcomes.TranscriptionOutcome,
     RejectOutcome: outcomes.RejectOutcome,
+    TransferOutcome: outcomes.TransferOutcome,
+    VideoSubscriptionOutcome: outcomes.VideoSubscriptionOutcome,
     WorkflowValidationOutcome: outcomes.WorkflowValidationOutcome,
     Participant,
+    RosterParticipant,
+    RosterChanges,
     Prompt,
     RecognitionOption,
     Workflow,
     
+    // State
+    BotState: botState.BotState,
+    StateManager: botState.StateManager,
+    StateScope: botState.StateScope,
+    ConcurrencyError: stateErrors.ConcurrencyError,
+    MemoryStorage,
+    FileStorage,
+    RedisStorage,
+    
     // Utils
     messagingHandler,
     ensureHttps: azureUtils.ensureHttps,
     verifySkypeCert: azureUtils.verifySkypeCert,
+    verifyBotToken: jwtAuth.verifyBotToken,
+    createTokenVerifier: jwtAuth.createTokenVerifier,
     incomingCallHandler: callingUtils.incomingCallHandler,
-    incomingCallbackHandler: callingUtils.incomingCallbackHandler
+    incomingCallbackHandler: callingUtils.incomingCallbackHandler,
+    
+    // HTTP
+    createServer,
+    createMessagingProcessor: httpProcessors.createMessagingProcessor,
+    createCallProcessor: httpProcessors.createCallProcessor,
+    createCallbackProcessor: httpProcessors.createCallbackProcessor,
+    checkHttps: httpProcessors.checkHttps,
+    toNodeHandler: httpAdapters.toNodeHandler,
+    toExpressHandler: httpAdapters.toExpressHandler,
+    toRestifyHandler: httpAdapters.toRestifyHandler,
+    toKoaMiddleware: httpAdapters.toKoaMiddleware
 };
\ No newline at end of file
@@ -3,6 +3,7 @@
 const EventEmitter = require('events').EventEmitter;
 const MessagingBotService = require('./messaging/messaging-service');
 const CallingService = require('./calling/calling-service');
+const StateManager = require('./state/bot-state').StateManager;
 const eventTypes = require('./messaging/messaging-service-request-processor-v2').EventTypes;
 
 /**
@@ -38,13 +39,18 @@ const eventTypes = require('./messaging/messaging-service-request-processor-v2')
  * The complete list of calling events is as follows:
  *   - [onIncomingCall()]{@link BotService#onIncomingCall}
  *   - [onAnswerCompleted()]{@link BotService#onAnswerCompleted}
+ *   - [onAnswerAppHostedMediaCompleted()]{@link BotService#onAnswerAppHostedMediaCompleted}
+ *   - [onPlaceCallCompleted()]{@link BotService#onPlaceCallCompleted}
  *   - [onRejectCompleted()]{@link BotService#onRejectCompleted}
  *   - [onHangupCompleted()]{@link BotService#onHangupCompleted}
  *   - [onPlayPromptCompleted()]{@link BotService#onPlayPromptCompleted}
  *   - [onRecognizeCompleted()]{@link BotService#onRecognizeCompleted}
  *   - [onRecordCompleted()]{@link BotService#onRecordCompleted}
+ *   - [onTransferCompleted()]{@link BotService#onTransferCompleted}
+ *   - [onVideoSubscriptionCompleted()]{@link BotService#onVideoSubscriptionCompleted}
  *   - [onWorkflowValidationCompleted()]{@link BotService#onWorkflowValidationCompleted}
  *   - [onCallStateChange()]{@link BotService#onCallStateChange}
+ *   - [onRosterUpdate()]{@link BotService#onRosterUpdate}
  */
 class BotService extends EventEmitter {
     /**
@@ -55,22 +61,51 @@ class BotService extends EventEmitter {
      * @param {string} configuration.messaging.botId - The bot's id (e.g. "28:trivia_bot").
      * @param {string} configuration.messaging.appId - The bot's application id for OAuth.
      * @param {string} configuration.messaging.appSecret - The bot's application secret for OAuth.
+     * @param {Object|ClientCertificate} [configuration.messaging.appCertificate] - The bot's application certificate for OAuth
+     *       used instead of the secret, the {@link ClientCertificate} or its options.
      * @param {number} configuration.messaging.requestTimeout - The https request timeout in milliseconds.
+     * @param {string} [configuration.messaging.oauthUrl] - The OAuth token endpoint, e.g. of the {@link MessagingEmulator}.
+     * @param {Object|RetryPolicy} [configuration.messaging.retry] - The retry policy for requests or its options, see {@link RetryPolicy}.
+     * @param {Object|boolean} [configuration.messaging.outboundQueue] - Options of the {@link OutboundQueue} or `true` for the default options,
+     *       messages are sent immediately without the queue.
+     * @param {Function} [configuration.messaging.thumbnailGenerator] - Creates thumbnails of attachments sent without one,
+     *       see {@link MessagingService}. Attachments are sent without a thumbnail if not set.
+     * @param {Object|StateManager} [configuration.messaging.state] - The state of messaging, overrides `configuration.state`.
+     * @param {Object} [configuration.messaging.tokenCache] - The state storage caching OAuth tokens, see {@link TokenProvider}.
+     * @param {Function} [configuration.messaging.tokenLock] - The lock of token renewals across processes, see {@link TokenProvider}.
      * @param {Object} [configuration.calling] - Configuration for calling service. Mandatory only if you want to use calling service.
      * @param {string} configuration.calling.callbackUri - The url that will be sent with each request
      *       as the callback url. Can be overriden in a workflow for each request.
+     * @param {string} [configuration.calling.serverUrl] - The calling service endpoint. Mandatory only if you want to place calls.
+     * @param {string} [configuration.calling.botId] - The bot's id used as the source of placed calls.
+     * @param {number} [configuration.calling.placeCallTimeout] - How long in milliseconds the handler passed to
+     *       [placeCall()]{@link BotService#placeCall} waits for the outcome, 5 minutes by default.
+     * @param {string} [configuration.calling.appId] - The bot's application id for OAuth, needed for placing calls.
+     * @param {string} [configuration.calling.appSecret] - The bot's application secret for OAuth, needed for placing calls.
+     * @param {Object|ClientCertificate} [configuration.calling.appCertificate] - The bot's application certificate for OAuth
+     *       used instead of the secret, the {@link ClientCertificate} or its options.
+     * @param {Object|StateManager} [configuration.calling.state] - The state of calling, overrides `configuration.state`.
+     * @param {Object} [configuration.calling.tokenCache] - The state storage caching OAuth tokens, see {@link TokenProvider}.
+     * @param {Function} [configuration.calling.tokenLock] - The lock of token renewals across processes, see {@link TokenProvider}.
+     * @param {Object|StateManager} [configuration.state] - The {@link StateManager} or its options shared by messaging and calling.
+     *       The state is available to messaging handlers as `bot.state` and to calling handlers as `session.state`.
      */
     constructor(configuration) {
         super();
         
+        let state = null;
+        if (configuration.state) {
+            state = configuration.state instanceof StateManager ? configuration.state : new StateManager(configuration.state);
+        }
+        
         this.messagingBotService = null;
         if ('messaging' in configuration) {
-            this.messagingBotService = new MessagingBotService(configuration.messaging);
+            this.messagingBotService = new MessagingBotService(withState(configuration.messaging, state));
         }
         
         this.callingBotService = null;
         if ('calling' in configuration) {
-            this.callingBotService = new CallingService(configuration.calling.callbackUri);
+            this.callingBotService = new CallingService(configuration.calling.callbackUri, withState(configuration.calling, state));
         }
         
         let messagingEvents = [];
@@ -118,12 +153,58 @@ class BotService extends EventEmitter {
      * 
      * **Note:** If a command is matched, the [groupMessage]{@link BotService#event:groupMessage} event won't be emitted.
      * 
+     * Mentions of the bot are removed before matching, e.g. `/^help$/` matches "@bot help". Use `options.mentionRequired`
+     * for commands the bot should handle only when it's mentioned.
+     * 
      * @param {RegExp} regex - The regular expression that is used for matching 1:1 messages.
+     * @param {Object} [options] - The options of the command.
+     * @param {bool} [options.mentionRequired=false] - If true, the command is matched only if the bot is mentioned in the message.
      * @param {BotService~commandCallback} callback - The callback that is called when a message is matched. 
      */
-    onGroupCommand(regex, callback) {
+    onGroupCommand(regex, options, callback) {
+        if (this.messagingBotService !== null) {
+            this.messagingBotService.onGroupCommand(regex, options, callback);
+        } else {
+            throw new Error('Messaging not configured.');
+        }
+    }
+    
+    /**
+     * Register an incoming middleware (messaging).
+     * 
+     * The middleware runs for each received event before it's emitted and before commands are matched.
+     * It can modify the event, drop it by not calling `next`, or attach data to the context which is
+     * available to the handlers as `bot.context`.
+     * 
+     * Example:
+     * ```javascript
+     * botService.use((context, next) => {
+     *     context.locale = profiles.getLocale(context.event.from);
+     *     next();
+     * });
+     * botService.on('personalMessage', (bot, message) => bot.reply(translate('hello', bot.context.locale)));
+     * ```
+     * 
+     * @param {MessagingService~incomingMiddleware} fn - The middleware.
+     */
+    use(fn) {
+        if (this.messagingBotService !== null) {
+            this.messagingBotService.use(fn);
+        } else {
+            throw new Error('Messaging not configured.');
+        }
+    }
+    
+    /**
+     * Register an outgoing middleware (messaging).
+     * 
+     * The middleware runs around each sent message and attachment, see {@link MessagingService~outgoingMiddleware}.
+     * 
+     * @param {MessagingService~outgoingMiddleware} fn - The middleware.
+     */
+    useOutgoing(fn) {
         if (this.messagingBotService !== null) {
-            this.messagingBotService.onGroupCommand(regex, callback);
+            this.messagingBotService.useOutgoing(fn);
         } else {
             throw new Error('Messaging not configured.');
         }
@@ -141,13 +222,32 @@ class BotService extends EventEmitter {
      * Send a message. Message can be sent to any user or group chat (messaging).
      * 
      * @param {string} to - The recipient's username.
-     * @param {string} content - The content of the message. If any html tags are present, they need to be valid or escaped (see `escape` parameter).
+     * @param {string|FormattedText|OutgoingMessage} content - The content of the message. If any html tags are present, they need to be valid or escaped (see `escape` parameter).
      * @param {bool} [escape] - If true, content will be escaped to prevent "&", "<", and ">" from breaking the message.
-     * @param {BotService~sendMessageCallback} callback - The callback that handles the response.
+     * @param {BotService~sendMessageCallback} [callback] - The callback that handles the response. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     send(to, content, escape, callback) {
         if (this.messagingBotService !== null) {
-            this.messagingBotService.send(to, content, escape, callback);
+            return this.messagingBotService.send(to, content, escape, callback);
+        } else {
+            throw new Error('Messaging not configured.');
+        }
+    }
+    
+    /**
+     * Stop sending messages and wait until all queued messages are sent (messaging).
+     * 
+     * If the outbound queue is enabled by `configuration.messaging.outboundQueue`, outgoing messages are queued per conversation,
+     * see {@link OutboundQueue}. The queue is available as `botService.messagingBotService.outboundQueue` for checking its depth
+     * and listening for "drain" events. Call this before the process exits so that no replies are lost.
+     * 
+     * @param {Function} [callback] - Called once all messages are sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    shutdown(callback) {
+        if (this.messagingBotService !== null) {
+            return this.messagingBotService.shutdown(callback);
         } else {
             throw new Error('Messaging not configured.');
         }
@@ -168,13 +268,39 @@ class BotService extends EventEmitter {
      * @param {string} to - The username or group id of recipient.
      * @param {string} name - The attachment's name, `null` means no name is provided.
      * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
-     * @param {Buffer} binaryContent - The content that should be sent (binary data).
-     * @param {Buffer} [thumbnailContent] - The thumbnail for the sent content (binary data).
-     * @param {BotService~attachmentSentCallback} callback - Callback that is called after the attachment is sent.
+     * @param {Buffer|string} binaryContent - The content that should be sent (binary data) or the path of a file with it.
+     * @param {Buffer|string} [thumbnailContent] - The thumbnail for the sent content (binary data) or the path of a file with it, created by `configuration.messaging.thumbnailGenerator` if not provided and it is set.
+     * @param {BotService~attachmentSentCallback} [callback] - Callback that is called after the attachment is sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     sendAttachment(to, name, type, binaryContent, thumbnailContent, callback) {
         if (this.messagingBotService !== null) {
-            this.messagingBotService.sendAttachment(to, name, type, binaryContent, thumbnailContent, callback);
+            return this.messagingBotService.sendAttachment(to, name, type, binaryContent, thumbnailContent, callback);
+        } else {
+            throw new Error('Messaging not configured.');
+        }
+    }
+    
+    /**
+     * Send an attachment (media) read from a stream to a user or group chat.
+     *
+     * The content isn't buffered, so large videos can be sent without holding them in memory. If the size is known,
+     * the size limit of the messaging service is checked before the stream is read. Failed uploads are not retried.
+     *
+     * @param {string} to - The username or group id of recipient.
+     * @param {string} name - The attachment's name, `null` means no name is provided.
+     * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
+     * @param {stream.Readable} source - The content that should be sent (binary data), e.g. `fs.createReadStream(path)`.
+     * @param {Object} [options] - The options of the upload.
+     * @param {number} [options.size] - The size of the content in bytes, detected for file streams.
+     * @param {Buffer} [options.thumbnailContent] - The thumbnail for the sent content (binary data).
+     * @param {Function} [options.onProgress] - Called with `(sentBytes, totalBytes)` as the content is sent.
+     * @param {BotService~attachmentSentCallback} [callback] - Callback that is called after the attachment is sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    sendAttachmentStream(to, name, type, source, options, callback) {
+        if (this.messagingBotService !== null) {
+            return this.messagingBotService.sendAttachmentStream(to, name, type, source, options, callback);
         } else {
             throw new Error('Messaging not configured.');
         }
@@ -193,11 +319,12 @@ class BotService extends EventEmitter {
      * Get information about an attachment.
      *
      * @param {string} attachmentId - The unique attachment identifier received from the response to [postAttachment()]{@link BotService~postAttachment} or from the [attachment]{@link BotService#event:attachment} event.
-     * @param {BotService~attachmentInfoCallback} callback - The callback that is called after the information is received.
+     * @param {BotService~attachmentInfoCallback} [callback] - The callback that is called after the information is received. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     getAttachmentInfo(attachmentId, callback) {
         if (this.messagingBotService !== null) {
-            this.messagingBotService.getAttachmentInfo(attachmentId, callback);
+            return this.messagingBotService.getAttachmentInfo(attachmentId, callback);
         } else {
             throw new Error('Messaging not configured.');
         }
@@ -217,11 +344,31 @@ class BotService extends EventEmitter {
      *
      * @param {string} attachmentId - The unique attachment identifier received from the response to [postAttachment()]{@link BotService~postAttachment} or from the [attachment]{@link BotService#event:attachment} event.
      * @param {string} viewId - The identifier of the attachment view (either 'original' or 'thumbnail') available in the attachment's info ({@link AttachmentInfo}).
-     * @param {BotService~attachmentContentCallback} callback - The callback that is triggered after the attachment's content is downloaded.
+     * @param {BotService~attachmentContentCallback} [callback] - The callback that is triggered after the attachment's content is downloaded. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     getAttachment(attachmentId, viewId, callback) {
         if (this.messagingBotService !== null) {
-            this.messagingBotService.getAttachment(attachmentId, viewId, callback);
+            return this.messagingBotService.getAttachment(attachmentId, viewId, callback);
+        } else {
+            throw new Error('Messaging not configured.');
+        }
+    }
+    
+    /**
+     * Get content of attachment (binary data) as a stream.
+     *
+     * The stream emits `progress` events with `(receivedBytes, totalBytes)`, the total is `null` if it's unknown.
+     *
+     * @param {string} attachmentId - The unique attachment identifier received from the response to [postAttachment()]{@link BotService~postAttachment} or from the [attachment]{@link BotService#event:attachment} event.
+     * @param {string} viewId - The identifier of the attachment view (either 'original' or 'thumbnail') available in the attachment's info ({@link AttachmentInfo}).
+     * @param {Object} [options] - The options of the download.
+     * @param {number} [options.maxSize] - The maximum size of the content in bytes, larger content fails with an error before it's read.
+     * @returns {stream.Readable} The content.
+     */
+    getAttachmentStream(attachmentId, viewId, options) {
+        if (this.messagingBotService !== null) {
+            return this.messagingBotService.getAttachmentStream(attachmentId, viewId, options);
         } else {
             throw new Error('Messaging not configured.');
         }
@@ -253,6 +400,27 @@ class BotService extends EventEmitter {
         }
     }
     
+    /**
+     * Process request and wait until the handlers of all emitted events finish (messaging).
+     * 
+     * Listeners, command callbacks and middleware can return promises, they are awaited. See
+     * [processRequestAndWait()]{@link MessagingService#processRequestAndWait}.
+     *
+     * @param {Object|string} request - The request from the messaging service, either parsed or the JSON string.
+     * @param {Object} [options] - The options of the processing.
+     * @param {number} [options.timeout] - The time in milliseconds to wait for the handlers, unlimited by default.
+     * @param {Function} [callback] - Called with `(error)` once the handlers finish. The error is {@link InvalidRequestError}
+     *      if the request is not a valid message from the messaging service. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    processMessagingRequestAndWait(request, options, callback) {
+        if (this.messagingBotService !== null) {
+            return this.messagingBotService.processRequestAndWait(request, options, callback);
+        } else {
+            throw new Error('Messaging not configured.');
+        }
+    }
+    
     //
     // Calling
     //
@@ -261,6 +429,19 @@ class BotService extends EventEmitter {
     /**
      * Callback to finish processing of events.
      * 
+     * Calling handlers can also be `async` functions (or return a Promise) instead of calling
+     * this callback. The workflow the promise resolves with is sent as the response, for notification
+     * handlers the resolved value is the {@link NotificationResponse} (an empty one if nothing is returned).
+     * A rejected promise or an exception thrown by the handler is treated like an error passed to the callback.
+     * 
+     * Example:
+     * ```javascript
+     * botService.onIncomingCall(async (conversation, workflow) => {
+     *     workflow.actions = [ new skype.Answer({ operationId: uuid.v4() }) ];
+     *     return workflow;
+     * });
+     * ```
+     * 
      * @callback BotService~finishEventHandling
      * 
      * @param {Error} error
@@ -283,6 +464,7 @@ class BotService extends EventEmitter {
      * @param {ConversationResult} conversationResult - The result of the last workflow.
      * @param {Workflow} workflow - The new workflow that should be updated and sent.
      * @param {BotService~finishEventHandling} callback - The callback to finish the processing of the event.
+     * @param {CallSession} session - The session of the call.
      */
     
     /**
@@ -294,6 +476,7 @@ class BotService extends EventEmitter {
      * @param {Buffer} record - The recorded audio in WMA format.
      * @param {Workflow} workflow - The new workflow that should be updated and sent.
      * @param {BotService~finishEventHandling} callback - The callback to finish the processing of the event.
+     * @param {CallSession} session - The session of the call.
      */
     
     /**
@@ -315,6 +498,24 @@ class BotService extends EventEmitter {
         }
     }
     
+    /**
+     * Register handler for the "answer app hosted media action completed" event (calling).
+     * 
+     * After the {@link AnswerAppHostedMedia} action is executed, you will get "answer app hosted media action completed" event.
+     * You need to implement this handler to be able to continue after answering the call with media hosted by your application.
+     * 
+     * In your handler you will get a {@link ConversationResult} object, it contains an `operationOutcome` field that has all the details about the outcome. For this handler, it will be an instance of {@link AnswerAppHostedMediaOutcome} class.  
+     * 
+     * @param {BotService~callNotificationHandler} handler - The event handler.
+     */
+    onAnswerAppHostedMediaCompleted(handler) {
+        if (this.callingBotService !== null) {
+            this.callingBotService.onAnswerAppHostedMediaCompleted(handler);
+        } else {
+            throw new Error('Calling not configured.');
+        }
+    }
+    
     /**
      * Callback to handle call state change.
      * 
@@ -323,6 +524,7 @@ class BotService extends EventEmitter {
      * @param {CallStateChangeNotification} callStateChangeNotification
      * @param {NotificationResponse} notificationResponse
      * @param {BotService~finishNotificationHandling} callback - The event handler.
+     * @param {CallSession} session - The session of the call.
      */
         
     /**
@@ -338,6 +540,36 @@ class BotService extends EventEmitter {
         }
     }
     
+    /**
+     * Callback to handle roster update.
+     * 
+     * @callback BotService~rosterUpdateCallback
+     * 
+     * @param {RosterUpdateNotification} rosterUpdateNotification - The full list of participants after the change.
+     * @param {RosterChanges} rosterChanges - Participants who joined, left or changed media direction since the previous roster of the conversation.
+     * @param {NotificationResponse} notificationResponse
+     * @param {BotService~finishNotificationHandling} callback - The event handler.
+     * @param {CallSession} session - The session of the call.
+     */
+    
+    /**
+     * Register handler for roster update (calling).
+     * 
+     * Roster updates are sent only for multiparty calls and only if the workflow
+     * subscribes to them in its `notificationSubscriptions`.
+     * The first roster received for a conversation is compared with an empty roster,
+     * so all its participants are reported as joined. 
+     * 
+     * @param {BotService~rosterUpdateCallback} handler
+     */
+    onRosterUpdate(handler) {
+        if (this.callingBotService !== null) {
+            this.callingBotService.onRosterUpdate(handler);
+        } else {
+            throw new Error('Calling not configured.');
+        }
+    }
+    
     /**
      * Register handler for "hangup action completed" event (calling).
      * 
@@ -367,6 +599,7 @@ class BotService extends EventEmitter {
      * @param {Conversation} conversation - The incoming call.
      * @param {Workflow} workflow - The workflow for responding to the event.
      * @param {BotService~finishEventHandling} callback - The callback to finish processing of the event.
+     * @param {CallSession} session - The session of the call.
      */
     
     /**
@@ -386,6 +619,24 @@ class BotService extends EventEmitter {
         }
     }
     
+    /**
+     * Register handler for "place call action completed" event (calling).
+     * 
+     * The registered handler will be called after a {@link PlaceCall} action is executed,
+     * i.e. once the outgoing call is established or fails to be established.
+     * 
+     * In your handler you will get a {@link ConversationResult} object, it contains an `operationOutcome` field that has all the details about the outcome. For this handler, it will be an instance of {@link PlaceCallOutcome} class.  
+     * 
+     * @param {BotService~callNotificationHandler} handler - The event handler.
+     */
+    onPlaceCallCompleted(handler) {
+        if (this.callingBotService !== null) {
+            this.callingBotService.onPlaceCallCompleted(handler);
+        } else {
+            throw new Error('Calling not configured.');
+        }
+    }
+    
     /**
      * Register handler for "play prompt action completed" event (calling).
      * 
@@ -454,6 +705,43 @@ class BotService extends EventEmitter {
         }
     }
     
+    /**
+     * Register handler for "transfer action completed" event (calling).
+     * 
+     * The registered handler will be called after a {@link Transfer} action is executed.
+     * 
+     * In your handler you will get a {@link ConversationResult} object, it contains an `operationOutcome` field that has all the details about the outcome. For this handler, it will be an instance of {@link TransferOutcome} class.  
+     * 
+     * **Note**: If the transfer succeeded, the call is hung up automatically, so call the callback without any workflow.
+     * If the transfer failed, you can continue interacting with the caller.
+     * 
+     * @param {BotService~callNotificationHandler} handler - The event handler.
+     */
+    onTransferCompleted(handler) {
+        if (this.callingBotService !== null) {
+            this.callingBotService.onTransferCompleted(handler);
+        } else {
+            throw new Error('Calling not configured.');
+        }
+    }
+    
+    /**
+     * Register handler for "video subscription action completed" event (calling).
+     * 
+     * The registered handler will be called after a {@link VideoSubscription} action is executed.
+     * 
+     * In your handler you will get a {@link ConversationResult} object, it contains an `operationOutcome` field that has all the details about the outcome. For this handler, it will be an instance of {@link VideoSubscriptionOutcome} class.  
+     * 
+     * @param {BotService~callNotificationHandler} handler - The event handler.
+     */
+    onVideoSubscriptionCompleted(handler) {
+        if (this.callingBotService !== null) {
+            this.callingBotService.onVideoSubscriptionCompleted(handler);
+        } else {
+            throw new Error('Calling not configured.');
+        }
+    }
+    
     /** 
      * Register handler for "workflow validation completed" event (calling).
      * 
@@ -491,11 +779,79 @@ class BotService extends EventEmitter {
      * Will call the handler registered by [onIncomingCall()]{@link BotService#onIncomingCall}.
      * 
      * @param {object} content - The body of the request received from Bot platform.
-     * @param {BotService~processCallCallback}
+     * @param {BotService~processCallCallback} [callback] - If not provided, a Promise resolved with the response is returned.
+     * @returns {Promise|undefined}
      */
     processCall(content, callback) {
         if (this.callingBotService !== null) {
-            this.callingBotService.processCall(content, callback);
+            return this.callingBotService.processCall(content, callback);
+        } else {
+            throw new Error('Calling not configured.');
+        }
+    }
+    
+    /**
+     * Get the session of an active call (calling).
+     * 
+     * Each call has a {@link CallSession} that is created with the incoming call and passed to
+     * all the calling handlers of the same conversation as the last argument. Use it to keep the
+     * state of the call between the steps instead of the workflow's `appState`.
+     * The session is removed once the call is terminated.
+     * 
+     * @param {string} conversationId - The id of the conversation.
+     * @returns {CallSession} The session or `null` if there is no active call with the id.
+     */
+    getCallSession(conversationId) {
+        if (this.callingBotService !== null) {
+            return this.callingBotService.getSession(conversationId);
+        } else {
+            throw new Error('Calling not configured.');
+        }
+    }
+    
+    /**
+     * Callback called after a call is placed.
+     * 
+     * @callback BotService~placeCallCallback
+     * 
+     * @param {Error} error - The error if the calling service didn't accept the call.
+     * @param {string} operationId - The operation id of the {@link PlaceCall} action, it will be set in the {@link PlaceCallOutcome}.
+     */
+    
+    /**
+     * Place an outgoing call (calling).
+     * 
+     * Posts a workflow with a {@link PlaceCall} action to the calling service. Once the call
+     * is established (or fails), the {@link PlaceCallOutcome} is routed to `options.completedHandler`,
+     * or to the handler registered by [onPlaceCallCompleted()]{@link BotService#onPlaceCallCompleted}
+     * if no handler was given for this call.
+     * 
+     * Requires `serverUrl`, `botId`, `appId` and `appSecret` or `appCertificate` in the calling configuration.
+     * 
+     * Example:
+     * ```javascript
+     * botService.placeCall('8:alice', {
+     *     subject: 'Reminder',
+     *     completedHandler: (result, workflow, callback) => {
+     *         workflow.actions = [ new skype.PlayPrompt(...) ];
+     *         callback(null, workflow);
+     *     }
+     * }, (error) => { ... });
+     * ```
+     * 
+     * @param {string} target - The identity of the called user, e.g. "8:alice".
+     * @param {Object} [options] - Options of the call.
+     * @param {string} [options.subject] - The subject of the call.
+     * @param {string[]} [options.initiateModalityTypes] - The modalities to present, audio by default.
+     * @param {string} [options.appState] - The application state echoed back with the outcome.
+     * @param {BotService~callNotificationHandler} [options.completedHandler] - The handler for the outcome of this call.
+     * @param {BotService~placeCallCallback} [callback] - The callback called after the call is accepted by calling service.
+     *       If not provided, a Promise resolved with the operation id is returned.
+     * @returns {Promise|undefined}
+     */
+    placeCall(target, options, callback) {
+        if (this.callingBotService !== null) {
+            return this.callingBotService.placeCall(target, options, callback);
         } else {
             throw new Error('Calling not configured.');
         }
@@ -508,15 +864,26 @@ class BotService extends EventEmitter {
      * 
      * @param {object} content - The body of the request received from Bot platform.
      * @param {additionalData} additionalData - The additional binary data received from Bot platform.
-     * @param {BotService~processCallCallback}
+     * @param {BotService~processCallCallback} [callback] - If not provided, a Promise resolved with the response is returned.
+     * @returns {Promise|undefined}
      */
     processCallback(content, additionalData, callback) {
         if (this.callingBotService !== null) {
-            this.callingBotService.processCallback(content, additionalData, callback);
+            return this.callingBotService.processCallback(content, additionalData, callback);
         } else {
             throw new Error('Calling not configured.');
         }
     }
 }
 
+/**
+ * Copy the service options with the shared state, unless the service configures its own.
+ *
+ * @ignore
+ */
+function withState(options, state) {
+    if (state === null || options.state) return options;
+    return Object.assign({}, options, { state: state });
+}
+
 module.exports = BotService;
\ No newline at end of file
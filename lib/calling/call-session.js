@@ -0,0 +1,88 @@
+'use strict';
+
+const enums = require('./model/enums');
+
+/**
+ * Entry in the history of a call session.
+ *
+ * @typedef {Object} CallSession~HistoryEntry
+ *
+ * @property {string} kind - Either "action" for actions sent by the bot or "outcome" for outcomes received from calling service.
+ * @property {Object} value - The action ({@link ActionBase} inheritor) or the outcome ({@link OperationOutcomeBase} inheritor).
+ * @property {Date} time - The time when the entry was recorded.
+ */
+
+/**
+ * State of a single call shared by all the handlers processing the same conversation.
+ *
+ * A session is created for each incoming call (or for the first callback of a call
+ * the bot doesn't know yet, e.g. a placed call) and it is removed once a call state
+ * change notification reports that the call is terminated.
+ *
+ * @property {string} id - The conversation id.
+ * @property {string} callState - CallingModelEnums.CallState; the last known state of the call.
+ * @property {CallSession~HistoryEntry[]} history - Actions and outcomes of the call in the order they happened.
+ * @property {RosterParticipant[]} roster - The last received roster of the call, `null` if none was received yet.
+ * @property {Object} userData - Arbitrary data of the application.
+ * @property {string} userId - The identity of the caller of an incoming call, `null` if it's not known.
+ * @property {BotState} state - The persisted state of the call and the caller, `null` if state isn't configured.
+ * @property {Date} createdAt - The time when the session was created.
+ */
+class CallSession {
+    /**
+     * Create a new call session.
+     *
+     * @param {string} id - The conversation id.
+     */
+    constructor(id) {
+        this.id = id;
+        this.callState = enums.CallState.Idle;
+        this.history = [];
+        this.roster = null;
+        this.userData = {};
+        this.userId = null;
+        this.state = null;
+        this.createdAt = new Date();
+    }
+
+    /**
+     * Record an action sent to calling service.
+     *
+     * @param {ActionBase} action
+     */
+    addAction(action) {
+        this.history.push({ kind: 'action', value: action, time: new Date() });
+    }
+
+    /**
+     * Record an outcome received from calling service.
+     *
+     * @param {OperationOutcomeBase} outcome
+     */
+    addOutcome(outcome) {
+        this.history.push({ kind: 'outcome', value: outcome, time: new Date() });
+    }
+
+    /**
+     * The last outcome received for this call.
+     *
+     * @returns {OperationOutcomeBase} The outcome or `null` if none was received yet.
+     */
+    get lastOutcome() {
+        for (let i = this.history.length - 1; i >= 0; --i) {
+            if (this.history[i].kind === 'outcome') return this.history[i].value;
+        }
+        return null;
+    }
+
+    /**
+     * True if the call is terminated.
+     *
+     * @returns {boolean}
+     */
+    get isTerminated() {
+        return this.callState === enums.CallState.Terminated;
+    }
+}
+
+module.exports = CallSession;
@@ -0,0 +1,114 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.calling.CallingServiceClient');
+const request = require('request');
+const async = require('async');
+
+const TokenService = require('../messaging/auth-service');
+
+const CallsUrl = '/v1/calls';
+
+/**
+ * Client for requests initiated by the bot towards the calling service.
+ */
+class CallingServiceClient
+{
+    /**
+     * Create a new instance of CallingServiceClient
+     *
+     * @param {object} options - The configuration options.
+     * @param {string} options.serverUrl - The calling service endpoint.
+     * @param {string} options.appId - The bot's application id for OAuth.
+     * @param {string} options.appSecret - The bot's application secret for OAuth, not needed with `options.appCertificate`.
+     * @param {Object|ClientCertificate} [options.appCertificate] - The bot's application certificate for OAuth, the
+     *      {@link ClientCertificate} or its options.
+     * @param {number} [options.requestTimeout] - The https request timeout in milliseconds.
+     * @param {string} [options.oauthUrl] - The OAuth token endpoint, Microsoft login service by default.
+     * @param {string} [options.oauthScope] - The scope of requested OAuth tokens.
+     * @param {Object} [options.tokenCache] - The state storage caching OAuth tokens, e.g. a {@link RedisStorage} shared by
+     *      the bot's processes, see {@link TokenProvider}.
+     * @param {Function} [options.tokenLock] - The lock of token renewals across processes, see {@link TokenProvider}.
+     * @param {AuthService} [options.tokenProvider] - The provider of OAuth tokens to use instead of creating one,
+     *      e.g. to listen to its events.
+     */
+    constructor(options)
+    {
+        this._validateConfigurationOptions(options);
+        this._baseUrl = options.serverUrl.trim();
+        this._timeout = options.requestTimeout || 15000;
+        this._appId = options.appId.trim();
+        this._appSecret = options.appSecret != null ? options.appSecret.trim() : null;
+        this._tokenService = options.tokenProvider || new TokenService(this._appId, this._appSecret, {
+            oauthUrl: options.oauthUrl,
+            scope: options.oauthScope,
+            certificate: options.appCertificate,
+            cache: options.tokenCache,
+            lock: options.tokenLock
+        });
+    }
+
+    _validateConfigurationOptions(options)
+    {
+        if (typeof options === 'undefined' || options === null) {
+            throw new Error('options is null.');
+        }
+        if (typeof options.serverUrl === 'undefined' || options.serverUrl === null) {
+            throw new Error('options.serverUrl is missing in the options.');
+        }
+        if (typeof options.appId === 'undefined' || options.appId === null) {
+            throw new Error('options.appId is missing in the options.');
+        }
+        if ((typeof options.appSecret === 'undefined' || options.appSecret === null) && !options.appCertificate && !options.tokenProvider) {
+            throw new Error('options.appSecret is missing in the options.');
+        }
+    }
+
+    /**
+     * Callback for posting workflows.
+     *
+     * @callback CallingServiceClient~postWorkflowCallback
+     * @param {Error} error - The error if there was one.
+     */
+
+    /**
+     * Post a workflow starting a new call to the calling service.
+     *
+     * @param {Workflow} workflow - The validated workflow with a {@link PlaceCall} action.
+     * @param {CallingServiceClient~postWorkflowCallback} callback - Callback that's called after the workflow is accepted or rejected.
+     */
+    postCallWorkflow(workflow, callback)
+    {
+        debug(`Posting call workflow ${JSON.stringify(workflow)}`);
+
+        async.waterfall([
+            (next) => {
+                this._tokenService.getToken(next);
+            },
+            (token, next) => {
+                const options = {
+                    headers: {
+                        Authorization: 'Bearer ' + token,
+                        'Content-Type': 'application/json'
+                    },
+                    url: this._baseUrl + CallsUrl,
+                    method: 'POST',
+                    timeout: this._timeout,
+                    followRedirect: true,
+                    maxRedirects: 10,
+                    body: JSON.stringify(workflow)
+                };
+
+                var req = request(options, next);
+                req.on('error', next);
+            },
+            (res, body, next) => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return next(new Error(`Received unexpected response ${res.statusCode} from Calling Service: ${res.statusMessage}.`));
+                }
+                next(null);
+            }
+        ], callback);
+    }
+}
+
+module.exports = CallingServiceClient;
@@ -3,12 +3,20 @@
 const EventEmitter = require('events').EventEmitter;
 const debug = require('debug')('skype-sdk.calling.CallingService');
 const inspect = require('util').inspect;
+const uuid = require('node-uuid');
 
 const conversations = require('./model/conversation');
 const notifications = require('./model/notifications');
 const enums = require('./model/enums');
 const Workflow = require('./model/workflow');
 const CallBackLink = require('./model/callback-link');
+const Participant = require('./model/participant');
+const actions = require('./model/actions');
+const CallingServiceClient = require('./calling-service-client');
+const promiseUtils = require('../utils/promise-utils');
+const RosterChanges = require('./roster-changes');
+const CallSession = require('./call-session');
+const StateManager = require('../state/bot-state').StateManager;
 
 /**
  * Class representing a calling bot service.
@@ -21,21 +29,53 @@ class CallingService extends EventEmitter {
      * 
      * @param {string} callbackUri - The url that will be sent with each request
      *       as the callback url. Can be overriden in a workflow for each request.
+     * @param {Object} [options] - Configuration for calls placed by the bot, see {@link CallingServiceClient}.
+     * @param {string} options.botId - The bot's id used as the source of placed calls.
+     * @param {number} [options.placeCallTimeout=300000] - How long in milliseconds the handler of a placed call waits
+     *       for its {@link PlaceCallOutcome}, later outcomes go to the handler registered by onPlaceCallCompleted().
+     * @param {Object|StateManager} [options.state] - The {@link StateManager} or its options. If set, the state of the call
+     *       and the caller is loaded before each handler as `session.state` and saved after the handler finishes.
      */
-    constructor(callbackUri) {
+    constructor(callbackUri, options) {
         super();
         
         this.callbackUri = callbackUri;
         
+        options = options || {};
+        this._botId = options.botId ? options.botId.trim() : null;
+        this._appId = options.appId ? options.appId.trim() : null;
+        this._placeCallTimeout = options.placeCallTimeout || 300000;
+        this._callingServiceClient = null;
+        if (options.serverUrl) {
+            this._callingServiceClient = new CallingServiceClient(options);
+        }
+        
         this.incomingCallHandler = null;
         this.callStateChangeHandler = null;
+        this.rosterUpdateHandler = null;
         this.answerCompletedHandler = null;
+        this.answerAppHostedMediaCompletedHandler = null;
         this.hangupCompletedHandler = null;
+        this.placeCallCompletedHandler = null;
         this.playPromptCompletedHandler = null;
         this.recognizeCompletedHandler = null;
         this.recordCompletedHandler = null;
         this.rejectCompletedHandler = null;
+        this.transferCompletedHandler = null;
+        this.videoSubscriptionCompletedHandler = null;
         this.workflowValidationCompletedHandler = null;
+        
+        this._sessions = new Map();
+        this._placedCalls = new Map();
+        
+        /**
+         * The manager of conversation and user state, `null` if state isn't configured.
+         * @type {StateManager}
+         */
+        this.stateManager = null;
+        if (options.state) {
+            this.stateManager = options.state instanceof StateManager ? options.state : new StateManager(options.state);
+        }
     }
     
     /**
@@ -46,6 +86,15 @@ class CallingService extends EventEmitter {
      * @param {Error} error
      * @param {Workflow} workflow
      */
+    
+    /** 
+     * Callback to finish notification processing.
+     * 
+     * @callback CallingBotService~finishNotificationHandling
+     * 
+     * @param {Error} error
+     * @param {NotificationResponse} notificationResponse
+     */
         
     /**
      * Callback to handle incoming call.
@@ -55,6 +104,7 @@ class CallingService extends EventEmitter {
      * @param {Conversation} conversation - The incoming call.
      * @param {Workflow} workflow - The workflow for responding to the event.
      * @param {CallingBotService~finishEventHandling} callback - The callback to finish processing of the event.
+     * @param {CallSession} session - The session of the call.
      */
     
     /**
@@ -70,14 +120,43 @@ class CallingService extends EventEmitter {
         this.callStateChangeHandler = handler;
     }
     
+    /**
+     * Callback to handle roster update.
+     * 
+     * @callback CallingBotService~rosterUpdateHandler
+     * 
+     * @param {RosterUpdateNotification} rosterUpdateNotification - The received roster.
+     * @param {RosterChanges} rosterChanges - The changes since the previous roster of the same conversation.
+     * @param {NotificationResponse} notificationResponse - The response for the notification.
+     * @param {CallingBotService~finishNotificationHandling} callback - The callback to finish processing of the event.
+     * @param {CallSession} session - The session of the call.
+     */
+    
+    /**
+     * Register handler for roster update.
+     * 
+     * @param {CallingBotService~rosterUpdateHandler} Event handler.
+     */
+    onRosterUpdate(handler) {
+        this.rosterUpdateHandler = handler;
+    }
+    
     onAnswerCompleted(handler) {
         this.answerCompletedHandler = handler;
     }
     
+    onAnswerAppHostedMediaCompleted(handler) {
+        this.answerAppHostedMediaCompletedHandler = handler;
+    }
+    
     onHangupCompleted(handler) {
         this.hangupCompletedHandler = handler;
     }
     
+    onPlaceCallCompleted(handler) {
+        this.placeCallCompletedHandler = handler;
+    }
+    
     onPlayPromptCompleted(handler) {
         this.playPromptCompletedHandler = handler;
     }
@@ -94,6 +173,14 @@ class CallingService extends EventEmitter {
         this.rejectCompletedHandler = handler;
     }
     
+    onTransferCompleted(handler) {
+        this.transferCompletedHandler = handler;
+    }
+    
+    onVideoSubscriptionCompleted(handler) {
+        this.videoSubscriptionCompletedHandler = handler;
+    }
+    
     onWorkflowValidationCompleted(handler) {
         this.workflowValidationCompletedHandler = handler;
     }
@@ -116,9 +203,14 @@ class CallingService extends EventEmitter {
      * Processes new incoming call and emits a new "incomingCall" event.
      * 
      * @param {object} content - The body of the request received from Bot platform.
-     * @param {CallingBotService~processCallCallback}
+     * @param {CallingBotService~processCallCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     processCall(content, callback) {
+        return promiseUtils.callbackOrHandledPromise(callback, done => this._processCall(content, done));
+    }
+    
+    _processCall(content, callback) {
         const conversation = new conversations.Conversation(content);
         const errors = conversation.validate();
         if (errors.length !== 0) {
@@ -130,13 +222,35 @@ class CallingService extends EventEmitter {
             return callback(new Error('Received invalid conversation.'));
         }
         
+        const session = this._getOrCreateSession(conversation.id);
+        session.callState = conversation.callState;
+        const caller = (conversation.participants || []).find(participant => participant.originator);
+        if (caller && caller.identity !== this._botId) {
+            session.userId = caller.identity;
+        }
+        
+        const workflowCallback = this._createWorkflowCallback(callback, session);
         this._tryCallHandler(
             this.incomingCallHandler,
-            callback,
-            [conversation, this._createWorkflow(), this._createWorkflowCallback(callback)]);
+            workflowCallback,
+            [conversation, this._createWorkflow(), workflowCallback, session], session);
     }
     
+    /**
+     * Process new incoming callback.
+     * 
+     * Processes the result of the last workflow or a notification and calls the proper handler.
+     * 
+     * @param {object} content - The body of the request received from Bot platform.
+     * @param {Buffer} [additionalData] - The additional binary data received from Bot platform.
+     * @param {CallingBotService~processCallCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
     processCallback(content, additionalData, callback) {
+        return promiseUtils.callbackOrHandledPromise(callback, done => this._processCallback(content, additionalData, done));
+    }
+    
+    _processCallback(content, additionalData, callback) {
         let result;
         let invalid = false;
         try {
@@ -160,6 +274,7 @@ class CallingService extends EventEmitter {
             return this._processNotification(content, additionalData, (error, notificationResponse) => {
                 if (error) { return callback(error); }
                 
+                notificationResponse = notificationResponse || new notifications.NotificationResponse();
                 const errors = notificationResponse.validate();
                 if (errors.length > 0) { return callback(new Error('Received invalid notification response.')); }
                 
@@ -167,10 +282,123 @@ class CallingService extends EventEmitter {
             });
         }
         
-        this._processConversationResult(result, additionalData, this._createWorkflowCallback(callback));
+        const session = this._getOrCreateSession(result.id);
+        session.callState = result.callState;
+        session.addOutcome(result.operationOutcome);
+        
+        this._processConversationResult(result, additionalData, session, this._createWorkflowCallback(callback, session));
+    }
+    
+    /**
+     * Get the session of a call.
+     * 
+     * @param {string} conversationId - The id of the conversation.
+     * @returns {CallSession} The session or `null` if there is no active call with the id.
+     */
+    getSession(conversationId) {
+        return this._sessions.get(conversationId) || null;
+    }
+    
+    /**
+     * Callback called after a call is placed.
+     * 
+     * @callback CallingBotService~placeCallCallback
+     * 
+     * @param {Error} error - The error if the calling service didn't accept the call.
+     * @param {string} operationId - The operation id of the {@link PlaceCall} action, it will be set in the {@link PlaceCallOutcome}.
+     */
+    
+    /**
+     * Place an outgoing call.
+     * 
+     * The outcome is routed to `options.completedHandler` if set and the outcome arrives within `placeCallTimeout`
+     * of the service, otherwise to the handler registered by [onPlaceCallCompleted()]{@link CallingService#onPlaceCallCompleted}.
+     * 
+     * @param {string} target - The identity of the called user, e.g. "8:alice".
+     * @param {Object} [options] - Options of the call.
+     * @param {string} [options.subject] - The subject of the call.
+     * @param {string[]} [options.initiateModalityTypes] - The modalities to present, audio by default.
+     * @param {string} [options.appState] - The application state echoed back with the outcome.
+     * @param {BotService~callNotificationHandler} [options.completedHandler] - The handler for the outcome of this call.
+     * @param {CallingBotService~placeCallCallback} [callback] - The callback called after the call is accepted by calling service.
+     *       If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    placeCall(target, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        return promiseUtils.callbackOrHandledPromise(callback, done => this._placeCall(target, options || {}, done));
+    }
+    
+    _placeCall(target, options, callback) {
+        if (this._callingServiceClient === null) {
+            return callback(new Error('Calling service endpoint not configured.'));
+        }
+        
+        const action = new actions.PlaceCall();
+        action.operationId = uuid.v4();
+        action.source = new Participant({ identity: this._botId, originator: true });
+        action.target = new Participant({ identity: target, originator: false });
+        action.appId = this._appId;
+        action.subject = options.subject || null;
+        if (options.initiateModalityTypes) {
+            action.initiateModalityTypes = options.initiateModalityTypes;
+        }
+        
+        const workflow = this._createWorkflow();
+        workflow.actions.push(action);
+        workflow.appState = options.appState || null;
+        
+        const errors = workflow.validate();
+        if (errors.length > 0) {
+            debug(`Place call workflow is invalid: ${inspect(workflow, { depth: 5 })}`);
+            for (let error of errors) {
+                debug('\t' + error);
+            }
+            return callback(new Error('Invalid place call workflow.'));
+        }
+        
+        this._trackPlacedCall(action.operationId, options.completedHandler || null);
+        this._callingServiceClient.postCallWorkflow(workflow, (error) => {
+            if (error) {
+                this._takePlacedCall(action.operationId);
+                return callback(error);
+            }
+            callback(null, action.operationId);
+        });
+    }
+    
+    _trackPlacedCall(operationId, handler) {
+        // the calling service doesn't return the conversation id, so calls without an outcome expire
+        const timer = setTimeout(() => {
+            debug(`No outcome of placed call ${operationId} received in ${this._placeCallTimeout} ms.`);
+            this._placedCalls.delete(operationId);
+        }, this._placeCallTimeout);
+        if (typeof timer.unref === 'function') timer.unref();
+        this._placedCalls.set(operationId, { handler: handler, timer: timer });
+    }
+    
+    _takePlacedCall(operationId) {
+        const placed = this._placedCalls.get(operationId);
+        if (!placed) return null;
+        clearTimeout(placed.timer);
+        this._placedCalls.delete(operationId);
+        return placed.handler;
+    }
+    
+    _getOrCreateSession(conversationId) {
+        let session = this._sessions.get(conversationId);
+        if (!session) {
+            debug(`Creating new session for conversation ${conversationId}`);
+            session = new CallSession(conversationId);
+            this._sessions.set(conversationId, session);
+        }
+        return session;
     }
     
-    _createWorkflowCallback(callback) {
+    _createWorkflowCallback(callback, session) {
         return (error, workflow) => {
             if (error) { return callback(error); }
             
@@ -184,6 +412,7 @@ class CallingService extends EventEmitter {
                     
                     return callback(new Error('Received invalid workflow.')); 
                 }
+                workflow.actions.forEach(action => session.addAction(action));
                 callback(null, workflow);
             } else {
                 callback(null);
@@ -204,37 +433,50 @@ class CallingService extends EventEmitter {
         }
         
         if (content.type === enums.NotificationType.CallStateChange) {
-            this._processCallStateChange(content, additionalData, callback);
+            this._processCallStateChange(content, callback);
         } else if (content.type === enums.NotificationType.RosterUpdate) {
-            return callback(new Error('RosterUpdate event not supported yet.'));
+            this._processRosterUpdate(content, callback);
         } else {
             return callback(new Error('Notification type not recognized.'));
         }
     }
     
-    _processConversationResult(result, additionalData, callback) {
+    _processConversationResult(result, additionalData, session, callback) {
         const workflow = this._createWorkflow();
         
         if (result.operationOutcome.type === enums.OutcomeType.AnswerOutcome) {
-            this._tryCallHandler(this.answerCompletedHandler, callback, [result, workflow, callback]);
+            this._tryCallHandler(this.answerCompletedHandler, callback, [result, workflow, callback, session], session);
+            
+        } else if (result.operationOutcome.type === enums.OutcomeType.AnswerAppHostedMediaOutcome) {
+            this._tryCallHandler(this.answerAppHostedMediaCompletedHandler, callback, [result, workflow, callback, session], session);
             
         } else if (result.operationOutcome.type === enums.OutcomeType.HangupOutcome) {
-            this._tryCallHandler(this.hangupCompletedHandler, callback, [result, workflow, callback]);
+            this._tryCallHandler(this.hangupCompletedHandler, callback, [result, workflow, callback, session], session);
+            
+        } else if (result.operationOutcome.type === enums.OutcomeType.PlaceCallOutcome) {
+            const handler = this._takePlacedCall(result.operationOutcome.id) || this.placeCallCompletedHandler;
+            this._tryCallHandler(handler, callback, [result, workflow, callback, session], session);
             
         } else if (result.operationOutcome.type === enums.OutcomeType.PlayPromptOutcome) {
-            this._tryCallHandler(this.playPromptCompletedHandler, callback, [result, workflow, callback]);
+            this._tryCallHandler(this.playPromptCompletedHandler, callback, [result, workflow, callback, session], session);
             
         } else if (result.operationOutcome.type === enums.OutcomeType.RecognizeOutcome) {
-            this._tryCallHandler(this.recognizeCompletedHandler, callback, [result, workflow, callback]);
+            this._tryCallHandler(this.recognizeCompletedHandler, callback, [result, workflow, callback, session], session);
         
         } else if (result.operationOutcome.type === enums.OutcomeType.RecordOutcome) {
-            this._tryCallHandler(this.recordCompletedHandler, callback, [result, additionalData, workflow, callback]);
+            this._tryCallHandler(this.recordCompletedHandler, callback, [result, additionalData, workflow, callback, session], session);
         
         } else if (result.operationOutcome.type === enums.OutcomeType.RejectOutcome) {
-            this._tryCallHandler(this.rejectCompletedHandler, callback, [result, workflow, callback]);
+            this._tryCallHandler(this.rejectCompletedHandler, callback, [result, workflow, callback, session], session);
+            
+        } else if (result.operationOutcome.type === enums.OutcomeType.TransferOutcome) {
+            this._tryCallHandler(this.transferCompletedHandler, callback, [result, workflow, callback, session], session);
+            
+        } else if (result.operationOutcome.type === enums.OutcomeType.VideoSubscriptionOutcome) {
+            this._tryCallHandler(this.videoSubscriptionCompletedHandler, callback, [result, workflow, callback, session], session);
             
         } else if (result.operationOutcome.type === enums.OutcomeType.WorkflowValidationOutcome) {
-            this._tryCallHandler(this.workflowValidationCompletedHandler, callback, [result, workflow, callback]);
+            this._tryCallHandler(this.workflowValidationCompletedHandler, callback, [result, workflow, callback, session], session);
             
         } else {
             callback(new Error('Unknown conversation result type.'));
@@ -249,18 +491,94 @@ class CallingService extends EventEmitter {
             for (let error of errors) {
                 debug('\t' + error);
             }
-            callback(new Error('Invalid call state notification.'));
+            return callback(new Error('Invalid call state notification.'));
+        }
+        
+        const session = this._getOrCreateSession(notification.id);
+        session.callState = notification.currentState;
+        if (session.isTerminated) {
+            debug(`Call ${notification.id} terminated, removing its session.`);
+            this._sessions.delete(notification.id);
+        }
+        
+        const response = new notifications.NotificationResponse();
+        this._tryCallHandler(this.callStateChangeHandler, callback, [notification, response, callback, session], session);
+    }
+    
+    _processRosterUpdate(content, callback) {
+        const notification = new notifications.RosterUpdateNotification(content);
+        const errors = notification.validate();
+        if (errors.length > 0) {
+            debug(`Roster update notification is invalid: ${inspect(notification, { depth: 5 })}`);
+            for (let error of errors) {
+                debug('\t' + error);
+            }
+            return callback(new Error('Invalid roster update notification.'));
         }
         
+        const session = this._getOrCreateSession(notification.id);
+        const changes = new RosterChanges(session.roster, notification.participants);
+        session.roster = notification.participants;
+        
         const response = new notifications.NotificationResponse();
-        this._tryCallHandler(this.callStateChangeHandler, callback, [notification, response, callback]);
+        this._tryCallHandler(this.rosterUpdateHandler, callback, [notification, changes, response, callback, session], session);
     }
         
-    _tryCallHandler(handler, callback, args) {
+    _tryCallHandler(handler, callback, args, session) {
         if (handler === null) {
             return callback(new Error('No event handler found.'));
-        } else {
-            handler.apply(null, args);
+        }
+        if (this.stateManager === null) {
+            return this._callHandler(handler, callback, args);
+        }
+        
+        // load the state before the handler and save it once the handler finishes
+        this.stateManager.load(session.id, session.userId, (error, state) => {
+            if (error) {
+                debug(`Loading state of call ${session.id} failed: ${error.message}`);
+                return callback(error);
+            }
+            
+            session.state = state;
+            const saveAndFinish = function() {
+                const results = arguments;
+                if (results[0]) return callback.apply(null, results);
+                state.save(error => {
+                    if (error) {
+                        debug(`Saving state of call ${session.id} failed: ${error.message}`);
+                        return callback(error);
+                    }
+                    callback.apply(null, results);
+                });
+            };
+            this._callHandler(handler, saveAndFinish, args.map(arg => arg === callback ? saveAndFinish : arg));
+        });
+    }
+    
+    _callHandler(handler, callback, args) {
+        // the handler can either call the callback or return a promise of the workflow / notification response
+        let finished = false;
+        const finish = function() {
+            if (finished) {
+                debug('Event handling was already finished, ignoring the result.');
+                return;
+            }
+            finished = true;
+            callback.apply(null, arguments);
+        };
+        
+        let result;
+        try {
+            result = handler.apply(null, args.map(arg => arg === callback ? finish : arg));
+        } catch (error) {
+            debug(`Event handler failed: ${error.stack}`);
+            return finish(error);
+        }
+        
+        if (promiseUtils.isThenable(result)) {
+            result.then(
+                value => { if (!finished) finish(null, value); },
+                error => finish(error || new Error('Event handler was rejected.')));
         }
     }
 }
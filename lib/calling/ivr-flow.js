@@ -0,0 +1,404 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const debug = require('debug')('skype-sdk.calling.IvrFlow');
+const uuid = require('node-uuid');
+
+const enums = require('./model/enums');
+const actions = require('./model/actions');
+const Prompt = require('./model/prompt');
+const RecognitionOption = require('./model/recognition-option');
+const CollectDigits = require('./model/collect-digits');
+const Participant = require('./model/participant');
+
+/**
+ * Types of nodes of an IVR flow.
+ */
+const IvrNodeType = {
+    Prompt: 'prompt',
+    Menu: 'menu',
+    CollectDigits: 'collectDigits',
+    Record: 'record',
+    Transfer: 'transfer',
+    Hangup: 'hangup'
+};
+
+/**
+ * Completion reasons which are retried if the node allows retries.
+ */
+const RetriedReasons = [
+    enums.RecognitionCompletionReason.InitialSilenceTimeout,
+    enums.RecognitionCompletionReason.InCorrectDtmf
+];
+
+/**
+ * Definition of a single node of an IVR flow.
+ *
+ * Prompts (`prompt`, `retryPrompt`) can be a text to be read, a {@link Prompt},
+ * an object with {@link Prompt} properties or an array of those.
+ *
+ * @typedef {Object} IvrFlow~NodeDefinition
+ *
+ * @property {string} type - IvrNodeType; the type of the node.
+ * @property {string|Object|Array} [prompt] - The prompt played when the node is entered. Mandatory for "prompt" nodes.
+ * @property {string} [next] - The node entered after the node succeeds. The call is hung up if there is no next node.
+ * @property {Object} [on] - Map of outcome keys (completion reasons, or "failure") to node ids, overrides `next` and `fallback`.
+ * @property {string} [fallback] - The node entered if the node fails and there is no matching key in `on`.
+ * @property {number} [retries=0] - How many times the node is repeated on initialSilenceTimeout or inCorrectDtmf.
+ * @property {string|Object|Array} [retryPrompt] - The prompt used instead of `prompt` when the node is repeated.
+ * @property {string} [resultKey] - The key in {@link CallSession}.userData for the result of the node, node id by default.
+ * @property {Object[]} [choices] - Choices of "menu" nodes: `{ name, dtmf, speech, next }`, where `dtmf` is a single DTMF
+ *       character and `speech` an array of speech variations.
+ * @property {number} [maxNumberOfDtmfs] - For "collectDigits" nodes, the maximum number of collected digits.
+ * @property {string[]} [stopTones] - For "collectDigits" and "record" nodes, the tones ending the collection or recording.
+ * @property {number} [initialSilenceTimeoutInSeconds] - For "menu", "collectDigits" and "record" nodes.
+ * @property {number} [interDigitTimeoutInSeconds] - For "menu" and "collectDigits" nodes.
+ * @property {boolean} [bargeInAllowed] - For "menu" and "collectDigits" nodes.
+ * @property {string} [culture] - For "menu" and "collectDigits" nodes.
+ * @property {number} [maxDurationInSeconds] - For "record" nodes.
+ * @property {number} [maxSilenceTimeoutInSeconds] - For "record" nodes.
+ * @property {string} [recordingFormat] - For "record" nodes.
+ * @property {boolean} [playBeep] - For "record" nodes.
+ * @property {string} [target] - For "transfer" nodes, the identity of the transfer target, e.g. "8:alice".
+ *       `next` is entered if the transfer fails.
+ */
+
+/**
+ * Declarative IVR (interactive voice response) flow.
+ *
+ * The flow is a graph of nodes, each node emits one action into the workflow
+ * and the next node is chosen from the outcome of the action once it arrives.
+ * The position in the flow is kept per call, results of the nodes (recognized choices,
+ * collected digits and recordings) are stored in the `userData` of the {@link CallSession}.
+ *
+ * Example:
+ * ```javascript
+ * const flow = new skype.IvrFlow({
+ *     start: 'menu',
+ *     nodes: {
+ *         menu: {
+ *             type: 'menu',
+ *             prompt: 'Press 1 or say sales for sales, press 2 or say support for support.',
+ *             choices: [
+ *                 { name: 'sales', dtmf: '1', speech: [ 'sales' ], next: 'sales' },
+ *                 { name: 'support', dtmf: '2', speech: [ 'support' ], next: 'support' }
+ *             ],
+ *             retries: 2,
+ *             retryPrompt: 'Sorry, I did not get that. Press 1 for sales or 2 for support.',
+ *             fallback: 'goodbye'
+ *         },
+ *         sales: { type: 'transfer', target: '8:sales', next: 'goodbye' },
+ *         support: { type: 'record', prompt: 'Leave us a message after the beep.', playBeep: true, next: 'goodbye' },
+ *         goodbye: { type: 'prompt', prompt: 'Goodbye.', next: 'hangup' },
+ *         hangup: { type: 'hangup' }
+ *     }
+ * });
+ * flow.attach(botService);
+ * ```
+ *
+ * @extends EventEmitter
+ */
+class IvrFlow extends EventEmitter {
+    /**
+     * Create a new IVR flow.
+     *
+     * @param {Object} definition - The definition of the flow.
+     * @param {string} definition.start - The id of the first node.
+     * @param {Object.<string, IvrFlow~NodeDefinition>} definition.nodes - The nodes of the flow by their ids.
+     *
+     * @throws Error if the definition is invalid.
+     */
+    constructor(definition) {
+        super();
+
+        const errors = validateDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`IVR flow definition is invalid: ${errors.join(', ')}`);
+        }
+
+        this._start = definition.start;
+        this._nodes = definition.nodes;
+        this._states = new WeakMap();
+    }
+
+    /**
+     * Register the flow as the handler of incoming calls and of all the outcomes it needs.
+     * Incoming calls are answered and the start node is entered.
+     *
+     * @param {BotService|CallingService} service - The service the flow should handle calls for.
+     */
+    attach(service) {
+        service.onIncomingCall((conversation, workflow, callback, session) => {
+            const answer = new actions.Answer();
+            answer.operationId = uuid.v4();
+            workflow.actions.push(answer);
+            this.start(workflow, session);
+            callback(null, workflow);
+        });
+
+        const outcomeHandler = (result, workflow, callback, session) => this.handleOutcome(result, null, workflow, session, callback);
+        service.onAnswerCompleted(outcomeHandler);
+        service.onPlayPromptCompleted(outcomeHandler);
+        service.onRecognizeCompleted(outcomeHandler);
+        service.onTransferCompleted(outcomeHandler);
+        service.onRecordCompleted((result, record, workflow, callback, session) => this.handleOutcome(result, record, workflow, session, callback));
+        service.onHangupCompleted(outcomeHandler);
+        service.onWorkflowValidationCompleted((result, workflow, callback) => {
+            debug(`Workflow emitted by the flow was rejected: ${result.operationOutcome.failureReason}`);
+            callback(null);
+        });
+    }
+
+    /**
+     * Add the actions of the start node to the workflow.
+     *
+     * @param {Workflow} workflow - The workflow to add actions to.
+     * @param {CallSession} session - The session of the call.
+     */
+    start(workflow, session) {
+        this._enter(this._start, workflow, session);
+    }
+
+    /**
+     * Advance the flow according to the outcome of the last action and finish the event handling.
+     *
+     * @param {ConversationResult} result - The result of the last workflow.
+     * @param {Buffer} additionalData - The recorded audio for record outcomes.
+     * @param {Workflow} workflow - The workflow for the next actions.
+     * @param {CallSession} session - The session of the call.
+     * @param {BotService~finishEventHandling} callback - The callback to finish processing of the event.
+     */
+    handleOutcome(result, additionalData, workflow, session, callback) {
+        const outcome = result.operationOutcome;
+        if (outcome.type === enums.OutcomeType.HangupOutcome) {
+            return this._finish(session, callback);
+        }
+
+        const state = this._states.get(session);
+        if (!state) {
+            return callback(new Error(`Call ${result.id} is not handled by the IVR flow.`));
+        }
+
+        const node = this._nodes[state.nodeId];
+
+        if (outcome.type === enums.OutcomeType.AnswerOutcome) {
+            if (outcome.outcome === enums.Outcome.Success) {
+                // the action of the current node was sent together with the answer, it's still running
+                debug(`Call ${result.id} answered, continuing with node ${state.nodeId}.`);
+                return callback(null);
+            }
+            return this._finish(session, callback);
+        }
+
+        if (outcome.type === enums.OutcomeType.TransferOutcome && outcome.outcome === enums.Outcome.Success) {
+            return this._finish(session, callback);
+        }
+
+        const reason = completionReason(outcome);
+        if (reason === enums.RecognitionCompletionReason.CallTerminated) {
+            return this._finish(session, callback);
+        }
+
+        const nextNodeId = this._resolveNext(node, state, outcome, reason, additionalData, session);
+        if (nextNodeId === state.nodeId) {
+            state.attempts++;
+            debug(`Repeating node ${state.nodeId} after ${reason}, attempt ${state.attempts}.`);
+            workflow.actions.push(this._createAction(node, session, true));
+        } else {
+            this._enter(nextNodeId, workflow, session);
+        }
+
+        if (workflow.actions.length === 0) {
+            return this._finish(session, callback);
+        }
+        callback(null, workflow);
+    }
+
+    _resolveNext(node, state, outcome, reason, additionalData, session) {
+        const edges = node.on || {};
+        if (reason && reason in edges) return edges[reason];
+
+        if (outcome.outcome === enums.Outcome.Success && isSuccessfulReason(reason)) {
+            const resultKey = node.resultKey || state.nodeId;
+            if (node.type === IvrNodeType.Menu) {
+                const choiceName = outcome.choiceOutcome.choiceName;
+                session.userData[resultKey] = choiceName;
+                const choice = node.choices.find(item => item.name === choiceName);
+                return choice && choice.next ? choice.next : node.next;
+            } else if (node.type === IvrNodeType.CollectDigits) {
+                session.userData[resultKey] = outcome.collectDigitsOutcome.digits;
+            } else if (node.type === IvrNodeType.Record) {
+                session.userData[resultKey] = { recording: additionalData, outcome: outcome };
+            }
+            return node.next;
+        }
+
+        if (node.type === IvrNodeType.Transfer) {
+            return edges.failure || node.next;
+        }
+
+        if (RetriedReasons.indexOf(reason) > -1 && state.attempts < (node.retries || 0)) {
+            return state.nodeId;
+        }
+
+        return edges.failure || node.fallback;
+    }
+
+    _enter(nodeId, workflow, session) {
+        if (nodeId == null) {
+            debug(`Flow of call ${session.id} has no next node, hanging up.`);
+            workflow.actions.push(new actions.Hangup({ operationId: uuid.v4() }));
+            return;
+        }
+
+        this._states.set(session, { nodeId: nodeId, attempts: 0 });
+        this.emit('nodeEntered', session, nodeId);
+
+        workflow.actions.push(this._createAction(this._nodes[nodeId], session, false));
+    }
+
+    _createAction(node, session, isRetry) {
+        const prompt = isRetry && node.retryPrompt ? node.retryPrompt : node.prompt;
+        const operationId = uuid.v4();
+
+        switch (node.type) {
+        case IvrNodeType.Prompt:
+            return createPlayPrompt(operationId, prompt);
+
+        case IvrNodeType.Menu:
+            return new actions.Recognize(Object.assign(recognizeSettings(node), {
+                operationId: operationId,
+                playPrompt: prompt == null ? null : createPlayPrompt(uuid.v4(), prompt),
+                choices: node.choices.map(choice => new RecognitionOption({
+                    name: choice.name,
+                    dtmfVariation: choice.dtmf || null,
+                    speechVariation: choice.speech || null
+                }))
+            }));
+
+        case IvrNodeType.CollectDigits:
+            return new actions.Recognize(Object.assign(recognizeSettings(node), {
+                operationId: operationId,
+                playPrompt: prompt == null ? null : createPlayPrompt(uuid.v4(), prompt),
+                collectDigits: new CollectDigits({
+                    maxNumberOfDtmfs: node.maxNumberOfDtmfs || null,
+                    stopTones: node.stopTones || null
+                })
+            }));
+
+        case IvrNodeType.Record:
+            return new actions.Record({
+                operationId: operationId,
+                playPrompt: prompt == null ? null : createPlayPrompt(uuid.v4(), prompt),
+                maxDurationInSeconds: node.maxDurationInSeconds,
+                initialSilenceTimeoutInSeconds: node.initialSilenceTimeoutInSeconds,
+                maxSilenceTimeoutInSeconds: node.maxSilenceTimeoutInSeconds,
+                recordingFormat: node.recordingFormat,
+                playBeep: node.playBeep,
+                stopTones: node.stopTones
+            });
+
+        case IvrNodeType.Transfer:
+            return new actions.Transfer({
+                operationId: operationId,
+                target: new Participant({ identity: node.target, originator: false })
+            });
+
+        case IvrNodeType.Hangup:
+            return new actions.Hangup({ operationId: operationId });
+        }
+    }
+
+    _finish(session, callback) {
+        this._states.delete(session);
+        this.emit('completed', session);
+        callback(null);
+    }
+}
+
+function completionReason(outcome) {
+    if (outcome.choiceOutcome) return outcome.choiceOutcome.completionReason;
+    if (outcome.collectDigitsOutcome) return outcome.collectDigitsOutcome.completionReason;
+    if (outcome.completionReason) return outcome.completionReason;
+    return null;
+}
+
+function isSuccessfulReason(reason) {
+    return reason !== enums.RecognitionCompletionReason.InitialSilenceTimeout &&
+        reason !== enums.RecognitionCompletionReason.InCorrectDtmf &&
+        reason !== enums.RecognitionCompletionReason.TemporarySystemFailure;
+}
+
+function recognizeSettings(node) {
+    return {
+        initialSilenceTimeoutInSeconds: node.initialSilenceTimeoutInSeconds,
+        interDigitTimeoutInSeconds: node.interDigitTimeoutInSeconds,
+        bargeInAllowed: node.bargeInAllowed,
+        culture: node.culture
+    };
+}
+
+function createPrompt(prompt) {
+    if (prompt instanceof Prompt) return prompt;
+    if (typeof prompt === 'string') return new Prompt({ value: prompt });
+    return new Prompt(prompt);
+}
+
+function createPlayPrompt(operationId, prompt) {
+    const prompts = Array.isArray(prompt) ? prompt : [ prompt ];
+    return new actions.PlayPrompt({
+        operationId: operationId,
+        prompts: prompts.map(createPrompt)
+    });
+}
+
+function validateDefinition(definition) {
+    const errors = [];
+    if (definition == null || definition.nodes == null || typeof definition.nodes !== 'object') {
+        errors.push('nodes are missing');
+        return errors;
+    }
+
+    const nodeTypes = Object.keys(IvrNodeType).map(key => IvrNodeType[key]);
+    const checkEdge = (nodeId, edge, target) => {
+        if (target != null && !(target in definition.nodes)) {
+            errors.push(`${edge} of node ${nodeId} refers to unknown node ${target}`);
+        }
+    };
+
+    if (!(definition.start in definition.nodes)) {
+        errors.push(`start node ${definition.start} is not defined`);
+    }
+
+    for (let nodeId in definition.nodes) {
+        const node = definition.nodes[nodeId];
+        if (nodeTypes.indexOf(node.type) < 0) {
+            errors.push(`node ${nodeId} has unknown type ${node.type}`);
+            continue;
+        }
+
+        checkEdge(nodeId, 'next', node.next);
+        checkEdge(nodeId, 'fallback', node.fallback);
+        for (let key in node.on || {}) {
+            checkEdge(nodeId, `on.${key}`, node.on[key]);
+        }
+
+        if (node.type === IvrNodeType.Prompt && node.prompt == null) {
+            errors.push(`prompt node ${nodeId} has no prompt`);
+        }
+        if (node.type === IvrNodeType.Menu) {
+            if (!Array.isArray(node.choices) || node.choices.length === 0) {
+                errors.push(`menu node ${nodeId} has no choices`);
+            } else {
+                node.choices.forEach(choice => checkEdge(nodeId, `choice ${choice.name}`, choice.next));
+            }
+        }
+        if (node.type === IvrNodeType.Transfer && node.target == null) {
+            errors.push(`transfer node ${nodeId} has no target`);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { IvrFlow, IvrNodeType };
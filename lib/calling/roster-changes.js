@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Describes a change of media stream direction of a participant who stayed in the call.
+ *
+ * @typedef {Object} RosterChanges~MediaDirectionChange
+ *
+ * @property {string} identity - The MRI of the participant.
+ * @property {string} mediaType - The media type (CallingModelEnums.ModalityType) whose direction has changed.
+ * @property {string} previousDirection - The direction from the previous roster, `null` if the media was not present.
+ * @property {string} currentDirection - The direction from the current roster, `null` if the media is not present anymore.
+ */
+
+/**
+ * Differences between two consecutive rosters of the same conversation.
+ *
+ * @property {RosterParticipant[]} joined - Roster entries of participants who were not in the previous roster.
+ * @property {RosterParticipant[]} left - Roster entries of participants who are not in the current roster.
+ * @property {RosterChanges~MediaDirectionChange[]} mediaDirectionChanged - Media changes of participants present in both rosters.
+ */
+class RosterChanges {
+    /**
+     * Compute changes between two rosters.
+     *
+     * @param {RosterParticipant[]} previous - The previous roster of the conversation, `null` if there is none.
+     * @param {RosterParticipant[]} current - The current roster of the conversation.
+     */
+    constructor(previous, current) {
+        previous = previous || [];
+        current = current || [];
+
+        const previousIdentities = new Set(previous.map(participant => participant.identity));
+        const currentIdentities = new Set(current.map(participant => participant.identity));
+
+        this.joined = current.filter(participant => !previousIdentities.has(participant.identity));
+        this.left = previous.filter(participant => !currentIdentities.has(participant.identity));
+        this.mediaDirectionChanged = [];
+
+        const previousDirections = new Map();
+        previous.forEach(participant => previousDirections.set(mediaKey(participant), participant));
+
+        const currentDirections = new Map();
+        current.forEach(participant => currentDirections.set(mediaKey(participant), participant));
+
+        current.forEach(participant => {
+            if (!previousIdentities.has(participant.identity)) return;
+
+            const previousParticipant = previousDirections.get(mediaKey(participant));
+            const previousDirection = previousParticipant ? previousParticipant.mediaStreamDirection : null;
+            if (previousDirection !== participant.mediaStreamDirection) {
+                this.mediaDirectionChanged.push({
+                    identity: participant.identity,
+                    mediaType: participant.mediaType,
+                    previousDirection: previousDirection,
+                    currentDirection: participant.mediaStreamDirection
+                });
+            }
+        });
+
+        previous.forEach(participant => {
+            if (!currentIdentities.has(participant.identity) || currentDirections.has(mediaKey(participant))) return;
+
+            this.mediaDirectionChanged.push({
+                identity: participant.identity,
+                mediaType: participant.mediaType,
+                previousDirection: participant.mediaStreamDirection,
+                currentDirection: null
+            });
+        });
+    }
+
+    /**
+     * True if there is no difference between the rosters.
+     *
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.joined.length === 0 && this.left.length === 0 && this.mediaDirectionChanged.length === 0;
+    }
+}
+
+function mediaKey(participant) {
+    return participant.identity + '|' + participant.mediaType;
+}
+
+module.exports = RosterChanges;
@@ -0,0 +1,191 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.DialogContext');
+
+/**
+ * Context of the dialogs for one incoming event.
+ *
+ * Passed to the methods of dialogs and to waterfall steps. All the operations return a Promise
+ * resolved once the dialogs started by the operation finish processing the event.
+ *
+ * @property {Bot} bot - The bot for replying.
+ * @property {string} type - The type of the event, "message" or "attachment".
+ * @property {Event} event - The received {@link Message} or {@link Attachment}, `null` if the dialog was begun outside of an event.
+ * @property {Object[]} stack - The dialog stack, each entry is `{ id, state }`.
+ */
+class DialogContext {
+    /**
+     * @param {DialogManager} manager - The manager of the dialogs.
+     * @param {Bot} bot - The bot for replying.
+     * @param {string} type - The type of the event.
+     * @param {Event} event - The received event.
+     * @param {Object[]} stack - The persisted dialog stack.
+     *
+     * @ignore
+     */
+    constructor(manager, bot, type, event, stack) {
+        this._manager = manager;
+        this.bot = bot;
+        this.type = type;
+        this.event = event;
+        this.stack = stack;
+    }
+
+    /**
+     * The dialog on the top of the stack, `null` if the stack is empty.
+     *
+     * @returns {Object} The entry `{ id, state }`.
+     */
+    get activeDialog() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+    }
+
+    /**
+     * The persisted state of the active dialog.
+     *
+     * @returns {Object}
+     */
+    get state() {
+        const active = this.activeDialog;
+        return active ? active.state : null;
+    }
+
+    /**
+     * Push a dialog to the stack and begin it.
+     *
+     * @param {string} dialogId - The id of the dialog.
+     * @param {Object} [options] - The options of the dialog, e.g. of a prompt.
+     * @returns {Promise}
+     */
+    begin(dialogId, options) {
+        return this._invoke(() => {
+            const dialog = this._manager.find(dialogId);
+            debug(`Beginning dialog ${dialogId}.`);
+            const entry = { id: dialogId, state: {} };
+            this.stack.push(entry);
+            try {
+                return dialog.begin(this, options);
+            } catch (error) {
+                this.stack.splice(this.stack.indexOf(entry), 1);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Begin a prompt.
+     *
+     * @param {string} dialogId - The id of the prompt.
+     * @param {string|Object} prompt - The text of the prompt or the options of the prompt, see {@link PromptDialog}.
+     * @returns {Promise}
+     */
+    prompt(dialogId, prompt) {
+        return this.begin(dialogId, typeof prompt === 'string' ? { prompt: prompt } : prompt);
+    }
+
+    /**
+     * End the active dialog and begin another one in its place. The parent dialog isn't resumed.
+     *
+     * @param {string} dialogId - The id of the dialog.
+     * @param {Object} [options] - The options of the dialog.
+     * @returns {Promise}
+     */
+    replace(dialogId, options) {
+        return this._invoke(() => {
+            this._manager.find(dialogId);
+            const ended = this.stack.pop();
+            if (ended) debug(`Replacing dialog ${ended.id} with ${dialogId}.`);
+            return this.begin(dialogId, options);
+        });
+    }
+
+    /**
+     * End the active dialog and resume its parent with the result.
+     *
+     * @param {*} [result] - The result of the dialog.
+     * @returns {Promise}
+     */
+    end(result) {
+        return this._invoke(() => {
+            const ended = this.stack.pop();
+            if (ended) debug(`Ended dialog ${ended.id}.`);
+
+            const parent = this.activeDialog;
+            if (parent === null) return;
+            return this._manager.find(parent.id).resume(this, result);
+        });
+    }
+
+    /**
+     * Resume the active dialog with a result as if a dialog it began ended, e.g. to skip to the next waterfall step.
+     *
+     * @param {*} [result] - The result passed to the dialog.
+     * @returns {Promise}
+     */
+    next(result) {
+        return this._invoke(() => {
+            const active = this.activeDialog;
+            if (active === null) return;
+            return this._manager.find(active.id).resume(this, result);
+        });
+    }
+
+    /**
+     * Remove all dialogs from the stack.
+     *
+     * @returns {Promise}
+     */
+    cancelAll() {
+        return this._invoke(() => {
+            debug(`Cancelling ${this.stack.length} dialogs.`);
+            this.stack.splice(0, this.stack.length);
+        });
+    }
+
+    /**
+     * Pass the received event to the active dialog.
+     *
+     * @returns {Promise}
+     *
+     * @ignore
+     */
+    continue() {
+        return this._invoke(() => {
+            const active = this.activeDialog;
+            if (active === null) return;
+            return this._manager.find(active.id).continue(this);
+        });
+    }
+
+    /**
+     * Ask the active dialog to prompt the user again.
+     *
+     * @returns {Promise}
+     *
+     * @ignore
+     */
+    reprompt() {
+        return this._invoke(() => {
+            const active = this.activeDialog;
+            if (active === null) return;
+            return this._manager.find(active.id).reprompt(this);
+        });
+    }
+
+    /**
+     * Send a reply.
+     *
+     * @param {string} content - The content of the message.
+     * @param {bool} [escape] - If true, content will be escaped.
+     * @returns {Promise}
+     */
+    reply(content, escape) {
+        return this.bot.reply(content, escape);
+    }
+
+    _invoke(operation) {
+        return new Promise(resolve => resolve(operation()));
+    }
+}
+
+module.exports = DialogContext;
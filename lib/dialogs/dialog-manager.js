@@ -0,0 +1,281 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.DialogManager');
+
+const Bot = require('../messaging/bot');
+const DialogContext = require('./dialog-context');
+const StateManager = require('../state/bot-state').StateManager;
+const eventTypes = require('../messaging/messaging-service-request-processor-v2').EventTypes;
+const promiseUtils = require('../utils/promise-utils');
+
+const GroupChatRegex = /@(p2p.)?thread.skype/;
+
+/**
+ * Handler of an interruption.
+ *
+ * @callback DialogManager~interruptionHandler
+ *
+ * @param {DialogContext} dc - The dialog context, e.g. `dc.cancelAll()` ends all the dialogs.
+ * @returns {Promise|undefined}
+ */
+
+/**
+ * Stack of multi-turn dialogs.
+ *
+ * Each user has a dialog stack in each conversation, it's persisted in the private conversation
+ * [state]{@link BotState}. While the stack isn't empty, received messages and attachments are passed
+ * to the dialog on the top of the stack and they are not emitted as events. Dialogs are begun from
+ * event handlers by [begin()]{@link DialogManager#begin} or from other dialogs.
+ *
+ * Global commands like "cancel" are handled by [interruptions]{@link DialogManager#interrupt} before the
+ * message is passed to the active dialog. If the active dialog stays on the stack, it's asked to reprompt.
+ *
+ * Example:
+ * ```javascript
+ * const dialogs = new skype.DialogManager();
+ * dialogs.add(new skype.TextPrompt('text'));
+ * dialogs.add(new skype.WaterfallDialog('greet', [
+ *     dc => dc.prompt('text', 'What is your name?'),
+ *     (dc, name) => dc.reply(`Hello ${name}!`).then(() => dc.end())
+ * ]));
+ * dialogs.attach(botService);
+ *
+ * botService.onPersonalCommand(/^hello/, (bot, message) => dialogs.begin(bot, 'greet'));
+ * ```
+ */
+class DialogManager {
+    /**
+     * Create a new dialog manager.
+     *
+     * @param {Object} [options] - The configuration of the dialogs.
+     * @param {StateManager} [options.state] - The state of the dialogs, by default the state of the messaging service
+     *      or a new in-memory state if the messaging service has no state.
+     * @param {RegExp|boolean} [options.cancelPattern=/^cancel$/i] - Messages cancelling all dialogs, `false` to disable cancelling.
+     * @param {string} [options.cancelMessage="Cancelled."] - The reply to cancelling.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this._dialogs = new Map();
+        this._interruptions = [];
+        // conversation and user -> operations waiting for the running turn
+        this._locks = new Map();
+        this._stateManager = options.state || null;
+
+        const cancelPattern = typeof options.cancelPattern === 'undefined' ? /^\s*cancel\s*$/i : options.cancelPattern;
+        if (cancelPattern) {
+            const cancelMessage = typeof options.cancelMessage === 'undefined' ? 'Cancelled.' : options.cancelMessage;
+            this.interrupt(cancelPattern, dc => dc.cancelAll().then(() => cancelMessage ? dc.reply(cancelMessage) : null));
+        }
+    }
+
+    /**
+     * Register a dialog.
+     *
+     * @param {Dialog} dialog - The dialog.
+     * @returns {DialogManager} The manager for chaining.
+     *
+     * @throws Error if a dialog with the same id is already registered.
+     */
+    add(dialog) {
+        if (this._dialogs.has(dialog.id)) {
+            throw new Error(`Dialog ${dialog.id} is already registered.`);
+        }
+        this._dialogs.set(dialog.id, dialog);
+        return this;
+    }
+
+    /**
+     * Find a registered dialog.
+     *
+     * @param {string} dialogId - The id of the dialog.
+     * @returns {Dialog}
+     *
+     * @throws Error if there is no such dialog.
+     */
+    find(dialogId) {
+        const dialog = this._dialogs.get(dialogId);
+        if (!dialog) {
+            throw new Error(`Dialog ${dialogId} is not registered.`);
+        }
+        return dialog;
+    }
+
+    /**
+     * Register an interruption, a global command handled while any dialog is active.
+     *
+     * @param {RegExp|Function} pattern - The regular expression matched against the text of the message,
+     *      or a function taking the {@link DialogContext} and returning true for interrupting messages.
+     * @param {DialogManager~interruptionHandler} handler - The handler of the interruption.
+     * @returns {DialogManager} The manager for chaining.
+     */
+    interrupt(pattern, handler) {
+        const matches = typeof pattern === 'function' ? pattern : dc => {
+            if (dc.type !== eventTypes.Message) return false;
+            const result = pattern.test(dc.event.text);
+            pattern.lastIndex = 0;
+            return result;
+        };
+        this._interruptions.push({ matches, handler });
+        return this;
+    }
+
+    /**
+     * Register the dialogs as incoming middleware of the messaging service.
+     *
+     * The state is loaded for each received message and attachment, so `bot.state` is available to the
+     * handlers even if the service doesn't have [state]{@link BotService} configured. Messages of the
+     * same user in the same conversation are processed one by one, so the dialogs see them in order.
+     *
+     * @param {BotService|MessagingService} service - The service the dialogs run in.
+     *
+     * @throws Error if messaging is not configured.
+     */
+    attach(service) {
+        const messagingService = typeof service.messagingBotService === 'undefined' ? service : service.messagingBotService;
+        if (!messagingService) {
+            throw new Error('Messaging not configured.');
+        }
+        if (this._stateManager === null) {
+            this._stateManager = messagingService.stateManager || new StateManager();
+        }
+        messagingService.use((context, next) => this._handle(messagingService, context, next));
+    }
+
+    /**
+     * Begin a dialog from an event handler. Dialogs begin other dialogs by [dc.begin()]{@link DialogContext#begin}.
+     *
+     * Other messages of the same user in the same conversation wait until the dialog processed the beginning.
+     *
+     * @param {Bot} bot - The bot passed to the handler of a message or an attachment.
+     * @param {string} dialogId - The id of the dialog.
+     * @param {Object} [options] - The options of the dialog.
+     * @param {Function} [callback] - Called with `(error)` once the dialog processed the beginning and the state
+     *      is saved. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    begin(bot, dialogId, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const state = bot.state;
+            if (!state || !state.privateConversation) {
+                return done(new Error('Dialog state is not available, attach the dialogs to the service first.'));
+            }
+
+            const event = bot.context.event || null;
+            const dc = this._createContext(bot, state, bot.context.type || null, event);
+            if (event === null) {
+                return this._runTurn(dc, state, () => dc.begin(dialogId, options), done);
+            }
+
+            // the next message of the user waits until the stack is saved, even if the prompt is sent slowly
+            this._lock(lockKey(event), release => this._runTurn(dc, state, () => dc.begin(dialogId, options), error => {
+                release();
+                done(error);
+            }));
+        });
+    }
+
+    _handle(messagingService, context, next) {
+        if (context.type !== eventTypes.Message && context.type !== eventTypes.Attachment) {
+            return next();
+        }
+
+        const event = context.event;
+        const conversationId = getConversationId(event);
+
+        // turns of the same user are processed one by one, each with freshly loaded state;
+        // the promise is resolved once the event is handled by the dialogs or passed on
+        return new Promise(resolve => this._lock(lockKey(event), release => {
+            const pass = error => {
+                release();
+                next(error);
+                resolve();
+            };
+            this._stateManager.load(conversationId, event.from, (error, state) => {
+                if (error) return pass(error);
+
+                context.state = state;
+                const stack = state.privateConversation.dialogStack;
+                if (!stack || stack.length === 0) return pass();
+
+                const bot = new Bot(conversationId, messagingService, context);
+                const dc = this._createContext(bot, state, context.type, event);
+                this._runTurn(dc, state, () => this._continue(dc), error => {
+                    if (error) return pass(error);
+                    release();
+                    resolve();
+                });
+            });
+        }));
+    }
+
+    _lock(key, operation) {
+        const release = () => {
+            const waiting = this._locks.get(key);
+            if (waiting.length > 0) {
+                const nextOperation = waiting.shift();
+                process.nextTick(() => nextOperation(release));
+            } else {
+                this._locks.delete(key);
+            }
+        };
+
+        if (this._locks.has(key)) {
+            this._locks.get(key).push(operation);
+        } else {
+            this._locks.set(key, []);
+            operation(release);
+        }
+    }
+
+    _continue(dc) {
+        const interruption = this._interruptions.find(item => item.matches(dc));
+        if (!interruption) {
+            return dc.continue();
+        }
+
+        debug('Dialogs interrupted.');
+        const active = dc.activeDialog;
+        return Promise.resolve(interruption.handler(dc)).then(() => {
+            if (dc.activeDialog !== null && dc.activeDialog === active) {
+                return dc.reprompt();
+            }
+        });
+    }
+
+    _createContext(bot, state, type, event) {
+        const stack = state.privateConversation.dialogStack || [];
+        return new DialogContext(this, bot, type, event, stack);
+    }
+
+    _runTurn(dc, state, operation, callback) {
+        new Promise(resolve => resolve(operation()))
+            .then(() => {
+                if (dc.stack.length > 0) {
+                    state.privateConversation.dialogStack = dc.stack;
+                } else {
+                    delete state.privateConversation.dialogStack;
+                }
+                return state.save();
+            })
+            .then(() => callback(null), error => {
+                debug(`Dialog failed: ${error.message}`);
+                callback(error);
+            });
+    }
+}
+
+function getConversationId(event) {
+    return GroupChatRegex.test(event.to) ? event.to : event.from;
+}
+
+function lockKey(event) {
+    return `${getConversationId(event)}:${event.from}`;
+}
+
+module.exports = DialogManager;
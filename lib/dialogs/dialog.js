@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Base class of dialogs.
+ *
+ * A dialog is a part of a conversation that spans several messages, e.g. a question and its answer.
+ * Dialogs are kept on a stack, the dialog on the top receives the incoming messages. The state of each
+ * dialog instance is in `dc.state`, it's persisted between messages, so it must be serializable to JSON.
+ *
+ * All methods can return a Promise if they need to wait for something, e.g. for sending a reply.
+ */
+class Dialog {
+    /**
+     * Create a new dialog.
+     *
+     * @param {string} id - The id of the dialog, used to begin it.
+     */
+    constructor(id) {
+        if (!id) {
+            throw new Error('Dialog id is missing.');
+        }
+        this.id = id;
+    }
+
+    /**
+     * Called when the dialog is pushed to the stack.
+     *
+     * @param {DialogContext} dc - The dialog context.
+     * @param {Object} [options] - The options passed to [begin()]{@link DialogContext#begin}.
+     * @returns {Promise|undefined}
+     */
+    begin(dc, options) {
+        return dc.end();
+    }
+
+    /**
+     * Called when a message or an attachment is received while the dialog is on the top of the stack.
+     *
+     * @param {DialogContext} dc - The dialog context.
+     * @returns {Promise|undefined}
+     */
+    continue(dc) {
+        return dc.end();
+    }
+
+    /**
+     * Called when a dialog begun by this dialog ends.
+     *
+     * @param {DialogContext} dc - The dialog context.
+     * @param {*} result - The result of the ended dialog.
+     * @returns {Promise|undefined}
+     */
+    resume(dc, result) {
+        return dc.end(result);
+    }
+
+    /**
+     * Called when the dialog should ask the user again, e.g. after an interruption.
+     *
+     * @param {DialogContext} dc - The dialog context.
+     * @returns {Promise|undefined}
+     */
+    reprompt(dc) {
+    }
+}
+
+module.exports = Dialog;
@@ -0,0 +1,299 @@
+'use strict';
+
+const Dialog = require('./dialog');
+const eventTypes = require('../messaging/messaging-service-request-processor-v2').EventTypes;
+
+/**
+ * Result of recognizing the answer of a prompt.
+ *
+ * @typedef {Object} PromptDialog~Recognition
+ *
+ * @property {boolean} succeeded - True if the answer was recognized.
+ * @property {*} [value] - The recognized value.
+ */
+
+/**
+ * Validator of the recognized value.
+ *
+ * @callback PromptDialog~validator
+ *
+ * @param {*} value - The recognized value.
+ * @param {DialogContext} dc - The dialog context.
+ * @returns {boolean|string|Promise} True if the value is valid, false or a message sent to the user if it isn't.
+ *      Can also return a Promise of the result.
+ */
+
+/**
+ * Base class of prompts.
+ *
+ * A prompt sends a question, recognizes the answer and ends with the recognized value. If the answer
+ * can't be recognized or isn't valid, the retry prompt is sent. After `maxRetries` failed answers
+ * the prompt ends with `null`.
+ *
+ * The options passed to [dc.prompt()]{@link DialogContext#prompt} are persisted with the dialog state:
+ *   - `prompt` {string} - The question.
+ *   - `retryPrompt` {string} - The message sent if the answer is invalid, `prompt` by default.
+ *   - `maxRetries` {number} - Overrides the number of retries of the prompt.
+ *
+ * @extends Dialog
+ */
+class PromptDialog extends Dialog {
+    /**
+     * Create a new prompt.
+     *
+     * @param {string} id - The id of the prompt.
+     * @param {Object} [options] - The configuration of the prompt.
+     * @param {PromptDialog~validator} [options.validator] - Additional validation of the recognized value.
+     * @param {number} [options.maxRetries=2] - How many times the prompt is repeated before it gives up.
+     */
+    constructor(id, options) {
+        super(id);
+        options = options || {};
+
+        this.validator = options.validator || null;
+        this.maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : 2;
+    }
+
+    begin(dc, options) {
+        dc.state.options = options || {};
+        dc.state.retries = 0;
+        return this.sendPrompt(dc, false);
+    }
+
+    continue(dc) {
+        const options = dc.state.options;
+        const recognition = this.recognize(dc, options);
+        if (!recognition.succeeded) {
+            return this._retry(dc, null);
+        }
+
+        return this._validate(recognition.value, dc).then(valid => {
+            if (valid === true) {
+                return dc.end(recognition.value);
+            }
+            return this._retry(dc, typeof valid === 'string' ? valid : null);
+        });
+    }
+
+    reprompt(dc) {
+        return this.sendPrompt(dc, false);
+    }
+
+    /**
+     * Send the prompt.
+     *
+     * @param {DialogContext} dc - The dialog context.
+     * @param {boolean} isRetry - True if the previous answer was invalid.
+     * @returns {Promise}
+     */
+    sendPrompt(dc, isRetry) {
+        const options = dc.state.options;
+        const text = isRetry && options.retryPrompt ? options.retryPrompt : options.prompt;
+        if (!text) return Promise.resolve();
+        return dc.reply(text);
+    }
+
+    /**
+     * Recognize the answer in the received event.
+     *
+     * @param {DialogContext} dc - The dialog context.
+     * @param {Object} options - The options of the prompt.
+     * @returns {PromptDialog~Recognition}
+     */
+    recognize(dc, options) {
+        return { succeeded: false };
+    }
+
+    _validate(value, dc) {
+        if (this.validator === null) {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => resolve(this.validator(value, dc)));
+    }
+
+    _retry(dc, message) {
+        const options = dc.state.options;
+        const maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : this.maxRetries;
+        if (++dc.state.retries > maxRetries) {
+            return dc.end(null);
+        }
+
+        if (message) {
+            return dc.reply(message);
+        }
+        return this.sendPrompt(dc, true);
+    }
+}
+
+/**
+ * Get the text of a received message, `null` for other events.
+ *
+ * @ignore
+ */
+function messageText(dc) {
+    if (dc.type !== eventTypes.Message || !dc.event || typeof dc.event.text !== 'string') {
+        return null;
+    }
+    return dc.event.text;
+}
+
+/**
+ * Prompt for any non-empty text.
+ *
+ * @extends PromptDialog
+ */
+class TextPrompt extends PromptDialog {
+    recognize(dc, options) {
+        const text = messageText(dc);
+        return text ? { succeeded: true, value: text } : { succeeded: false };
+    }
+}
+
+/**
+ * Prompt for a number.
+ *
+ * Additional options of the prompt:
+ *   - `integer` {boolean} - Accept only whole numbers.
+ *   - `min` {number} - The minimal value.
+ *   - `max` {number} - The maximal value.
+ *
+ * @extends PromptDialog
+ */
+class NumberPrompt extends PromptDialog {
+    recognize(dc, options) {
+        const text = messageText(dc);
+        const match = text && /^[-+]?(\d+([.,]\d+)?|[.,]\d+)$/.exec(text.replace(/\s/g, ''));
+        if (!match) return { succeeded: false };
+
+        const value = parseFloat(match[0].replace(',', '.'));
+        if (options.integer && value % 1 !== 0) return { succeeded: false };
+        if (typeof options.min === 'number' && value < options.min) return { succeeded: false };
+        if (typeof options.max === 'number' && value > options.max) return { succeeded: false };
+        return { succeeded: true, value: value };
+    }
+}
+
+const YesWords = [ 'yes', 'y', 'yeah', 'yep', 'sure', 'ok', 'okay', 'true', '1' ];
+const NoWords = [ 'no', 'n', 'nope', 'nah', 'false', '0' ];
+
+/**
+ * Prompt for yes or no, ends with a boolean.
+ *
+ * @extends PromptDialog
+ */
+class ConfirmPrompt extends PromptDialog {
+    sendPrompt(dc, isRetry) {
+        const options = dc.state.options;
+        const text = isRetry && options.retryPrompt ? options.retryPrompt : options.prompt;
+        if (!text) return Promise.resolve();
+        return dc.reply(`${text} (yes/no)`);
+    }
+
+    recognize(dc, options) {
+        const text = messageText(dc);
+        if (!text) return { succeeded: false };
+
+        const word = text.toLowerCase().replace(/[.!]+$/, '');
+        if (YesWords.indexOf(word) !== -1) return { succeeded: true, value: true };
+        if (NoWords.indexOf(word) !== -1) return { succeeded: true, value: false };
+        return { succeeded: false };
+    }
+}
+
+/**
+ * Prompt for one of several choices.
+ *
+ * The choices are passed in `options.choices` as an array of strings and listed with numbers.
+ * The user can answer with the number, the whole choice or an unambiguous part of it.
+ * The prompt ends with `{ index, value }` of the chosen item.
+ *
+ * @extends PromptDialog
+ */
+class ChoicePrompt extends PromptDialog {
+    begin(dc, options) {
+        if (!options || !Array.isArray(options.choices) || options.choices.length === 0) {
+            throw new Error('options.choices is missing in the options.');
+        }
+        return super.begin(dc, options);
+    }
+
+    sendPrompt(dc, isRetry) {
+        const options = dc.state.options;
+        const text = isRetry && options.retryPrompt ? options.retryPrompt : options.prompt;
+        const list = options.choices.map((choice, index) => `${index + 1}. ${choice}`).join('\n');
+        return dc.reply(text ? `${text}\n${list}` : list);
+    }
+
+    recognize(dc, options) {
+        const text = messageText(dc);
+        if (!text) return { succeeded: false };
+
+        const choices = options.choices;
+        const normalized = text.toLowerCase();
+        let index = -1;
+        if (/^\d+$/.test(normalized) && Number(normalized) >= 1 && Number(normalized) <= choices.length) {
+            index = Number(normalized) - 1;
+        } else {
+            index = choices.findIndex(choice => choice.toLowerCase() === normalized);
+            if (index === -1) {
+                const partial = choices
+                    .map((choice, i) => choice.toLowerCase().indexOf(normalized) !== -1 ? i : -1)
+                    .filter(i => i !== -1);
+                if (partial.length === 1) index = partial[0];
+            }
+        }
+
+        if (index === -1) return { succeeded: false };
+        return { succeeded: true, value: { index: index, value: choices[index] } };
+    }
+}
+
+/**
+ * Prompt for a date, ends with a Date.
+ *
+ * Recognizes "today", "tomorrow", "yesterday", ISO dates like "2016-04-30" and the formats accepted by `Date.parse`.
+ *
+ * @extends PromptDialog
+ */
+class DatePrompt extends PromptDialog {
+    recognize(dc, options) {
+        const text = messageText(dc);
+        if (!text) return { succeeded: false };
+
+        const normalized = text.toLowerCase();
+        const relative = { yesterday: -1, today: 0, tomorrow: 1 };
+        if (Object.prototype.hasOwnProperty.call(relative, normalized)) {
+            const date = new Date();
+            date.setHours(0, 0, 0, 0);
+            date.setDate(date.getDate() + relative[normalized]);
+            return { succeeded: true, value: date };
+        }
+
+        const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(normalized);
+        if (iso) {
+            const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+            if (date.getMonth() !== Number(iso[2]) - 1) return { succeeded: false };
+            return { succeeded: true, value: date };
+        }
+
+        const time = Date.parse(text);
+        if (isNaN(time)) return { succeeded: false };
+        return { succeeded: true, value: new Date(time) };
+    }
+}
+
+/**
+ * Prompt for an attachment, ends with the received {@link Attachment} event.
+ *
+ * @extends PromptDialog
+ */
+class AttachmentPrompt extends PromptDialog {
+    recognize(dc, options) {
+        if (dc.type !== eventTypes.Attachment || !dc.event) {
+            return { succeeded: false };
+        }
+        return { succeeded: true, value: dc.event };
+    }
+}
+
+module.exports = { PromptDialog, TextPrompt, NumberPrompt, ConfirmPrompt, ChoicePrompt, DatePrompt, AttachmentPrompt };
@@ -0,0 +1,78 @@
+'use strict';
+
+const Dialog = require('./dialog');
+
+/**
+ * Waterfall step.
+ *
+ * A step usually sends a prompt, the result of the prompt is passed to the next step. A step can also
+ * call `dc.next(result)` to continue with the next step right away or `dc.end(result)` to end the dialog.
+ * If a step doesn't begin any dialog, the next message of the user is passed to the next step as the result.
+ * The step can also be an `async` function.
+ *
+ * @callback WaterfallDialog~step
+ *
+ * @param {DialogContext} dc - The dialog context.
+ * @param {*} result - The result of the previous step, for the first step the options of the dialog.
+ * @param {Object} values - Persisted values shared by the steps of the dialog.
+ */
+
+/**
+ * Dialog running a sequence of steps.
+ *
+ * Example:
+ * ```javascript
+ * dialogs.add(new skype.WaterfallDialog('register', [
+ *     dc => dc.prompt('text', 'What is your name?'),
+ *     (dc, name, values) => {
+ *         values.name = name;
+ *         return dc.prompt('number', { prompt: 'How old are you?', retryPrompt: 'Please send a number.' });
+ *     },
+ *     (dc, age, values) => {
+ *         dc.reply(`Thanks ${values.name}, you are registered.`);
+ *         return dc.end({ name: values.name, age: age });
+ *     }
+ * ]));
+ * ```
+ *
+ * @extends Dialog
+ */
+class WaterfallDialog extends Dialog {
+    /**
+     * Create a new waterfall dialog.
+     *
+     * @param {string} id - The id of the dialog.
+     * @param {WaterfallDialog~step[]} steps - The steps.
+     */
+    constructor(id, steps) {
+        super(id);
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error(`Waterfall dialog ${id} has no steps.`);
+        }
+        this.steps = steps;
+    }
+
+    begin(dc, options) {
+        dc.state.step = -1;
+        dc.state.values = {};
+        return this._runStep(dc, options);
+    }
+
+    continue(dc) {
+        return this._runStep(dc, dc.event);
+    }
+
+    resume(dc, result) {
+        return this._runStep(dc, result);
+    }
+
+    _runStep(dc, result) {
+        const index = ++dc.state.step;
+        if (index >= this.steps.length) {
+            return dc.end(result);
+        }
+        return this.steps[index](dc, result, dc.state.values);
+    }
+}
+
+module.exports = WaterfallDialog;
@@ -0,0 +1,480 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.CallingSimulator');
+const request = require('request');
+const uuid = require('node-uuid');
+
+const promiseUtils = require('../utils/promise-utils');
+const enums = require('../calling/model/enums');
+const outcomes = require('../calling/model/operation-outcomes');
+
+const ActionType = enums.ActionType;
+
+/**
+ * Step of a simulated caller.
+ *
+ * Steps are consumed by the actions waiting for the caller, i.e. {@link Recognize} and {@link Record}
+ * (and {@link Transfer} if the step is a transfer step). Other actions succeed without consuming a step.
+ * If the script runs out of steps while the bot is waiting for the caller, the caller hangs up.
+ *
+ * A step can be one of:
+ *   - `{ dtmf: '12#' }` - the caller presses the keys
+ *   - `{ speech: 'yes' }` - the caller says one of the choices (matched by name or speech variation)
+ *   - `{ record: Buffer, durationInSecs: 3 }` - the caller says something that is recorded
+ *   - `'silence'` or `{ silence: true }` - the caller doesn't respond
+ *   - `'hangup'` or `{ hangup: true }` - the caller hangs up
+ *   - `{ transfer: 'failure' }` - the next transfer fails (transfers succeed by default)
+ *
+ * @typedef {Object|string} CallingSimulator~ScriptStep
+ */
+
+/**
+ * Entry of a call transcript.
+ *
+ * @typedef {Object} CallTranscript~Entry
+ *
+ * @property {string} type - One of "incomingCall", "action", "input", "outcome", "notification" and "end".
+ * @property {Object} value - The conversation, action, script step, outcome, notification or the end reason.
+ * @property {Date} time - The time of the entry.
+ */
+
+/**
+ * Transcript of a simulated call.
+ *
+ * @property {string} conversationId - The id of the simulated conversation.
+ * @property {CallTranscript~Entry[]} entries - Everything that happened in the call in order.
+ * @property {string} endReason - Why the call ended: "botHangup", "callerHangup", "rejected", "transferred",
+ *      "noActions" (the bot didn't send any action) or "maxTurns".
+ */
+class CallTranscript {
+    /**
+     * Create an empty transcript.
+     *
+     * @param {string} conversationId - The id of the simulated conversation.
+     */
+    constructor(conversationId) {
+        this.conversationId = conversationId;
+        this.entries = [];
+        this.endReason = null;
+    }
+
+    /**
+     * Add an entry.
+     *
+     * @param {string} type - The type of the entry.
+     * @param {Object} value - The value of the entry.
+     */
+    add(type, value) {
+        this.entries.push({ type: type, value: value, time: new Date() });
+    }
+
+    /**
+     * Actions sent by the bot.
+     *
+     * @returns {Object[]}
+     */
+    get actions() {
+        return this._values('action');
+    }
+
+    /**
+     * Outcomes sent to the bot.
+     *
+     * @returns {Object[]}
+     */
+    get outcomes() {
+        return this._values('outcome');
+    }
+
+    /**
+     * Texts (or file uris) of all prompts played by the bot, in order.
+     *
+     * @returns {string[]}
+     */
+    get prompts() {
+        const texts = [];
+        this.actions.forEach(action => {
+            const playPrompt = action.action === ActionType.PlayPrompt ? action : action.playPrompt;
+            if (playPrompt && Array.isArray(playPrompt.prompts)) {
+                playPrompt.prompts.forEach(prompt => texts.push(prompt.value || prompt.fileUri));
+            }
+        });
+        return texts;
+    }
+
+    _values(type) {
+        return this.entries.filter(entry => entry.type === type).map(entry => entry.value);
+    }
+}
+
+function normalizeStep(step) {
+    if (step === 'silence') return { silence: true };
+    if (step === 'hangup') return { hangup: true };
+    return step;
+}
+
+/**
+ * A single simulated call.
+ *
+ * @ignore
+ */
+class SimulatedCall {
+    constructor(options, script) {
+        this._options = options;
+        this._steps = (script || []).map(normalizeStep);
+        this._conversationId = uuid.v4();
+        this._callState = enums.CallState.Incoming;
+        this._turns = 0;
+        this.transcript = new CallTranscript(this._conversationId);
+    }
+
+    run(callback) {
+        const conversation = {
+            id: this._conversationId,
+            appId: this._options.appId,
+            callState: enums.CallState.Incoming,
+            links: {},
+            participants: [
+                { identity: this._options.caller, originator: true },
+                { identity: this._options.botId, originator: false }
+            ],
+            isMultiParty: false,
+            presentedModalityTypes: [ enums.ModalityType.Audio ]
+        };
+        this.transcript.add('incomingCall', conversation);
+
+        this._post(this._options.callEndpoint, conversation, null, (error, workflow) => {
+            if (error) { return callback(error); }
+            this._execute(workflow, callback);
+        });
+    }
+
+    _execute(workflow, callback) {
+        if (++this._turns > this._options.maxTurns) {
+            return this._end('maxTurns', callback);
+        }
+        if (!workflow || !Array.isArray(workflow.actions) || workflow.actions.length === 0) {
+            return this._end('noActions', callback);
+        }
+
+        const callbackUrl = this._options.callbackUrl || (workflow.links && workflow.links.callBack);
+        let result = null;
+        for (let action of workflow.actions) {
+            this.transcript.add('action', action);
+            result = this._perform(action);
+            if (result.callerHangup || result.outcome.outcome === enums.Outcome.Failure) {
+                break;
+            }
+        }
+
+        if (result.callerHangup) {
+            return this._notifyTerminated(callbackUrl, workflow, () => this._end('callerHangup', callback));
+        }
+
+        const conversationResult = {
+            id: this._conversationId,
+            appId: this._options.appId,
+            appState: workflow.appState || null,
+            links: {},
+            operationOutcome: result.outcome,
+            callState: this._callState
+        };
+        this.transcript.add('outcome', result.outcome);
+
+        this._post(callbackUrl, conversationResult, result.recordedAudio, (error, nextWorkflow) => {
+            if (error) { return callback(error); }
+            if (result.endReason) {
+                return this._notifyTerminated(callbackUrl, workflow, () => this._end(result.endReason, callback));
+            }
+            this._execute(nextWorkflow, callback);
+        });
+    }
+
+    _perform(action) {
+        switch (action.action) {
+        case ActionType.Answer:
+        case ActionType.AnswerAppHostedMedia:
+            this._callState = enums.CallState.Established;
+            return this._success(action, action.action === ActionType.Answer ? outcomes.AnswerOutcome : outcomes.AnswerAppHostedMediaOutcome);
+        case ActionType.Reject:
+            this._callState = enums.CallState.Terminated;
+            return this._success(action, outcomes.RejectOutcome, 'rejected');
+        case ActionType.Hangup:
+            this._callState = enums.CallState.Terminated;
+            return this._success(action, outcomes.HangupOutcome, 'botHangup');
+        case ActionType.PlayPrompt:
+            return this._success(action, outcomes.PlayPromptOutcome);
+        case ActionType.Recognize:
+            return this._recognize(action);
+        case ActionType.Record:
+            return this._record(action);
+        case ActionType.Transfer:
+            return this._transfer(action);
+        case ActionType.PlaceCall:
+            return this._success(action, outcomes.PlaceCallOutcome);
+        case ActionType.VideoSubscription:
+            return this._success(action, outcomes.VideoSubscriptionOutcome);
+        default:
+            return this._failure(action, outcomes.WorkflowValidationOutcome, `Unsupported action ${action.action}.`);
+        }
+    }
+
+    _nextStep() {
+        const step = this._steps.shift();
+        if (typeof step === 'undefined') {
+            debug('Script has no more steps, caller hangs up.');
+            return { hangup: true };
+        }
+        this.transcript.add('input', step);
+        return step;
+    }
+
+    _success(action, OutcomeClass, endReason) {
+        const outcome = new OutcomeClass();
+        outcome.id = action.operationId;
+        outcome.outcome = enums.Outcome.Success;
+        return { outcome: outcome, endReason: endReason || null };
+    }
+
+    _failure(action, OutcomeClass, failureReason) {
+        const outcome = new OutcomeClass();
+        outcome.id = action.operationId;
+        outcome.outcome = enums.Outcome.Failure;
+        outcome.failureReason = failureReason;
+        return { outcome: outcome, endReason: null };
+    }
+
+    _recognize(action) {
+        const step = this._nextStep();
+        if (step.hangup) {
+            return { callerHangup: true };
+        }
+
+        const Reason = enums.RecognitionCompletionReason;
+        const outcome = new outcomes.RecognizeOutcome();
+        outcome.id = action.operationId;
+        const choices = action.choices || [];
+        let reason = Reason.InitialSilenceTimeout;
+
+        if (step.dtmf != null && action.collectDigits) {
+            const stopTones = action.collectDigits.stopTones || [];
+            let digits = String(step.dtmf);
+            let digitsReason = enums.DigitalCollectionCompletionReason.InterDigitTimeout;
+            if (digits.length > 0 && stopTones.indexOf(digits[digits.length - 1]) !== -1) {
+                digits = digits.slice(0, -1);
+                digitsReason = enums.DigitalCollectionCompletionReason.CompletedStopToneDetected;
+            }
+            if (action.collectDigits.maxNumberOfDtmfs) {
+                digits = digits.slice(0, action.collectDigits.maxNumberOfDtmfs);
+            }
+            outcome.outcome = enums.Outcome.Success;
+            outcome.collectDigitsOutcome = new outcomes.CollectDigitsOutcome({ completionReason: digitsReason, digits: digits });
+            return { outcome: outcome };
+        }
+
+        if (step.dtmf != null) {
+            const choice = choices.find(item => item.dtmfVariation != null && String(item.dtmfVariation) === String(step.dtmf));
+            reason = choice ? Reason.DtmfOptionMatched : Reason.InCorrectDtmf;
+            if (choice) {
+                outcome.choiceOutcome = new outcomes.ChoiceOutcome({ completionReason: reason, choiceName: choice.name });
+            }
+        } else if (step.speech != null) {
+            const said = String(step.speech).toLowerCase();
+            const choice = choices.find(item =>
+                (item.name && item.name.toLowerCase() === said) ||
+                (item.speechVariation || []).some(variation => variation.toLowerCase() === said));
+            // there is no "no match" reason, unrecognized speech is reported as if nothing was said
+            if (choice) {
+                reason = Reason.SpeechOptionMatched;
+                outcome.choiceOutcome = new outcomes.ChoiceOutcome({ completionReason: reason, choiceName: choice.name });
+            }
+        }
+
+        if (outcome.choiceOutcome) {
+            outcome.outcome = enums.Outcome.Success;
+        } else {
+            outcome.outcome = enums.Outcome.Failure;
+            outcome.failureReason = reason;
+            if (action.collectDigits) {
+                outcome.collectDigitsOutcome = new outcomes.CollectDigitsOutcome({ completionReason: reason });
+            } else {
+                outcome.choiceOutcome = new outcomes.ChoiceOutcome({ completionReason: reason });
+            }
+        }
+        return { outcome: outcome };
+    }
+
+    _record(action) {
+        const step = this._nextStep();
+        if (step.hangup) {
+            return { callerHangup: true };
+        }
+
+        const outcome = new outcomes.RecordOutcome();
+        outcome.id = action.operationId;
+
+        if (step.record == null) {
+            outcome.outcome = enums.Outcome.Failure;
+            outcome.failureReason = enums.RecordingCompletionReason.InitialSilenceTimeout;
+            outcome.completionReason = enums.RecordingCompletionReason.InitialSilenceTimeout;
+            return { outcome: outcome };
+        }
+
+        outcome.outcome = enums.Outcome.Success;
+        outcome.completionReason = step.stopTone ?
+            enums.RecordingCompletionReason.CompletedStopToneDetected :
+            enums.RecordingCompletionReason.CompletedSilenceDetected;
+        outcome.lengthOfRecordingInSecs = step.durationInSecs || 1;
+        return {
+            outcome: outcome,
+            recordedAudio: Buffer.isBuffer(step.record) ? step.record : Buffer.from(String(step.record), 'binary')
+        };
+    }
+
+    _transfer(action) {
+        if (this._steps.length > 0 && this._steps[0].transfer != null) {
+            const step = this._nextStep();
+            if (step.transfer === enums.Outcome.Failure) {
+                return this._failure(action, outcomes.TransferOutcome, 'Transfer target did not answer.');
+            }
+        }
+        this._callState = enums.CallState.Terminated;
+        return this._success(action, outcomes.TransferOutcome, 'transferred');
+    }
+
+    _notifyTerminated(callbackUrl, workflow, callback) {
+        this._callState = enums.CallState.Terminated;
+        const notification = {
+            id: this._conversationId,
+            appId: this._options.appId,
+            appState: workflow.appState || null,
+            links: {},
+            type: enums.NotificationType.CallStateChange,
+            currentState: enums.CallState.Terminated
+        };
+        this.transcript.add('notification', notification);
+        this._post(callbackUrl, notification, null, error => {
+            if (error) {
+                debug(`Bot failed to process call state change: ${error.message}`);
+            }
+            callback();
+        });
+    }
+
+    _end(reason, callback) {
+        this.transcript.endReason = reason;
+        this.transcript.add('end', reason);
+        callback(null, this.transcript);
+    }
+
+    _post(url, body, recordedAudio, callback) {
+        const options = { url: url, method: 'POST' };
+        if (recordedAudio) {
+            options.formData = {};
+            options.formData[enums.MultiPartConstants.ResultContentDispositionName] = {
+                value: JSON.stringify(body),
+                options: { contentType: 'application/json' }
+            };
+            options.formData[enums.MultiPartConstants.RecordingContentDispositionName] = {
+                value: recordedAudio,
+                options: { contentType: enums.MultiPartConstants.WmaMimeType }
+            };
+        } else {
+            options.json = true;
+            options.body = body;
+        }
+
+        debug(`Posting to ${url}: ${JSON.stringify(body)}`);
+        request(options, (error, res, responseBody) => {
+            if (error) { return callback(error); }
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                return callback(new Error(`Bot responded with ${res.statusCode}.`));
+            }
+            if (typeof responseBody === 'string') {
+                try {
+                    responseBody = responseBody.length > 0 ? JSON.parse(responseBody) : null;
+                } catch (e) {
+                    return callback(new Error(`Bot responded with invalid JSON: ${e.message}`));
+                }
+            }
+            callback(null, responseBody || null);
+        });
+    }
+}
+
+/**
+ * Simulator of the calling service for testing calling bots without the Skype platform.
+ *
+ * The simulator sends a {@link Conversation} to the bot's call endpoint, executes the actions of the returned
+ * {@link Workflow} against a script of caller behaviour and sends the resulting {@link ConversationResult}
+ * to the callback url (as multipart with `recordedAudio` for recordings), until the call ends.
+ *
+ * Example:
+ * ```javascript
+ * const simulator = new skype.CallingSimulator({ callEndpoint: 'http://localhost:8080/v1/calls' });
+ * simulator.call([ { dtmf: '1' }, { speech: 'yes' }, 'hangup' ]).then(transcript => {
+ *     assert.deepEqual(transcript.prompts, [ 'Press 1 for sales.', 'Are you sure?' ]);
+ * });
+ * ```
+ */
+class CallingSimulator {
+    /**
+     * Create a new simulator.
+     *
+     * @param {Object} options - The configuration of the simulator.
+     * @param {string} options.callEndpoint - The url of the bot's incoming call endpoint.
+     * @param {string} [options.callbackUrl] - The url for callbacks; by default the callback link of each workflow is used.
+     * @param {string} [options.caller="8:caller"] - The identity of the simulated caller.
+     * @param {string} [options.botId="28:bot"] - The identity of the bot.
+     * @param {string} [options.appId] - The application id sent with conversations.
+     * @param {number} [options.maxTurns=100] - Maximal number of workflows in one call, protects from endless loops.
+     */
+    constructor(options) {
+        if (typeof options === 'undefined' || options === null) {
+            throw new Error('options is null.');
+        }
+        if (typeof options.callEndpoint === 'undefined' || options.callEndpoint === null) {
+            throw new Error('options.callEndpoint is missing in the options.');
+        }
+
+        this._options = {
+            callEndpoint: options.callEndpoint,
+            callbackUrl: options.callbackUrl || null,
+            caller: options.caller || '8:caller',
+            botId: options.botId || '28:bot',
+            appId: options.appId || null,
+            maxTurns: options.maxTurns || 100
+        };
+    }
+
+    /**
+     * Callback called after the simulated call ends.
+     *
+     * @callback CallingSimulator~callCallback
+     *
+     * @param {Error} error - The error if the bot failed to respond.
+     * @param {CallTranscript} transcript - The transcript of the call.
+     */
+
+    /**
+     * Simulate a call.
+     *
+     * @param {CallingSimulator~ScriptStep[]} script - The behaviour of the caller.
+     * @param {CallingSimulator~callCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    call(script, callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const call = new SimulatedCall(this._options, script);
+            call.run((error, transcript) => {
+                if (error) {
+                    error.transcript = call.transcript;
+                    return done(error);
+                }
+                done(null, transcript);
+            });
+        });
+    }
+}
+
+module.exports = { CallingSimulator, CallTranscript };
@@ -0,0 +1,583 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.MessagingEmulator');
+const EventEmitter = require('events').EventEmitter;
+const http = require('http');
+const querystring = require('querystring');
+const url = require('url');
+const request = require('request');
+const forge = require('node-forge');
+const uuid = require('node-uuid');
+
+const promiseUtils = require('../utils/promise-utils');
+const Enums = require('../messaging/model/v2/enums');
+const WebhookMessage = require('../messaging/model/v2/activity-incoming').WebhookMessage;
+const outgoing = require('../messaging/model/v2/activity-outgoing');
+const attachment = require('../messaging/model/v2/attachment');
+
+const TokenPath = '/oauth/token';
+const KeysPath = '/emulator/keys';
+const ActivitiesRoute = /^\/v2\/conversations\/([^\/]+)\/activities$/;
+const ConversationAttachmentsRoute = /^\/v2\/conversations\/([^\/]+)\/attachments$/;
+const AttachmentRoute = /^\/v2\/attachments\/([^\/]+)$/;
+const AttachmentViewRoute = /^\/v2\/attachments\/([^\/]+)\/views\/([^\/]+)$/;
+
+function base64Url(binary) {
+    return forge.util.encode64(binary).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function bigIntegerToBase64Url(value) {
+    let hex = value.toString(16);
+    if (hex.length % 2 === 1) hex = '0' + hex;
+    return base64Url(forge.util.hexToBytes(hex));
+}
+
+/**
+ * Activity sent by the bot to the emulator.
+ *
+ * @typedef {Object} MessagingEmulator~SentActivity
+ *
+ * @property {string} conversationId - The user or group chat the activity was sent to.
+ * @property {string} content - The content of the message.
+ * @property {Object} activity - The whole received activity.
+ * @property {Date} time - The time when the activity was received.
+ */
+
+/**
+ * Attachment stored in the emulator.
+ *
+ * @typedef {Object} MessagingEmulator~StoredAttachment
+ *
+ * @property {string} id - The attachment id.
+ * @property {string} conversationId - The conversation the attachment was posted to, `null` for attachments sent to the bot.
+ * @property {string} name - The attachment's name.
+ * @property {string} type - The attachment's type, 'Image' or 'Video'.
+ * @property {Buffer} original - The content of the attachment.
+ * @property {Buffer} thumbnail - The thumbnail, `null` if there is none.
+ * @property {Date} time - The time when the attachment was stored.
+ */
+
+/**
+ * In-process emulator of messaging service API v2 for development and tests without network access.
+ *
+ * The emulator implements the routes used by {@link MessagingServiceClientV2} and a fake OAuth token
+ * endpoint, so a bot configured with `serverUrl` and `oauthUrl` of the emulator works unchanged.
+ * Everything the bot sends is kept in memory and can be inspected, either by methods of this class or
+ * over HTTP:
+ *   - `GET /emulator/activities[?conversationId=...]` - the activities sent by the bot
+ *   - `GET /emulator/attachments` - the attachments posted by the bot (without content)
+ *   - `POST /emulator/webhook` - forward the body (array of activities) to the bot
+ *   - `POST /emulator/reset` - drop all stored data
+ *   - `GET /emulator/keys` - JWKS with the key signing webhook requests (if `signWebhooks` is enabled)
+ *
+ * Example:
+ * ```javascript
+ * const emulator = new skype.MessagingEmulator({ botEndpoint: 'http://localhost:8080/v1/chat', botId: '28:bot' });
+ * emulator.start(() => {
+ *     const botService = new skype.BotService({
+ *         messaging: {
+ *             botId: '28:bot',
+ *             serverUrl: emulator.serverUrl,
+ *             oauthUrl: emulator.oauthUrl,
+ *             appId: 'app', appSecret: 'secret'
+ *         }
+ *     });
+ *     ...
+ *     emulator.sendMessage('8:alice', 'hello');
+ * });
+ * ```
+ *
+ * @fires MessagingEmulator#activity
+ * @fires MessagingEmulator#attachment
+ */
+class MessagingEmulator extends EventEmitter {
+    /**
+     * Create a new emulator.
+     *
+     * @param {Object} [options] - The configuration of the emulator.
+     * @param {number} [options.port=0] - The port to listen on, random free port by default.
+     * @param {string} [options.host="127.0.0.1"] - The interface to listen on.
+     * @param {string} [options.botEndpoint] - The url of the bot's messaging webhook, needed for sending activities to the bot.
+     * @param {string} [options.botId="28:bot"] - The id of the bot, used as the recipient of personal messages.
+     * @param {string} [options.appId] - If set, only this application id gets tokens. It's also the audience of signed webhook requests.
+     * @param {string} [options.appSecret] - If set, only this application secret gets tokens.
+     * @param {number} [options.tokenLifetime=3600] - Lifetime of issued tokens in seconds.
+     * @param {boolean} [options.signWebhooks=false] - If true, requests to the bot carry a bearer token signed by the emulator's key.
+     * @param {string} [options.issuer="https://api.botframework.com"] - The issuer of signed webhook requests.
+     */
+    constructor(options) {
+        super();
+        options = options || {};
+
+        this._port = options.port || 0;
+        this._host = options.host || '127.0.0.1';
+        this._botEndpoint = options.botEndpoint || null;
+        this._botId = options.botId || '28:bot';
+        this._appId = options.appId || null;
+        this._appSecret = options.appSecret || null;
+        this._tokenLifetime = options.tokenLifetime || 3600;
+        this._signWebhooks = !!options.signWebhooks;
+        this._issuer = options.issuer || 'https://api.botframework.com';
+
+        this._server = null;
+        this._signingKey = null;
+        this._tokens = new Map();
+        this._activities = [];
+        this._attachments = new Map();
+
+        /**
+         * The base url of the emulated messaging service, available after start.
+         * @type {string}
+         */
+        this.serverUrl = null;
+        /**
+         * The url of the fake OAuth token endpoint, available after start.
+         * @type {string}
+         */
+        this.oauthUrl = null;
+        /**
+         * The url of the JWKS document with the key signing webhook requests, available after start.
+         * @type {string}
+         */
+        this.jwksUri = null;
+    }
+
+    /**
+     * Start listening.
+     *
+     * @param {Function} [callback] - Called once the emulator is listening. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    start(callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            if (this._server !== null) {
+                return done(new Error('Emulator is already running.'));
+            }
+            if (this._signWebhooks && this._signingKey === null) {
+                this._signingKey = forge.pki.rsa.generateKeyPair(1024);
+                this._signingKey.kid = uuid.v4();
+            }
+
+            this._server = http.createServer((req, res) => this._handleRequest(req, res));
+            this._server.once('error', done);
+            this._server.listen(this._port, this._host, () => {
+                this._server.removeListener('error', done);
+                const address = this._server.address();
+                this.serverUrl = `http://${this._host}:${address.port}`;
+                this.oauthUrl = this.serverUrl + TokenPath;
+                this.jwksUri = this.serverUrl + KeysPath;
+                debug(`Emulator listening on ${this.serverUrl}`);
+                done(null);
+            });
+        });
+    }
+
+    /**
+     * Stop listening. The stored data are kept.
+     *
+     * @param {Function} [callback] - Called once the server is closed. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    stop(callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            if (this._server === null) {
+                return process.nextTick(done);
+            }
+            const server = this._server;
+            this._server = null;
+            server.close(() => done(null));
+        });
+    }
+
+    /**
+     * Get activities sent by the bot.
+     *
+     * @param {string} [conversationId] - If set, only activities sent to this conversation are returned.
+     * @returns {MessagingEmulator~SentActivity[]}
+     */
+    getActivities(conversationId) {
+        if (typeof conversationId === 'undefined' || conversationId === null) {
+            return this._activities.slice();
+        }
+        return this._activities.filter(item => item.conversationId === conversationId);
+    }
+
+    /**
+     * Get a stored attachment.
+     *
+     * @param {string} attachmentId - The attachment id.
+     * @returns {MessagingEmulator~StoredAttachment} The attachment or `null` if it doesn't exist.
+     */
+    getAttachment(attachmentId) {
+        return this._attachments.get(attachmentId) || null;
+    }
+
+    /**
+     * Get all stored attachments.
+     *
+     * @returns {MessagingEmulator~StoredAttachment[]}
+     */
+    getAttachments() {
+        return Array.from(this._attachments.values());
+    }
+
+    /**
+     * Drop all stored activities, attachments and issued tokens.
+     */
+    reset() {
+        this._activities = [];
+        this._attachments.clear();
+        this._tokens.clear();
+    }
+
+    /**
+     * Callback called after the webhook request is delivered to the bot.
+     *
+     * @callback MessagingEmulator~webhookCallback
+     *
+     * @param {Error} error - The error if the request failed or the bot responded with an error status.
+     * @param {number} statusCode - The status code returned by the bot.
+     */
+
+    /**
+     * Send raw activities to the bot's messaging endpoint.
+     *
+     * @param {Object[]} activities - The activities in the format of webhook messages.
+     * @param {MessagingEmulator~webhookCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    sendActivities(activities, callback) {
+        return promiseUtils.callbackOrPromise(callback, done => this._postToBot(activities, done));
+    }
+
+    /**
+     * Send a message to the bot.
+     *
+     * @param {string} from - The sender, e.g. "8:alice".
+     * @param {string} content - The content of the message.
+     * @param {string} [to] - The recipient, the bot by default; use a group chat id for group messages.
+     * @param {MessagingEmulator~webhookCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    sendMessage(from, content, to, callback) {
+        if (typeof to === 'function') {
+            callback = to;
+            to = null;
+        }
+        return this.sendActivities([{
+            activity: Enums.IncomingActivityType.Message,
+            id: uuid.v4(),
+            from: from,
+            to: to || this._botId,
+            time: new Date().toISOString(),
+            content: content
+        }], callback);
+    }
+
+    /**
+     * Store an attachment and send it to the bot. The bot can download it as any other attachment.
+     *
+     * @param {string} from - The sender, e.g. "8:alice".
+     * @param {string} name - The attachment's name.
+     * @param {string} type - The attachment's type, 'Image' or 'Video'.
+     * @param {Buffer} original - The content of the attachment.
+     * @param {Buffer} [thumbnail] - The thumbnail of the attachment.
+     * @param {MessagingEmulator~webhookCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    sendAttachment(from, name, type, original, thumbnail, callback) {
+        if (typeof thumbnail === 'function') {
+            callback = thumbnail;
+            thumbnail = null;
+        }
+        const stored = this._storeAttachment(null, name, type, original, thumbnail);
+        return this.sendActivities([{
+            activity: Enums.IncomingActivityType.Attachment,
+            id: stored.id,
+            from: from,
+            to: this._botId,
+            time: stored.time.toISOString(),
+            type: type,
+            name: name,
+            views: this._getViews(stored)
+        }], callback);
+    }
+
+    /**
+     * Add or remove the bot from the contact list of a user.
+     *
+     * @param {string} from - The user, e.g. "8:alice".
+     * @param {string} action - Either "add" or "remove".
+     * @param {string} [fromDisplayName] - The display name of the user.
+     * @param {MessagingEmulator~webhookCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    sendContactRelationUpdate(from, action, fromDisplayName, callback) {
+        if (typeof fromDisplayName === 'function') {
+            callback = fromDisplayName;
+            fromDisplayName = null;
+        }
+        return this.sendActivities([{
+            activity: Enums.IncomingActivityType.ContactRelationUpdate,
+            from: from,
+            to: this._botId,
+            time: new Date().toISOString(),
+            action: action,
+            fromDisplayName: fromDisplayName || null
+        }], callback);
+    }
+
+    /**
+     * Send an update of a group chat.
+     *
+     * @param {string} from - The user who made the change.
+     * @param {string} to - The group chat id.
+     * @param {Object} update - The changes: `membersAdded`, `membersRemoved`, `topicName` and/or `historyDisclosed`.
+     * @param {MessagingEmulator~webhookCallback} [callback] - If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    sendConversationUpdate(from, to, update, callback) {
+        const activity = Object.assign({
+            activity: Enums.IncomingActivityType.ConversationUpdate,
+            from: from,
+            to: to,
+            time: new Date().toISOString()
+        }, update);
+        return this.sendActivities([activity], callback);
+    }
+
+    _postToBot(activities, callback) {
+        if (this._botEndpoint === null) {
+            return callback(new Error('options.botEndpoint is missing in the options.'));
+        }
+
+        const errors = new WebhookMessage(activities).validate();
+        if (errors.length > 0) {
+            return callback(new Error(`Webhook message is invalid: ${errors}`));
+        }
+
+        const headers = {};
+        if (this._signWebhooks) {
+            headers.Authorization = 'Bearer ' + this._createWebhookToken();
+        }
+
+        debug(`Posting ${activities.length} activities to ${this._botEndpoint}`);
+        request({ url: this._botEndpoint, method: 'POST', json: true, body: activities, headers: headers }, (error, res) => {
+            if (error) { return callback(error); }
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                return callback(new Error(`Bot responded with ${res.statusCode}.`), res.statusCode);
+            }
+            callback(null, res.statusCode);
+        });
+    }
+
+    _createWebhookToken() {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: this._signingKey.kid }));
+        const payload = base64Url(JSON.stringify({
+            iss: this._issuer,
+            aud: this._appId,
+            iat: now,
+            nbf: now,
+            exp: now + this._tokenLifetime
+        }));
+        const md = forge.md.sha256.create();
+        md.update(header + '.' + payload, 'utf8');
+        return header + '.' + payload + '.' + base64Url(this._signingKey.privateKey.sign(md));
+    }
+
+    _storeAttachment(conversationId, name, type, original, thumbnail) {
+        const stored = {
+            id: uuid.v4(),
+            conversationId: conversationId,
+            name: name,
+            type: type,
+            original: original,
+            thumbnail: thumbnail || null,
+            time: new Date()
+        };
+        this._attachments.set(stored.id, stored);
+        return stored;
+    }
+
+    _getViews(stored) {
+        const views = [ { viewId: Enums.AttachmentViewType.Original, size: stored.original.length } ];
+        if (stored.thumbnail !== null) {
+            views.push({ viewId: Enums.AttachmentViewType.Thumbnail, size: stored.thumbnail.length });
+        }
+        return views;
+    }
+
+    _handleRequest(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const path = url.parse(req.url, true);
+            debug(`${req.method} ${req.url}`);
+            try {
+                this._route(req, path, body, res);
+            } catch (error) {
+                debug(`Request failed: ${error.stack}`);
+                this._send(res, 400, { error: error.message });
+            }
+        });
+    }
+
+    _route(req, path, body, res) {
+        let match;
+
+        if (req.method === 'POST' && path.pathname === TokenPath) {
+            return this._issueToken(querystring.parse(body), res);
+        }
+        if (req.method === 'GET' && path.pathname === KeysPath) {
+            return this._send(res, 200, { keys: this._signingKey === null ? [] : [ this._getJwk() ] });
+        }
+        if (path.pathname.indexOf('/emulator/') === 0) {
+            return this._routeInspection(req, path, body, res);
+        }
+
+        if (!this._isAuthorized(req)) {
+            return this._send(res, 401, { error: 'Invalid or missing bearer token.' });
+        }
+
+        if (req.method === 'POST' && (match = ActivitiesRoute.exec(path.pathname))) {
+            return this._receiveActivity(decodeURIComponent(match[1]), JSON.parse(body), res);
+        }
+        if (req.method === 'POST' && (match = ConversationAttachmentsRoute.exec(path.pathname))) {
+            return this._receiveAttachment(decodeURIComponent(match[1]), JSON.parse(body), res);
+        }
+        if (req.method === 'GET' && (match = AttachmentRoute.exec(path.pathname))) {
+            const stored = this.getAttachment(decodeURIComponent(match[1]));
+            if (stored === null) { return this._send(res, 404, { error: 'Attachment not found.' }); }
+            return this._send(res, 200, { type: stored.type, name: stored.name, views: this._getViews(stored) });
+        }
+        if (req.method === 'GET' && (match = AttachmentViewRoute.exec(path.pathname))) {
+            const stored = this.getAttachment(decodeURIComponent(match[1]));
+            const content = stored === null ? null :
+                match[2] === Enums.AttachmentViewType.Original ? stored.original :
+                match[2] === Enums.AttachmentViewType.Thumbnail ? stored.thumbnail : null;
+            if (content === null) { return this._send(res, 404, { error: 'Attachment view not found.' }); }
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': content.length });
+            return res.end(content);
+        }
+
+        this._send(res, 404, { error: 'Not found.' });
+    }
+
+    _routeInspection(req, path, body, res) {
+        if (req.method === 'GET' && path.pathname === '/emulator/activities') {
+            return this._send(res, 200, this.getActivities(path.query.conversationId));
+        }
+        if (req.method === 'GET' && path.pathname === '/emulator/attachments') {
+            return this._send(res, 200, this.getAttachments().map(stored => ({
+                id: stored.id,
+                conversationId: stored.conversationId,
+                name: stored.name,
+                type: stored.type,
+                views: this._getViews(stored),
+                time: stored.time
+            })));
+        }
+        if (req.method === 'POST' && path.pathname === '/emulator/reset') {
+            this.reset();
+            return this._send(res, 204);
+        }
+        if (req.method === 'POST' && path.pathname === '/emulator/webhook') {
+            return this._postToBot(JSON.parse(body), (error, statusCode) => {
+                if (error) { return this._send(res, 502, { error: error.message, statusCode: statusCode || null }); }
+                this._send(res, 200, { statusCode: statusCode });
+            });
+        }
+        this._send(res, 404, { error: 'Not found.' });
+    }
+
+    _issueToken(form, res) {
+        if ((this._appId !== null && form.client_id !== this._appId) ||
+            (this._appSecret !== null && form.client_secret !== this._appSecret)) {
+            return this._send(res, 401, { error: 'invalid_client' });
+        }
+
+        const token = uuid.v4();
+        this._tokens.set(token, Date.now() + this._tokenLifetime * 1000);
+        this._send(res, 200, { token_type: 'Bearer', expires_in: this._tokenLifetime, access_token: token });
+    }
+
+    _isAuthorized(req) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers['authorization'] || '');
+        if (!match) return false;
+        const validUntil = this._tokens.get(match[1]);
+        return typeof validUntil !== 'undefined' && validUntil > Date.now();
+    }
+
+    _receiveActivity(conversationId, data, res) {
+        const activity = new outgoing.Activity(data);
+        const errors = activity.validate();
+        if (errors.length > 0) {
+            return this._send(res, 400, { error: `Activity is invalid: ${errors}` });
+        }
+
+        const sent = {
+            conversationId: conversationId,
+            content: activity.message.content,
+            activity: data,
+            time: new Date()
+        };
+        this._activities.push(sent);
+
+        /**
+         * Emitted when the bot sends an activity.
+         * @event MessagingEmulator#activity
+         * @param {MessagingEmulator~SentActivity} activity
+         */
+        this.emit('activity', sent);
+        this._send(res, 201);
+    }
+
+    _receiveAttachment(conversationId, data, res) {
+        const received = new attachment.Attachment(data);
+        const errors = received.validate();
+        if (errors.length > 0) {
+            return this._send(res, 400, { error: `Attachment is invalid: ${errors}` });
+        }
+
+        const stored = this._storeAttachment(
+            conversationId,
+            received.name,
+            received.type,
+            Buffer.from(received.originalBase64, 'base64'),
+            received.thumbnailBase64 == null ? null : Buffer.from(received.thumbnailBase64, 'base64'));
+
+        /**
+         * Emitted when the bot posts an attachment.
+         * @event MessagingEmulator#attachment
+         * @param {MessagingEmulator~StoredAttachment} attachment
+         */
+        this.emit('attachment', stored);
+        this._send(res, 201, { attachmentId: stored.id, activityId: uuid.v4() });
+    }
+
+    _getJwk() {
+        const publicKey = this._signingKey.publicKey;
+        return {
+            kty: 'RSA',
+            use: 'sig',
+            alg: 'RS256',
+            kid: this._signingKey.kid,
+            n: bigIntegerToBase64Url(publicKey.n),
+            e: bigIntegerToBase64Url(publicKey.e)
+        };
+    }
+
+    _send(res, statusCode, body) {
+        if (typeof body === 'undefined') {
+            res.writeHead(statusCode);
+            return res.end();
+        }
+        const content = JSON.stringify(body);
+        res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(content) });
+        res.end(content);
+    }
+}
+
+module.exports = MessagingEmulator;
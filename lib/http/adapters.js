@@ -0,0 +1,226 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.http.adapters');
+
+const DefaultMaxBodySize = 10 * 1024 * 1024;
+
+/**
+ * Read the body of a request stream.
+ *
+ * @ignore
+ */
+function readBody(stream, maxBodySize, callback) {
+    const chunks = [];
+    let size = 0;
+    let finished = false;
+
+    const finish = (error, body) => {
+        if (finished) return;
+        finished = true;
+        callback(error, body);
+    };
+
+    stream.on('data', chunk => {
+        if (finished) return;
+        size += chunk.length;
+        if (size > maxBodySize) {
+            const error = new Error(`Request body exceeds the maximum size of ${maxBodySize} bytes.`);
+            error.status = 413;
+            return finish(error);
+        }
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    });
+    stream.on('end', () => finish(null, Buffer.concat(chunks)));
+    stream.on('error', error => {
+        error.status = 400;
+        finish(error);
+    });
+}
+
+/**
+ * Get the body of a request, as parsed by the framework or read from the stream.
+ *
+ * Body parsers set an empty body for content types they don't handle without reading the request,
+ * so the parsed body is used only if the request was read.
+ *
+ * @ignore
+ */
+function getBody(req, body, options, callback) {
+    if (typeof body !== 'undefined' && (req._body || req.readableEnded !== false)) {
+        return callback(null, body);
+    }
+    readBody(req, options.maxBodySize || DefaultMaxBodySize, callback);
+}
+
+/**
+ * Describe a node request as {@link HttpRequest}.
+ *
+ * @ignore
+ */
+function describeRequest(req, body, secure) {
+    return {
+        method: req.method,
+        url: req.originalUrl || req.url,
+        headers: req.headers,
+        body: typeof body === 'undefined' ? null : body,
+        secure: typeof secure === 'boolean' ? secure : !!(req.socket && req.socket.encrypted)
+    };
+}
+
+/**
+ * Write a {@link HttpResponse} to a node response, also works with Express and Restify responses.
+ *
+ * @ignore
+ */
+function writeResponse(res, response) {
+    res.statusCode = response.status;
+    Object.keys(response.headers).forEach(name => res.setHeader(name, response.headers[name]));
+    if (response.body !== null) {
+        res.end(response.body);
+    } else {
+        res.end();
+    }
+}
+
+function errorResponse(error) {
+    debug(`Reading of the request failed: ${error.message}`);
+    return { status: error.status || 400, headers: {}, body: null };
+}
+
+/**
+ * Create a handler for node's http and https servers from a request processor, e.g. [createMessagingProcessor()]{@link createMessagingProcessor}.
+ * Returns function(req, res).
+ *
+ * The handler uses `req.body` if it was already parsed, so it can be mounted in Express or Restify as well.
+ *
+ * Example of usage:
+ * ```javascript
+ * const skype = require('skype-sdk');
+ * const http = require('http');
+ *
+ * const botService = new skype.BotService(...);
+ * const handler = skype.toNodeHandler(skype.createMessagingProcessor(botService));
+ * http.createServer(handler).listen(8080);
+ * ```
+ *
+ * @param {Function} processor - The request processor.
+ * @param {Object} [options] - The options of the handler.
+ * @param {number} [options.maxBodySize=10485760] - The maximum size of request bodies in bytes, larger requests get 413.
+ */
+function toNodeHandler(processor, options) {
+    options = options || {};
+    return (req, res) => {
+        getBody(req, req.body, options, (error, body) => {
+            if (error) {
+                return writeResponse(res, errorResponse(error));
+            }
+            processor(describeRequest(req, body), (error, response) => writeResponse(res, response));
+        });
+    };
+}
+
+/**
+ * Create an Express handler from a request processor.
+ * Returns function(req, res, next).
+ *
+ * Example of usage:
+ * ```javascript
+ * const app = express();
+ * app.post('/v1/chat', skype.toExpressHandler(skype.createMessagingProcessor(botService)));
+ * ```
+ *
+ * @param {Function} processor - The request processor.
+ * @param {Object} [options] - The options of the handler.
+ * @param {number} [options.maxBodySize=10485760] - The maximum size of request bodies in bytes, larger requests get 413.
+ */
+function toExpressHandler(processor, options) {
+    options = options || {};
+    return (req, res, next) => {
+        getBody(req, req.body, options, (error, body) => {
+            if (error) {
+                return next(error);
+            }
+            processor(describeRequest(req, body, req.secure), (error, response) => {
+                res.status(response.status).set(response.headers);
+                res.end(response.body !== null ? response.body : undefined);
+            });
+        });
+    };
+}
+
+/**
+ * Create a Restify handler from a request processor.
+ * Returns function(req, res, next).
+ *
+ * Example of usage:
+ * ```javascript
+ * const server = restify.createServer();
+ * server.post('/v1/chat', skype.toRestifyHandler(skype.createMessagingProcessor(botService)));
+ * ```
+ *
+ * @param {Function} processor - The request processor.
+ * @param {Object} [options] - The options of the handler.
+ * @param {number} [options.maxBodySize=10485760] - The maximum size of request bodies in bytes, larger requests get 413.
+ */
+function toRestifyHandler(processor, options) {
+    options = options || {};
+    return (req, res, next) => {
+        getBody(req, req.body, options, (error, body) => {
+            if (error) {
+                writeResponse(res, errorResponse(error));
+                return next(false);
+            }
+            const secure = typeof req.isSecure === 'function' ? req.isSecure() : undefined;
+            processor(describeRequest(req, body, secure), (error, response) => {
+                writeResponse(res, response);
+                next();
+            });
+        });
+    };
+}
+
+/**
+ * Create a Koa middleware from a request processor. It ends the middleware chain.
+ * Returns function(ctx, next) returning a Promise.
+ *
+ * The raw body kept by koa-bodyparser is used if present, otherwise the body is read from the request.
+ *
+ * Example of usage:
+ * ```javascript
+ * const router = new Router();
+ * router.post('/v1/chat', skype.toKoaMiddleware(skype.createMessagingProcessor(botService)));
+ * ```
+ *
+ * @param {Function} processor - The request processor.
+ * @param {Object} [options] - The options of the middleware.
+ * @param {number} [options.maxBodySize=10485760] - The maximum size of request bodies in bytes, larger requests get 413.
+ */
+function toKoaMiddleware(processor, options) {
+    options = options || {};
+    return ctx => new Promise((resolve, reject) => {
+        const parsed = ctx.request.rawBody !== undefined ? ctx.request.rawBody : ctx.request.body;
+        getBody(ctx.req, parsed, options, (error, body) => {
+            if (error) {
+                return reject(error);
+            }
+            const request = describeRequest(ctx.req, body, ctx.secure);
+            request.url = ctx.originalUrl;
+            processor(request, (error, response) => {
+                ctx.set(response.headers);
+                // the body is set first, Koa would change the status of an empty body to 204
+                ctx.body = response.body !== null ? response.body : '';
+                ctx.status = response.status;
+                resolve();
+            });
+        });
+    });
+}
+
+module.exports = {
+    toNodeHandler,
+    toExpressHandler,
+    toRestifyHandler,
+    toKoaMiddleware,
+    describeRequest,
+    writeResponse
+};
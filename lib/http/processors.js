@@ -0,0 +1,248 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.http.processors');
+const Busboy = require('busboy');
+const inspect = require('util').inspect;
+
+const InvalidRequestError = require('../messaging/errors').InvalidRequestError;
+const createTokenVerifier = require('../utils/jwt-auth').createTokenVerifier;
+const promiseUtils = require('../utils/promise-utils');
+
+/**
+ * HTTP request as seen by the request processors, independent of the web framework.
+ *
+ * @typedef {Object} HttpRequest
+ *
+ * @property {string} method - The HTTP method, e.g. "POST".
+ * @property {string} url - The path and query of the request.
+ * @property {Object} headers - The headers with lower-case names.
+ * @property {Buffer|string|Object} body - The raw body, or the body already parsed by the framework.
+ * @property {boolean} [secure] - True if the request was received over HTTPS.
+ */
+
+/**
+ * HTTP response returned by the request processors.
+ *
+ * @typedef {Object} HttpResponse
+ *
+ * @property {number} status - The status code.
+ * @property {Object} headers - The headers.
+ * @property {string|Buffer} body - The body, `null` if the response has none.
+ */
+
+/**
+ * Callback of request processors, the error is always `null`, failures are described by the response.
+ *
+ * @callback HttpProcessor~callback
+ * @param {Error} error - Always `null`.
+ * @param {HttpResponse} response - The response to send.
+ */
+
+function response(status, headers, body) {
+    return { status: status, headers: headers || {}, body: typeof body === 'undefined' ? null : body };
+}
+
+function jsonResponse(status, data) {
+    return response(status, { 'Content-Type': 'application/json; charset=utf-8' }, JSON.stringify(data));
+}
+
+function textBody(body) {
+    return Buffer.isBuffer(body) ? body.toString('utf8') : body;
+}
+
+function parseJsonBody(body) {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        return body;
+    }
+    try {
+        return JSON.parse(textBody(body));
+    } catch (error) {
+        return new Error(`Json parsing failed with "${error.message}".`);
+    }
+}
+
+function isContentType(request, type) {
+    const contentType = request.headers['content-type'] || '';
+    return contentType.split(';')[0].trim().toLowerCase() === type;
+}
+
+function workflowResponse(callback) {
+    return (error, workflow) => {
+        if (error) {
+            debug(`Sending response 500 with error: ${error}`);
+            return callback(null, response(500));
+        }
+        debug('Sending response 200: \n' + inspect(workflow, { depth: 5 }));
+        callback(null, jsonResponse(200, workflow));
+    };
+}
+
+/**
+ * Create a processor of messaging webhook requests.
+ * Returns function(request, [callback]) processing a {@link HttpRequest} and returning a {@link HttpResponse},
+ * see {@link HttpProcessor~callback}. If the callback is not provided, a Promise is returned.
+ *
+ * By default the request is acknowledged with 201 right away. With `options.waitForHandlers` the processor
+ * waits until the handlers of all events finish (see [processMessagingRequestAndWait()]{@link BotService#processMessagingRequestAndWait})
+ * and responds with 201 on success, 400 if the request isn't a valid message and 500 if the handlers fail
+ * or don't finish in time, so the messaging service redelivers the message.
+ *
+ * @param {BotService} botService - Bot service that should be used for handling the requests.
+ * @param {Object} [options] - The options of the processor.
+ * @param {boolean} [options.waitForHandlers=false] - True to respond only after the handlers finish.
+ * @param {number} [options.timeout=10000] - The time in milliseconds to wait for the handlers.
+ * @param {Function|Object} [options.verifyToken] - The token verifier created by [createTokenVerifier()]{@link createTokenVerifier}
+ *      or its options. If set, requests without a valid bearer token are rejected with 401.
+ */
+function createMessagingProcessor(botService, options) {
+    options = options || {};
+    const timeout = options.timeout || 10000;
+    let verifyToken = options.verifyToken || null;
+    if (verifyToken !== null && typeof verifyToken !== 'function') {
+        verifyToken = createTokenVerifier(verifyToken);
+    }
+
+    const processRequest = (request, callback) => {
+        const body = textBody(request.body);
+        if (!options.waitForHandlers) {
+            debug('Received messaging request, passing it to botService.');
+            try {
+                botService.processMessagingRequest(body);
+            } catch (error) {
+                debug(`Processing of the request failed: ${error.message}`);
+                return callback(null, response(error instanceof InvalidRequestError ? 400 : 500));
+            }
+            return callback(null, response(201));
+        }
+        botService.processMessagingRequestAndWait(body, { timeout: timeout }, error => {
+            if (error) {
+                debug(`Processing of the request failed: ${error.message}`);
+            }
+            callback(null, response(!error ? 201 : error instanceof InvalidRequestError ? 400 : 500));
+        });
+    };
+
+    return (request, callback) => promiseUtils.callbackOrPromise(callback, done => {
+        if (verifyToken === null) {
+            return processRequest(request, done);
+        }
+        verifyToken(request.headers['authorization'], error => {
+            if (error) {
+                debug(`Request not authenticated: ${error.message}`);
+                return done(null, response(401));
+            }
+            processRequest(request, done);
+        });
+    });
+}
+
+/**
+ * Create a processor of incoming calls.
+ * Returns function(request, [callback]) processing a {@link HttpRequest} and returning a {@link HttpResponse}
+ * with the workflow, see {@link HttpProcessor~callback}. If the callback is not provided, a Promise is returned.
+ *
+ * @param {BotService} botService - Bot service that should be used for handling the requests.
+ */
+function createCallProcessor(botService) {
+    return (request, callback) => promiseUtils.callbackOrPromise(callback, done => {
+        const body = parseJsonBody(request.body);
+        if (body instanceof Error) {
+            debug(`Received invalid call: ${body.message}`);
+            return done(null, response(400));
+        }
+        debug('Received call: \n' + inspect(body, { depth: 5 }));
+        botService.processCall(body, workflowResponse(done));
+    });
+}
+
+/**
+ * Create a processor of calling callbacks, either multipart with the recorded audio or JSON.
+ * Returns function(request, [callback]) processing a {@link HttpRequest} and returning a {@link HttpResponse}
+ * with the workflow, see {@link HttpProcessor~callback}. If the callback is not provided, a Promise is returned.
+ *
+ * @param {BotService} botService - Bot service that should be used for handling the requests.
+ */
+function createCallbackProcessor(botService) {
+    const processMultipart = (request, callback) => {
+        if (!Buffer.isBuffer(request.body) && typeof request.body !== 'string') {
+            debug('Multipart callback was already parsed by the framework.');
+            return callback(null, response(400));
+        }
+
+        const busboy = new Busboy({ headers: request.headers, defCharset: 'binary' });
+        let result;
+        let recordedAudio;
+        let failed = false;
+
+        busboy.on('field', (fieldname, val, fieldnameTruncated, valTruncated, encoding, mimetype) => {
+            debug(`Field [${fieldname}]: value: ${typeof (val)} encoding: ${encoding} mimetype: ${mimetype}`);
+
+            if (fieldname === 'recordedAudio') {
+                recordedAudio = Buffer.from(val, 'binary');
+                debug('Recorded audio buffer: ' + inspect(recordedAudio.slice(0, 10), { depth: 5 }));
+            } else if (fieldname === 'conversationResult') {
+                result = parseJsonBody(val);
+                debug('Received conversation result: \n' + inspect(val, { depth: 5 }));
+            }
+        });
+        busboy.on('error', error => {
+            failed = true;
+            debug(`Parsing of the multipart callback failed: ${error.message}`);
+            callback(null, response(400));
+        });
+        busboy.on('finish', () => {
+            debug('Busboy finished.');
+            if (failed) return;
+            if (!result || result instanceof Error) {
+                return callback(null, response(400));
+            }
+            botService.processCallback(result, recordedAudio, workflowResponse(callback));
+        });
+
+        busboy.end(request.body);
+    };
+
+    return (request, callback) => promiseUtils.callbackOrPromise(callback, done => {
+        if (isContentType(request, 'multipart/form-data')) {
+            return processMultipart(request, done);
+        }
+
+        // other callbacks are JSON, also if the content type is missing
+        const body = parseJsonBody(request.body);
+        if (body instanceof Error) {
+            debug(`Received invalid callback: ${body.message}`);
+            return done(null, response(400));
+        }
+        debug('Received callback: \n' + inspect(body, { depth: 5 }));
+        botService.processCallback(body, null, workflowResponse(done));
+    });
+}
+
+/**
+ * Check that a request was received over HTTPS, also behind the Azure load balancer.
+ *
+ * @param {HttpRequest} request - The request.
+ * @param {Object} [options] - The options of the check.
+ * @param {boolean} [options.redirect=false] - True to redirect HTTP requests to the HTTPS endpoint.
+ * @param {number} [options.errorStatus=404] - The status of HTTP requests if they aren't redirected.
+ * @returns {HttpResponse} The response to HTTP requests, `null` if the request is secure.
+ */
+function checkHttps(request, options) {
+    options = options || {};
+    if ((request.headers['x-site-deployment-id'] && request.headers['x-arr-ssl']) || request.secure) {
+        return null;
+    }
+    if (options.redirect) {
+        return response(302, { 'Location': `https://${request.headers['host']}${request.url}` });
+    }
+    return response(options.errorStatus || 404);
+}
+
+module.exports = {
+    createMessagingProcessor,
+    createCallProcessor,
+    createCallbackProcessor,
+    checkHttps,
+    response,
+    jsonResponse
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.http.server');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+
+const processors = require('./processors');
+const adapters = require('./adapters');
+
+const RouteNames = [ 'messaging', 'calls', 'callbacks' ];
+
+/**
+ * Paths of the endpoints mounted by [createServer()]{@link createServer}.
+ *
+ * @typedef {Object} ServerRoutes
+ *
+ * @property {string} [messaging] - The path of the messaging webhook.
+ * @property {string} [calls] - The path of incoming calls.
+ * @property {string} [callbacks] - The path of calling callbacks.
+ */
+
+/**
+ * Create a node http server with the messaging and calling endpoints of the bot, no web framework needed.
+ * The server isn't listening yet, call `listen()` on it.
+ *
+ * Without routes the messaging webhook is mounted at `/v1/chat` and, if calling is configured, incoming calls
+ * at `/v1/calls` and callbacks at `/v1/callbacks`. Other paths get 404 and other methods than POST get 405.
+ *
+ * Example of usage:
+ * ```javascript
+ * const skype = require('skype-sdk');
+ *
+ * const botService = new skype.BotService(...);
+ * skype.createServer(botService, { messaging: '/api/messages' }).listen(8080);
+ * ```
+ *
+ * @param {BotService} botService - Bot service that should be used for handling the requests.
+ * @param {ServerRoutes} [routes] - The paths of the endpoints, only the given endpoints are mounted.
+ *      Other keys than the {@link ServerRoutes} throw an error, e.g. options passed instead of the routes.
+ * @param {Object} [options] - The options of the server.
+ * @param {boolean} [options.waitForHandlers=false] - True to acknowledge messaging requests only after the handlers finish,
+ *      see [createMessagingProcessor()]{@link createMessagingProcessor}.
+ * @param {number} [options.timeout=10000] - The time in milliseconds to wait for the messaging handlers.
+ * @param {Function|Object} [options.verifyToken] - The verifier of bearer tokens of messaging requests or its options,
+ *      see [createTokenVerifier()]{@link createTokenVerifier}.
+ * @param {boolean|Object} [options.requireHttps] - True or the options of [checkHttps()]{@link checkHttps} to reject
+ *      or redirect requests received over HTTP.
+ * @param {number} [options.maxBodySize=10485760] - The maximum size of request bodies in bytes.
+ * @param {Object} [options.tls] - The options of `https.createServer()`, e.g. `key` and `cert`, to create an HTTPS server.
+ * @returns {http.Server}
+ */
+function createServer(botService, routes, options) {
+    options = options || {};
+    if (routes) {
+        Object.keys(routes).forEach(name => {
+            if (RouteNames.indexOf(name) === -1) {
+                throw new Error(`Unknown route "${name}" in the routes, expected ${RouteNames.join(', ')}.`);
+            }
+        });
+    } else {
+        routes = { messaging: '/v1/chat' };
+        if (botService.callingBotService) {
+            routes.calls = '/v1/calls';
+            routes.callbacks = '/v1/callbacks';
+        }
+    }
+
+    const endpoints = new Map();
+    if (routes.messaging) {
+        endpoints.set(routes.messaging, processors.createMessagingProcessor(botService, {
+            waitForHandlers: options.waitForHandlers,
+            timeout: options.timeout,
+            verifyToken: options.verifyToken
+        }));
+    }
+    if (routes.calls) {
+        endpoints.set(routes.calls, processors.createCallProcessor(botService));
+    }
+    if (routes.callbacks) {
+        endpoints.set(routes.callbacks, processors.createCallbackProcessor(botService));
+    }
+    const httpsOptions = options.requireHttps === true ? {} : options.requireHttps || null;
+
+    const route = (request, callback) => {
+        const processor = endpoints.get(url.parse(request.url).pathname);
+        if (!processor) {
+            debug(`No endpoint for ${request.url}.`);
+            return callback(null, processors.response(404));
+        }
+        if (request.method !== 'POST') {
+            return callback(null, processors.response(405, { 'Allow': 'POST' }));
+        }
+        const insecure = httpsOptions !== null ? processors.checkHttps(request, httpsOptions) : null;
+        if (insecure !== null) {
+            debug('Request not received over HTTPS.');
+            return callback(null, insecure);
+        }
+        processor(request, callback);
+    };
+
+    const handler = adapters.toNodeHandler(route, { maxBodySize: options.maxBodySize });
+    return options.tls ? https.createServer(options.tls, handler) : http.createServer(handler);
+}
+
+module.exports = createServer;
@@ -1,49 +1,79 @@
 'use strict';
 
 const request = require('request'); 
-const EventEmitter = require('events').EventEmitter;
 
-class AuthService extends EventEmitter {
+const TokenProvider = require('./token-provider');
+const ClientCertificate = require('./client-certificate');
+
+/**
+ * Provider of OAuth tokens of the bot, obtained by the client credentials grant.
+ *
+ * The application authenticates either by its secret or, if `options.certificate` is configured,
+ * by a client assertion signed with its certificate, see {@link ClientCertificate}.
+ *
+ * See {@link TokenProvider} for caching and renewal of the tokens.
+ */
+class AuthService extends TokenProvider {
+    /**
+     * Create a new instance of AuthService.
+     *
+     * @param {string} appId - The bot's application id.
+     * @param {string} appSecret - The bot's application secret, `null` if the certificate is used.
+     * @param {Object} [options] - The configuration, see also {@link TokenProvider} for the options of the cache and renewal.
+     * @param {Object|ClientCertificate} [options.certificate] - The {@link ClientCertificate} or its options, used instead
+     *      of the application secret.
+     * @param {string} [options.scope] - The scope of requested tokens.
+     * @param {string} [options.oauthUrl] - The OAuth token endpoint, Microsoft login service by default.
+     */
     constructor(appId, appSecret, options) {
-        super();
+        options = options || {};
+        super(options);
         
         this._appId = appId;
         this._appSecret = appSecret;
+        this._certificate = null;
+        if (options.certificate) {
+            this._certificate = options.certificate instanceof ClientCertificate ? options.certificate : new ClientCertificate(options.certificate);
+        }
         
-        options = options || {};
-        
-        this._token = null;
-        this._validUntil = new Date(0);
-        this._renewingToken = false;
-        
-        this._renewBeforeExpiration = options.renewBeforeExpiration || 600;
         this._scope = options.scope || 'https://graph.microsoft.com/.default';
         this._oAuthUrl = options.oauthUrl || 'https://login.microsoftonline.com/common/oauth2/v2.0/token';
+        this._cacheKey = options.cacheKey || `token:${this._oAuthUrl}:${this._appId}:${this._scope}`;
     }
     
-    getToken(callback) {
-        if (new Date() < this._validUntil) {
-            return callback(null, this._token);
-        } else {
-            if (this._renewingToken) {
-                this.once('token', callback);
-            } else {
-                this._renewingToken = true;
-                this._renewToken((err, data) => {
-                    this._setNewToken(err, data, callback);
-                });
+    _requestToken(callback) {
+        this._renewToken((err, data) => {
+            if (err) {
+                return callback(err);
             }
-        }
+            
+            let response;
+            try {
+                response = JSON.parse(data);
+            } catch (error) {
+                return callback(new Error(`Failed to parse token response: ${error.message}`));
+            }
+            callback(null, { accessToken: response.access_token, expiresIn: response.expires_in });
+        });
     }
     
     _renewToken(callback) {
         const content = {
             client_id: this._appId,
-            client_secret: this._appSecret,
             grant_type: 'client_credentials',
             scope: this._scope
         };
         
+        if (this._certificate !== null) {
+            try {
+                Object.assign(content, this._certificate.getCredentials(this._appId, this._oAuthUrl));
+            } catch (error) {
+                return callback(error);
+            }
+        } else {
+            content.client_secret = this._appSecret;
+        }
+        
         request.post(this._oAuthUrl, {
             form: content
         }, (err, response, body) => {
@@ -58,23 +88,6 @@ class AuthService extends EventEmitter {
             callback(null, body);
         });
     }
-    
-    _setNewToken(err, data, callback) {
-        this._renewingToken = false;
-        
-        if (err) {
-            this.emit('token', err);
-            return callback(err);
-        }
-        
-        const response = JSON.parse(data);
-        this._token = response.access_token;
-        const now = new Date();
-        this._validUntil = new Date(now.getTime() + (response.expires_in - this._renewBeforeExpiration) * 1000);
-        
-        this.emit('token', null, this._token);
-        callback(null, this._token);
-    }
 }
 
-module.exports = AuthService;
\ No newline at end of file
+module.exports = AuthService;
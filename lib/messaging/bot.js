@@ -3,6 +3,8 @@
 /** Class representing a bot. 
  * 
  * Passed to event handlers to simplify replying to the creator of the event. 
+ * 
+ * @property {Object} context - The context attached to the event by incoming middleware, see [use()]{@link BotService#use}.
  */
 class Bot {
     /**
@@ -10,10 +12,21 @@ class Bot {
      * 
      * @param {string} replyTo - The username to whom the reply should be sent.
      * @param {MessagingService} messagingService - An instance of messaging service.
+     * @param {MessagingService~IncomingContext} [context] - The context of the event.
      */
-    constructor(replyTo, messagingService) {
+    constructor(replyTo, messagingService, context) {
         this._replyTo = replyTo;
         this._messagingService = messagingService;
+        this.context = context || {};
+    }
+    
+    /**
+     * The state of the conversation and the user, `null` if state is not configured.
+     * 
+     * @returns {BotState}
+     */
+    get state() {
+        return this.context.state || null;
     }
     
     /**
@@ -21,33 +34,69 @@ class Bot {
      * For 1:1 chats it sends the reply to the creator of the original event.
      * For group chats it sends the reply to the group chat.
      * 
-     * @param {string} content - The content of the message.
+     * @param {string|FormattedText|OutgoingMessage} content - The content of the message.
      * @param {bool} [escape] - If true, content will be escaped to prevent "&", "<", and ">" from breaking the message.
-     * @param {BotService~sendMessageCallback} [callback] - The callback that handles the response.
+     * @param {BotService~sendMessageCallback} [callback] - The callback that handles the response. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     reply(content, escape, callback) {
-        console.log(this._replyTo);
-        this._messagingService.send(this._replyTo, content, escape, callback);
+        return this._messagingService.send(this._replyTo, content, escape, callback);
     }
     
+    /**
+     * Send an attachment to the user who created the original event (or to the group chat).
+     * 
+     * @param {string} name - The attachment's name, `null` means no name is provided.
+     * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
+     * @param {Buffer|string} binaryContent - The content that should be sent (binary data) or the path of a file with it.
+     * @param {Buffer|string} [thumbnailContent] - The thumbnail for the sent content (binary data) or the path of a file with it, created by the `thumbnailGenerator` option of the messaging service if not provided and it is set.
+     * @param {BotService~attachmentSentCallback} [callback] - Callback that is called after the attachment is sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
     replyWithAttachment(name, type, binaryContent, thumbnailContent, callback) {
-        this._messagingService.sendAttachment(this._replyTo, name, type, binaryContent, thumbnailContent, callback);
+        return this._messagingService.sendAttachment(this._replyTo, name, type, binaryContent, thumbnailContent, callback);
+    }
+    
+    /**
+     * Send an attachment read from a stream to the user who created the original event (or to the group chat).
+     * 
+     * @param {string} name - The attachment's name, `null` means no name is provided.
+     * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
+     * @param {stream.Readable} source - The content that should be sent (binary data).
+     * @param {Object} [options] - The options of the upload, see [sendAttachmentStream()]{@link BotService#sendAttachmentStream}.
+     * @param {BotService~attachmentSentCallback} [callback] - Callback that is called after the attachment is sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    replyWithAttachmentStream(name, type, source, options, callback) {
+        return this._messagingService.sendAttachmentStream(this._replyTo, name, type, source, options, callback);
     }
     
     /**
      * Send a message. Message can be sent to any user or group chat.
      * 
      * @param {string} to - The recipient's username.
-     * @param {string} content - The content of the message. If any html tags are present, they need to be valid or escaped (see `escape` parameter).
+     * @param {string|FormattedText|OutgoingMessage} content - The content of the message. If any html tags are present, they need to be valid or escaped (see `escape` parameter).
      * @param {bool} [escape] - If true, content will be escaped to prevent "&", "<", and ">" from breaking the message.
-     * @param {BotService~sendMessageCallback} [callback] - The callback that handles the response.
+     * @param {BotService~sendMessageCallback} [callback] - The callback that handles the response. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     send(to, content, escape, callback) {
-        this._messagingService.send(to, content, escape, callback);
+        return this._messagingService.send(to, content, escape, callback);
     }
     
+    /**
+     * Send an attachment (media) to a user or group chat.
+     * 
+     * @param {string} to - The username or group id of recipient.
+     * @param {string} name - The attachment's name, `null` means no name is provided.
+     * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
+     * @param {Buffer|string} binaryContent - The content that should be sent (binary data) or the path of a file with it.
+     * @param {Buffer|string} [thumbnailContent] - The thumbnail for the sent content (binary data) or the path of a file with it, created by the `thumbnailGenerator` option of the messaging service if not provided and it is set.
+     * @param {BotService~attachmentSentCallback} [callback] - Callback that is called after the attachment is sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
     sendAttachment(to, name, type, binaryContent, thumbnailContent, callback) {
-        this._messagingService.sendAttachment(to, name, type, binaryContent, thumbnailContent, callback);
+        return this._messagingService.sendAttachment(to, name, type, binaryContent, thumbnailContent, callback);
     }
 }
 
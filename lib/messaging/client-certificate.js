@@ -0,0 +1,215 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.ClientCertificate');
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const forge = require('node-forge');
+const uuid = require('node-uuid');
+
+const AssertionType = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+function base64Url(binary) {
+    return forge.util.encode64(binary).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function parsePrivateKey(pem, passphrase) {
+    if (!passphrase) {
+        return forge.pki.privateKeyFromPem(pem);
+    }
+
+    let key;
+    try {
+        key = forge.pki.decryptRsaPrivateKey(pem, passphrase);
+    } catch (error) {
+        // a wrong passphrase can decrypt to garbage that forge fails to parse
+        key = null;
+    }
+    if (!key) {
+        throw new Error('Failed to decrypt the private key.');
+    }
+    return key;
+}
+
+function computeThumbprint(certificate) {
+    const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+    const md = forge.md.sha1.create();
+    md.update(der);
+    return md.digest().toHex();
+}
+
+/**
+ * Certificate credentials of an application for the OAuth client credentials grant.
+ *
+ * Instead of the application secret, the token request contains a client assertion, a JWT signed by the
+ * certificate's private key and identifying the certificate by its thumbprint. The certificate has to be
+ * registered for the application.
+ *
+ * If the key and certificate are loaded from files, the files are watched and reloaded when they change,
+ * so a renewed certificate is used without restarting the bot. A key that doesn't match the certificate
+ * isn't used until the other file is updated too.
+ *
+ * Emits `reload()` after the credentials were reloaded and `reloadFailed(error)` if the files can't be used.
+ */
+class ClientCertificate extends EventEmitter {
+    /**
+     * Create new certificate credentials.
+     *
+     * @param {Object} options - The configuration of the credentials.
+     * @param {string} [options.privateKey] - The private key in PEM format.
+     * @param {string} [options.privateKeyFile] - The path of the private key in PEM format, instead of `privateKey`.
+     * @param {string} [options.passphrase] - The passphrase of an encrypted private key.
+     * @param {string} [options.certificate] - The certificate in PEM format, used to compute the thumbprint.
+     * @param {string} [options.certificateFile] - The path of the certificate in PEM format, instead of `certificate`.
+     * @param {string} [options.thumbprint] - The SHA-1 thumbprint of the certificate in hex, instead of the certificate.
+     * @param {boolean} [options.watch=true] - False to not reload the files when they change.
+     * @param {number} [options.watchInterval=5000] - How often the files are checked for changes in milliseconds.
+     * @param {number} [options.assertionLifetime=600] - The lifetime of client assertions in seconds.
+     */
+    constructor(options) {
+        super();
+
+        if (typeof options === 'undefined' || options === null) {
+            throw new Error('options is null.');
+        }
+        if (!options.privateKey && !options.privateKeyFile) {
+            throw new Error('options.privateKey is missing in the options.');
+        }
+        if (!options.certificate && !options.certificateFile && !options.thumbprint) {
+            throw new Error('options.certificate is missing in the options.');
+        }
+
+        this._options = options;
+        this._assertionLifetime = options.assertionLifetime || 600;
+        this._watchedFiles = [];
+
+        const credentials = this._parse(
+            options.privateKey || fs.readFileSync(options.privateKeyFile, 'utf8'),
+            options.certificate || (options.certificateFile ? fs.readFileSync(options.certificateFile, 'utf8') : null));
+        this._privateKey = credentials.privateKey;
+        this._thumbprint = credentials.thumbprint;
+
+        if (options.watch !== false) {
+            [ options.privateKeyFile, options.certificateFile ].filter(file => file).forEach(file => this._watch(file));
+        }
+    }
+
+    /**
+     * The SHA-1 thumbprint of the certificate in hex.
+     * @type {string}
+     */
+    get thumbprint() {
+        return this._thumbprint;
+    }
+
+    /**
+     * Create a signed client assertion.
+     *
+     * @param {string} clientId - The application id, the issuer and subject of the assertion.
+     * @param {string} audience - The token endpoint.
+     * @returns {string} The assertion JWT.
+     */
+    createAssertion(clientId, audience) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64Url(JSON.stringify({
+            alg: 'RS256',
+            typ: 'JWT',
+            x5t: base64Url(forge.util.hexToBytes(this._thumbprint))
+        }));
+        const payload = base64Url(JSON.stringify({
+            aud: audience,
+            iss: clientId,
+            sub: clientId,
+            jti: uuid.v4(),
+            nbf: now,
+            exp: now + this._assertionLifetime
+        }));
+        const md = forge.md.sha256.create();
+        md.update(header + '.' + payload, 'utf8');
+        return header + '.' + payload + '.' + base64Url(this._privateKey.sign(md));
+    }
+
+    /**
+     * Get the form fields of the client credentials grant authenticating the application.
+     *
+     * @param {string} clientId - The application id.
+     * @param {string} audience - The token endpoint.
+     * @returns {Object}
+     */
+    getCredentials(clientId, audience) {
+        return {
+            client_assertion_type: AssertionType,
+            client_assertion: this.createAssertion(clientId, audience)
+        };
+    }
+
+    /**
+     * Stop watching the files.
+     */
+    close() {
+        this._watchedFiles.forEach(watched => fs.unwatchFile(watched.file, watched.listener));
+        this._watchedFiles = [];
+    }
+
+    _parse(privateKeyPem, certificatePem) {
+        const privateKey = parsePrivateKey(privateKeyPem, this._options.passphrase);
+        if (certificatePem === null) {
+            return { privateKey: privateKey, thumbprint: this._options.thumbprint.replace(/:/g, '').toLowerCase() };
+        }
+
+        const certificate = forge.pki.certificateFromPem(certificatePem);
+        if (!certificate.publicKey.n.equals(privateKey.n)) {
+            throw new Error('The private key doesn\'t match the certificate.');
+        }
+        return { privateKey: privateKey, thumbprint: computeThumbprint(certificate) };
+    }
+
+    _watch(file) {
+        const listener = (current, previous) => {
+            if (current.mtime.getTime() !== previous.mtime.getTime() || current.size !== previous.size) {
+                debug(`${file} changed, reloading the credentials.`);
+                this._reload();
+            }
+        };
+        fs.watchFile(file, { persistent: false, interval: this._options.watchInterval || 5000 }, listener);
+        this._watchedFiles.push({ file: file, listener: listener });
+    }
+
+    _reload() {
+        const options = this._options;
+        const read = (content, file, callback) => {
+            if (content || !file) {
+                return callback(null, content || null);
+            }
+            fs.readFile(file, 'utf8', callback);
+        };
+
+        read(options.privateKey, options.privateKeyFile, (error, privateKeyPem) => {
+            if (error) {
+                return this._reloadFailed(error);
+            }
+            read(options.certificate, options.certificateFile, (error, certificatePem) => {
+                if (error) {
+                    return this._reloadFailed(error);
+                }
+
+                let credentials;
+                try {
+                    credentials = this._parse(privateKeyPem, certificatePem);
+                } catch (error) {
+                    return this._reloadFailed(error);
+                }
+                this._privateKey = credentials.privateKey;
+                this._thumbprint = credentials.thumbprint;
+                debug(`Credentials reloaded, thumbprint ${this._thumbprint}.`);
+                this.emit('reload');
+            });
+        });
+    }
+
+    _reloadFailed(error) {
+        debug(`Reloading the credentials failed, keeping the current ones: ${error.message}`);
+        this.emit('reloadFailed', error);
+    }
+}
+
+module.exports = ClientCertificate;
@@ -0,0 +1,508 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.CommandRouter');
+
+const Bot = require('./bot');
+const decodeEntities = require('../utils/text-utils').decodeEntities;
+const eventTypes = require('./messaging-service-request-processor-v2').EventTypes;
+
+/**
+ * Where a command can be used.
+ */
+const CommandScope = {
+    Personal: 'personal',
+    Group: 'group',
+    Both: 'both'
+};
+
+/**
+ * Types of command arguments.
+ */
+const ArgumentType = {
+    String: 'string',
+    Number: 'number',
+    Integer: 'integer',
+    Boolean: 'boolean'
+};
+
+const GroupChatRegex = /@(p2p.)?thread.skype/;
+
+/**
+ * Error in the arguments of a command, reported back to the user together with the usage of the command.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Definition of a command argument.
+ *
+ * @typedef {Object} CommandRouter~ArgumentDefinition
+ *
+ * @property {string} name - The name of the argument, the key in the parsed arguments.
+ * @property {string} [type="string"] - ArgumentType; the type the value is converted to.
+ * @property {string} [description] - The description shown in help.
+ * @property {boolean} [required=false] - True if the argument must be provided.
+ * @property {*} [default] - The value used if the argument is not provided.
+ * @property {Array} [choices] - The allowed values.
+ * @property {boolean} [rest=false] - For the last positional argument, collects all the remaining words.
+ * @property {string} [alias] - For named arguments, a one letter alias used as `-x`.
+ */
+
+/**
+ * Definition of a command.
+ *
+ * @typedef {Object} CommandRouter~CommandDefinition
+ *
+ * @property {string} [description] - The description shown in help.
+ * @property {string[]} [aliases] - Other names of the command.
+ * @property {string} [scope="both"] - CommandScope; where the command can be used.
+ * @property {CommandRouter~ArgumentDefinition[]} [args] - Positional arguments in order.
+ * @property {CommandRouter~ArgumentDefinition[]} [options] - Named arguments used as `--name value`, `--name=value`
+ *      or for booleans `--name` and `--no-name`.
+ */
+
+/**
+ * Handler of a command.
+ *
+ * @callback CommandRouter~commandHandler
+ *
+ * @param {Bot} bot - The bot for replying.
+ * @param {Object} args - The parsed arguments by their names.
+ * @param {Message} message - The received message.
+ */
+
+/**
+ * Router of text commands.
+ *
+ * Commands are declared by name with typed positional and named arguments. Arguments are split on
+ * whitespace, double or single quotes group words into one argument and a backslash escapes the next
+ * character. Named arguments can be anywhere after the command name, `--` ends them so that the following
+ * words are positional even if they start with a dash. The @mention of the bot that group chats prepend to messages is removed before parsing.
+ * If the arguments don't match the declaration, the usage of the command is sent back to the user.
+ *
+ * A "help" command listing the available commands is generated automatically.
+ *
+ * Example:
+ * ```javascript
+ * const router = new skype.CommandRouter();
+ * router.command('weather', {
+ *     description: 'Show the weather forecast.',
+ *     aliases: [ 'w' ],
+ *     args: [ { name: 'city', required: true, rest: true } ],
+ *     options: [ { name: 'days', alias: 'd', type: 'integer', default: 1 } ]
+ * }, (bot, args) => {
+ *     bot.reply(`Weather in ${args.city} for ${args.days} days...`);
+ * });
+ * router.attach(botService);
+ * ```
+ *
+ * The router runs as incoming middleware, messages that are handled as commands are not emitted
+ * as [personalMessage]{@link BotService#event:personalMessage} or [groupMessage]{@link BotService#event:groupMessage}.
+ */
+class CommandRouter {
+    /**
+     * Create a new router.
+     *
+     * @param {Object} [options] - The configuration of the router.
+     * @param {string} [options.prefix=""] - The prefix of commands, e.g. "/".
+     * @param {string|boolean} [options.helpCommand="help"] - The name of the generated help command, `false` to disable it.
+     * @param {string} [options.botId] - The bot's id, used to strip the @mention. Set automatically by [attach()]{@link CommandRouter#attach}.
+     * @param {boolean} [options.caseSensitive=false] - True if command names are case sensitive.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this._prefix = options.prefix || '';
+        this._botId = options.botId || null;
+        this._caseSensitive = !!options.caseSensitive;
+        this._commands = [];
+        this._names = new Map();
+
+        const helpCommand = typeof options.helpCommand === 'undefined' ? 'help' : options.helpCommand;
+        if (helpCommand) {
+            this.command(helpCommand, {
+                description: 'Show the available commands or the usage of a command.',
+                args: [ { name: 'command', description: 'The command to describe.' } ]
+            }, (bot, args, message) => this._help(bot, args, message));
+        }
+    }
+
+    /**
+     * Declare a command.
+     *
+     * @param {string} name - The name of the command.
+     * @param {CommandRouter~CommandDefinition} [definition] - The declaration of the command.
+     * @param {CommandRouter~commandHandler} handler - The handler, can also be an `async` function.
+     * @returns {CommandRouter} The router for chaining.
+     *
+     * @throws Error if the name or an alias is already used or the definition is invalid.
+     */
+    command(name, definition, handler) {
+        if (typeof definition === 'function') {
+            handler = definition;
+            definition = {};
+        }
+        definition = definition || {};
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler of command ${name} must be a function.`);
+        }
+        const scope = definition.scope || CommandScope.Both;
+        if (!isValueOf(scope, CommandScope)) {
+            throw new Error(`Invalid scope ${scope} of command ${name}.`);
+        }
+
+        const command = {
+            name: name,
+            description: definition.description || '',
+            aliases: definition.aliases || [],
+            scope: scope,
+            args: (definition.args || []).map(arg => normalizeArgument(name, arg)),
+            options: (definition.options || []).map(arg => normalizeArgument(name, arg)),
+            handler: handler
+        };
+        command.args.forEach((arg, index) => {
+            if (arg.rest && index !== command.args.length - 1) {
+                throw new Error(`Only the last argument of command ${name} can collect the rest.`);
+            }
+        });
+
+        [name].concat(command.aliases).forEach(commandName => {
+            const key = this._key(commandName);
+            if (this._names.has(key)) {
+                throw new Error(`Command ${commandName} is already registered.`);
+            }
+            this._names.set(key, command);
+        });
+        this._commands.push(command);
+        return this;
+    }
+
+    /**
+     * Register the router as incoming middleware of the messaging service.
+     *
+     * @param {BotService|MessagingService} service - The service the commands should be handled for.
+     *
+     * @throws Error if messaging is not configured.
+     */
+    attach(service) {
+        const messagingService = typeof service.messagingBotService === 'undefined' ? service : service.messagingBotService;
+        if (!messagingService) {
+            throw new Error('Messaging not configured.');
+        }
+        if (this._botId === null) {
+            this._botId = messagingService.botId;
+        }
+        messagingService.use((context, next) => this._handle(messagingService, context, next));
+    }
+
+    /**
+     * Find the command of a message and parse its arguments.
+     *
+     * @param {string} content - The content of the message.
+     * @param {boolean} [isGroup=false] - True if the message was received in a group chat.
+     * @returns {Object} `null` if the message isn't a command, otherwise `{ command, args, error }`
+     *      where `error` is the {@link UsageError} if the arguments are invalid.
+     */
+    match(content, isGroup) {
+        return this._matchText(this._stripMention(decodeEntities(content || '')).trim(), isGroup);
+    }
+
+    /**
+     * Get the usage of a command.
+     *
+     * @param {string} name - The name or an alias of the command.
+     * @returns {string} The usage or `null` if there is no such command.
+     */
+    usage(name) {
+        const command = this._names.get(this._key(name));
+        if (!command) return null;
+
+        const parts = [ this._prefix + command.name ];
+        command.args.forEach(arg => {
+            const label = arg.name + (arg.rest ? '...' : '');
+            parts.push(arg.required ? `<${label}>` : `[${label}]`);
+        });
+        command.options.forEach(option => {
+            const value = option.type === ArgumentType.Boolean ? '' : ` <${option.type}>`;
+            const label = `--${option.name}${value}`;
+            parts.push(option.required ? label : `[${label}]`);
+        });
+        return parts.join(' ');
+    }
+
+    // the text is without markup, quoted messages and the mention of the bot
+    _matchText(text, isGroup) {
+        if (!text.startsWith(this._prefix)) return null;
+
+        let tokens;
+        try {
+            tokens = tokenize(text.substr(this._prefix.length));
+        } catch (error) {
+            const first = text.substr(this._prefix.length).split(/\s+/)[0];
+            const command = this._find(first, isGroup);
+            return command ? { command: command, args: null, error: error } : null;
+        }
+        if (tokens.length === 0) return null;
+
+        const command = this._find(tokens[0], isGroup);
+        if (!command) return null;
+
+        try {
+            return { command: command, args: parseArguments(command, tokens.slice(1)), error: null };
+        } catch (error) {
+            if (!(error instanceof UsageError)) throw error;
+            return { command: command, args: null, error: error };
+        }
+    }
+
+    _handle(messagingService, context, next) {
+        if (context.type !== eventTypes.Message) {
+            return next();
+        }
+        const isGroup = GroupChatRegex.test(context.event.to);
+        const match = typeof context.event.text === 'string'
+            ? this._matchText(context.event.text, isGroup)
+            : this.match(context.event.content, isGroup);
+        if (match === null) {
+            return next();
+        }
+
+        const bot = new Bot(isGroup ? context.event.to : context.event.from, messagingService, context);
+        return this._run(match, bot, context, next);
+    }
+
+    // resolved once the command finishes, so the event is known to be handled
+    _run(match, bot, context, next) {
+        if (match.error) {
+            debug(`Invalid usage of command ${match.command.name}: ${match.error.message}`);
+            return bot.reply(`${match.error.message}\nUsage: ${this.usage(match.command.name)}`, true)
+                .then(null, error => next(error));
+        }
+
+        debug(`Running command ${match.command.name}`);
+        let result;
+        try {
+            result = match.command.handler(bot, match.args, context.event);
+        } catch (error) {
+            return next(error);
+        }
+        return Promise.resolve(result)
+            .then(null, error => next(error || new Error(`Command ${match.command.name} failed.`)));
+    }
+
+    _help(bot, args, message) {
+        const isGroup = GroupChatRegex.test(message.to);
+        if (args.command) {
+            const command = this._find(args.command, isGroup);
+            if (!command) {
+                return bot.reply(`Unknown command ${args.command}.`, true);
+            }
+            const lines = [ `Usage: ${this.usage(command.name)}` ];
+            if (command.description) lines.push(command.description);
+            if (command.aliases.length > 0) lines.push(`Aliases: ${command.aliases.join(', ')}`);
+            command.args.concat(command.options).forEach(arg => {
+                let line = `  ${command.options.indexOf(arg) === -1 ? arg.name : '--' + arg.name}`;
+                if (arg.alias) line += `, -${arg.alias}`;
+                if (arg.description) line += ` - ${arg.description}`;
+                if (arg.choices) line += ` (${arg.choices.join(', ')})`;
+                if (typeof arg.default !== 'undefined') line += ` [default: ${arg.default}]`;
+                lines.push(line);
+            });
+            return bot.reply(lines.join('\n'), true);
+        }
+
+        const lines = [ 'Available commands:' ];
+        this._commands
+            .filter(command => isInScope(command, isGroup))
+            .forEach(command => {
+                lines.push(`  ${this._prefix}${command.name}${command.description ? ' - ' + command.description : ''}`);
+            });
+        return bot.reply(lines.join('\n'), true);
+    }
+
+    _find(name, isGroup) {
+        const command = this._names.get(this._key(name));
+        return command && isInScope(command, isGroup) ? command : null;
+    }
+
+    _stripMention(content) {
+        const mention = /^\s*<at\s+id="([^"]*)"[^>]*>.*?<\/at>\s*/i.exec(content);
+        if (mention && (this._botId === null || mention[1] === this._botId || mention[1] === this._botId.replace(/^28:/, ''))) {
+            return content.substr(mention[0].length);
+        }
+        return content;
+    }
+
+    _key(name) {
+        return this._caseSensitive ? name : name.toLowerCase();
+    }
+}
+
+function isValueOf(value, enumeration) {
+    return Object.keys(enumeration).some(key => enumeration[key] === value);
+}
+
+function isInScope(command, isGroup) {
+    return command.scope === CommandScope.Both || command.scope === (isGroup ? CommandScope.Group : CommandScope.Personal);
+}
+
+function normalizeArgument(commandName, arg) {
+    if (typeof arg === 'string') {
+        arg = { name: arg };
+    }
+    if (!arg.name) {
+        throw new Error(`Argument of command ${commandName} has no name.`);
+    }
+    const type = arg.type || ArgumentType.String;
+    if (!isValueOf(type, ArgumentType)) {
+        throw new Error(`Invalid type ${type} of argument ${arg.name} of command ${commandName}.`);
+    }
+    return Object.assign({}, arg, { type: type });
+}
+
+/**
+ * Split the text to words, honoring quotes and backslash escapes.
+ *
+ * @ignore
+ */
+function tokenize(text) {
+    const tokens = [];
+    let current = null;
+    let quote = null;
+
+    for (let i = 0; i < text.length; ++i) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+            current = (current || '') + text[++i];
+        } else if (quote !== null) {
+            if (c === quote) {
+                quote = null;
+            } else {
+                current += c;
+            }
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+            current = current || '';
+        } else if (/\s/.test(c)) {
+            if (current !== null) tokens.push(current);
+            current = null;
+        } else {
+            current = (current || '') + c;
+        }
+    }
+    if (quote !== null) {
+        throw new UsageError(`Missing closing quote ${quote}.`);
+    }
+    if (current !== null) tokens.push(current);
+    return tokens;
+}
+
+function convertValue(arg, value) {
+    let converted = value;
+    switch (arg.type) {
+    case ArgumentType.Number:
+        converted = Number(value);
+        if (value === '' || isNaN(converted)) {
+            throw new UsageError(`Argument ${arg.name} must be a number, got "${value}".`);
+        }
+        break;
+    case ArgumentType.Integer:
+        if (!/^[-+]?\d+$/.test(value)) {
+            throw new UsageError(`Argument ${arg.name} must be an integer, got "${value}".`);
+        }
+        converted = parseInt(value, 10);
+        break;
+    case ArgumentType.Boolean:
+        if (/^(true|yes|on|1)$/i.test(value)) {
+            converted = true;
+        } else if (/^(false|no|off|0)$/i.test(value)) {
+            converted = false;
+        } else {
+            throw new UsageError(`Argument ${arg.name} must be yes or no, got "${value}".`);
+        }
+        break;
+    }
+    if (arg.choices && arg.choices.indexOf(converted) === -1) {
+        throw new UsageError(`Argument ${arg.name} must be one of ${arg.choices.join(', ')}, got "${value}".`);
+    }
+    return converted;
+}
+
+/**
+ * Parse the words following the command name.
+ *
+ * @ignore
+ */
+function parseArguments(command, tokens) {
+    const args = {};
+    const positional = [];
+    const restIndex = command.args.findIndex(arg => arg.rest);
+    let optionsEnded = false;
+
+    for (let i = 0; i < tokens.length; ++i) {
+        const token = tokens[i];
+        const named = /^--([^=]+)(=(.*))?$/.exec(token) || /^-([a-zA-Z])$/.exec(token);
+        if (token === '--' && !optionsEnded) {
+            optionsEnded = true;
+            continue;
+        }
+        if (!named || optionsEnded) {
+            positional.push(token);
+            continue;
+        }
+
+        let name = named[1];
+        let option = token.startsWith('--') ?
+            command.options.find(item => item.name === name) :
+            command.options.find(item => item.alias === name);
+        let value = named[3];
+
+        if (!option && token.startsWith('--no-')) {
+            option = command.options.find(item => item.name === name.substr(3) && item.type === ArgumentType.Boolean);
+            if (option) value = 'false';
+        }
+        if (!option) {
+            throw new UsageError(`Unknown option ${token}.`);
+        }
+
+        if (typeof value === 'undefined') {
+            if (option.type === ArgumentType.Boolean) {
+                value = 'true';
+            } else if (i + 1 < tokens.length) {
+                value = tokens[++i];
+            } else {
+                throw new UsageError(`Option --${option.name} needs a value.`);
+            }
+        }
+        args[option.name] = convertValue(option, value);
+    }
+
+    command.args.forEach((arg, index) => {
+        if (arg.rest) {
+            const rest = positional.slice(index);
+            if (rest.length > 0) args[arg.name] = convertValue(arg, rest.join(' '));
+        } else if (index < positional.length) {
+            args[arg.name] = convertValue(arg, positional[index]);
+        }
+    });
+    if (positional.length > command.args.length && restIndex === -1) {
+        throw new UsageError(`Too many arguments.`);
+    }
+
+    command.args.concat(command.options).forEach(arg => {
+        if (typeof args[arg.name] !== 'undefined') return;
+        if (arg.required) {
+            throw new UsageError(`Missing argument ${arg.name}.`);
+        }
+        args[arg.name] = typeof arg.default !== 'undefined' ? arg.default :
+            arg.type === ArgumentType.Boolean && command.options.indexOf(arg) !== -1 ? false : null;
+    });
+
+    return args;
+}
+
+module.exports = { CommandRouter, CommandScope, ArgumentType, UsageError };
@@ -0,0 +1,90 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.DuplicateDetector');
+const crypto = require('crypto');
+
+const MemoryStorage = require('../state/memory-storage');
+const ConcurrencyError = require('../state/errors').ConcurrencyError;
+const promiseUtils = require('../utils/promise-utils');
+
+/**
+ * Detector of redelivered activities.
+ *
+ * The messaging service redelivers webhooks that were not acknowledged in time, so the same activity
+ * can be received more than once. The detector records the ids of received activities for a limited time
+ * and reports the ones it has already seen.
+ *
+ * The ids are kept in a state storage, by default in a bounded {@link MemoryStorage}. Bots running
+ * in more processes should share a {@link RedisStorage}. Each id is written only if it doesn't exist yet,
+ * so concurrent deliveries of the same activity are detected too.
+ */
+class DuplicateDetector {
+    /**
+     * Create a new detector.
+     *
+     * @param {Object} [options] - The configuration of the detector.
+     * @param {Object} [options.storage] - The storage of the ids, a new {@link MemoryStorage} by default.
+     * @param {number} [options.ttl=900000] - How long ids are remembered in milliseconds.
+     * @param {number} [options.maxItems=10000] - The maximum number of ids kept by the default storage.
+     * @param {string} [options.keyPrefix="activity:"] - The prefix of the keys in the storage.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this._storage = options.storage || new MemoryStorage({ maxItems: options.maxItems || 10000 });
+        this._ttl = options.ttl || 15 * 60 * 1000;
+        this._keyPrefix = typeof options.keyPrefix === 'string' ? options.keyPrefix : 'activity:';
+    }
+
+    /**
+     * Record an activity id and check if it was already recorded.
+     *
+     * @param {string} id - The id of the activity.
+     * @param {Function} [callback] - Called with `(error, duplicate)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    check(id, callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const key = this._keyPrefix + id;
+            this._storage.write(key, { receivedAt: Date.now() }, { etag: null, ttl: this._ttl }, error => {
+                if (error instanceof ConcurrencyError) {
+                    debug(`Activity ${id} was already received.`);
+                    return done(null, true);
+                }
+                done(error || null, false);
+            });
+        });
+    }
+
+    /**
+     * Forget an activity id, e.g. when processing of the activity failed and it should be processed again.
+     *
+     * @param {string} id - The id of the activity.
+     * @param {Function} [callback] - Called with `(error)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    forget(id, callback) {
+        return promiseUtils.callbackOrPromise(callback, done => this._storage.delete(this._keyPrefix + id, done));
+    }
+
+    /**
+     * Get the id of a received activity.
+     *
+     * Activities without an id, e.g. conversation updates, are identified by a hash of their content,
+     * since a redelivered activity is the same.
+     *
+     * @param {Object} activity - The activity as received from the messaging service.
+     * @returns {string}
+     */
+    static getActivityId(activity) {
+        if (activity.id != null) {
+            return `${activity.activity || activity.type}:${activity.id}`;
+        }
+        if (activity.messageId != null) {
+            return `${activity.type}:${activity.messageId}`;
+        }
+        return 'hash:' + crypto.createHash('sha1').update(JSON.stringify(activity)).digest('hex');
+    }
+}
+
+module.exports = DuplicateDetector;
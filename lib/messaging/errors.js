@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Error returned when messaging service responds with an unexpected status code.
+ *
+ * @property {number} statusCode - The HTTP status code of the response.
+ * @property {string} statusMessage - The HTTP status message of the response.
+ * @property {string|Buffer} body - The body of the response.
+ * @property {Object} headers - The headers of the response.
+ */
+class MessagingServiceError extends Error {
+    /**
+     * Create a new error from a response.
+     *
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} statusMessage - The HTTP status message.
+     * @param {string|Buffer} body - The body of the response.
+     * @param {Object} [headers] - The headers of the response.
+     */
+    constructor(statusCode, statusMessage, body, headers) {
+        super(`Received unexpected response ${statusCode} from Messaging Service: ${statusMessage}.`);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.statusMessage = statusMessage;
+        this.body = body;
+        this.headers = headers || {};
+    }
+}
+
+/**
+ * Error returned when the request was not authorized (401 or 403).
+ */
+class AuthenticationError extends MessagingServiceError {}
+
+/**
+ * Error returned when the conversation or attachment doesn't exist (404).
+ */
+class NotFoundError extends MessagingServiceError {}
+
+/**
+ * Error returned when the bot is sending too many requests (429).
+ *
+ * @property {number} retryAfter - Delay in milliseconds requested by the service in the Retry-After header, `null` if not present.
+ */
+class ThrottledError extends MessagingServiceError {
+    constructor(statusCode, statusMessage, body, headers) {
+        super(statusCode, statusMessage, body, headers);
+        this.retryAfter = parseRetryAfter(this.headers['retry-after']);
+    }
+}
+
+/**
+ * Error returned when messaging service fails to process the request (5xx).
+ *
+ * @property {number} retryAfter - Delay in milliseconds requested by the service in the Retry-After header, `null` if not present.
+ */
+class ServerError extends MessagingServiceError {
+    constructor(statusCode, statusMessage, body, headers) {
+        super(statusCode, statusMessage, body, headers);
+        this.retryAfter = parseRetryAfter(this.headers['retry-after']);
+    }
+}
+
+/**
+ * Error of a webhook request that isn't a valid message from messaging service.
+ */
+class InvalidRequestError extends Error {
+    /**
+     * @param {string} message - The description of the problem.
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Parse the value of Retry-After header.
+ *
+ * @param {string} value - Either number of seconds or HTTP date.
+ * @returns {number} The delay in milliseconds or `null` if the value is missing or invalid.
+ *
+ * @ignore
+ */
+function parseRetryAfter(value) {
+    if (value == null || value === '') return null;
+
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    if (isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Create the error matching the status code of a response.
+ *
+ * @param {http.IncomingMessage} res - The response.
+ * @param {string|Buffer} body - The body of the response.
+ * @returns {MessagingServiceError}
+ *
+ * @ignore
+ */
+function fromResponse(res, body) {
+    let ErrorClass = MessagingServiceError;
+    if (res.statusCode === 401 || res.statusCode === 403) {
+        ErrorClass = AuthenticationError;
+    } else if (res.statusCode === 404) {
+        ErrorClass = NotFoundError;
+    } else if (res.statusCode === 429) {
+        ErrorClass = ThrottledError;
+    } else if (res.statusCode >= 500) {
+        ErrorClass = ServerError;
+    }
+    return new ErrorClass(res.statusCode, res.statusMessage, body, res.headers);
+}
+
+module.exports = {
+    MessagingServiceError,
+    AuthenticationError,
+    NotFoundError,
+    ThrottledError,
+    ServerError,
+    InvalidRequestError,
+    fromResponse
+};
@@ -1,6 +1,9 @@
 'use strict';
 
 const Event = require('./event');
+const richText = require('../rich-text');
+
+const NodeType = richText.RichTextNodeType;
 
 /**
  * The received message event.
@@ -14,6 +17,15 @@ const Event = require('./event');
  * @property {string} contentType -The content's type as defined by messaging service ("RichText"). 
  * @property {number} eventTime - The event sent timestamp.
  * @property {string} type - The event's type as defined by Messaging Service ("Message").
+ * @property {string} plainText - The content without markup and without quoted messages.
+ * @property {string} text - The plain text without mentions of the bot, trimmed. Commands are matched against it.
+ * @property {Object[]} mentions - The mentioned users, each is `{ id, name }`.
+ * @property {bool} botMentioned - True if the bot is mentioned in the message.
+ * @property {Object[]} quotes - The quoted messages, each is `{ messageId, author, authorName, timestamp, conversation, text }`,
+ *      the timestamp is in milliseconds.
+ * @property {Object[]} links - The links, each is `{ url, text }`.
+ * @property {Object[]} emoticons - The emoticons, each is `{ type, text }`.
+ * @property {RichTextNode} tree - The parsed content, see [parseRichText()]{@link parseRichText}.
  */
 class Message extends Event {
     /**
@@ -27,8 +39,9 @@ class Message extends Event {
      * @param {string} options.contentType -The content's type as defined by messaging service ("RichText"). 
      * @param {number} options.eventTime - The event sent timestamp.
      * @param {string} options.type - The event's type as defined by messaging service ("Message").
+     * @param {string} [botId] - The id of the bot, used to find mentions of the bot.
      */
-    constructor(event) {
+    constructor(event, botId) {
         super(event);
         
         if (typeof event.content === 'undefined' || event.content === null)
@@ -44,7 +57,108 @@ class Message extends Event {
         this.contentType = event.contentType;
         this.messageId = event.messageId;
         this.eventTime = event.eventTime;
-    } 
+
+        this._botId = botId || null;
+        this._parsed = null;
+    }
+
+    get tree() {
+        return this._parse().tree;
+    }
+
+    get plainText() {
+        return this._parse().plainText;
+    }
+
+    get text() {
+        return this._parse().text;
+    }
+
+    get mentions() {
+        return this._parse().mentions;
+    }
+
+    get botMentioned() {
+        return this._parse().botMentioned;
+    }
+
+    get quotes() {
+        return this._parse().quotes;
+    }
+
+    get links() {
+        return this._parse().links;
+    }
+
+    get emoticons() {
+        return this._parse().emoticons;
+    }
+
+    // the content is parsed only when a parsed field is used, not for every received message
+    _parse() {
+        if (this._parsed !== null) {
+            return this._parsed;
+        }
+
+        const parsed = richText.parseRichText(this.content);
+        const fields = { mentions: [], quotes: [], links: [], emoticons: [] };
+        collectFields(parsed.tree, fields);
+        const isBot = id => this._botId !== null && stripPrefix(id) === stripPrefix(this._botId);
+
+        this._parsed = {
+            tree: parsed.tree,
+            plainText: parsed.plainText,
+            text: textWithoutNodes(parsed.tree, node => node.type === NodeType.Mention && isBot(node.attributes.id)).trim(),
+            mentions: fields.mentions,
+            botMentioned: fields.mentions.some(mention => isBot(mention.id)),
+            quotes: fields.quotes,
+            links: fields.links,
+            emoticons: fields.emoticons
+        };
+        return this._parsed;
+    }
+}
+
+function stripPrefix(id) {
+    return String(id).replace(/^\d+:/, '');
+}
+
+function collectFields(node, fields) {
+    switch (node.type) {
+    case NodeType.Mention:
+        fields.mentions.push({ id: node.attributes.id || null, name: richText.plainText(node) });
+        return;
+    case NodeType.Link:
+        fields.links.push({ url: node.attributes.href || null, text: richText.plainText(node) });
+        return;
+    case NodeType.Emoticon:
+        fields.emoticons.push({ type: node.attributes.type || null, text: richText.plainText(node) });
+        return;
+    case NodeType.Quote: {
+        // mentions and links inside of a quote are not made by the sender
+        const timestamp = parseInt(node.attributes.timestamp, 10);
+        fields.quotes.push({
+            messageId: node.attributes.messageid || null,
+            author: node.attributes.author || null,
+            authorName: node.attributes.authorname || null,
+            timestamp: isNaN(timestamp) ? null : timestamp * 1000,
+            conversation: node.attributes.conversation || null,
+            text: node.children.map(richText.plainText).join('')
+        });
+        return;
+    }
+    case NodeType.Text:
+        return;
+    default:
+        node.children.forEach(child => collectFields(child, fields));
+    }
+}
+
+function textWithoutNodes(node, skip) {
+    if (skip(node)) return '';
+    if (node.type === NodeType.Text) return node.text;
+    if (node.type === NodeType.Quote || node.tag === 'legacyquote') return '';
+    return node.children.map(child => textWithoutNodes(child, skip)).join('');
 }
 
 module.exports = Message;
\ No newline at end of file
@@ -0,0 +1,70 @@
+'use strict';
+
+const format = require('./text-format');
+const Enums = require('./model/v2/enums');
+
+function renderAction(action, index) {
+    const prefix = typeof index === 'number' ? `${index + 1}. ` : '';
+    switch (action.type) {
+    case Enums.CardActionType.OpenUrl:
+        return format.text`${prefix}${action.title}: ${format.link(action.value)}`;
+    case Enums.CardActionType.Call:
+        return format.text`${prefix}${action.title}: ${action.value.replace(/^tel:/, '')}`;
+    case Enums.CardActionType.ImBack:
+        return format.text`${prefix}${action.title} (reply "${action.value}")`;
+    default:
+        // the data of postBack can't be sent as text, the bot gets the title instead
+        return format.text`${prefix}${action.title} (reply "${action.title}")`;
+    }
+}
+
+function renderCard(card) {
+    const lines = [];
+    if (card.title) lines.push(format.bold(card.title));
+    if (card.subtitle) lines.push(format.italic(card.subtitle));
+    if (card.text) lines.push(card.text);
+    (card.images || []).forEach(image => {
+        lines.push(/^https?:/i.test(image.url) ? format.link(image.url, image.alt || image.url) : image.alt || image.url);
+    });
+    (card.buttons || []).forEach((button, index) => lines.push(renderAction(button, index)));
+    if (card.tap && (!card.buttons || card.buttons.length === 0)) lines.push(renderAction(card.tap));
+    return lines;
+}
+
+/**
+ * Render a message with cards and suggested actions as text for clients that can't display them.
+ *
+ * Cards are rendered as their title, subtitle, text, links to the images and a numbered list of buttons,
+ * suggested actions as a list of the replies. Buttons sending data to the bot (postBack) are rendered
+ * as replies with their titles, since a text client can't send the data.
+ *
+ * @param {OutgoingMessage} message - The message.
+ * @returns {string} The content of a text message, the markup is escaped.
+ */
+function renderFallback(message) {
+    const blocks = [];
+    if (message.content) {
+        blocks.push(message.content);
+    }
+    (message.attachments || []).forEach(card => {
+        blocks.push(format.concat.apply(null, joinLines(renderCard(card))).markup);
+    });
+    if (message.suggestedActions && message.suggestedActions.actions) {
+        const replies = message.suggestedActions.actions
+            .map(action => format.escape(action.type === Enums.CardActionType.ImBack ? action.value : action.title))
+            .join(' | ');
+        blocks.push(`Reply with: ${replies}`);
+    }
+    return blocks.join('\n\n');
+}
+
+function joinLines(lines) {
+    const parts = [];
+    lines.forEach((line, index) => {
+        if (index > 0) parts.push('\n');
+        parts.push(line);
+    });
+    return parts;
+}
+
+module.exports = { renderFallback };
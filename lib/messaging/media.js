@@ -0,0 +1,121 @@
+'use strict';
+
+const Enums = require('./model/v2/enums');
+const Limits = require('./model/v2/limits');
+
+const SupportedFormats = {
+    [Enums.AttachmentType.Image]: [ Enums.MediaFormat.Png, Enums.MediaFormat.Jpeg, Enums.MediaFormat.Gif ],
+    [Enums.AttachmentType.Video]: [ Enums.MediaFormat.Mp4 ]
+};
+
+/**
+ * Format of media content detected from its header.
+ *
+ * @typedef {Object} MediaInfo
+ *
+ * @property {string} format - The format, see MediaFormat, e.g. "png".
+ * @property {string} mimeType - The MIME type, e.g. "image/png".
+ * @property {number} [width] - The width of an image in pixels, `null` if it can't be read from the header.
+ * @property {number} [height] - The height of an image in pixels, `null` if it can't be read from the header.
+ */
+
+function startsWith(content, bytes, offset) {
+    offset = offset || 0;
+    if (content.length < offset + bytes.length) return false;
+    return bytes.every((byte, index) => content[offset + index] === byte);
+}
+
+function detectJpegSize(content) {
+    // walk the segments to the start of frame, it has the dimensions
+    let offset = 2;
+    while (offset + 9 <= content.length) {
+        if (content[offset] !== 0xFF) return null;
+        const marker = content[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return { height: content.readUInt16BE(offset + 5), width: content.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + content.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Detect the format of media content from its magic bytes, and the dimensions of images.
+ *
+ * @param {Buffer} content - The content, at least its header.
+ * @returns {MediaInfo} The format, `null` if the format isn't supported by Skype.
+ */
+function detectMedia(content) {
+    if (startsWith(content, [ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ])) {
+        const hasHeader = content.length >= 24;
+        return {
+            format: Enums.MediaFormat.Png,
+            mimeType: 'image/png',
+            width: hasHeader ? content.readUInt32BE(16) : null,
+            height: hasHeader ? content.readUInt32BE(20) : null
+        };
+    }
+    if (startsWith(content, [ 0x47, 0x49, 0x46, 0x38 ]) && (content[4] === 0x37 || content[4] === 0x39) && content[5] === 0x61) {
+        const hasHeader = content.length >= 10;
+        return {
+            format: Enums.MediaFormat.Gif,
+            mimeType: 'image/gif',
+            width: hasHeader ? content.readUInt16LE(6) : null,
+            height: hasHeader ? content.readUInt16LE(8) : null
+        };
+    }
+    if (startsWith(content, [ 0xFF, 0xD8, 0xFF ])) {
+        const size = detectJpegSize(content) || { width: null, height: null };
+        return { format: Enums.MediaFormat.Jpeg, mimeType: 'image/jpeg', width: size.width, height: size.height };
+    }
+    if (startsWith(content, [ 0x66, 0x74, 0x79, 0x70 ], 4)) {
+        return { format: Enums.MediaFormat.Mp4, mimeType: 'video/mp4', width: null, height: null };
+    }
+    return null;
+}
+
+/**
+ * Check that an attachment has a format supported by Skype.
+ *
+ * Images must be PNG, JPEG or GIF with resolution up to 2000x2000, videos must be MP4 and their
+ * thumbnails JPEG.
+ *
+ * @param {string} type - The attachment's type, 'Image' or 'Video'.
+ * @param {Buffer} content - The content of the attachment.
+ * @param {Buffer} [thumbnail] - The thumbnail of the attachment.
+ * @returns {string[]} The validation errors.
+ */
+function validateMedia(type, content, thumbnail) {
+    const errors = [];
+    const supported = SupportedFormats[type];
+    if (!supported) {
+        return errors;
+    }
+
+    const media = detectMedia(content);
+    if (media === null || supported.indexOf(media.format) === -1) {
+        errors.push(`Attachment content of type ${type} must be ${supported.join(', ')}, got ${media === null ? 'an unknown format' : media.format}`);
+    } else if (media.width > Limits.ImageResolution.Max || media.height > Limits.ImageResolution.Max) {
+        errors.push(`Image resolution ${media.width}x${media.height} exceeds maximum resolution of ${Limits.ImageResolution.Max}x${Limits.ImageResolution.Max}`);
+    }
+
+    if (thumbnail != null) {
+        const thumbnailMedia = detectMedia(thumbnail);
+        const thumbnailFormats = type === Enums.AttachmentType.Video ? [ Enums.MediaFormat.Jpeg ] : SupportedFormats[Enums.AttachmentType.Image];
+        if (thumbnailMedia === null || thumbnailFormats.indexOf(thumbnailMedia.format) === -1) {
+            errors.push(`Attachment thumbnail of type ${type} must be ${thumbnailFormats.join(', ')}, got ${thumbnailMedia === null ? 'an unknown format' : thumbnailMedia.format}`);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { detectMedia, validateMedia };
@@ -4,11 +4,17 @@ const debug = require('debug')('skype-sdk.MessagingServiceClientV2');
 const request = require('request');
 const util = require('util');
 const async = require('async');
+const stream = require('stream');
 
 const TokenService = require('./auth-service');
 const activities = require('./model/v2/activity-outgoing');
 const attachment = require('./model/v2/attachment');
+const Enums = require('./model/v2/enums');
 const Limits = require('./model/v2/limits');
+const ModelValidation = require('./model/model-validation');
+const messagingErrors = require('./errors');
+const RetryPolicy = require('./retry-policy');
+const streamUtils = require('../utils/stream-utils');
 
 const ActivitiesBaseUrlFmt = '/v2/conversations/%s/activities';
 const ConversationAttachmentsBaseUrlFmt = '/v2/conversations/%s/attachments';
@@ -27,9 +33,19 @@ class MessagingServiceClientV2
      * @param {string} options.botId - The bot's id.
      * @param {string} options.serverUrl - The messaging service endpoint.
      * @param {string} options.appId - The bot's application id for OAuth.
-     * @param {string} options.appSecret - The bot's application secret for OAuth.
+     * @param {string} options.appSecret - The bot's application secret for OAuth, not needed with `options.appCertificate`.
+     * @param {Object|ClientCertificate} [options.appCertificate] - The bot's application certificate for OAuth, the
+     *      {@link ClientCertificate} or its options.
      * @param {number} [options.requestTimeout] - The https request timeout in milliseconds.
+     * @param {string} [options.oauthUrl] - The OAuth token endpoint, Microsoft login service by default.
+     * @param {string} [options.oauthScope] - The scope of requested OAuth tokens.
+     * @param {Object} [options.tokenCache] - The state storage caching OAuth tokens, e.g. a {@link RedisStorage} shared by
+     *      the bot's processes, see {@link TokenProvider}.
+     * @param {Function} [options.tokenLock] - The lock of token renewals across processes, see {@link TokenProvider}.
+     * @param {AuthService} [options.tokenProvider] - The provider of OAuth tokens to use instead of creating one,
+     *      e.g. to listen to its events.
      * @param {boolean} [options.enableRequestDebugging] - True if debugging information from submitting the request shall be printed out.
+     * @param {Object|RetryPolicy} [options.retry] - The retry policy or its options, see {@link RetryPolicy}.
      */
     constructor(options)
     {
@@ -38,8 +54,15 @@ class MessagingServiceClientV2
         this._baseUrl = options.serverUrl.trim();
         this._timeout = options.requestTimeout || 15000;
         this._appId = options.appId.trim();
-        this._appSecret = options.appSecret.trim();
-        this._tokenService = new TokenService(this._appId, this._appSecret);
+        this._appSecret = options.appSecret != null ? options.appSecret.trim() : null;
+        this._tokenService = options.tokenProvider || new TokenService(this._appId, this._appSecret, {
+            oauthUrl: options.oauthUrl,
+            scope: options.oauthScope,
+            certificate: options.appCertificate,
+            cache: options.tokenCache,
+            lock: options.tokenLock
+        });
+        this._retryPolicy = options.retry instanceof RetryPolicy ? options.retry : new RetryPolicy(options.retry);
         
         if (options.enableRequestDebugging !== null &&
             typeof options.enableRequestDebugging !== 'undefined' &&
@@ -63,7 +86,7 @@ class MessagingServiceClientV2
         if (typeof options.appId === 'undefined' || options.appId === null) {
             throw new Error('options.appId is missing in the options.');
         }
-        if (typeof options.appSecret === 'undefined' || options.appSecret === null) {
+        if ((typeof options.appSecret === 'undefined' || options.appSecret === null) && !options.appCertificate && !options.tokenProvider) {
             throw new Error('options.appSecret is missing in the options.');
         }
     }
@@ -79,16 +102,22 @@ class MessagingServiceClientV2
      * Submits a text message to a user or group chat.
      *
      * @param {string} to - The username or group id of recipient.
-     * @param {string} content - Content to be submitted.
+     * @param {string|OutgoingMessage} content - Content to be submitted, or the message with cards.
      * @param {MessagingServiceClientV2~sendMessageCallback} callback - Callback that's called after the message is delivered or delivery failed.
      */
     sendMessage(to, content, callback)
     {
-        debug(`Sending message to ${to} with content ${content}`);
-
         const activity = new activities.Activity();
-        activity.message = new activities.Message();
-        activity.message.content = content;
+        if (content instanceof activities.Message)
+        {
+            activity.message = content;
+        }
+        else
+        {
+            activity.message = new activities.Message();
+            activity.message.content = content;
+        }
+        debug(`Sending message to ${to} with content ${activity.message.content}`);
 
         const errors = activity.validate();
         if (errors.length > 0)
@@ -97,35 +126,16 @@ class MessagingServiceClientV2
         }
 
         const url = util.format(ActivitiesBaseUrlFmt, to);
-        
-        async.waterfall([
-            (next) => {
-                this._tokenService.getToken(next);
-            },
-            (token, next) => {
-                const serializedContent = JSON.stringify(activity);                
-                const options = {
-                    headers: {
-                        Authorization: 'Bearer ' + token,
-                        'Content-Type': 'application/json'
-                    },
-                    url: this._baseUrl + url,
-                    method: 'POST',
-                    followRedirect: true,
-                    maxRedirects: 10,
-                    body: serializedContent
-                };
-                
-                var req = request(options, next);
-                req.on('error', next);
+        const options = {
+            headers: {
+                'Content-Type': 'application/json'
             },
-            (res, body, next) => {
-                if (res.statusCode < 200 || res.statusCode >= 300) {
-                    return next(new Error(`Received unexpected response ${res.statusCode} from Messaging Service: ${res.statusMessage}.`));
-                }
-                next(null);
-            }
-        ], callback);
+            url: this._baseUrl + url,
+            method: 'POST',
+            body: JSON.stringify(activity)
+        };
+        
+        this._sendRequest(options, false, (err) => callback(err || null));
     }
     
     /**
@@ -164,40 +174,24 @@ class MessagingServiceClientV2
         }
 
         const url = util.format(ConversationAttachmentsBaseUrlFmt, to);
-
-        async.waterfall([
-            (next) => {
-                this._tokenService.getToken(next);
-            },
-            (token, next) => {
-                const serializedContent = JSON.stringify(att);
-                if (serializedContent.length > Limits.AttachmentRequestSize.Max) {
-                    next(new Error('Serialized content size exceeds maximum allowed limit.'));
-                }
-                
-                const options = {
-                    headers: {
-                        Authorization: 'Bearer ' + token,
-                        'Content-Type': 'application/json'
-                    },
-                    url: this._baseUrl + url,
-                    method: 'POST',
-                    followRedirect: true,
-                    maxRedirects: 10,
-                    body: serializedContent
-                };
-                
-                var req = request(options, next);
-                req.on('error', next);
+        const serializedContent = JSON.stringify(att);
+        if (serializedContent.length > Limits.AttachmentRequestSize.Max) {
+            return callback(new Error('Serialized content size exceeds maximum allowed limit.'));
+        }
+        
+        const options = {
+            headers: {
+                'Content-Type': 'application/json'
             },
-            (res, body, next) => {
-                if (res.statusCode < 200 || res.statusCode >= 300) {
-                    return next(new Error(`Received unexpected response ${res.statusCode} from Messaging Service: ${res.statusMessage}.`));
-                }
-                const response = new attachment.AttachmentResponse(JSON.parse(body));
-                next(null, response);
-            }
-        ], callback);
+            url: this._baseUrl + url,
+            method: 'POST',
+            body: serializedContent
+        };
+        
+        this._sendRequest(options, false, (err, body) => {
+            if (err) { return callback(err); }
+            callback(null, new attachment.AttachmentResponse(JSON.parse(body)));
+        });
     }
     
     /**
@@ -222,33 +216,15 @@ class MessagingServiceClientV2
         if(attachmentId == null) throw new Error('attachmentId is null');
 
         const url = util.format(AttachmentsBaseUrlFmt, attachmentId);
+        const options = {
+            url: this._baseUrl + url,
+            method: 'GET'
+        };
         
-        async.waterfall([
-            (next) => {
-                this._tokenService.getToken(next);
-            },
-            (token, next) => {
-                const options = {
-                    headers: {
-                        Authorization: 'Bearer ' + token
-                    },
-                    url: this._baseUrl + url,
-                    method: 'GET',
-                    followRedirect: true,
-                    maxRedirects: 10
-                };
-                
-                var req = request(options, next);
-                req.on('error', next);                
-            },
-            (res, body, next) => {
-                if (res.statusCode < 200 || res.statusCode >= 300) {
-                    return next(new Error(`Received unexpected response ${res.statusCode} from Messaging Service: ${res.statusMessage}.`));
-                }
-                const response = new attachment.AttachmentInfo(JSON.parse(body));
-                next(null, response);
-            }
-        ], callback);
+        this._sendRequest(options, true, (err, body) => {
+            if (err) { return callback(err); }
+            callback(null, new attachment.AttachmentInfo(JSON.parse(body)));
+        });
     }
     
     /**
@@ -275,33 +251,290 @@ class MessagingServiceClientV2
         if(viewId == null) throw new Error('viewId is null');
 
         const url = util.format(AttachmentsViewsBaseUrlFmt, attachmentId, viewId);
+        const options = {
+            url: this._baseUrl + url,
+            method: 'GET',
+            encoding: null
+        };
         
-        async.waterfall([
-            (next) => {
-                this._tokenService.getToken(next);
-            },
-            (token, next) => {
-                const options = {
-                    headers: {
-                        Authorization: 'Bearer ' + token
-                    },
-                    url: this._baseUrl + url,
+        this._sendRequest(options, true, callback);
+    }
+    
+    /**
+     * Post an attachment (media) read from a stream to a user or group chat.
+     *
+     * The content is base64-encoded while it's uploaded, so it's never held in memory. If the size of the content
+     * is known, either from `options.size` or because the source is a file stream, the size of the request is checked
+     * before reading the source. Otherwise the upload fails as soon as the limit is exceeded.
+     *
+     * A stream can't be read twice, so failed uploads are not retried.
+     *
+     * @param {string} to - The username or group id of recipient.
+     * @param {string} name - The attachment's name, null means no name is provided.
+     * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
+     * @param {stream.Readable} source - The content that should be sent (binary data).
+     * @param {Object} [options] - The options of the upload.
+     * @param {number} [options.size] - The size of the content in bytes.
+     * @param {Buffer} [options.thumbnailContent] - The thumbnail for the sent content (binary data).
+     * @param {Function} [options.onProgress] - Called with `(sentBytes, totalBytes)` as the content is read, the total is `null` if the size is unknown.
+     * @param {MessagingServiceClientV2~attachmentSentCallback} callback - Callback that is called after the attachment is sent.
+     */
+    postAttachmentStream(to, name, type, source, options, callback)
+    {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        debug(`Posting attachment stream to ${to}`);
+
+        if (source == null || typeof source.pipe !== 'function') throw new Error('source is not a readable stream');
+
+        let errors = ModelValidation.validateEnum(null, type, Enums.AttachmentType, 'Attachment.type');
+        errors = errors.concat(ModelValidation.validateOptionalString(null, name, 'Attachment.name'));
+        if (errors.length > 0)
+        {
+            throw new Error(`attachment validation has failed: ${errors}`);
+        }
+
+        // the JSON around the streamed content, the content is the value of the last property
+        const head = { name: name, type: type };
+        if (options.thumbnailContent != null) {
+            head.thumbnailBase64 = Buffer.from(options.thumbnailContent).toString('base64');
+        }
+        const prefix = Buffer.from(JSON.stringify(head).slice(0, -1) + ',"originalBase64":"');
+        const suffix = Buffer.from('"}');
+        const base64Length = size => Math.ceil(size / 3) * 4;
+        const maxContentSize = Math.floor((Limits.AttachmentRequestSize.Max - prefix.length - suffix.length) / 4) * 3;
+
+        const fail = error => {
+            source.unpipe();
+            if (typeof source.destroy === 'function') source.destroy();
+            callback(error);
+        };
+
+        streamUtils.getStreamSize(source, (err, knownSize) => {
+            const size = options.size != null ? options.size : knownSize;
+            if (size != null && prefix.length + base64Length(size) + suffix.length > Limits.AttachmentRequestSize.Max) {
+                return fail(new Error('Serialized content size exceeds maximum allowed limit.'));
+            }
+
+            this._tokenService.getToken((err, token) => {
+                if (err) { return fail(err); }
+
+                const headers = {
+                    'Content-Type': 'application/json',
+                    Authorization: 'Bearer ' + token
+                };
+                if (size != null) {
+                    headers['Content-Length'] = prefix.length + base64Length(size) + suffix.length;
+                }
+
+                let finished = false;
+                const finish = (error, body) => {
+                    if (finished) return;
+                    finished = true;
+                    if (error) {
+                        if (error instanceof messagingErrors.AuthenticationError && error.statusCode === 401) {
+                            this._tokenService.invalidateToken(token);
+                        }
+                        return fail(error);
+                    }
+                    let response;
+                    try {
+                        response = new attachment.AttachmentResponse(JSON.parse(body));
+                    } catch (parseError) {
+                        return callback(new Error(`Invalid response to the posted attachment: ${parseError.message}`));
+                    }
+                    callback(null, response);
+                };
+
+                const req = request({
+                    url: this._baseUrl + util.format(ConversationAttachmentsBaseUrlFmt, to),
+                    method: 'POST',
+                    headers: headers,
+                    timeout: this._timeout
+                }, (err, res, body) => {
+                    if (err) { return finish(err); }
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        return finish(messagingErrors.fromResponse(res, body));
+                    }
+                    finish(null, body);
+                });
+
+                const limiter = streamUtils.createSizeLimiter(size != null ? size : maxContentSize, sent => {
+                    if (options.onProgress) options.onProgress(sent, size);
+                });
+                const abort = error => {
+                    req.abort();
+                    finish(error);
+                };
+                source.on('error', abort);
+                limiter.on('error', error => abort(size != null ? new Error('Content is larger than options.size.') : error));
+
+                const encoder = streamUtils.createBase64Encoder();
+                const body = new stream.PassThrough();
+                body.write(prefix);
+                encoder.on('end', () => body.end(suffix));
+                source.pipe(limiter).pipe(encoder).pipe(body, { end: false });
+                body.pipe(req);
+            });
+        });
+    }
+
+    /**
+     * Get content of attachment (binary data) as a stream.
+     *
+     * The stream emits `progress` events with `(receivedBytes, totalBytes)` as the content is received, the total is
+     * `null` if the service doesn't provide the size. Failures are emitted as `error` events. If the size of the content
+     * exceeds `options.maxSize`, the download fails before any content is read.
+     *
+     * @param {string} attachmentId - The unique attachment identifier received from the response to [postAttachment()]{@link MessagingServiceClientV2~postAttachment} or from the [attachment]{@link BotService#event:attachment} event.
+     * @param {string} viewId - The identifier of the attachment view (either 'original' or 'thumbnail') available in the attachment's info ({@link AttachmentInfo}).
+     * @param {Object} [options] - The options of the download.
+     * @param {number} [options.maxSize] - The maximum size of the content in bytes, unlimited by default.
+     * @returns {stream.Readable} The content.
+     */
+    getAttachmentStream(attachmentId, viewId, options)
+    {
+        options = options || {};
+        debug(`Getting content stream of attachment with id ${attachmentId}`);
+
+        if(attachmentId == null) throw new Error('attachmentId is null');
+        if(viewId == null) throw new Error('viewId is null');
+
+        const url = this._baseUrl + util.format(AttachmentsViewsBaseUrlFmt, attachmentId, viewId);
+        const output = new stream.PassThrough();
+        let attempt = 0;
+        let tokenRefreshed = false;
+
+        const retry = (err, usedToken) => {
+            if (err instanceof messagingErrors.AuthenticationError && err.statusCode === 401 && !tokenRefreshed) {
+                debug(`Request to ${url} was not authorized, refreshing the token.`);
+                tokenRefreshed = true;
+                this._tokenService.invalidateToken(usedToken);
+                return tryRequest();
+            }
+            if (this._retryPolicy.shouldRetry(attempt, err, true)) {
+                const delay = this._retryPolicy.getDelay(attempt, err);
+                debug(`Request to ${url} failed (${err.message}), retrying in ${delay} ms.`);
+                return setTimeout(tryRequest, delay);
+            }
+            output.emit('error', err);
+        };
+
+        // failures before the content starts are retried, the content can't be repeated
+        const tryRequest = () => {
+            attempt++;
+            this._tokenService.getToken((err, token) => {
+                if (err) { return retry(err, null); }
+
+                const req = request({
+                    url: url,
                     method: 'GET',
+                    headers: { Authorization: 'Bearer ' + token },
+                    timeout: this._timeout,
                     followRedirect: true,
-                    maxRedirects: 10,
-                    encoding: null
+                    maxRedirects: 10
+                });
+                let responded = false;
+                let failed = false;
+                const fail = error => {
+                    if (failed) return;
+                    failed = true;
+                    req.abort();
+                    output.emit('error', error);
                 };
+                req.on('error', err => responded ? fail(err) : retry(err, token));
+                req.on('response', res => {
+                    responded = true;
+
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        const chunks = [];
+                        res.on('data', chunk => chunks.push(chunk));
+                        res.on('end', () => retry(messagingErrors.fromResponse(res, Buffer.concat(chunks).toString()), token));
+                        res.on('error', fail);
+                        return;
+                    }
+
+                    const header = parseInt(res.headers['content-length'], 10);
+                    const total = isNaN(header) ? null : header;
+                    if (options.maxSize != null && total !== null && total > options.maxSize) {
+                        return fail(new Error(`Content size ${total} exceeds maximum allowed limit of ${options.maxSize} bytes.`));
+                    }
+
+                    const limiter = streamUtils.createSizeLimiter(options.maxSize, received => output.emit('progress', received, total));
+                    res.on('error', fail);
+                    limiter.on('error', fail);
+                    res.pipe(limiter).pipe(output);
+                });
+            });
+        };
+
+        tryRequest();
+        return output;
+    }
+
+    /**
+     * Send an authorized request to messaging service.
+     * 
+     * Failed attempts are repeated according to the retry policy. If the service rejects the token,
+     * a new token is requested and the request is repeated once.
+     * 
+     * @param {Object} requestOptions - Options for request() without the Authorization header.
+     * @param {boolean} idempotent - True if the request can be repeated even if it might have been processed.
+     * @param {Function} callback - Called with the error or the body of the successful response.
+     */
+    _sendRequest(requestOptions, idempotent, callback)
+    {
+        let attempt = 0;
+        let tokenRefreshed = false;
+        
+        const tryRequest = () => {
+            let usedToken;
+            attempt++;
+            async.waterfall([
+                (next) => {
+                    this._tokenService.getToken(next);
+                },
+                (token, next) => {
+                    usedToken = token;
+                    const options = Object.assign({}, requestOptions, {
+                        headers: Object.assign({}, requestOptions.headers, { Authorization: 'Bearer ' + token }),
+                        timeout: this._timeout,
+                        followRedirect: true,
+                        maxRedirects: 10
+                    });
+                    
+                    request(options, (err, res, body) => {
+                        if (err) { return next(err); }
+                        if (res.statusCode < 200 || res.statusCode >= 300) {
+                            return next(messagingErrors.fromResponse(res, body));
+                        }
+                        next(null, body);
+                    });
+                }
+            ], (err, body) => {
+                if (!err) { return callback(null, body); }
                 
-                var req = request(options, next);
-                req.on('error', next);
-            },
-            (res, body, next) => {
-                if (res.statusCode < 200 || res.statusCode >= 300) {
-                    return next(new Error(`Received unexpected response ${res.statusCode} from Messaging Service: ${res.statusMessage}.`));
+                if (err instanceof messagingErrors.AuthenticationError && err.statusCode === 401 && !tokenRefreshed) {
+                    debug(`Request to ${requestOptions.url} was not authorized, refreshing the token.`);
+                    tokenRefreshed = true;
+                    this._tokenService.invalidateToken(usedToken);
+                    return tryRequest();
                 }
-                next(null, body);
-            }
-        ], callback);
+                
+                if (this._retryPolicy.shouldRetry(attempt, err, idempotent)) {
+                    const delay = this._retryPolicy.getDelay(attempt, err);
+                    debug(`Request to ${requestOptions.url} failed (${err.message}), retrying in ${delay} ms.`);
+                    return setTimeout(tryRequest, delay);
+                }
+                
+                callback(err);
+            });
+        };
+        
+        tryRequest();
     }
 }
 
@@ -12,7 +12,10 @@ class MessagingServiceClient {
     constructor(options) {
         this._messagingServiceVersion = 1;
         this._endpointFormat = options.endpointFormat || 'https://co4-df-server-s.gateway.messenger.live.com/v1/users/ME/conversations/%s/messages';
-        this._s2sClient = new S2SClient(options);
+        this._s2sClient = options.tokenProvider || new S2SClient(Object.assign({}, options, {
+            cache: options.tokenCache,
+            lock: options.tokenLock
+        }));
 
         if (typeof options.key !== 'undefined' && options.key !== null)
             this._key = options.key;
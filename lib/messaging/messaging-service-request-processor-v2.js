@@ -29,7 +29,8 @@ const EventTypes = {
     ThreadHistoryDisclosedUpdate: 'threadHistoryDisclosedUpdate',
     ContactAdded: 'contactAdded',
     ContactRemoved: 'contactRemoved',
-    Attachment: 'attachment'
+    Attachment: 'attachment',
+    Duplicate: 'duplicate'
 };
 
 
@@ -100,21 +101,10 @@ function fromData(type, eventObject, replyTo)
 function processRequestData(botId, requestData)
 {
     let eventsOut = [];
-    let message = null;
-
-    try {
-        message = new WebhookMessage(requestData);
-    }
-    catch(err)
-    {
-        eventsOut.push(fromError(`Incoming webhooks request could not be parsed, error: ${err.message}, request: ${JSON.stringify(requestData)}`));
-        return eventsOut;
-    }
-
-    let errors = message.validate();
-    if(errors.length > 0)
+    let message = parseRequestData(requestData);
+    if(message instanceof WebhookEvent)
     {
-        eventsOut.push(fromError(`Incoming webhooks request was invalid, errors: ${errors}, request: ${JSON.stringify(requestData)}`));
+        eventsOut.push(message);
         return eventsOut;
     }
 
@@ -128,7 +118,7 @@ function processRequestData(botId, requestData)
                 eventsOut = eventsOut.concat(_convertContactRelationUpdate(item));
                 break;
             case Enums.IncomingActivityType.Message:
-                eventsOut = eventsOut.concat(_convertMessage(item));
+                eventsOut = eventsOut.concat(_convertMessage(botId, item));
                 break;
             case Enums.IncomingActivityType.Attachment:
                 eventsOut = eventsOut.concat(_convertAttachment(item));
@@ -146,6 +136,34 @@ function processRequestData(botId, requestData)
     return eventsOut;
 }
 
+/**
+ *  parses and validates the incoming Messaging service 'webhook' message
+ *
+ * @param {array} requestData - webhook message request received from Messaging service, which should be array of objects
+
+ * @returns {WebhookMessage|WebhookEvent} the valid message, or error WebhookEvent describing why the request is invalid
+ */
+function parseRequestData(requestData)
+{
+    let message = null;
+
+    try {
+        message = new WebhookMessage(requestData);
+    }
+    catch(err)
+    {
+        return fromError(`Incoming webhooks request could not be parsed, error: ${err.message}, request: ${JSON.stringify(requestData)}`);
+    }
+
+    let errors = message.validate();
+    if(errors.length > 0)
+    {
+        return fromError(`Incoming webhooks request was invalid, errors: ${errors}, request: ${JSON.stringify(requestData)}`);
+    }
+
+    return message;
+}
+
 function _convertConversationUpdate(botId, event)
 {
     let eventsOut = [];
@@ -244,7 +262,7 @@ function _convertContactRelationUpdate(event)
     return eventsOut;
 }
 
-function _convertMessage(event)
+function _convertMessage(botId, event)
 {
     let eventsOut = [];
 
@@ -258,7 +276,7 @@ function _convertMessage(event)
                 contentType: 'text',
                 messageId: event.id,
                 eventTime: event.time
-            }),
+            }, botId),
             null
         ));
 
@@ -287,4 +305,4 @@ function _convertAttachment(event)
     return eventsOut;
 }
 
-module.exports = { WebhookEvent, processRequestData, fromError, fromData, EventTypes };
+module.exports = { WebhookEvent, processRequestData, parseRequestData, fromError, fromData, EventTypes };
@@ -3,6 +3,8 @@
 
 const debug = require('debug')('skype-sdk.MessagingService');
 const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const async = require('async');
 
 const MessagingServiceClient = require('./messaging-service-client');
 const MessagingServiceClientV2 = require('./messaging-service-client-v2');
@@ -16,6 +18,16 @@ const UserRemoved = require('./events/user-removed');
 const eventTypes = require('./messaging-service-request-processor-v2').EventTypes;
 
 const WebhookEvents = require('./messaging-service-request-processor-v2');
+const OutboundQueue = require('./outbound-queue');
+const messagingErrors = require('./errors');
+const DuplicateDetector = require('./duplicate-detector');
+const StateManager = require('../state/bot-state').StateManager;
+const activities = require('./model/v2/activity-outgoing');
+const format = require('./text-format');
+const renderFallback = require('./fallback-renderer').renderFallback;
+const media = require('./media');
+const middleware = require('./middleware');
+const promiseUtils = require('../utils/promise-utils');
 
 /**
  * Class representing a messaging service.
@@ -32,6 +44,20 @@ class MessagingService extends EventEmitter {
      * @param {number} options.siteId - The agent's Site ID, for server to server authentication.
      * @param {string} options.key - The path of the private key of the agent in PEM format. Used for server to server authentication.
      * @param {string} options.cert - The path of the certificate key of the agent in PEM format. Used for server to server authentication.
+     * @param {Object|boolean} [options.outboundQueue] - Options of the {@link OutboundQueue} used for sending, or `true` for the default options.
+     *       Requests are sent immediately if not set.
+     * @param {boolean} [options.cards=true] - False if the bot's clients can't display cards and suggested actions,
+     *       messages with them are then rendered as text.
+     * @param {Object|StateManager} [options.state] - The {@link StateManager} or its options. If set, the state is loaded
+     *       for each event and available to middleware as `context.state` and to handlers as `bot.state`.
+     * @param {Object|DuplicateDetector|boolean} [options.deduplication] - The {@link DuplicateDetector} or its options.
+     *       Redelivered activities are skipped and reported by the [duplicate]{@link BotService#event:duplicate} event.
+     *       `false` to process all activities.
+     * @param {boolean} [options.validateAttachments=true] - False to send attachments without checking their format.
+     * @param {Function} [options.thumbnailGenerator] - Called with `(content, mediaInfo)` for attachments sent without
+     *       a thumbnail, returns the thumbnail or a Promise of it, or `null` for no thumbnail. Attachments are sent without
+     *       a thumbnail if not set. Creating a thumbnail needs an image library, e.g. with sharp:
+     *       `(content, mediaInfo) => mediaInfo && mediaInfo.mimeType.startsWith('image/') ? sharp(content).resize(200, 200, { fit: 'inside' }).toBuffer() : null`.
      */
     constructor(options) {
         super();
@@ -46,12 +72,156 @@ class MessagingService extends EventEmitter {
             this._messagingServiceClient = new MessagingServiceClientV2(options);
         }
                 
+        /**
+         * The queue of outgoing requests, `null` if it's disabled.
+         * @type {OutboundQueue}
+         */
+        this.outboundQueue = null;
+        if (options.outboundQueue) {
+            this.outboundQueue = new OutboundQueue(options.outboundQueue === true ? null : options.outboundQueue);
+        }
+        
+        /**
+         * The manager of conversation and user state, `null` if state isn't configured.
+         * @type {StateManager}
+         */
+        this.stateManager = null;
+        if (options.state) {
+            this.stateManager = options.state instanceof StateManager ? options.state : new StateManager(options.state);
+        }
+                
+        /**
+         * The detector of redelivered activities, `null` if it's disabled.
+         * @type {DuplicateDetector}
+         */
+        this.duplicateDetector = null;
+        if (options.deduplication !== false) {
+            this.duplicateDetector = options.deduplication instanceof DuplicateDetector ?
+                options.deduplication : new DuplicateDetector(options.deduplication);
+        }
+                
         this._botId = options.botId.trim();
+        this._cards = options.cards !== false;
+        this._validateAttachments = options.validateAttachments !== false;
+        this._thumbnailGenerator = options.thumbnailGenerator || null;
         this._personalCommandMappings = [];
         this._groupCommandMappings = [];
+        this._incomingMiddleware = [];
+        this._outgoingMiddleware = [];
 
         this.on('message', this._parseMessage);
     }
+
+    /**
+     * The bot's id.
+     * 
+     * @returns {string}
+     */
+    get botId() {
+        return this._botId;
+    }
+    
+    /**
+     * Context of an incoming event passed through the incoming middleware.
+     * 
+     * Middleware can modify the event or the type, or attach any other data (e.g. user profile,
+     * locale or session) to the context. The context is available to event handlers as `bot.context`.
+     * 
+     * @typedef {Object} MessagingService~IncomingContext
+     * 
+     * @property {string} type - The type of the event that will be emitted (see {@link BotService}), e.g. "message".
+     * @property {Event} event - The event object.
+     * @property {string} replyTo - The user or group chat the replies are sent to.
+     * @property {BotState} [state] - The state of the conversation and the user, if state is configured.
+     */
+    
+    /**
+     * Incoming middleware.
+     * 
+     * Call `next()` to continue with the next middleware and eventually emit the event, `next(error)`
+     * to drop the event and emit the error instead. If `next` is not called, the event is dropped.
+     * The middleware can also be an `async` function, a rejected promise is handled as `next(error)`.
+     * 
+     * @callback MessagingService~incomingMiddleware
+     * 
+     * @param {MessagingService~IncomingContext} context - The context of the event.
+     * @param {Function} next - Continue processing of the event.
+     */
+    
+    /**
+     * Register an incoming middleware.
+     * 
+     * Middlewares run in the order they were registered, for each received event before the event is
+     * emitted and before commands are matched.
+     * 
+     * @param {MessagingService~incomingMiddleware} fn - The middleware.
+     */
+    use(fn) {
+        if (typeof fn !== 'function') {
+            throw new Error('Middleware must be a function.');
+        }
+        this._incomingMiddleware.push(fn);
+    }
+    
+    /**
+     * Context of an outgoing message or attachment passed through the outgoing middleware.
+     * 
+     * Middleware can change any of the properties to modify what is sent and where.
+     * 
+     * @typedef {Object} MessagingService~OutgoingContext
+     * 
+     * @property {string} kind - Either "message" or "attachment".
+     * @property {string} to - The recipient.
+     * @property {string} [content] - The content of the message.
+     * @property {bool} [escape] - True if the content of the message will be escaped.
+     * @property {OutgoingMessage} [message] - The message with cards, its content is replaced by `content`.
+     * @property {string} [name] - The attachment's name.
+     * @property {string} [type] - The attachment's type.
+     * @property {Buffer} [binaryContent] - The content of the attachment, `null` if the content is streamed.
+     * @property {Buffer} [thumbnailContent] - The thumbnail of the attachment.
+     * @property {stream.Readable} [source] - The streamed content of the attachment, see [sendAttachmentStream()]{@link MessagingService#sendAttachmentStream}.
+     * @property {number} [size] - The size of the streamed content, `null` if it's unknown.
+     */
+    
+    /**
+     * Outgoing middleware.
+     * 
+     * Call `next(callback)` to continue with the next middleware and eventually send the message, the callback
+     * gets the result of sending `(error, result)`. Call `done(error, result)` to finish, it's the result
+     * returned to the sender. To stop the message from being sent, call `done()` without calling `next`.
+     * 
+     * Example:
+     * ```javascript
+     * botService.useOutgoing((context, next, done) => {
+     *     const start = Date.now();
+     *     next((error, result) => {
+     *         console.log(`Sent to ${context.to} in ${Date.now() - start} ms.`);
+     *         done(error, result);
+     *     });
+     * });
+     * ```
+     * 
+     * @callback MessagingService~outgoingMiddleware
+     * 
+     * @param {MessagingService~OutgoingContext} context - The context of the sent message.
+     * @param {Function} next - Continue sending, takes a callback called with the result.
+     * @param {Function} done - Finish the middleware with an error or result.
+     */
+    
+    /**
+     * Register an outgoing middleware.
+     * 
+     * Middlewares run in the order they were registered around each [send()]{@link MessagingService#send}
+     * and [sendAttachment()]{@link MessagingService#sendAttachment}.
+     * 
+     * @param {MessagingService~outgoingMiddleware} fn - The middleware.
+     */
+    useOutgoing(fn) {
+        if (typeof fn !== 'function') {
+            throw new Error('Middleware must be a function.');
+        }
+        this._outgoingMiddleware.push(fn);
+    }
     
     /**
      * Register handler for command in 1:1 chats.
@@ -69,59 +239,173 @@ class MessagingService extends EventEmitter {
      * Callback will be called if there is a message in any group chat that matches the regular expression.
      * 
      * @param {RegExp} regex - The regular exception that is used for matching 1:1 messages.
+     * @param {Object} [options] - The options of the command.
+     * @param {bool} [options.mentionRequired=false] - If true, the command is matched only if the bot is mentioned in the message.
      * @param {BotService~commandCallback} callback - The callback that is called when a message is matched. 
      */
-    onGroupCommand(regex, callback) {
-        this._groupCommandMappings.push({regex: regex, callback: callback});
+    onGroupCommand(regex, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        this._groupCommandMappings.push({regex: regex, callback: callback, mentionRequired: !!options.mentionRequired});
     }
        
     /**
      * Send a message. Message can be sent to any user or group chat.
      * 
+     * The content can be a text, a {@link FormattedText} built by a {@link RichTextBuilder} or the [format]{@link format}
+     * helpers, which is never escaped, or an {@link OutgoingMessage} with cards and suggested actions. If cards are disabled
+     * by `options.cards`, messages with cards are rendered as text. Prefer the builder to the `escape` flag, it keeps
+     * the formatting while escaping the user supplied values.
+     * 
      * @param {string} to - The recipient's username.
-     * @param {string} content - The content of the message.
+     * @param {string|FormattedText|OutgoingMessage} content - The content of the message.
      * @param {bool} [escape] - If true, content will be escaped to prevent "&", "<", and ">" from breaking the message.
-     * @param {MessagingServiceClient~sendMessageCallback} callback - The callback that handles the response.
+     * @param {MessagingServiceClient~sendMessageCallback} [callback] - The callback that handles the response. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     send(to, content, escape, callback) {
-        if (escape) {
-            content = content.replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;');
+        if (typeof escape === 'function') {
+            callback = escape;
+            escape = false;
+        }
+        let message = null;
+        if (content instanceof activities.Message) {
+            message = content;
+            content = message.content;
+        } else if (content instanceof format.FormattedText) {
+            content = content.markup;
+            escape = false;
         }
-        this._messagingServiceClient.sendMessage(to, content, callback);
+        const context = { kind: 'message', to: to, content: content, escape: !!escape, message: message };
+        return promiseUtils.callbackOrHandledPromise(callback, done => {
+            middleware.runOutgoing(this._outgoingMiddleware, context, (ctx, next) => {
+                let text = ctx.content;
+                if (ctx.escape && text) {
+                    text = format.escape(text);
+                }
+                if (ctx.message) {
+                    const rich = new activities.Message(Object.assign({}, ctx.message, { content: text }));
+                    const errors = rich.validate();
+                    if (errors.length > 0) {
+                        return next(new Error(`Message validation has failed: ${errors}`));
+                    }
+                    if (this._cards && this._messagingServiceVersion != 1) {
+                        return this._enqueue(ctx.to, sent => this._messagingServiceClient.sendMessage(ctx.to, rich, sent), next);
+                    }
+                    text = renderFallback(rich);
+                }
+                this._enqueue(ctx.to, sent => this._messagingServiceClient.sendMessage(ctx.to, text, sent), next);
+            }, done);
+        });
     }
     
     /**
      * Send an attachment (media) to a user or group chat
      *
+     * The format of the content is detected from its header and checked before sending: images must be PNG, JPEG
+     * or GIF up to 2000x2000 pixels, videos MP4 with a JPEG thumbnail. If no thumbnail is provided, it's created
+     * by `options.thumbnailGenerator` of the service if it is set.
+     *
      * @param {string} to - The username or group id of recipient.
      * @param {string} name - The attachment's name, null means no name is provided.
      * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
-     * @param {Buffer} binaryContent - The content that should be sent (binary data).
-     * @param {Buffer} [thumbnailContent] - The thumbnail for the sent content (binary data).
-     * @param {MessagingServiceClientV2~attachmentInfoCallback} callback - Callback that is called after the attachment is sent.
+     * @param {Buffer|string} binaryContent - The content that should be sent (binary data) or the path of a file with it.
+     * @param {Buffer|string} [thumbnailContent] - The thumbnail for the sent content (binary data) or the path of a file with it.
+     * @param {MessagingServiceClientV2~attachmentInfoCallback} [callback] - Callback that is called after the attachment is sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     sendAttachment(to, name, type, binaryContent, thumbnailContent, callback) {
-        if (this._messagingServiceVersion === 2) {
-            this._messagingServiceClient.postAttachment(to, name, type, binaryContent, thumbnailContent, callback);
-        } else {
-            callback(new Error('Posting of attachments is not available with current version of messaging service client.'));
+        if (typeof thumbnailContent === 'function') {
+            callback = thumbnailContent;
+            thumbnailContent = null;
         }
+        return promiseUtils.callbackOrHandledPromise(callback, done => {
+            if (this._messagingServiceVersion !== 2) {
+                return done(new Error('Posting of attachments is not available with current version of messaging service client.'));
+            }
+            this._prepareAttachment(type, binaryContent, thumbnailContent, (error, content, thumbnail) => {
+                if (error) return done(error);
+                const context = {
+                    kind: 'attachment',
+                    to: to,
+                    name: name,
+                    type: type,
+                    binaryContent: content,
+                    thumbnailContent: thumbnail
+                };
+                middleware.runOutgoing(this._outgoingMiddleware, context, (ctx, next) => {
+                    this._enqueue(ctx.to, sent => this._messagingServiceClient.postAttachment(
+                        ctx.to, ctx.name, ctx.type, ctx.binaryContent, ctx.thumbnailContent, sent), next);
+                }, done);
+            });
+        });
+    }
+    
+    /**
+     * Send an attachment (media) read from a stream to a user or group chat.
+     * 
+     * The content isn't buffered, so large videos can be sent without holding them in memory. If the size is known,
+     * the size limit of the messaging service is checked before the stream is read. Failed uploads are not retried.
+     *
+     * @param {string} to - The username or group id of recipient.
+     * @param {string} name - The attachment's name, null means no name is provided.
+     * @param {string} type - The attachment's type, must be 'Image' or 'Video'.
+     * @param {stream.Readable} source - The content that should be sent (binary data), e.g. `fs.createReadStream(path)`.
+     * @param {Object} [options] - The options of the upload.
+     * @param {number} [options.size] - The size of the content in bytes, detected for file streams.
+     * @param {Buffer} [options.thumbnailContent] - The thumbnail for the sent content (binary data).
+     * @param {Function} [options.onProgress] - Called with `(sentBytes, totalBytes)` as the content is sent.
+     * @param {MessagingServiceClientV2~attachmentSentCallback} [callback] - Callback that is called after the attachment is sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    sendAttachmentStream(to, name, type, source, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+        const context = {
+            kind: 'attachment',
+            to: to,
+            name: name,
+            type: type,
+            binaryContent: null,
+            thumbnailContent: options.thumbnailContent || null,
+            source: source,
+            size: options.size == null ? null : options.size
+        };
+        return promiseUtils.callbackOrHandledPromise(callback, done => {
+            if (this._messagingServiceVersion !== 2) {
+                return done(new Error('Posting of attachments is not available with current version of messaging service client.'));
+            }
+            middleware.runOutgoing(this._outgoingMiddleware, context, (ctx, next) => {
+                this._enqueue(ctx.to, sent => this._messagingServiceClient.postAttachmentStream(ctx.to, ctx.name, ctx.type, ctx.source, {
+                    size: ctx.size,
+                    thumbnailContent: ctx.thumbnailContent,
+                    onProgress: options.onProgress
+                }, sent), next);
+            }, done);
+        });
     }
     
     /**
      * Get information about an attachment.
      *
      * @param {string} attachmentId - The unique attachment identifier received from the response to [postAttachment()]{@link MessagingServiceClientV2~postAttachment} or from the [attachment]{@link BotService#event:attachment} event.
-     * @param {MessagingServiceClientV2~attachmentInfoCallback} callback - The callback that is called after the information is received.
+     * @param {MessagingServiceClientV2~attachmentInfoCallback} [callback] - The callback that is called after the information is received. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     getAttachmentInfo(attachmentId, callback) {
-        if (this._messagingServiceVersion === 2) {
-            this._messagingServiceClient.getAttachmentInfo(attachmentId, callback);
-        } else {
-            callback(new Error('Not available with current version of messaging service client.'));
-        }
+        return promiseUtils.callbackOrHandledPromise(callback, done => {
+            if (this._messagingServiceVersion === 2) {
+                this._messagingServiceClient.getAttachmentInfo(attachmentId, done);
+            } else {
+                done(new Error('Not available with current version of messaging service client.'));
+            }
+        });
     }
     
     /**
@@ -129,13 +413,90 @@ class MessagingService extends EventEmitter {
      *
      * @param {string} attachmentId - The unique attachment identifier received from the response to [postAttachment()]{@link MessagingServiceClientV2~postAttachment} or from the [attachment]{@link BotService#event:attachment} event.
      * @param {string} viewId - The identifier of the attachment view (either 'original' or 'thumbnail') available in the attachment's info ({@link AttachmentInfo}).
-     * @param {MessagingServiceClientV2~attachmentContentCallback} callback - The callback that is triggered after the attachment's content is downloaded.
+     * @param {MessagingServiceClientV2~attachmentContentCallback} [callback] - The callback that is triggered after the attachment's content is downloaded. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
      */
     getAttachment(attachmentId, viewId, callback) {
-        if (this._messagingServiceVersion === 2) {
-            this._messagingServiceClient.getAttachment(attachmentId, viewId, callback);
+        return promiseUtils.callbackOrHandledPromise(callback, done => {
+            if (this._messagingServiceVersion === 2) {
+                this._messagingServiceClient.getAttachment(attachmentId, viewId, done);
+            } else {
+                done(new Error('Not available with current version of messaging service client.'));
+            }
+        });
+    }
+    
+    /**
+     * Get content of attachment (binary data) as a stream.
+     *
+     * The stream emits `progress` events with `(receivedBytes, totalBytes)`, the total is `null` if it's unknown.
+     *
+     * @param {string} attachmentId - The unique attachment identifier received from the response to [postAttachment()]{@link MessagingServiceClientV2~postAttachment} or from the [attachment]{@link BotService#event:attachment} event.
+     * @param {string} viewId - The identifier of the attachment view (either 'original' or 'thumbnail') available in the attachment's info ({@link AttachmentInfo}).
+     * @param {Object} [options] - The options of the download.
+     * @param {number} [options.maxSize] - The maximum size of the content in bytes, larger content fails with an error before it's read.
+     * @returns {stream.Readable} The content.
+     *
+     * @throws Error if the messaging service version doesn't support attachments.
+     */
+    getAttachmentStream(attachmentId, viewId, options) {
+        if (this._messagingServiceVersion !== 2) {
+            throw new Error('Not available with current version of messaging service client.');
+        }
+        return this._messagingServiceClient.getAttachmentStream(attachmentId, viewId, options);
+    }
+    
+    /**
+     * Stop sending and wait until all queued messages are sent.
+     * 
+     * @param {Function} [callback] - Called once all messages are sent. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    shutdown(callback) {
+        if (this.outboundQueue !== null) {
+            return this.outboundQueue.shutdown(callback);
+        }
+        return promiseUtils.callbackOrPromise(callback, done => process.nextTick(done));
+    }
+    
+    _prepareAttachment(type, binaryContent, thumbnailContent, callback) {
+        const read = (content, next) => typeof content === 'string' ? fs.readFile(content, next) : next(null, content || null);
+        async.parallel([
+            next => read(binaryContent, next),
+            next => read(thumbnailContent, next)
+        ], (error, results) => {
+            if (error) return callback(error);
+            const content = results[0];
+            const thumbnail = results[1];
+            const validate = thumbnail => {
+                const errors = this._validateAttachments && content !== null ? media.validateMedia(type, content, thumbnail) : [];
+                return errors.length > 0 ? new Error(`attachment validation has failed: ${errors}`) : null;
+            };
+
+            const invalid = validate(thumbnail);
+            if (invalid !== null) {
+                return callback(invalid);
+            }
+            if (thumbnail !== null || content === null || this._thumbnailGenerator === null) {
+                return callback(null, content, thumbnail);
+            }
+
+            // generated thumbnails are validated as well, the generator may return any format
+            new Promise(resolve => resolve(this._thumbnailGenerator(content, media.detectMedia(content))))
+                .then(generated => {
+                    generated = generated || null;
+                    const invalid = validate(generated);
+                    process.nextTick(() => invalid !== null ? callback(invalid) : callback(null, content, generated));
+                })
+                .then(null, error => process.nextTick(() => callback(error)));
+        });
+    }
+    
+    _enqueue(conversationId, send, callback) {
+        if (this.outboundQueue !== null) {
+            this.outboundQueue.enqueue(conversationId, send, callback);
         } else {
-            callback(new Error('Not available with current version of messaging service client.'));
+            send(callback);
         }
     }
     
@@ -157,30 +518,31 @@ class MessagingService extends EventEmitter {
      * @emits BotService#event:threadHistoryDisclosedUpdate
      */
     processRequest(request) {
-        let requestData;
-        if (typeof request === 'object') {
-            debug(`Processing new request ${JSON.stringify(request)}`);
-            requestData = request;
-        } else {
-            debug(`Processing new request ${request}`);
-            try {
-                requestData = JSON.parse(request);
-            } catch(e) {
-                return this.emit('error', new Error(`Json parsing failed with "${e.message}". Request: ${request}`));
-            }
+        const requestData = this._parseRequest(request);
+        if (requestData instanceof Error) {
+            return this.emit('error', requestData);
         }
 
         if(this._messagingServiceVersion == 1)
         {
-            let event = this._processRequestV1(request, requestData);
-            this._emitWebhookEvent(event);
+            this._skipDuplicates([ requestData ], activities => {
+                if (activities.length === 0) return;
+                let event = this._processRequestV1(request, requestData);
+                this._dispatchWebhookEvents([ event ]);
+            });
         }
         else if(this._messagingServiceVersion == 2)
         {
             debug('Processing event over v2.');
-            let events = WebhookEvents.processRequestData(this._botId, requestData);
-            events.forEach(item => {
-                this._emitWebhookEvent(item);
+            const invalid = WebhookEvents.parseRequestData(requestData);
+            if (invalid instanceof WebhookEvents.WebhookEvent) {
+                return this._dispatchWebhookEvents([ invalid ]);
+            }
+            this._skipDuplicates(requestData, activities => {
+                // all the activities were already processed
+                if (activities.length === 0) return;
+                let events = WebhookEvents.processRequestData(this._botId, activities);
+                this._dispatchWebhookEvents(events);
             });
         }
         else
@@ -189,22 +551,244 @@ class MessagingService extends EventEmitter {
         }
     }
 
-    _emitWebhookEvent(webhookEvent)
+    /**
+     * Process request and wait until the handlers of all emitted events finish.
+     *
+     * Listeners of the events, command callbacks and middleware can return promises, they are awaited. A middleware
+     * that handles the event itself should return a promise resolved once it's done, otherwise the processing
+     * waits until the timeout. If the handlers of an activity fail, the activity isn't remembered as processed,
+     * so it's processed again when the messaging service redelivers it.
+     *
+     * Errors are not emitted as [error]{@link BotService#event:error} events, they are returned instead, unless
+     * there are listeners of the error event.
+     *
+     * @param {Object|string} request - The request from the messaging service, either parsed or the JSON string.
+     * @param {Object} [options] - The options of the processing.
+     * @param {number} [options.timeout] - The time in milliseconds to wait for the handlers, unlimited by default.
+     *      The handlers keep running after the timeout.
+     * @param {Function} [callback] - Called with `(error)` once the handlers finish. The error is {@link InvalidRequestError}
+     *      if the request is not a valid message from the messaging service. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    processRequestAndWait(request, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            let timer = null;
+            let finished = false;
+            const finish = error => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                done(error || null);
+            };
+            if (options.timeout) {
+                timer = setTimeout(() => finish(new Error(`Handlers did not finish in ${options.timeout} ms.`)), options.timeout);
+            }
+
+            const requestData = this._parseRequest(request);
+            if (requestData instanceof Error) {
+                return finish(this._invalidRequest(requestData.message));
+            }
+
+            if (this._messagingServiceVersion == 1) {
+                this._skipDuplicates([ requestData ], activities => {
+                    if (activities.length === 0) return finish(null);
+                    const event = this._processRequestV1(request, requestData);
+                    this._dispatchActivityAndWait(requestData, [ event ]).then(() => finish(null), finish);
+                });
+            } else if (this._messagingServiceVersion == 2) {
+                const invalid = WebhookEvents.parseRequestData(requestData);
+                if (invalid instanceof WebhookEvents.WebhookEvent) {
+                    return this._dispatchActivityAndWait(null, [ invalid ]).then(() => finish(null), finish);
+                }
+                this._skipDuplicates(requestData, activities => {
+                    // each activity separately, so only the failed ones are processed again when redelivered
+                    Promise.all(activities.map(activity => this._dispatchActivityAndWait(
+                        activity, WebhookEvents.processRequestData(this._botId, [ activity ]))))
+                        .then(() => finish(null), finish);
+                });
+            } else {
+                finish(new Error('Unsupported version of the Messaging service: ' + this._messagingServiceVersion));
+            }
+        });
+    }
+
+    _parseRequest(request)
+    {
+        if (typeof request === 'object') {
+            debug(`Processing new request ${JSON.stringify(request)}`);
+            return request;
+        }
+        debug(`Processing new request ${request}`);
+        try {
+            return JSON.parse(request);
+        } catch(e) {
+            return new Error(`Json parsing failed with "${e.message}". Request: ${request}`);
+        }
+    }
+
+    _invalidRequest(message)
+    {
+        const error = new messagingErrors.InvalidRequestError(message);
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        return error;
+    }
+
+    _dispatchActivityAndWait(activity, webhookEvents)
+    {
+        return Promise.all(webhookEvents.map(webhookEvent => this._dispatchWebhookEventAndWait(webhookEvent)))
+            .then(null, error => {
+                if (activity !== null && this.duplicateDetector !== null && !(error instanceof messagingErrors.InvalidRequestError)) {
+                    const id = DuplicateDetector.getActivityId(activity);
+                    this.duplicateDetector.forget(id, err => {
+                        if (err) debug(`Forgetting failed activity ${id} failed: ${err.message}`);
+                    });
+                }
+                throw error;
+            });
+    }
+
+    _dispatchWebhookEventAndWait(webhookEvent)
+    {
+        if (webhookEvent == null || webhookEvent.eventObject == null || webhookEvent.type === null) {
+            return Promise.resolve();
+        }
+        if (webhookEvent.type === 'error') {
+            return Promise.reject(this._invalidRequest(webhookEvent.eventObject.message));
+        }
+        if (this._incomingMiddleware.length === 0 && this.stateManager === null) {
+            return this._emitWebhookEventAndWait(webhookEvent, {});
+        }
+
+        const context = {
+            type: webhookEvent.type,
+            event: webhookEvent.eventObject,
+            replyTo: webhookEvent.replyTo
+        };
+        return new Promise((resolve, reject) => {
+            this._loadState(context, error => {
+                if (error) {
+                    debug(`Loading state for ${context.type} event failed: ${error.message}`);
+                    return reject(error);
+                }
+                middleware.runIncoming(this._incomingMiddleware, context, error => {
+                    if (error) {
+                        debug(`Middleware failed for ${context.type} event: ${error.message}`);
+                        return reject(error);
+                    }
+                    resolve(this._emitWebhookEventAndWait(
+                        new WebhookEvents.WebhookEvent(context.type, context.event, context.replyTo), context));
+                }, resolve);
+            });
+        });
+    }
+
+    _emitWebhookEventAndWait(webhookEvent, context)
+    {
+        const bot = new Bot(webhookEvent.replyTo, this, context);
+        const listeners = this.rawListeners ? this.rawListeners(webhookEvent.type) : this.listeners(webhookEvent.type);
+        return Promise.all(listeners.map(listener => new Promise(resolve => resolve(listener.call(this, bot, webhookEvent.eventObject)))));
+    }
+
+    _skipDuplicates(activities, callback)
+    {
+        // invalid v1 requests are left for the processing to report
+        if (this.duplicateDetector === null || activities.some(activity => activity === null || typeof activity !== 'object')) {
+            return callback(activities);
+        }
+
+        async.mapSeries(activities, (activity, next) => {
+            const id = DuplicateDetector.getActivityId(activity);
+            this.duplicateDetector.check(id, (error, duplicate) => {
+                if (error) {
+                    // better to answer twice than not at all
+                    debug(`Checking activity ${id} for duplicates failed: ${error.message}`);
+                    return next(null, false);
+                }
+                if (duplicate) {
+                    /**
+                     * This event is emitted when a redelivered activity is skipped.
+                     * @event BotService#duplicate
+                     * @param {Object} activity - The activity as received from the messaging service.
+                     * @param {string} id - The id of the activity.
+                     */
+                    debug(`Skipping duplicate activity ${id}.`);
+                    this.emit(eventTypes.Duplicate, activity, id);
+                }
+                next(null, duplicate);
+            });
+        }, (error, duplicates) => callback(activities.filter((activity, index) => !duplicates[index])));
+    }
+
+    _dispatchWebhookEvents(webhookEvents)
+    {
+        webhookEvents.forEach(webhookEvent => {
+            if(webhookEvent == null || webhookEvent.eventObject == null || webhookEvent.type === null) return;
+            if(webhookEvent.type === 'error' || (this._incomingMiddleware.length === 0 && this.stateManager === null))
+            {
+                return this._emitWebhookEvent(webhookEvent, {});
+            }
+
+            const context = {
+                type: webhookEvent.type,
+                event: webhookEvent.eventObject,
+                replyTo: webhookEvent.replyTo
+            };
+            this._loadState(context, error => {
+                if (error) {
+                    debug(`Loading state for ${context.type} event failed: ${error.message}`);
+                    return this.emit('error', error);
+                }
+                middleware.runIncoming(this._incomingMiddleware, context, error => {
+                    if (error) {
+                        debug(`Middleware failed for ${context.type} event: ${error.message}`);
+                        return this.emit('error', error);
+                    }
+                    this._emitWebhookEvent(new WebhookEvents.WebhookEvent(context.type, context.event, context.replyTo), context);
+                });
+            });
+        });
+    }
+
+    _loadState(context, callback)
+    {
+        // the conversation of 1:1 chats is the user, of group chats the thread
+        const event = context.event;
+        const conversationId = /@(p2p.)?thread.skype/.test(event.to) ? event.to : event.from;
+        if (this.stateManager === null || !conversationId) {
+            return callback(null);
+        }
+
+        const userId = event.from && event.from !== this._botId ? event.from : null;
+        this.stateManager.load(conversationId, userId, (error, state) => {
+            if (error) return callback(error);
+            context.state = state;
+            callback(null);
+        });
+    }
+
+    _emitWebhookEvent(webhookEvent, context)
     {
-        if(webhookEvent == null || webhookEvent.eventObject == null || webhookEvent.type === null) return;
         if(webhookEvent.type === 'error')
         {
             this.emit(webhookEvent.type, webhookEvent.eventObject);
         }
         else
         {
-            this.emit(webhookEvent.type, new Bot(webhookEvent.replyTo, this), webhookEvent.eventObject);
+            this.emit(webhookEvent.type, new Bot(webhookEvent.replyTo, this, context), webhookEvent.eventObject);
         }
     }
 
     _processRequestV1(request, requestData)
     {
-        if (!requestData.hasOwnProperty('type'))
+        if (requestData === null || typeof requestData !== 'object' || !requestData.hasOwnProperty('type'))
         {
             return WebhookEvents.fromError(`Request cannot be parsed: ${request}`);
         }
@@ -219,7 +803,7 @@ class MessagingService extends EventEmitter {
              * @param {Message} event
              */
             debug('Parsed Message event.');
-            return WebhookEvents.fromData(eventTypes.Message, new Message(requestData), null);
+            return WebhookEvents.fromData(eventTypes.Message, new Message(requestData, this._botId), null);
 
         } else if (/ThreadAddMember/i.test(requestData.type)) {
             if (requestData.targets.indexOf(this._botId) !== -1) {
@@ -348,17 +932,23 @@ class MessagingService extends EventEmitter {
             replyTo = request.to;
         }
                 
-        let found = false;
+        // the results are returned, so processRequestAndWait() can wait for async callbacks
+        const results = [];
         mappings.forEach(mapping => {
-            if (mapping.regex.test(request.content)) {  
-                mapping.regex.lastIndex = 0;
-                found = true;
-                mapping.callback(new Bot(replyTo, this), request);
+            if (mapping.mentionRequired && !request.botMentioned) {
+                return;
+            }
+            if (matchCommand(mapping.regex, request)) {
+                results.push(mapping.callback(new Bot(replyTo, this, agent.context), request));
             }
         });        
         
-        if (!found)
-            this.emit(defaultEvent, new Bot(replyTo, this), request);
+        if (results.length === 0) {
+            const bot = new Bot(replyTo, this, agent.context);
+            const listeners = this.rawListeners ? this.rawListeners(defaultEvent) : this.listeners(defaultEvent);
+            listeners.forEach(listener => results.push(listener.call(this, bot, request)));
+        }
+        return Promise.all(results);
     }
                     
     // Callback definitions.
@@ -373,4 +963,14 @@ class MessagingService extends EventEmitter {
      */
 }
 
+// The text without markup is matched first, the raw content keeps older regular expressions with markup working.
+function matchCommand(regex, message) {
+    const texts = typeof message.text === 'string' ? [ message.text, message.content ] : [ message.content ];
+    return texts.some(text => {
+        const result = regex.test(text);
+        regex.lastIndex = 0;
+        return result;
+    });
+}
+
 module.exports = MessagingService;
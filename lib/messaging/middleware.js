@@ -0,0 +1,103 @@
+'use strict';
+
+const promiseUtils = require('../utils/promise-utils');
+
+/**
+ * Call a middleware, treating thrown errors and rejected promises as errors passed to onError.
+ *
+ * @ignore
+ */
+function invoke(middleware, args, onError, onResolved) {
+    let result;
+    try {
+        result = middleware.apply(null, args);
+    } catch (error) {
+        return onError(error);
+    }
+    if (promiseUtils.isThenable(result)) {
+        result.then(onResolved || null, error => onError(error || new Error('Middleware was rejected.')));
+    }
+}
+
+/**
+ * Run the incoming middleware chain.
+ *
+ * Each middleware is called as `middleware(context, next)`. Calling `next()` continues with the next
+ * middleware, `next(error)` stops the chain with an error. If a middleware doesn't call `next`, the chain
+ * is short-circuited and the callback is never called.
+ *
+ * @param {Function[]} middlewares - The middlewares.
+ * @param {Object} context - The context passed to each middleware.
+ * @param {Function} callback - Called with `(error)` once the last middleware calls `next`.
+ * @param {Function} [onStopped] - Called if a middleware returns a promise that is resolved before the middleware
+ *      calls `next`, i.e. the middleware handled the event itself.
+ *
+ * @ignore
+ */
+function runIncoming(middlewares, context, callback, onStopped) {
+    let index = 0;
+    let finished = false;
+
+    const finish = error => {
+        if (finished) return;
+        finished = true;
+        callback(error || null);
+    };
+
+    const next = error => {
+        if (finished) return;
+        if (error) return finish(error);
+        if (index >= middlewares.length) return finish(null);
+
+        const middleware = middlewares[index++];
+        let called = false;
+        invoke(middleware, [context, err => {
+            if (called) return;
+            called = true;
+            next(err);
+        }], finish, () => {
+            if (!called && !finished && onStopped) onStopped();
+        });
+    };
+
+    next();
+}
+
+/**
+ * Run the outgoing middleware chain around the send operation.
+ *
+ * Each middleware is called as `middleware(context, next, done)`. Calling `next(callback)` runs the rest
+ * of the chain and the send itself, the callback gets `(error, result)` of the send. Calling `done(error, result)`
+ * finishes the middleware, so a middleware that doesn't want the message to be sent calls `done()` without
+ * calling `next`.
+ *
+ * @param {Function[]} middlewares - The middlewares.
+ * @param {Object} context - The context passed to each middleware.
+ * @param {Function} send - Function sending the message described by the context, takes `(context, callback)`.
+ * @param {Function} callback - Called with the result returned by the first middleware.
+ *
+ * @ignore
+ */
+function runOutgoing(middlewares, context, send, callback) {
+    const run = (index, done) => {
+        if (index >= middlewares.length) {
+            try {
+                return send(context, done);
+            } catch (error) {
+                return done(error);
+            }
+        }
+
+        let finished = false;
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            done(error || null, result);
+        };
+        invoke(middlewares[index], [context, nextCallback => run(index + 1, nextCallback || finish), finish], finish);
+    };
+
+    run(0, callback);
+}
+
+module.exports = { runIncoming, runOutgoing };
@@ -1,15 +1,322 @@
 'use strict';
 
 const AbstractModelType = require('../abstract-model-type');
+const Enums = require('./enums');
 const Limits = require('./limits');
 const ModelValidation = require('../model-validation');
 
+/**
+ * Button of a card or a suggested action
+ *
+ * @extends AbstractModelType
+ *
+ * @property {String} type - Enums.CardActionType; what happens when the user clicks the button
+ * @property {String} title - text of the button
+ * @property {String} value - the url for openUrl, the text sent by the user for imBack, the data sent to the bot for postBack or the phone number for call
+ */
+class CardAction extends AbstractModelType
+{
+    /**
+     * Creates a new card action
+     *
+     * @param {Object} inputData - the object received from the Messaging service, or null if constructing from scratch.
+     */
+    constructor(inputData)
+    {
+        super();
+
+        this.type = null;
+        this.title = null;
+        this.value = null;
+
+        this.populatePlainInput(inputData);
+    }
+
+    /**
+     *  validates the object instance
+     *
+     * @param context
+     * @returns {Array} - validation errors
+     */
+    validate(context)
+    {
+        var errors = ModelValidation.validateEnum(context, this.type, Enums.CardActionType, 'CardAction.type');
+        errors = errors.concat(ModelValidation.validateString(context, this.title, 'CardAction.title', false, Limits.CardActionTitleLength.Max));
+        errors = errors.concat(ModelValidation.validateString(context, this.value, 'CardAction.value', false, Limits.CardActionValueLength.Max));
+        if(this.type === Enums.CardActionType.OpenUrl && typeof this.value === 'string' && !/^https?:\/\//i.test(this.value))
+        {
+            errors.push('CardAction.value must be a http or https url for openUrl action');
+        }
+        return errors;
+    }
+
+    /**
+     * Creates a button opening a web page
+     *
+     * @param {String} title - text of the button
+     * @param {String} url - the http or https url
+     * @returns {CardAction}
+     */
+    static openUrl(title, url)
+    {
+        return new CardAction({ type: Enums.CardActionType.OpenUrl, title: title, value: url });
+    }
+
+    /**
+     * Creates a button sending a message on behalf of the user
+     *
+     * @param {String} title - text of the button
+     * @param {String} [text] - the sent text, the title by default
+     * @returns {CardAction}
+     */
+    static imBack(title, text)
+    {
+        return new CardAction({ type: Enums.CardActionType.ImBack, title: title, value: text || title });
+    }
+
+    /**
+     * Creates a button sending data to the bot without showing them in the chat
+     *
+     * @param {String} title - text of the button
+     * @param {String} data - the sent data
+     * @returns {CardAction}
+     */
+    static postBack(title, data)
+    {
+        return new CardAction({ type: Enums.CardActionType.PostBack, title: title, value: data });
+    }
+
+    /**
+     * Creates a button calling a phone number or a user
+     *
+     * @param {String} title - text of the button
+     * @param {String} target - the phone number, e.g. "tel:+14258828080", or the user
+     * @returns {CardAction}
+     */
+    static call(title, target)
+    {
+        return new CardAction({ type: Enums.CardActionType.Call, title: title, value: target });
+    }
+}
+
+/**
+ * Image of a card
+ *
+ * @extends AbstractModelType
+ *
+ * @property {String} url - url of the image
+ * @property {String} alt - optional; alternative text of the image
+ */
+class CardImage extends AbstractModelType
+{
+    /**
+     * Creates a new card image
+     *
+     * @param {Object} inputData - the object received from the Messaging service, or null if constructing from scratch.
+     */
+    constructor(inputData)
+    {
+        super();
+
+        this.url = null;
+        this.alt = null;
+
+        this.populatePlainInput(inputData);
+    }
+
+    /**
+     *  validates the object instance
+     *
+     * @param context
+     * @returns {Array} - validation errors
+     */
+    validate(context)
+    {
+        var errors = ModelValidation.validateString(context, this.url, 'CardImage.url', false, Limits.UrlLength.Max);
+        return errors.concat(ModelValidation.validateOptionalString(context, this.alt, 'CardImage.alt', true, Limits.CardTitleLength.Max));
+    }
+}
+
+/**
+ * Card with a title, text, image and buttons; base for hero and thumbnail cards
+ *
+ * @extends AbstractModelType
+ *
+ * @property {String} title - optional; title of the card
+ * @property {String} subtitle - optional; subtitle of the card
+ * @property {String} text - optional; text of the card
+ * @property {Object[]} images - optional; Array of CardImage
+ * @property {Object[]} buttons - optional; Array of CardAction
+ * @property {Object} tap - optional; CardAction executed when the user clicks the card
+ */
+class Card extends AbstractModelType
+{
+    /**
+     * Creates a new card
+     *
+     * @param {Object} inputData - the object received from the Messaging service, or null if constructing from scratch.
+     */
+    constructor(inputData)
+    {
+        super();
+
+        this.title = null;
+        this.subtitle = null;
+        this.text = null;
+        this.images = null;
+        this.buttons = null;
+        this.tap = null;
+
+        this.populatePlainInput(inputData, {
+            'images': attrData => new CardImage(attrData),
+            'buttons': attrData => new CardAction(attrData),
+            'tap': attrData => new CardAction(attrData)
+        });
+    }
+
+    /**
+     * The content type of the card in the message attachments
+     *
+     * @returns {String} Enums.CardContentType
+     */
+    get contentType()
+    {
+        throw new TypeError('contentType not implemented');
+    }
+
+    /**
+     *  validates the object instance
+     *
+     * @param context
+     * @returns {Array} - validation errors
+     */
+    validate(context)
+    {
+        const name = this.constructor.name;
+        var errors = ModelValidation.validateOptionalString(context, this.title, name + '.title', true, Limits.CardTitleLength.Max);
+        errors = errors.concat(ModelValidation.validateOptionalString(context, this.subtitle, name + '.subtitle', true, Limits.CardTitleLength.Max));
+        errors = errors.concat(ModelValidation.validateOptionalString(context, this.text, name + '.text', true, Limits.CardTextLength.Max));
+        if(this.images != null)
+        {
+            errors = errors.concat(ModelValidation.validateArray(context, this.images, name + '.images', true, true, Limits.NumberOfCardImages.Max));
+            errors = errors.concat(ModelValidation.validateTypedObjectArray(context, this.images, CardImage, name + '.images', 'CardImage'));
+        }
+        if(this.buttons != null)
+        {
+            errors = errors.concat(ModelValidation.validateArray(context, this.buttons, name + '.buttons', true, true, Limits.NumberOfCardButtons.Max));
+            errors = errors.concat(ModelValidation.validateTypedObjectArray(context, this.buttons, CardAction, name + '.buttons', 'CardAction'));
+        }
+        errors = errors.concat(ModelValidation.validateOptionalTypedObject(context, this.tap, CardAction, name + '.tap', 'CardAction'));
+        if(!this.title && !this.subtitle && !this.text && (this.images == null || this.images.length == 0))
+        {
+            errors.push(name + ' must have a title, a subtitle, a text or an image');
+        }
+        return errors;
+    }
+
+    /**
+     * Serializes the card as an attachment of the message
+     *
+     * @returns {Object}
+     */
+    toJSON()
+    {
+        const content = {};
+        ['title', 'subtitle', 'text', 'images', 'buttons', 'tap'].forEach(key => {
+            if(this[key] != null) content[key] = this[key];
+        });
+        return { contentType: this.contentType, content: content };
+    }
+}
+
+/**
+ * Card with a large image
+ *
+ * @extends Card
+ */
+class HeroCard extends Card
+{
+    get contentType()
+    {
+        return Enums.CardContentType.Hero;
+    }
+}
+
+/**
+ * Card with a small image next to the text
+ *
+ * @extends Card
+ */
+class ThumbnailCard extends Card
+{
+    get contentType()
+    {
+        return Enums.CardContentType.Thumbnail;
+    }
+}
+
+/**
+ * Creates a card from a message attachment
+ *
+ * @param {Object} attrData - the attachment, either a Card or `{ contentType, content }`
+ * @returns {Card}
+ */
+function createCard(attrData)
+{
+    if(attrData instanceof Card) return attrData;
+    if(attrData.contentType === Enums.CardContentType.Thumbnail) return new ThumbnailCard(attrData.content);
+    if(attrData.contentType === Enums.CardContentType.Hero) return new HeroCard(attrData.content);
+    throw new Error(`unsupported attachment content type ${attrData.contentType}`);
+}
+
+/**
+ * Buttons shown under the message until the user replies
+ *
+ * @extends AbstractModelType
+ *
+ * @property {Object[]} actions - Array of CardAction
+ */
+class SuggestedActions extends AbstractModelType
+{
+    /**
+     * Creates new suggested actions
+     *
+     * @param {Object} inputData - the object received from the Messaging service, or null if constructing from scratch.
+     */
+    constructor(inputData)
+    {
+        super();
+
+        this.actions = null;
+
+        this.populatePlainInput(inputData, {
+            'actions': attrData => new CardAction(attrData)
+        });
+    }
+
+    /**
+     *  validates the object instance
+     *
+     * @param context
+     * @returns {Array} - validation errors
+     */
+    validate(context)
+    {
+        var errors = ModelValidation.validateArray(context, this.actions, 'SuggestedActions.actions', false, true, Limits.NumberOfSuggestedActions.Max);
+        if(errors.length > 0) return errors;
+        return ModelValidation.validateTypedObjectArray(context, this.actions, CardAction, 'SuggestedActions.actions', 'CardAction');
+    }
+}
+
 /**
  * Message activity - representation of Skype text message
  *
  * @extends AbstractModelType
  *
- * @property {String} content - text message, optionally with Skype rich text object such as emoticons
+ * @property {String} content - text message, optionally with Skype rich text object such as emoticons; optional if the message has cards
+ * @property {Object[]} attachments - optional; Array of Card (HeroCard or ThumbnailCard)
+ * @property {String} attachmentLayout - optional; Enums.AttachmentLayout; how multiple cards are displayed
+ * @property {Object} suggestedActions - optional; SuggestedActions
  */
 class Message extends AbstractModelType
 {
@@ -23,8 +330,14 @@ class Message extends AbstractModelType
         super();
 
         this.content = null;
+        this.attachments = null;
+        this.attachmentLayout = null;
+        this.suggestedActions = null;
 
-        this.populatePlainInput(inputData);
+        this.populatePlainInput(inputData, {
+            'attachments': createCard,
+            'suggestedActions': attrData => new SuggestedActions(attrData)
+        });
     }
 
     /**
@@ -35,7 +348,32 @@ class Message extends AbstractModelType
      */
     validate(context)
     {
-        return ModelValidation.validateString(context, this.content, 'Message.content', false, Limits.MessageContentSizeBytes);
+        const hasCards = this.attachments instanceof Array && this.attachments.length > 0;
+        var errors = hasCards ?
+            ModelValidation.validateOptionalString(context, this.content, 'Message.content', true, Limits.MessageContentSizeBytes.Max) :
+            ModelValidation.validateString(context, this.content, 'Message.content', false, Limits.MessageContentSizeBytes.Max);
+        if(this.attachments != null)
+        {
+            errors = errors.concat(ModelValidation.validateArray(context, this.attachments, 'Message.attachments', true, true, Limits.NumberOfCards.Max));
+            errors = errors.concat(ModelValidation.validateTypedObjectArray(context, this.attachments, Card, 'Message.attachments', 'Card'));
+        }
+        errors = errors.concat(ModelValidation.validateOptionalEnum(context, this.attachmentLayout, Enums.AttachmentLayout, 'Message.attachmentLayout'));
+        errors = errors.concat(ModelValidation.validateOptionalTypedObject(context, this.suggestedActions, SuggestedActions, 'Message.suggestedActions', 'SuggestedActions'));
+        return errors;
+    }
+
+    /**
+     * Serializes the message without the unset optional properties
+     *
+     * @returns {Object}
+     */
+    toJSON()
+    {
+        const json = { content: this.content };
+        ['attachments', 'attachmentLayout', 'suggestedActions'].forEach(key => {
+            if(this[key] != null) json[key] = this[key];
+        });
+        return json;
     }
 }
 
@@ -78,4 +416,4 @@ class Activity extends AbstractModelType
     }
 }
 
-module.exports = { Activity, Message };
+module.exports = { Activity, Message, Card, HeroCard, ThumbnailCard, CardAction, CardImage, SuggestedActions };
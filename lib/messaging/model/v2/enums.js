@@ -14,6 +14,13 @@ var EnumsV2 = {
         Video: 'Video'
     },
 
+    MediaFormat: {
+        Png: 'png',
+        Jpeg: 'jpeg',
+        Gif: 'gif',
+        Mp4: 'mp4'
+    },
+
     AttachmentViewType : {
         Original : 'original',
         Thumbnail: 'thumbnail'
@@ -22,6 +29,23 @@ var EnumsV2 = {
     ContactRelationAction: {
         Add : 'add',
         Remove : 'remove'
+    },
+
+    CardActionType: {
+        OpenUrl: 'openUrl',
+        ImBack: 'imBack',
+        PostBack: 'postBack',
+        Call: 'call'
+    },
+
+    CardContentType: {
+        Hero: 'application/vnd.microsoft.card.hero',
+        Thumbnail: 'application/vnd.microsoft.card.thumbnail'
+    },
+
+    AttachmentLayout: {
+        List: 'list',
+        Carousel: 'carousel'
     }
 };
 
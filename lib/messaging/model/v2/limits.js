@@ -10,6 +10,46 @@ var LimitsV2 = {
     AttachmentRequestSize : {
         Min: 1,
         Max: 20971520
+    },
+
+    ImageResolution : {
+        Max: 2000
+    },
+
+    CardTitleLength : {
+        Max: 256
+    },
+
+    CardTextLength : {
+        Max: 2048
+    },
+
+    CardActionTitleLength : {
+        Max: 128
+    },
+
+    CardActionValueLength : {
+        Max: 2048
+    },
+
+    UrlLength : {
+        Max: 2048
+    },
+
+    NumberOfCardImages : {
+        Max: 1
+    },
+
+    NumberOfCardButtons : {
+        Max: 6
+    },
+
+    NumberOfSuggestedActions : {
+        Max: 10
+    },
+
+    NumberOfCards : {
+        Max: 10
     }
 
 };
@@ -0,0 +1,241 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.OutboundQueue');
+const EventEmitter = require('events').EventEmitter;
+
+const promiseUtils = require('../utils/promise-utils');
+
+/**
+ * Token bucket rate limiter.
+ *
+ * @ignore
+ */
+class TokenBucket {
+    /**
+     * @param {number} rate - Number of tokens added per second.
+     * @param {number} burst - Maximal number of tokens in the bucket.
+     */
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this._tokens = burst;
+        this._updatedAt = Date.now();
+    }
+
+    _refill() {
+        const now = Date.now();
+        this._tokens = Math.min(this.burst, this._tokens + (now - this._updatedAt) * this.rate / 1000);
+        this._updatedAt = now;
+    }
+
+    /**
+     * Time in milliseconds until a token is available, 0 if it's available now.
+     */
+    waitTime() {
+        this._refill();
+        if (this._tokens >= 1) return 0;
+        return Math.ceil((1 - this._tokens) * 1000 / this.rate);
+    }
+
+    take() {
+        this._refill();
+        this._tokens -= 1;
+    }
+
+    /**
+     * True if the bucket is full, so it doesn't have to be kept.
+     */
+    isFull() {
+        this._refill();
+        return this._tokens >= this.burst;
+    }
+}
+
+/**
+ * Dispatcher of outgoing requests of messaging service.
+ *
+ * Requests to the same conversation are sent one by one in the order they were queued,
+ * requests to different conversations are sent in parallel. Sending is limited by a global
+ * and a per-conversation token bucket.
+ *
+ * @fires OutboundQueue#drain
+ * @fires OutboundQueue#conversationDrain
+ */
+class OutboundQueue extends EventEmitter {
+    /**
+     * Create a new queue.
+     *
+     * @param {Object} [options] - The configuration of the queue.
+     * @param {number} [options.rate=30] - Maximal number of requests per second for all conversations.
+     * @param {number} [options.burst=30] - Maximal number of requests sent at once for all conversations.
+     * @param {number} [options.conversationRate=1] - Maximal number of requests per second for one conversation.
+     * @param {number} [options.conversationBurst=5] - Maximal number of requests sent at once to one conversation.
+     */
+    constructor(options) {
+        super();
+        options = options || {};
+
+        this._globalBucket = new TokenBucket(options.rate || 30, options.burst || 30);
+        this._conversationRate = options.conversationRate || 1;
+        this._conversationBurst = options.conversationBurst || 5;
+
+        // conversation id -> { tasks: [], busy: bool, bucket: TokenBucket }
+        this._conversations = new Map();
+        this._depth = 0;
+        this._timer = null;
+        this._closed = false;
+    }
+
+    /**
+     * Number of requests waiting in the queue or being sent.
+     *
+     * @returns {number}
+     */
+    get depth() {
+        return this._depth;
+    }
+
+    /**
+     * Get number of requests waiting or being sent to a conversation.
+     *
+     * @param {string} conversationId - The conversation id.
+     * @returns {number}
+     */
+    getDepth(conversationId) {
+        const conversation = this._conversations.get(conversationId);
+        if (!conversation) return 0;
+        return conversation.tasks.length + (conversation.busy ? 1 : 0);
+    }
+
+    /**
+     * Queue a request.
+     *
+     * @param {string} conversationId - The conversation the request is sent to.
+     * @param {Function} send - Function sending the request, takes a node-style callback.
+     * @param {Function} callback - Called with the result of the request.
+     */
+    enqueue(conversationId, send, callback) {
+        if (this._closed) {
+            return process.nextTick(() => callback(new Error('Outbound queue is shut down.')));
+        }
+
+        let conversation = this._conversations.get(conversationId);
+        if (!conversation) {
+            conversation = {
+                tasks: [],
+                busy: false,
+                bucket: new TokenBucket(this._conversationRate, this._conversationBurst)
+            };
+            this._conversations.set(conversationId, conversation);
+        }
+
+        conversation.tasks.push({ send, callback });
+        this._depth++;
+        this._dispatch();
+    }
+
+    /**
+     * Stop accepting new requests and wait until all queued requests are sent.
+     *
+     * @param {Function} [callback] - Called once the queue is empty. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    shutdown(callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            debug(`Shutting down, ${this._depth} requests pending.`);
+            this._closed = true;
+            if (this._depth === 0) {
+                return process.nextTick(done);
+            }
+            this.once('drain', () => done());
+        });
+    }
+
+    _dispatch() {
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        let wait = Infinity;
+        for (let entry of this._conversations) {
+            const conversationId = entry[0];
+            const conversation = entry[1];
+            if (conversation.busy) continue;
+
+            if (conversation.tasks.length === 0) {
+                if (conversation.bucket.isFull()) {
+                    this._conversations.delete(conversationId);
+                }
+                continue;
+            }
+
+            const conversationWait = conversation.bucket.waitTime();
+            if (conversationWait > 0) {
+                wait = Math.min(wait, conversationWait);
+                continue;
+            }
+
+            const globalWait = this._globalBucket.waitTime();
+            if (globalWait > 0) {
+                wait = Math.min(wait, globalWait);
+                break;
+            }
+
+            this._globalBucket.take();
+            conversation.bucket.take();
+            this._run(conversationId, conversation);
+        }
+
+        if (wait !== Infinity) {
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._dispatch();
+            }, wait);
+        }
+    }
+
+    _run(conversationId, conversation) {
+        const task = conversation.tasks.shift();
+        conversation.busy = true;
+
+        let finished = false;
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+
+            conversation.busy = false;
+            this._depth--;
+            // the request can finish synchronously while dispatching, so don't dispatch recursively
+            process.nextTick(() => this._dispatch());
+
+            if (conversation.tasks.length === 0) {
+                /**
+                 * Emitted when all requests to a conversation were sent, before the callback of the last request is called.
+                 * @event OutboundQueue#conversationDrain
+                 * @param {string} conversationId
+                 */
+                this.emit('conversationDrain', conversationId);
+            }
+            if (this._depth === 0) {
+                /**
+                 * Emitted when all queued requests were sent, before the callback of the last request is called.
+                 * @event OutboundQueue#drain
+                 */
+                this.emit('drain');
+            }
+            // last, so the queue keeps going even if the callback throws
+            task.callback(error, result);
+        };
+
+        try {
+            task.send(finish);
+        } catch (error) {
+            // an error thrown by the callback of a request that finished synchronously is not the request's
+            if (finished) throw error;
+            finish(error);
+        }
+    }
+}
+
+module.exports = OutboundQueue;
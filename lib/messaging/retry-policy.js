@@ -0,0 +1,82 @@
+'use strict';
+
+const errors = require('./errors');
+
+const DefaultRetryableStatusCodes = [ 408, 429, 500, 502, 503, 504 ];
+const DefaultSafeStatusCodes = [ 429, 503 ];
+// the request never reached the service, so it's safe to repeat it even if it isn't idempotent
+const SafeNetworkErrorCodes = [ 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH' ];
+const RetryableNetworkErrorCodes = SafeNetworkErrorCodes.concat([ 'ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE' ]);
+
+/**
+ * Policy deciding if and when a failed request to messaging service is repeated.
+ *
+ * Idempotent requests (GET) are retried after network errors and any of `retryableStatusCodes`.
+ * Other requests (POST) are retried only if it's certain they weren't processed: when the connection
+ * couldn't be established or the service responded with one of `safeStatusCodes`.
+ *
+ * Delay between attempts grows exponentially with full jitter. If the service sends a Retry-After
+ * header, the delay is at least the requested time; the request is not retried if the requested
+ * time is longer than `maxDelay`.
+ */
+class RetryPolicy {
+    /**
+     * Create a new retry policy.
+     *
+     * @param {Object} [options] - The configuration of the policy.
+     * @param {number} [options.maxAttempts=3] - Maximal number of attempts including the first one, 1 disables retries.
+     * @param {number} [options.initialDelay=500] - The base delay in milliseconds before the first retry.
+     * @param {number} [options.maxDelay=30000] - The maximal delay in milliseconds between attempts.
+     * @param {number} [options.factor=2] - The multiplier of the delay for each following attempt.
+     * @param {number[]} [options.retryableStatusCodes=[408, 429, 500, 502, 503, 504]] - Status codes retried for idempotent requests.
+     * @param {number[]} [options.safeStatusCodes=[429, 503]] - Status codes retried also for requests that are not idempotent.
+     */
+    constructor(options) {
+        options = options || {};
+        this.maxAttempts = options.maxAttempts || 3;
+        this.initialDelay = typeof options.initialDelay === 'number' ? options.initialDelay : 500;
+        this.maxDelay = typeof options.maxDelay === 'number' ? options.maxDelay : 30000;
+        this.factor = options.factor || 2;
+        this.retryableStatusCodes = options.retryableStatusCodes || DefaultRetryableStatusCodes;
+        this.safeStatusCodes = options.safeStatusCodes || DefaultSafeStatusCodes;
+    }
+
+    /**
+     * Decide if the request should be repeated.
+     *
+     * @param {number} attempt - The number of the failed attempt, starting with 1.
+     * @param {Error} error - The error of the failed attempt.
+     * @param {boolean} idempotent - True if the request can be safely repeated.
+     * @returns {boolean}
+     */
+    shouldRetry(attempt, error, idempotent) {
+        if (attempt >= this.maxAttempts) return false;
+
+        if (error instanceof errors.MessagingServiceError) {
+            const statusCodes = idempotent ? this.retryableStatusCodes : this.safeStatusCodes;
+            if (statusCodes.indexOf(error.statusCode) === -1) return false;
+            return error.retryAfter == null || error.retryAfter <= this.maxDelay;
+        }
+
+        const networkCodes = idempotent ? RetryableNetworkErrorCodes : SafeNetworkErrorCodes;
+        return networkCodes.indexOf(error.code) !== -1;
+    }
+
+    /**
+     * Get the delay before the next attempt.
+     *
+     * @param {number} attempt - The number of the failed attempt, starting with 1.
+     * @param {Error} error - The error of the failed attempt.
+     * @returns {number} The delay in milliseconds.
+     */
+    getDelay(attempt, error) {
+        const ceiling = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, attempt - 1));
+        const delay = Math.floor(Math.random() * ceiling);
+        if (error && error.retryAfter != null) {
+            return Math.max(delay, error.retryAfter);
+        }
+        return delay;
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,318 @@
+'use strict';
+
+const format = require('./text-format');
+const decodeEntities = require('../utils/text-utils').decodeEntities;
+
+/**
+ * Types of the nodes of a parsed message.
+ */
+const RichTextNodeType = {
+    Root: 'root',
+    Text: 'text',
+    Bold: 'bold',
+    Italic: 'italic',
+    Strikethrough: 'strikethrough',
+    Code: 'code',
+    Link: 'link',
+    Mention: 'mention',
+    Emoticon: 'emoticon',
+    Quote: 'quote',
+    Element: 'element'
+};
+
+const TagTypes = {
+    b: RichTextNodeType.Bold,
+    i: RichTextNodeType.Italic,
+    s: RichTextNodeType.Strikethrough,
+    pre: RichTextNodeType.Code,
+    a: RichTextNodeType.Link,
+    at: RichTextNodeType.Mention,
+    ss: RichTextNodeType.Emoticon,
+    quote: RichTextNodeType.Quote
+};
+
+/**
+ * Builder of Skype rich text messages.
+ *
+ * Every text passed to the builder is escaped, so user supplied values can't break the markup.
+ * Formatting methods take either a text or a function building the formatted content, so formatting
+ * can be nested.
+ *
+ * Example:
+ * ```javascript
+ * const message = new skype.RichTextBuilder()
+ *     .mention(message.from, 'Alice')
+ *     .text(' your order ')
+ *     .bold(b => b.text('#').text(orderId))
+ *     .text(' was shipped ')
+ *     .emoticon('smile', ':)')
+ *     .newLine()
+ *     .link('https://example.com/orders', 'Show orders')
+ *     .build();
+ * bot.reply(message);
+ * ```
+ */
+class RichTextBuilder {
+    constructor() {
+        this._parts = [];
+    }
+
+    /**
+     * Append a plain text.
+     *
+     * @param {string} text - The text, it's escaped.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    text(text) {
+        this._parts.push(format.escape(text));
+        return this;
+    }
+
+    /**
+     * Append a line break.
+     *
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    newLine() {
+        this._parts.push('\n');
+        return this;
+    }
+
+    /**
+     * Append a bold text.
+     *
+     * @param {string|FormattedText|Function} content - The text or a function taking a builder of the content.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    bold(content) {
+        return this._append(format.bold(buildContent(content)));
+    }
+
+    /**
+     * Append an italic text.
+     *
+     * @param {string|FormattedText|Function} content - The text or a function taking a builder of the content.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    italic(content) {
+        return this._append(format.italic(buildContent(content)));
+    }
+
+    /**
+     * Append a strikethrough text.
+     *
+     * @param {string|FormattedText|Function} content - The text or a function taking a builder of the content.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    strikethrough(content) {
+        return this._append(format.strikethrough(buildContent(content)));
+    }
+
+    /**
+     * Append a monospaced text.
+     *
+     * @param {string} content - The text.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    code(content) {
+        return this._append(format.code(content));
+    }
+
+    /**
+     * Append a link.
+     *
+     * @param {string} url - The url, only http, https, mailto, skype and tel links are allowed.
+     * @param {string|FormattedText|Function} [content] - The text of the link, the url by default.
+     * @returns {RichTextBuilder} The builder for chaining.
+     *
+     * @throws Error if the url isn't allowed.
+     */
+    link(url, content) {
+        return this._append(format.link(url, typeof content === 'undefined' ? url : buildContent(content)));
+    }
+
+    /**
+     * Append a mention of a user.
+     *
+     * @param {string} id - The id of the user, e.g. "8:alice".
+     * @param {string} [name] - The displayed name, the id without the prefix by default.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    mention(id, name) {
+        return this._append(format.mention(id, name));
+    }
+
+    /**
+     * Append an emoticon.
+     *
+     * @param {string} type - The emoticon, e.g. "smile".
+     * @param {string} [text] - The text shown by clients that can't display the emoticon, e.g. ":)".
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    emoticon(type, text) {
+        return this._append(format.emoticon(type, text));
+    }
+
+    /**
+     * Append a quote of a previous message.
+     *
+     * @param {Message|Object} message - The quoted {@link Message} event or the description of the message.
+     * @param {string} message.messageId - The id of the quoted message.
+     * @param {string} [message.from] - The author of the message.
+     * @param {string} [message.to] - The conversation of the message.
+     * @param {string|number} [message.eventTime] - The time of the message.
+     * @param {string} [message.content] - The content of the message, it's quoted as plain text.
+     * @param {string} [authorName] - The displayed name of the author.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    quote(message, authorName) {
+        const time = message.eventTime ? new Date(message.eventTime).getTime() : null;
+        return this._append(format.quote(parseRichText(message.content || '').plainText, {
+            author: message.from,
+            authorName: authorName,
+            timestamp: time && !isNaN(time) ? time : null,
+            conversation: message.to,
+            messageId: message.messageId === null || typeof message.messageId === 'undefined' ? null : String(message.messageId)
+        }));
+    }
+
+    /**
+     * Append formatted text, e.g. created by the [format]{@link format} helpers.
+     *
+     * @param {FormattedText} formatted - The formatted text.
+     * @returns {RichTextBuilder} The builder for chaining.
+     */
+    append(formatted) {
+        if (!(formatted instanceof format.FormattedText)) {
+            return this.text(formatted);
+        }
+        return this._append(formatted);
+    }
+
+    /**
+     * Build the message.
+     *
+     * @returns {FormattedText} The message that can be passed to [send()]{@link BotService#send} or [reply()]{@link Bot#reply}.
+     */
+    build() {
+        return new format.FormattedText(this._parts.join(''));
+    }
+
+    _append(formatted) {
+        this._parts.push(formatted.markup);
+        return this;
+    }
+}
+
+function buildContent(content) {
+    if (typeof content === 'function') {
+        const builder = new RichTextBuilder();
+        content(builder);
+        return builder.build();
+    }
+    return content;
+}
+
+/**
+ * Node of a parsed message.
+ *
+ * @typedef {Object} RichTextNode
+ *
+ * @property {string} type - RichTextNodeType.
+ * @property {string} [text] - The text of a text node, entities are decoded.
+ * @property {string} [tag] - The tag of an element, e.g. "b".
+ * @property {Object} [attributes] - The attributes of an element, e.g. `{ id: "8:alice" }` of a mention.
+ * @property {RichTextNode[]} [children] - The content of an element.
+ */
+
+/**
+ * Parsed message.
+ *
+ * @typedef {Object} ParsedRichText
+ *
+ * @property {RichTextNode} tree - The root node.
+ * @property {string} plainText - The text without markup. Quotes are not included, since they
+ *      are not written by the sender.
+ */
+
+/**
+ * Parse the content of a message to a tree.
+ *
+ * The parser is tolerant, unknown elements are kept as "element" nodes, unmatched closing tags
+ * are ignored and unclosed elements are closed at the end of the content.
+ *
+ * @param {string} content - The content of a message.
+ * @returns {ParsedRichText}
+ */
+function parseRichText(content) {
+    const root = { type: RichTextNodeType.Root, children: [] };
+    const stack = [ root ];
+    // no part of a tag may contain "<", so a tag that isn't closed is given up at the next "<"
+    // and the content is parsed in linear time
+    const tagRegex = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'<=>\/]+(?:\s*=\s*(?:"[^"<]*"|'[^'<]*'|(?:[^\s"'<=>\/`]|\/(?!>))+))?)*)\s*(\/?)>/g;
+
+    const appendText = text => {
+        if (text.length === 0) return;
+        stack[stack.length - 1].children.push({ type: RichTextNodeType.Text, text: decodeEntities(text) });
+    };
+
+    let position = 0;
+    let match;
+    content = content || '';
+    while ((match = tagRegex.exec(content)) !== null) {
+        appendText(content.substring(position, match.index));
+        position = match.index + match[0].length;
+
+        const closing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+        if (closing) {
+            // close the nearest open element with the tag, ignore the tag if there is none
+            for (let i = stack.length - 1; i > 0; --i) {
+                if (stack[i].tag === tag) {
+                    stack.splice(i);
+                    break;
+                }
+            }
+            continue;
+        }
+
+        const node = {
+            type: TagTypes[tag] || RichTextNodeType.Element,
+            tag: tag,
+            attributes: parseAttributes(match[3]),
+            children: []
+        };
+        stack[stack.length - 1].children.push(node);
+        if (match[4] !== '/') {
+            stack.push(node);
+        }
+    }
+    appendText(content.substring(position));
+
+    return { tree: root, plainText: plainText(root) };
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const attributeRegex = /([^\s"'<=>\/]+)(?:\s*=\s*(?:"([^"<]*)"|'([^'<]*)'|((?:[^\s"'<=>\/`]|\/(?!>))+)))?/g;
+    let match;
+    while ((match = attributeRegex.exec(text)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attributes;
+}
+
+/**
+ * Get the plain text of a node.
+ *
+ * @param {RichTextNode} node - The node.
+ * @returns {string} The text of the node and its children, without quotes.
+ */
+function plainText(node) {
+    if (node.type === RichTextNodeType.Text) return node.text;
+    if (node.type === RichTextNodeType.Quote || node.tag === 'legacyquote') return '';
+    return node.children.map(plainText).join('');
+}
+
+module.exports = { RichTextBuilder, RichTextNodeType, parseRichText, plainText };
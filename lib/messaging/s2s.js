@@ -1,15 +1,32 @@
 /// <reference path="../../typings/main.d.ts" />
 'use strict';
 
-const EventEmitter = require('events').EventEmitter;
 const https = require('https');
 const url = require('url');
 const querystring = require('querystring');
 const debug = require('debug')('skype-sdk.S2SClient');
 
-class S2SClient extends EventEmitter {
+const TokenProvider = require('./token-provider');
+
+/**
+ * Provider of server to server tokens, obtained with the agent's client certificate.
+ *
+ * See {@link TokenProvider} for caching and renewal of the tokens.
+ */
+class S2SClient extends TokenProvider {
+    /**
+     * Create a new instance of S2SClient.
+     *
+     * @param {Object} options - The configuration, see also {@link TokenProvider} for the options of the cache and renewal.
+     * @param {number} options.siteId - The agent's Site ID.
+     * @param {string} options.key - The private key of the agent in PEM format.
+     * @param {string} options.cert - The certificate of the agent in PEM format.
+     * @param {string} [options.s2sEndpoint] - The token endpoint, Microsoft account service by default.
+     * @param {string} [options.scope="ssl.live.com"] - The scope of requested tokens.
+     * @param {string} [options.s2sAuthPolicy="S2S_24HOURS_MUTUALSSL"] - The authentication policy.
+     */
     constructor(options) {
-        super();
+        super(options);
         const endpoint = options.s2sEndpoint || 'https://login.live.com/pksecure/oauth20_clientcredentials.srf';
         const parsedUrl = url.parse(endpoint);
         
@@ -19,7 +36,6 @@ class S2SClient extends EventEmitter {
         
         this._scope = options.scope || 'ssl.live.com';
         this._s2sAuthPolicy = options.s2sAuthPolicy || 'S2S_24HOURS_MUTUALSSL';
-        this._renewBeforeExpiration = options.renewBeforeExpiration || 600;
         
         if (typeof options.siteId !== 'undefined' && options.siteId !== null)
             this._siteId = options.siteId;
@@ -35,29 +51,18 @@ class S2SClient extends EventEmitter {
             this._cert = options.cert;
         else
             throw new Error('Missing "cert" option.');
-        
-        this._token = null;
-        this._validUntil = new Date(0);
-        this.renewingTicket = false;
+
+        this._cacheKey = options.cacheKey || `s2s:${this._siteId}:${this._scope}`;
     }
     
-    getToken(callback) {
-        debug('Getting S2S token.');
-        if (new Date() < this._validUntil) {
-            debug(`S2S token is still valid, returning it: ${this._token}`);
-            return callback(null, this._token);
-        } else {
-            debug('S2S token expired, requesting a new one.');
-            if (this.renewingTicket) {
-                debug('S2S token is being renewed, waiting for "token" event.');
-                this.once('token', callback);
-            } else {
-                this.renewingTicket = true;
-                this.renewTicket((err, data) => {
-                    this._setNewToken(err, data, callback);
-                });
+    _requestToken(callback) {
+        this.renewTicket((err, data) => {
+            if (err) {
+                debug(`S2S token renewal failed with ${err}`);
+                return callback(err);
             }
-        }
+            callback(null, { accessToken: data.access_token, expiresIn: data.expires_in });
+        });
     }
     
     renewTicket(callback) {
@@ -91,25 +96,6 @@ class S2SClient extends EventEmitter {
         request.end();
     }
     
-    _setNewToken(err, data, callback) {
-        this.renewingTicket = false;
-        if (err) {
-            debug(`S2S token renewal failed with ${err}`);
-            this.emit('token', err);
-            return callback(err);
-        }
-        
-        this._token = data.access_token;
-        const now = new Date();
-        this._validUntil = new Date(now.getTime() + (data.expires_in - this._renewBeforeExpiration) * 1000);
-        
-        debug(`S2S token renewed and valid until ${this._validUntil}: "${this._token}"`);
-        
-        this.emit('token', null, this._token);
-        callback(null, this._token);
-                
-    }
-    
     _handleRenewTicketResponse(res, callback) {
         let data = '';
         res.on('data', (chunk) => data += chunk);
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Text with Skype rich text markup that is safe to send without escaping.
+ *
+ * Returned by the formatting helpers, so they can be nested without escaping the markup twice.
+ * Plain strings passed to the helpers are always escaped.
+ */
+class FormattedText {
+    /**
+     * @param {string} markup - The markup, already escaped.
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return escapeText(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape a text, formatted text is returned unchanged.
+ *
+ * @param {string|FormattedText} text - The text.
+ * @returns {string} The markup.
+ */
+function escape(text) {
+    if (text instanceof FormattedText) return text.markup;
+    if (text === null || typeof text === 'undefined') return '';
+    return escapeText(text);
+}
+
+/**
+ * Join texts and formatted texts.
+ *
+ * @param {...(string|FormattedText)} parts - The parts.
+ * @returns {FormattedText}
+ */
+function concat() {
+    return new FormattedText(Array.prototype.map.call(arguments, escape).join(''));
+}
+
+/**
+ * Template tag escaping the substituted values, e.g. format.text`Hello ${format.bold(name)}, you wrote ${message}`.
+ *
+ * @param {string[]} strings - The literal parts of the template, they are not escaped.
+ * @param {...(string|FormattedText)} values - The substituted values.
+ * @returns {FormattedText}
+ */
+function text(strings) {
+    let markup = strings[0];
+    for (let i = 1; i < strings.length; ++i) {
+        markup += escape(arguments[i]) + strings[i];
+    }
+    return new FormattedText(markup);
+}
+
+function tag(name, content) {
+    return new FormattedText(`<${name}>${escape(content)}</${name}>`);
+}
+
+/**
+ * @param {string|FormattedText} content
+ * @returns {FormattedText} Bold text.
+ */
+function bold(content) {
+    return tag('b', content);
+}
+
+/**
+ * @param {string|FormattedText} content
+ * @returns {FormattedText} Italic text.
+ */
+function italic(content) {
+    return tag('i', content);
+}
+
+/**
+ * @param {string|FormattedText} content
+ * @returns {FormattedText} Strikethrough text.
+ */
+function strikethrough(content) {
+    return tag('s', content);
+}
+
+/**
+ * @param {string|FormattedText} content
+ * @returns {FormattedText} Monospaced text.
+ */
+function code(content) {
+    return tag('pre', content);
+}
+
+/**
+ * @param {string} url - The url of the link.
+ * @param {string|FormattedText} [content] - The text of the link, the url by default.
+ * @returns {FormattedText} Link.
+ */
+function link(url, content) {
+    if (!/^(https?|mailto|skype|tel):/i.test(url)) {
+        throw new Error(`Invalid link ${url}, only http, https, mailto, skype and tel links are allowed.`);
+    }
+    return new FormattedText(`<a href="${escapeAttribute(url)}">${escape(typeof content === 'undefined' ? url : content)}</a>`);
+}
+
+/**
+ * @param {string|FormattedText} content - The quoted message.
+ * @param {Object} [options] - The origin of the quote.
+ * @param {string} [options.author] - The id of the author, e.g. "8:alice".
+ * @param {string} [options.authorName] - The display name of the author.
+ * @param {Date|number} [options.timestamp] - The time of the quoted message.
+ * @param {string} [options.messageId] - The id of the quoted message.
+ * @param {string} [options.conversation] - The conversation of the quoted message.
+ * @returns {FormattedText} Quote.
+ */
+function quote(content, options) {
+    options = options || {};
+    let attributes = '';
+    if (options.author) attributes += ` author="${escapeAttribute(options.author)}"`;
+    if (options.authorName) attributes += ` authorname="${escapeAttribute(options.authorName)}"`;
+    if (options.timestamp) {
+        const time = options.timestamp instanceof Date ? options.timestamp.getTime() : options.timestamp;
+        attributes += ` timestamp="${Math.floor(time / 1000)}"`;
+    }
+    if (options.conversation) attributes += ` conversation="${escapeAttribute(options.conversation)}"`;
+    if (options.messageId) attributes += ` messageid="${escapeAttribute(options.messageId)}"`;
+    return new FormattedText(`<quote${attributes}>${escape(content)}</quote>`);
+}
+
+/**
+ * @param {string} type - The emoticon, e.g. "smile".
+ * @param {string} [content] - The text shown by clients that can't display the emoticon, e.g. ":)", the type in brackets by default.
+ * @returns {FormattedText} Emoticon.
+ */
+function emoticon(type, content) {
+    if (!/^[\w-]+$/.test(type)) {
+        throw new Error(`Invalid emoticon ${type}.`);
+    }
+    return new FormattedText(`<ss type="${type}">${escape(typeof content === 'undefined' ? `(${type})` : content)}</ss>`);
+}
+
+/**
+ * @param {string} id - The id of the mentioned user, e.g. "8:alice".
+ * @param {string} [name] - The displayed name, the id without the prefix by default.
+ * @returns {FormattedText} Mention of a user.
+ */
+function mention(id, name) {
+    const displayed = typeof name === 'undefined' ? id.replace(/^\d+:/, '') : name;
+    return new FormattedText(`<at id="${escapeAttribute(id)}">${escape(displayed)}</at>`);
+}
+
+module.exports = {
+    FormattedText,
+    escape,
+    concat,
+    text,
+    bold,
+    italic,
+    strikethrough,
+    code,
+    link,
+    quote,
+    mention,
+    emoticon
+};
@@ -0,0 +1,312 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.TokenProvider');
+const EventEmitter = require('events').EventEmitter;
+const uuid = require('node-uuid');
+
+const MemoryStorage = require('../state/memory-storage');
+const ConcurrencyError = require('../state/errors').ConcurrencyError;
+const promiseUtils = require('../utils/promise-utils');
+
+// tokens closer to their expiration aren't used even while a background refresh is running
+const MinRemainingTime = 60 * 1000;
+// delay before a failed background refresh is retried
+const RetryInterval = 30 * 1000;
+
+/**
+ * Token as stored in the cache.
+ *
+ * @typedef {Object} TokenProvider~CachedToken
+ *
+ * @property {string} accessToken - The access token.
+ * @property {number} expiresAt - The time the token expires, in milliseconds since epoch.
+ */
+
+/**
+ * Base class of providers of access tokens, like {@link AuthService} and {@link S2SClient}.
+ *
+ * Tokens are kept in a cache, which is a state storage. The default {@link MemoryStorage} keeps them only
+ * for the process, a {@link FileStorage} keeps them over restarts and a {@link RedisStorage} shares them
+ * between processes, so workers don't request a token each. Note that the tokens are stored as they are,
+ * don't use a storage readable by others.
+ *
+ * A token is renewed `renewBeforeExpiration` seconds before it expires. By default the renewal runs in the
+ * background, so callers get the current token until it's replaced. Concurrent renewals of a token are
+ * deduplicated within the process, and across processes by a lock: the provider holding the lock requests
+ * the token and the others wait until it appears in the cache. By default the lock is an item in the cache
+ * itself, pass `options.lock` to use another mechanism, e.g. Redlock.
+ *
+ * Subclasses implement `_requestToken(callback)`, which calls the callback with `(error, { accessToken, expiresIn })`,
+ * `expiresIn` being in seconds.
+ *
+ * The provider emits these events, e.g. for monitoring:
+ *   - `cacheHit(cachedToken)` - A valid token was found in the cache.
+ *   - `tokenRequested()` - A new token is requested from the token endpoint.
+ *   - `tokenRefreshed(cachedToken)` - A new token was received from the token endpoint.
+ *   - `tokenRefreshFailed(error, background)` - Getting a new token failed.
+ *   - `tokenInvalidated(token)` - A token was rejected and dropped.
+ *   - `token(error, token)` - A renewal finished, with either an error or the current token.
+ */
+class TokenProvider extends EventEmitter {
+    /**
+     * Create a new token provider.
+     *
+     * @param {Object} [options] - The configuration of the provider.
+     * @param {Object} [options.cache] - The state storage of tokens, a new {@link MemoryStorage} by default.
+     * @param {string} [options.cacheKey] - The key of the token in the cache, set by subclasses by default.
+     * @param {number} [options.renewBeforeExpiration=600] - How long before the expiration the token is renewed, in seconds.
+     * @param {boolean} [options.refreshInBackground=true] - False to renew tokens only when they are requested.
+     * @param {Function} [options.lock] - Lock of renewals across processes, called with `(key, ttl, callback)`, `ttl` being
+     *       in milliseconds. It calls the callback with `(error, release)` or returns a Promise of `release`, which is
+     *       the function releasing the lock, or `null` if the lock is held by someone else.
+     * @param {number} [options.lockTimeout=10000] - How long to wait for a token renewed by another process, in milliseconds.
+     *       Then the token is requested without the lock.
+     * @param {number} [options.lockRetryInterval=250] - How often the cache is checked while waiting, in milliseconds.
+     */
+    constructor(options) {
+        super();
+        options = options || {};
+
+        this._cache = options.cache || new MemoryStorage();
+        this._cacheKey = options.cacheKey || 'token';
+        this._renewBeforeExpiration = options.renewBeforeExpiration || 600;
+        this._refreshInBackground = options.refreshInBackground !== false;
+        this._lock = options.lock || ((key, ttl, callback) => this._cacheLock(key, ttl, callback));
+        this._lockTimeout = options.lockTimeout || 10000;
+        this._lockRetryInterval = options.lockRetryInterval || 250;
+
+        this._token = null;
+        this._expiresAt = 0;
+        this._invalidToken = null;
+        this._refreshing = false;
+        this._refreshTimer = null;
+    }
+
+    /**
+     * Get a valid token, renewing it if needed.
+     *
+     * @param {Function} [callback] - Called with `(error, token)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    getToken(callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const now = Date.now();
+            if (this._isFresh(this._token, this._expiresAt, now)) {
+                return done(null, this._token);
+            }
+            if (this._refreshing && this._token !== null && now < this._expiresAt - MinRemainingTime) {
+                debug('Token is being renewed in the background, returning the current one.');
+                return done(null, this._token);
+            }
+            this._refresh(false, done);
+        });
+    }
+
+    /**
+     * Drop the current token, so that the next getToken() requests a new one.
+     *
+     * @param {string} [token] - The token rejected by the service. If the current token was already
+     *      replaced by a newer one, it's kept.
+     */
+    invalidateToken(token) {
+        if (typeof token !== 'undefined' && token !== this._token) {
+            return;
+        }
+        token = this._token;
+        this._expiresAt = 0;
+        this._clearRefreshTimer();
+        if (token === null) {
+            return;
+        }
+
+        debug('Token was invalidated.');
+        this._invalidToken = token;
+        this.emit('tokenInvalidated', token);
+        // remove it from the cache too, unless another process already replaced it
+        this._cache.read(this._cacheKey, (error, item) => {
+            if (!error && item && item.data.accessToken === token) {
+                this._cache.delete(this._cacheKey, { etag: item.etag }, () => {});
+            }
+        });
+    }
+
+    /**
+     * Stop the scheduled background renewal.
+     */
+    stop() {
+        this._clearRefreshTimer();
+    }
+
+    _isFresh(token, expiresAt, now) {
+        return token !== null && token !== this._invalidToken && now < expiresAt - this._renewBeforeExpiration * 1000;
+    }
+
+    _refresh(background, callback) {
+        if (this._refreshing) {
+            debug('Token is being renewed, waiting for "token" event.');
+            if (callback) this.once('token', callback);
+            return;
+        }
+        this._refreshing = true;
+        this._clearRefreshTimer();
+
+        this._readCache((error, cached) => {
+            if (cached) {
+                return this._setNewToken(null, cached, background, callback);
+            }
+            this._lockAndRequest(Date.now() + this._lockTimeout, (error, cached) => {
+                this._setNewToken(error, cached, background, callback);
+            });
+        });
+    }
+
+    _lockAndRequest(waitUntil, callback) {
+        let called = false;
+        const onLocked = (error, release) => {
+            if (called) return;
+            called = true;
+
+            if (error) {
+                debug(`Locking the token renewal failed, renewing without the lock: ${error.message}`);
+                return this._requestAndCache(callback);
+            }
+            if (!release) {
+                if (Date.now() >= waitUntil) {
+                    debug('Timed out waiting for the token renewed by another process, renewing it.');
+                    return this._requestAndCache(callback);
+                }
+                return setTimeout(() => {
+                    this._readCache((error, cached) => {
+                        if (cached) return callback(null, cached);
+                        this._lockAndRequest(waitUntil, callback);
+                    });
+                }, this._lockRetryInterval);
+            }
+
+            // the holder of the previous lock may have renewed the token meanwhile
+            this._readCache((error, cached) => {
+                if (cached) {
+                    release();
+                    return callback(null, cached);
+                }
+                this._requestAndCache((error, cached) => {
+                    release();
+                    callback(error, cached);
+                });
+            });
+        };
+
+        let locked;
+        try {
+            locked = this._lock(this._cacheKey, this._lockTimeout, (error, release) => onLocked(error, release));
+        } catch (error) {
+            return onLocked(error);
+        }
+        if (promiseUtils.isThenable(locked)) {
+            locked.then(release => onLocked(null, release), error => onLocked(error || new Error('Lock was rejected.')));
+        }
+    }
+
+    _requestAndCache(callback) {
+        debug('Requesting a new token.');
+        this.emit('tokenRequested');
+        this._requestToken((error, result) => {
+            if (error) {
+                return callback(error);
+            }
+            if (!result || typeof result.accessToken !== 'string' || !(result.expiresIn > 0)) {
+                return callback(new Error('Token endpoint returned no access token.'));
+            }
+
+            const cached = { accessToken: result.accessToken, expiresAt: Date.now() + result.expiresIn * 1000 };
+            this.emit('tokenRefreshed', cached);
+            this._cache.write(this._cacheKey, cached, { ttl: cached.expiresAt - Date.now() }, error => {
+                if (error) {
+                    debug(`Caching the token failed: ${error.message}`);
+                }
+                callback(null, cached);
+            });
+        });
+    }
+
+    _readCache(callback) {
+        this._cache.read(this._cacheKey, (error, item) => {
+            if (error) {
+                debug(`Reading the token from the cache failed: ${error.message}`);
+                return callback(null, null);
+            }
+            if (!item || !this._isFresh(item.data.accessToken, item.data.expiresAt, Date.now())) {
+                return callback(null, null);
+            }
+            if (item.data.accessToken !== this._token) {
+                this.emit('cacheHit', item.data);
+            }
+            callback(null, item.data);
+        });
+    }
+
+    _setNewToken(error, cached, background, callback) {
+        this._refreshing = false;
+
+        if (error) {
+            debug(`Token renewal failed with ${error}`);
+            this.emit('tokenRefreshFailed', error, background);
+            if (background && this._expiresAt - Date.now() > MinRemainingTime + RetryInterval) {
+                this._scheduleRefresh(Date.now() + RetryInterval);
+            }
+            this.emit('token', error);
+            return callback && callback(error);
+        }
+
+        this._token = cached.accessToken;
+        this._expiresAt = cached.expiresAt;
+        this._invalidToken = null;
+        debug(`Token renewed and valid until ${new Date(this._expiresAt)}.`);
+
+        if (this._refreshInBackground) {
+            this._scheduleRefresh(this._expiresAt - this._renewBeforeExpiration * 1000);
+        }
+        this.emit('token', null, this._token);
+        if (callback) callback(null, this._token);
+    }
+
+    _scheduleRefresh(time) {
+        this._clearRefreshTimer();
+        const delay = time - Date.now();
+        if (delay <= 0) {
+            return;
+        }
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = null;
+            debug('Renewing the token in the background.');
+            this._refresh(true);
+        }, delay);
+        this._refreshTimer.unref();
+    }
+
+    _clearRefreshTimer() {
+        if (this._refreshTimer !== null) {
+            clearTimeout(this._refreshTimer);
+            this._refreshTimer = null;
+        }
+    }
+
+    _cacheLock(key, ttl, callback) {
+        const lockKey = key + ':lock';
+        this._cache.write(lockKey, { owner: uuid.v4() }, { etag: null, ttl: ttl }, (error, etag) => {
+            if (error instanceof ConcurrencyError) {
+                return callback(null, null);
+            }
+            if (error) {
+                return callback(error);
+            }
+            callback(null, () => this._cache.delete(lockKey, { etag: etag }, () => {}));
+        });
+    }
+
+    _requestToken(callback) {
+        callback(new Error('_requestToken is not implemented.'));
+    }
+}
+
+module.exports = TokenProvider;
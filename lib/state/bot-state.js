@@ -0,0 +1,209 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.BotState');
+
+const promiseUtils = require('../utils/promise-utils');
+const MemoryStorage = require('./memory-storage');
+
+/**
+ * Scopes of the state.
+ */
+const StateScope = {
+    Conversation: 'conversation',
+    User: 'user',
+    PrivateConversation: 'privateConversation'
+};
+
+const KeyPrefixes = {
+    conversation: 'conversation:',
+    user: 'user:',
+    privateConversation: 'private:'
+};
+
+/**
+ * State of a conversation and a user loaded for one event.
+ *
+ * The data of each scope is a plain object that handlers can modify freely, the changes are
+ * persisted by [save()]{@link BotState#save}. Only the scopes that were changed are written and each
+ * write is conditional on the etag the scope was loaded with, so if another event modified the state
+ * in the meantime, the save fails with {@link ConcurrencyError} and the state should be reloaded.
+ *
+ * Example:
+ * ```javascript
+ * botService.on('personalMessage', (bot, message) => {
+ *     const user = bot.state.user;
+ *     user.messageCount = (user.messageCount || 0) + 1;
+ *     bot.state.save(error => {
+ *         if (!error) bot.reply(`That's your message number ${user.messageCount}.`);
+ *     });
+ * });
+ * ```
+ *
+ * @property {Object} conversation - The state shared by everyone in the conversation (group chat, 1:1 chat or call).
+ * @property {Object} user - The state of the user shared by all conversations, `null` if the event has no user.
+ * @property {Object} privateConversation - The state of the user in this conversation, `null` if the event has no user.
+ */
+class BotState {
+    /**
+     * @param {StateManager} manager - The manager that loaded the state.
+     * @param {Object} items - Loaded items by scope, each `{ key, data, etag }`.
+     *
+     * @ignore
+     */
+    constructor(manager, items) {
+        this._manager = manager;
+        this._items = items;
+        this._snapshots = {};
+
+        Object.keys(StateScope).forEach(name => {
+            const scope = StateScope[name];
+            const item = items[scope];
+            this._snapshots[scope] = item ? JSON.stringify(item.data) : null;
+            this[scope] = item ? item.data : null;
+        });
+    }
+
+    /**
+     * Reset the data of all scopes, the state is deleted by the next [save()]{@link BotState#save}.
+     */
+    clear() {
+        Object.keys(this._items).forEach(scope => {
+            this[scope] = {};
+        });
+    }
+
+    /**
+     * Persist the changed scopes.
+     *
+     * @param {Function} [callback] - Called with `(error)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    save(callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const scopes = Object.keys(this._items).filter(scope => JSON.stringify(this[scope]) !== this._snapshots[scope]);
+            let pending = scopes.length;
+            let failed = null;
+            if (pending === 0) {
+                return process.nextTick(() => done(null));
+            }
+
+            scopes.forEach(scope => {
+                const item = this._items[scope];
+                const data = this[scope] || {};
+                const json = JSON.stringify(data);
+                const finish = (error, etag) => {
+                    if (error) {
+                        failed = failed || error;
+                    } else {
+                        item.etag = typeof etag === 'undefined' ? null : etag;
+                        item.data = data;
+                        this._snapshots[scope] = json;
+                    }
+                    if (--pending === 0) done(failed);
+                };
+
+                if (json === '{}') {
+                    debug(`Deleting state ${item.key}.`);
+                    if (item.etag === null) return process.nextTick(() => finish(null));
+                    this._manager.storage.delete(item.key, { etag: item.etag }, error => finish(error));
+                } else {
+                    debug(`Saving state ${item.key}.`);
+                    this._manager.storage.write(item.key, data, { etag: item.etag, ttl: this._manager.getTtl(scope) }, finish);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Loads the [state]{@link BotState} of conversations and users from a storage.
+ *
+ * A storage can be {@link MemoryStorage}, {@link FileStorage}, {@link RedisStorage} or any object
+ * with the same interface.
+ */
+class StateManager {
+    /**
+     * Create a new state manager.
+     *
+     * @param {Object} [options] - The configuration of the state.
+     * @param {Object} [options.storage] - The storage of the state, a new {@link MemoryStorage} by default.
+     * @param {number} [options.ttl] - Time in milliseconds after the last change when the state expires, no expiration by default.
+     * @param {number} [options.conversationTtl] - Overrides the ttl for the conversation scope.
+     * @param {number} [options.userTtl] - Overrides the ttl for the user scope.
+     * @param {number} [options.privateConversationTtl] - Overrides the ttl for the private conversation scope.
+     */
+    constructor(options) {
+        options = options || {};
+
+        /**
+         * The storage of the state.
+         * @type {Object}
+         */
+        this.storage = options.storage || new MemoryStorage();
+        this._ttl = options.ttl || null;
+        this._scopeTtl = {
+            conversation: options.conversationTtl,
+            user: options.userTtl,
+            privateConversation: options.privateConversationTtl
+        };
+    }
+
+    /**
+     * Get the time to live of a scope.
+     *
+     * @param {string} scope - StateScope.
+     * @returns {number} The ttl in milliseconds or `null` if the state doesn't expire.
+     */
+    getTtl(scope) {
+        const ttl = this._scopeTtl[scope];
+        return typeof ttl === 'undefined' ? this._ttl : ttl || null;
+    }
+
+    /**
+     * Load the state of a conversation and a user.
+     *
+     * @param {string} conversationId - The id of the conversation, e.g. the group chat, the user in 1:1 chat or the call.
+     * @param {string} [userId] - The id of the user, if `null` only the conversation scope is loaded.
+     * @param {Function} [callback] - Called with `(error, state)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    load(conversationId, userId, callback) {
+        if (typeof userId === 'function') {
+            callback = userId;
+            userId = null;
+        }
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const keys = {};
+            keys[StateScope.Conversation] = KeyPrefixes.conversation + conversationId;
+            if (userId) {
+                keys[StateScope.User] = KeyPrefixes.user + userId;
+                keys[StateScope.PrivateConversation] = `${KeyPrefixes.privateConversation}${conversationId}:${userId}`;
+            }
+
+            const items = {};
+            const scopes = Object.keys(keys);
+            let pending = scopes.length;
+            let failed = null;
+            scopes.forEach(scope => {
+                this.storage.read(keys[scope], (error, item) => {
+                    if (error) {
+                        failed = failed || error;
+                    } else {
+                        items[scope] = {
+                            key: keys[scope],
+                            data: item ? item.data : {},
+                            etag: item ? item.etag : null
+                        };
+                    }
+                    if (--pending === 0) {
+                        if (failed) return done(failed);
+                        done(null, new BotState(this, items));
+                    }
+                });
+            });
+        });
+    }
+}
+
+module.exports = { BotState, StateManager, StateScope };
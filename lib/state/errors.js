@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Error returned when a state item was changed by someone else since it was read,
+ * i.e. the etag of the write doesn't match the etag of the stored item.
+ *
+ * @property {string} key - The key of the item.
+ */
+class ConcurrencyError extends Error {
+    /**
+     * @param {string} key - The key of the item.
+     */
+    constructor(key) {
+        super(`State ${key} was modified concurrently.`);
+        this.name = this.constructor.name;
+        this.key = key;
+    }
+}
+
+/**
+ * Check the etag of a write against the etag of the stored item.
+ *
+ * @param {string} key - The key of the item.
+ * @param {string} currentEtag - The etag of the stored item, `null` if there is no item.
+ * @param {string} [expectedEtag] - The etag of the write; `undefined` or "*" to overwrite any item,
+ *      `null` to write only if there is no item.
+ * @returns {ConcurrencyError} The error or `null` if the write can proceed.
+ *
+ * @ignore
+ */
+function checkEtag(key, currentEtag, expectedEtag) {
+    if (typeof expectedEtag === 'undefined' || expectedEtag === '*') return null;
+    if (expectedEtag === currentEtag) return null;
+    return new ConcurrencyError(key);
+}
+
+module.exports = { ConcurrencyError, checkEtag };
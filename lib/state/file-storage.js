@@ -0,0 +1,203 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.FileStorage');
+const fs = require('fs');
+const path = require('path');
+const uuid = require('node-uuid');
+
+const promiseUtils = require('../utils/promise-utils');
+const checkEtag = require('./errors').checkEtag;
+
+/**
+ * State storage keeping each item in a JSON file.
+ *
+ * Writes go to a temporary file that is renamed over the item, so a crash never leaves a partially
+ * written item. Operations on the same key are serialized within the process, the etags are not
+ * guaranteed when several processes share the directory. Expired items are removed when they are read.
+ *
+ * See {@link MemoryStorage} for the interface of storages.
+ */
+class FileStorage {
+    /**
+     * Create a new storage.
+     *
+     * @param {Object} options - The configuration of the storage.
+     * @param {string} options.directory - The directory of the files, it's created if it doesn't exist.
+     */
+    constructor(options) {
+        if (!options || !options.directory) {
+            throw new Error('options.directory is missing in the options.');
+        }
+
+        this._directory = options.directory;
+        this._directoryReady = false;
+        // key -> array of operations waiting for the running one
+        this._locks = new Map();
+    }
+
+    /**
+     * Read an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Function} [callback] - Called with `(error, item)`, item is `null` if it doesn't exist.
+     *      If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    read(key, callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            this._lock(key, done, release => this._readFile(key, (error, item) => {
+                if (error || !item) return release(error, null);
+                release(null, { data: item.data, etag: item.etag });
+            }));
+        });
+    }
+
+    /**
+     * Write an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Object} data - The data, must be serializable to JSON.
+     * @param {Storage~WriteOptions} [options] - The options of the write.
+     * @param {Function} [callback] - Called with `(error, etag)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    write(key, data, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            this._lock(key, done, release => this._readFile(key, (error, current) => {
+                if (error) return release(error);
+                error = checkEtag(key, current ? current.etag : null, options.etag);
+                if (error) return release(error);
+
+                const item = {
+                    etag: uuid.v4(),
+                    expiresAt: options.ttl ? Date.now() + options.ttl : null,
+                    data: data
+                };
+                this._writeFile(key, JSON.stringify(item), error => release(error, error ? null : item.etag));
+            }));
+        });
+    }
+
+    /**
+     * Delete an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Storage~WriteOptions} [options] - The options of the delete, only `etag` is used.
+     * @param {Function} [callback] - Called with `(error)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    delete(key, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            this._lock(key, done, release => this._readFile(key, (error, current) => {
+                if (error) return release(error);
+                if (!current) return release(checkEtag(key, null, options.etag));
+                error = checkEtag(key, current.etag, options.etag);
+                if (error) return release(error);
+                this._unlink(key, release);
+            }));
+        });
+    }
+
+    _lock(key, callback, operation) {
+        const release = (error, result) => {
+            const waiting = this._locks.get(key);
+            if (waiting.length > 0) {
+                const next = waiting.shift();
+                process.nextTick(() => next());
+            } else {
+                this._locks.delete(key);
+            }
+            callback(error || null, result);
+        };
+
+        if (this._locks.has(key)) {
+            this._locks.get(key).push(() => operation(release));
+        } else {
+            this._locks.set(key, []);
+            operation(release);
+        }
+    }
+
+    _filename(key) {
+        return path.join(this._directory, encodeURIComponent(key) + '.json');
+    }
+
+    _readFile(key, callback) {
+        fs.readFile(this._filename(key), 'utf8', (error, content) => {
+            if (error) {
+                return callback(error.code === 'ENOENT' ? null : error, null);
+            }
+
+            let item;
+            try {
+                item = JSON.parse(content);
+            } catch (error) {
+                return callback(new Error(`State ${key} is corrupted: ${error.message}`));
+            }
+
+            if (item.expiresAt !== null && item.expiresAt <= Date.now()) {
+                debug(`State ${key} expired.`);
+                return this._unlink(key, error => callback(error, null));
+            }
+            callback(null, item);
+        });
+    }
+
+    _writeFile(key, content, callback) {
+        this._ensureDirectory(error => {
+            if (error) return callback(error);
+
+            const filename = this._filename(key);
+            const temporary = `${filename}.${uuid.v4()}.tmp`;
+            fs.writeFile(temporary, content, 'utf8', error => {
+                if (error) return callback(error);
+                fs.rename(temporary, filename, error => {
+                    if (error) {
+                        fs.unlink(temporary, () => callback(error));
+                        return;
+                    }
+                    callback(null);
+                });
+            });
+        });
+    }
+
+    _unlink(key, callback) {
+        fs.unlink(this._filename(key), error => callback(error && error.code !== 'ENOENT' ? error : null));
+    }
+
+    _ensureDirectory(callback) {
+        if (this._directoryReady) {
+            return callback(null);
+        }
+
+        const parts = path.resolve(this._directory).split(path.sep);
+        let current = parts.shift() + path.sep;
+        const next = () => {
+            if (parts.length === 0) {
+                this._directoryReady = true;
+                return callback(null);
+            }
+            current = path.join(current, parts.shift());
+            fs.mkdir(current, error => {
+                if (error && error.code !== 'EEXIST') return callback(error);
+                next();
+            });
+        };
+        next();
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,154 @@
+'use strict';
+
+const uuid = require('node-uuid');
+
+const promiseUtils = require('../utils/promise-utils');
+const checkEtag = require('./errors').checkEtag;
+
+/**
+ * Stored state item.
+ *
+ * @typedef {Object} Storage~Item
+ *
+ * @property {Object} data - The stored data.
+ * @property {string} etag - The version of the item, changed by each write.
+ */
+
+/**
+ * Options of a write or delete.
+ *
+ * @typedef {Object} Storage~WriteOptions
+ *
+ * @property {string} [etag] - The etag the stored item must have, otherwise the operation fails with
+ *      {@link ConcurrencyError}. `null` means the item must not exist, `undefined` or "*" means any item.
+ * @property {number} [ttl] - Time in milliseconds after which the item expires, no expiration by default.
+ */
+
+/**
+ * State storage keeping the items in memory of the process.
+ *
+ * Useful for development and for bots running in a single process. All storages have the same interface:
+ *   - `read(key, [callback])` resolves with {@link Storage~Item} or `null`
+ *   - `write(key, data, [options], [callback])` resolves with the new etag
+ *   - `delete(key, [options], [callback])`
+ *
+ * Data are copied on read and write, so changes of a read object don't affect the stored item.
+ */
+class MemoryStorage {
+    /**
+     * Create a new storage.
+     *
+     * @param {Object} [options] - The configuration of the storage.
+     * @param {number} [options.cleanupInterval=60000] - How often expired items are removed in milliseconds.
+     * @param {number} [options.maxItems] - The maximum number of items, the least recently written items are removed
+     *      when it's exceeded. Unlimited by default.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this._items = new Map();
+        this._maxItems = options.maxItems || null;
+        this._cleanupInterval = options.cleanupInterval || 60000;
+        this._lastCleanup = Date.now();
+    }
+
+    /**
+     * Read an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Function} [callback] - Called with `(error, item)`, item is `null` if it doesn't exist.
+     *      If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    read(key, callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const item = this._get(key);
+            process.nextTick(() => done(null, item ? { data: JSON.parse(item.json), etag: item.etag } : null));
+        });
+    }
+
+    /**
+     * Write an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Object} data - The data, must be serializable to JSON.
+     * @param {Storage~WriteOptions} [options] - The options of the write.
+     * @param {Function} [callback] - Called with `(error, etag)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    write(key, data, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const current = this._get(key);
+            const error = checkEtag(key, current ? current.etag : null, options.etag);
+            if (error) {
+                return process.nextTick(() => done(error));
+            }
+
+            const etag = uuid.v4();
+            // the map keeps the order of insertion, so the first item is the least recently written
+            this._items.delete(key);
+            this._items.set(key, {
+                json: JSON.stringify(data),
+                etag: etag,
+                expiresAt: options.ttl ? Date.now() + options.ttl : null
+            });
+            if (this._maxItems !== null && this._items.size > this._maxItems) {
+                this._items.delete(this._items.keys().next().value);
+            }
+            process.nextTick(() => done(null, etag));
+        });
+    }
+
+    /**
+     * Delete an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Storage~WriteOptions} [options] - The options of the delete, only `etag` is used.
+     * @param {Function} [callback] - Called with `(error)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    delete(key, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const current = this._get(key);
+            const error = checkEtag(key, current ? current.etag : null, options.etag);
+            if (!error) {
+                this._items.delete(key);
+            }
+            process.nextTick(() => done(error));
+        });
+    }
+
+    _get(key) {
+        const now = Date.now();
+        if (now - this._lastCleanup > this._cleanupInterval) {
+            this._lastCleanup = now;
+            for (let entry of this._items) {
+                if (entry[1].expiresAt !== null && entry[1].expiresAt <= now) {
+                    this._items.delete(entry[0]);
+                }
+            }
+        }
+
+        const item = this._items.get(key);
+        if (!item) return null;
+        if (item.expiresAt !== null && item.expiresAt <= now) {
+            this._items.delete(key);
+            return null;
+        }
+        return item;
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,157 @@
+'use strict';
+
+const uuid = require('node-uuid');
+
+const promiseUtils = require('../utils/promise-utils');
+const ConcurrencyError = require('./errors').ConcurrencyError;
+
+// KEYS[1] - the key, ARGV[1] - expected etag ("*" any, "" none), ARGV[2] - the item, ARGV[3] - ttl in ms (0 none)
+const WriteScript = `
+local current = redis.call('GET', KEYS[1])
+if ARGV[1] ~= '*' then
+    if ARGV[1] == '' then
+        if current then return 0 end
+    elseif not current or cjson.decode(current).etag ~= ARGV[1] then
+        return 0
+    end
+end
+if tonumber(ARGV[3]) > 0 then
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+else
+    redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1`;
+
+// KEYS[1] - the key, ARGV[1] - expected etag ("*" any, "" none)
+const DeleteScript = `
+local current = redis.call('GET', KEYS[1])
+if ARGV[1] ~= '*' then
+    if ARGV[1] == '' then
+        if current then return 0 end
+    elseif not current or cjson.decode(current).etag ~= ARGV[1] then
+        return 0
+    end
+end
+redis.call('DEL', KEYS[1])
+return 1`;
+
+/**
+ * State storage for Redis and stores compatible with its commands.
+ *
+ * The storage doesn't depend on any client library, it takes a client with the interface
+ * of the [redis](https://www.npmjs.com/package/redis) package:
+ *   - `get(key, callback)`
+ *   - `eval(script, numberOfKeys, key, ...args, callback)`
+ *
+ * Etags are checked by Lua scripts, so they are safe with any number of bot instances.
+ * TTL is implemented by Redis key expiration.
+ *
+ * Example:
+ * ```javascript
+ * const redis = require('redis');
+ * const storage = new skype.RedisStorage({ client: redis.createClient(), keyPrefix: 'mybot:' });
+ * ```
+ *
+ * See {@link MemoryStorage} for the interface of storages.
+ */
+class RedisStorage {
+    /**
+     * Create a new storage.
+     *
+     * @param {Object} options - The configuration of the storage.
+     * @param {Object} options.client - The Redis client.
+     * @param {string} [options.keyPrefix="skype-sdk:state:"] - The prefix of all keys.
+     */
+    constructor(options) {
+        if (!options || !options.client) {
+            throw new Error('options.client is missing in the options.');
+        }
+
+        this._client = options.client;
+        this._keyPrefix = typeof options.keyPrefix === 'string' ? options.keyPrefix : 'skype-sdk:state:';
+    }
+
+    /**
+     * Read an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Function} [callback] - Called with `(error, item)`, item is `null` if it doesn't exist.
+     *      If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    read(key, callback) {
+        return promiseUtils.callbackOrPromise(callback, done => {
+            this._client.get(this._keyPrefix + key, (error, content) => {
+                if (error) return done(error);
+                if (content === null || typeof content === 'undefined') return done(null, null);
+
+                let item;
+                try {
+                    item = JSON.parse(content);
+                } catch (error) {
+                    return done(new Error(`State ${key} is corrupted: ${error.message}`));
+                }
+                done(null, { data: item.data, etag: item.etag });
+            });
+        });
+    }
+
+    /**
+     * Write an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Object} data - The data, must be serializable to JSON.
+     * @param {Storage~WriteOptions} [options] - The options of the write.
+     * @param {Function} [callback] - Called with `(error, etag)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    write(key, data, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            const etag = uuid.v4();
+            const item = JSON.stringify({ etag: etag, data: data });
+            this._client.eval(WriteScript, 1, this._keyPrefix + key, expectedEtag(options.etag), item, String(options.ttl || 0), (error, result) => {
+                if (error) return done(error);
+                if (Number(result) !== 1) return done(new ConcurrencyError(key));
+                done(null, etag);
+            });
+        });
+    }
+
+    /**
+     * Delete an item.
+     *
+     * @param {string} key - The key of the item.
+     * @param {Storage~WriteOptions} [options] - The options of the delete, only `etag` is used.
+     * @param {Function} [callback] - Called with `(error)`. If not provided, a Promise is returned.
+     * @returns {Promise|undefined}
+     */
+    delete(key, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return promiseUtils.callbackOrPromise(callback, done => {
+            this._client.eval(DeleteScript, 1, this._keyPrefix + key, expectedEtag(options.etag), (error, result) => {
+                if (error) return done(error);
+                if (Number(result) !== 1) return done(new ConcurrencyError(key));
+                done(null);
+            });
+        });
+    }
+}
+
+function expectedEtag(etag) {
+    if (typeof etag === 'undefined') return '*';
+    if (etag === null) return '';
+    return etag;
+}
+
+module.exports = RedisStorage;
@@ -3,6 +3,9 @@ const forge = require('node-forge');
 const fs = require('fs');
 const debug = require('debug')('skype-sdk.azure-utils');
 
+const checkHttps = require('../http/processors').checkHttps;
+const adapters = require('../http/adapters');
+
 const ExpectedRootAuthority = 'CN=Baltimore CyberTrust Root OU=CyberTrust O=Baltimore C=IE';
 const Sha2Prefixes = [ 'sha256', 'sha384', 'sha512' ];
 const Sha1WithRsaOid = '1.3.14.3.2.29';
@@ -18,19 +21,14 @@ function ensureHttps(redirect, errorStatus) {
         
     return (req, res, next) => {
         debug('New request received, checking if over HTTPS');
-        if (req.headers['x-site-deployment-id'] && req.headers['x-arr-ssl']) {
-            debug('Request received over HTTPS, continuing.');
-            return next();
-        } else if (req.secure) {
+        const secure = typeof req.secure === 'boolean' ? req.secure : typeof req.isSecure === 'function' ? req.isSecure() : undefined;
+        const response = checkHttps(adapters.describeRequest(req, null, secure), { redirect: redirect, errorStatus: errorStatus });
+        if (response === null) {
             debug('Request received over HTTPS, continuing.');
             return next();
-        } else if (redirect) {
-            debug('Request not received over HTTPS, redirecting to HTTPS endpoint.');
-            res.redirect(`https://${req.hostname}${req.originalUrl}`, next);
-        } else {
-            debug(`Request not received over HTTPS, responding with error status ${errorStatus}.`);
-            res.send(errorStatus);
         }
+        debug(`Request not received over HTTPS, responding with status ${response.status}.`);
+        adapters.writeResponse(res, response);
     };
 }
 
@@ -117,6 +115,7 @@ function verifySkypeCert(options) {
     const caCerts = loadCaCertificates(caCertsDir);
 
     const caStore = forge.pki.createCaStore(caCerts);
+    const reject = res => adapters.writeResponse(res, { status: errorStatus, headers: {}, body: null });
     
     return (req, res, next) => {
         debug('New request received, checking certificate');
@@ -135,7 +134,7 @@ function verifySkypeCert(options) {
                     if(validFrom > now || validTo < now)
                     {
                         debug(`Certificate is expired or not active yet, validity: ${validFrom}-${validTo}, now: ${now}`);
-                        return res.send(errorStatus);
+                        return reject(res);
                     }
 
                     // check it is a SHA2 certificate
@@ -155,7 +154,7 @@ function verifySkypeCert(options) {
                     if(!algorithmFound)
                     {
                         debug(`Unsupported certificate signature algorithm, expected SHA2, found ${algorithm}`);
-                        return res.send(errorStatus);
+                        return reject(res);
                     }
 
                     // check it has valid CN name
@@ -170,7 +169,7 @@ function verifySkypeCert(options) {
                     if(!cnFound)
                     {
                         debug(`Unexpected client name in certificate, found ${cn}`);
-                        return res.send(errorStatus);
+                        return reject(res);
                     }
 
                     // finally validate the CA chain up to the expected root certificate
@@ -183,13 +182,13 @@ function verifySkypeCert(options) {
                         if(issuerCert == null)
                         {
                             debug(`Haven't found issuer certificate ${issuerName} in the CA store for ${currentName}`);
-                            return res.send(errorStatus);
+                            return reject(res);
                         }
                         let verified = issuerCert.verify(currentCert);
                         if(!verified)
                         {
                             debug(`Issuer certificate ${issuerName} didn't verify ${currentName} successfully`);
-                            return res.send(errorStatus);
+                            return reject(res);
                         }
                         if(issuerName === currentName) break;
                         currentCert = issuerCert;
@@ -202,14 +201,14 @@ function verifySkypeCert(options) {
                         return next();
                     }
                     debug(`Certificate chain is valid, but root authority name is not, found ${rootAuthorityName}`);
-                    return res.send(errorStatus);
+                    return reject(res);
                 } catch (e) {
                     debug(`Exception received -  ${e.message} - ${e.error}`);
-                    return res.send(errorStatus);
+                    return reject(res);
                 }
             }
             debug(`Valid client certificate not received, sending error code ${errorStatus}`);
-            res.send(errorStatus);
+            reject(res);
         } else {
             debug('Not running in Azure, ignoring certificates.');
             next();
@@ -0,0 +1,299 @@
+'use strict';
+const forge = require('node-forge');
+const fs = require('fs');
+const request = require('request');
+const debug = require('debug')('skype-sdk.jwt-auth');
+
+const writeResponse = require('../http/adapters').writeResponse;
+
+const DefaultIssuer = 'https://api.botframework.com';
+const DefaultClockSkew = 300;
+const DefaultKeysRefreshInterval = 24 * 60 * 60 * 1000;
+const MinKeysRefreshInterval = 5 * 60 * 1000;
+const SupportedAlgorithms = {
+    RS256: 'sha256',
+    RS384: 'sha384',
+    RS512: 'sha512'
+};
+
+function decodeBase64Url(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function publicKeyFromJwk(jwk) {
+    if (Array.isArray(jwk.x5c) && jwk.x5c.length > 0) {
+        const certificate = forge.pki.certificateFromAsn1(forge.asn1.fromDer(forge.util.decode64(jwk.x5c[0])));
+        return certificate.publicKey;
+    }
+    if (jwk.kty === 'RSA' && jwk.n && jwk.e) {
+        const n = new forge.jsbn.BigInteger(decodeBase64Url(jwk.n).toString('hex'), 16);
+        const e = new forge.jsbn.BigInteger(decodeBase64Url(jwk.e).toString('hex'), 16);
+        return forge.pki.setRsaPublicKey(n, e);
+    }
+    throw new Error(`Unsupported signing key ${jwk.kid}, only RSA keys are supported.`);
+}
+
+/**
+ * Set of signing keys used for verification of tokens.
+ *
+ * Keys can be given directly, loaded from a local JWKS file or downloaded from a JWKS URL.
+ * Keys from the URL are refreshed periodically and whenever a token signed by unknown key is received
+ * (at most once per 5 minutes).
+ *
+ * @ignore
+ */
+class SigningKeys {
+    constructor(options) {
+        this._keys = new Map();
+        this._jwksUri = options.jwksUri || null;
+        this._refreshInterval = options.keysRefreshInterval || DefaultKeysRefreshInterval;
+        this._lastRefresh = 0;
+        this._pendingCallbacks = null;
+
+        if (options.keys) {
+            this._addKeys(options.keys);
+        }
+        if (options.jwksFile) {
+            this._addKeys(this._loadJwksFile(options.jwksFile));
+        }
+    }
+
+    _loadJwksFile(filePath) {
+        try {
+            const jwks = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return jwks.keys || [];
+        } catch (e) {
+            throw new Error(`Failed to load signing keys from ${filePath}, error: ${e.message}`);
+        }
+    }
+
+    _addKeys(jwks) {
+        jwks.forEach(jwk => {
+            try {
+                this._keys.set(jwk.kid || null, publicKeyFromJwk(jwk));
+            } catch (e) {
+                debug(`Ignoring signing key ${jwk.kid}: ${e.message}`);
+            }
+        });
+    }
+
+    getKey(kid, callback) {
+        kid = kid || null;
+        const now = Date.now();
+        const expired = now - this._lastRefresh > this._refreshInterval;
+        const unknownKey = !this._keys.has(kid) && now - this._lastRefresh > MinKeysRefreshInterval;
+
+        if (this._jwksUri === null || (!expired && !unknownKey)) {
+            return callback(null, this._keys.get(kid) || null);
+        }
+
+        this._refresh(error => {
+            if (error && !this._keys.has(kid)) { return callback(error); }
+            callback(null, this._keys.get(kid) || null);
+        });
+    }
+
+    _refresh(callback) {
+        if (this._pendingCallbacks !== null) {
+            return this._pendingCallbacks.push(callback);
+        }
+        this._pendingCallbacks = [callback];
+
+        debug(`Downloading signing keys from ${this._jwksUri}`);
+        request({ url: this._jwksUri, method: 'GET', json: true, timeout: 15000 }, (error, res, body) => {
+            if (!error && (res.statusCode !== 200 || !body || !Array.isArray(body.keys))) {
+                error = new Error(`Failed to download signing keys from ${this._jwksUri}, status ${res.statusCode}.`);
+            }
+            if (error) {
+                debug(`Refreshing signing keys failed: ${error.message}`);
+            } else {
+                this._keys.clear();
+                this._addKeys(body.keys);
+            }
+            // failed attempts also count, so that unreachable endpoint isn't hammered with each request
+            this._lastRefresh = Date.now();
+
+            const callbacks = this._pendingCallbacks;
+            this._pendingCallbacks = null;
+            callbacks.forEach(cb => cb(error || null));
+        });
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function decodeToken(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new Error('Token is not a valid JWT.');
+    }
+    const header = JSON.parse(decodeBase64Url(parts[0]).toString('utf8'));
+    const payload = JSON.parse(decodeBase64Url(parts[1]).toString('utf8'));
+    if (!isPlainObject(header) || !isPlainObject(payload)) {
+        throw new Error('Token header and payload must be objects.');
+    }
+    return {
+        header: header,
+        payload: payload,
+        signedContent: parts[0] + '.' + parts[1],
+        signature: decodeBase64Url(parts[2]).toString('binary')
+    };
+}
+
+function verifySignature(decoded, publicKey) {
+    const md = forge.md[SupportedAlgorithms[decoded.header.alg]].create();
+    md.update(decoded.signedContent, 'utf8');
+    try {
+        return publicKey.verify(md.digest().bytes(), decoded.signature);
+    } catch (e) {
+        return false;
+    }
+}
+
+function verifyClaims(payload, issuers, audience, clockSkew) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (issuers.indexOf(payload.iss) === -1) {
+        return `unexpected issuer ${payload.iss}`;
+    }
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (audiences.indexOf(audience) === -1) {
+        return `unexpected audience ${payload.aud}`;
+    }
+    if (typeof payload.exp !== 'number') {
+        return 'expiration is missing';
+    }
+    if (payload.exp + clockSkew < now) {
+        return `token expired at ${new Date(payload.exp * 1000).toISOString()}`;
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - clockSkew > now) {
+        return `token not valid before ${new Date(payload.nbf * 1000).toISOString()}`;
+    }
+    return null;
+}
+
+/**
+ * Callback for token verification.
+ *
+ * @callback TokenVerifier~verifyCallback
+ *
+ * @param {Error} error - The reason why the token is not valid, `null` if it's valid.
+ * @param {Object} claims - The claims of the valid token.
+ */
+
+/**
+ * Create a function verifying the Authorization header of requests received from the Bot platform.
+ * Returns function(authorizationHeader, callback) calling the callback with {@link TokenVerifier~verifyCallback}.
+ *
+ * See [verifyBotToken()]{@link verifyBotToken} for the options.
+ *
+ * @param {Object} options - The configuration of the verification.
+ */
+function createTokenVerifier(options) {
+    if (typeof options === 'undefined' || options === null) {
+        throw new Error('options is null.');
+    }
+    if (typeof options.appId === 'undefined' || options.appId === null) {
+        throw new Error('options.appId is missing in the options.');
+    }
+    if (!options.keys && !options.jwksFile && !options.jwksUri) {
+        throw new Error('One of options.keys, options.jwksFile or options.jwksUri is required.');
+    }
+
+    const audience = options.appId.trim();
+    const issuers = [].concat(options.issuer || DefaultIssuer);
+    const clockSkew = typeof options.clockSkew === 'number' ? options.clockSkew : DefaultClockSkew;
+    const signingKeys = new SigningKeys(options);
+
+    return (authorizationHeader, callback) => {
+        const match = /^Bearer\s+(\S+)$/i.exec(authorizationHeader || '');
+        if (!match) {
+            return callback(new Error('Bearer token is missing.'));
+        }
+
+        let decoded;
+        try {
+            decoded = decodeToken(match[1]);
+        } catch (e) {
+            return callback(new Error(`Token can't be decoded: ${e.message}`));
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(SupportedAlgorithms, decoded.header.alg)) {
+            return callback(new Error(`Unsupported token algorithm ${decoded.header.alg}.`));
+        }
+
+        signingKeys.getKey(decoded.header.kid, (error, publicKey) => {
+            if (error) { return callback(error); }
+            if (publicKey === null) {
+                return callback(new Error(`Unknown signing key ${decoded.header.kid}.`));
+            }
+            let valid;
+            let claimsError;
+            try {
+                valid = verifySignature(decoded, publicKey);
+                claimsError = valid ? verifyClaims(decoded.payload, issuers, audience, clockSkew) : null;
+            } catch (e) {
+                return callback(new Error(`Token can't be verified: ${e.message}`));
+            }
+            if (!valid) {
+                return callback(new Error('Invalid token signature.'));
+            }
+            if (claimsError !== null) {
+                return callback(new Error(`Invalid token: ${claimsError}.`));
+            }
+            callback(null, decoded.payload);
+        });
+    };
+}
+
+/**
+ * Create a middleware for verifying the bearer token of webhook requests received from the Bot platform.
+ * The middleware should be registered before [messagingHandler()]{@link messagingHandler}, requests without
+ * a valid token are rejected and never reach the bot service.
+ *
+ * Claims of the verified token are available as `req.tokenClaims`.
+ *
+ * Example of usage:
+ * ```javascript
+ * server.post('/v1/chat', skype.verifyBotToken({
+ *     appId: process.env.APP_ID,
+ *     jwksUri: 'https://api.aps.skype.com/v1/keys'
+ * }), skype.messagingHandler(botService));
+ * ```
+ *
+ * @param {Object} options - The configuration for the middleware.
+ * @param {string} options.appId - The bot's application id, tokens must be issued for this audience.
+ * @param {Object[]} [options.keys] - The signing keys in JWK format.
+ * @param {string} [options.jwksFile] - Path to a local JWKS file with the signing keys.
+ * @param {string} [options.jwksUri] - URL of the JWKS document with the signing keys.
+ * @param {Number} [options.keysRefreshInterval=86400000] - How often are keys downloaded from jwksUri, in milliseconds.
+ * @param {string|string[]} [options.issuer="https://api.botframework.com"] - The allowed token issuer(s).
+ * @param {Number} [options.clockSkew=300] - Allowed clock difference in seconds when checking expiration.
+ * @param {Number} [options.errorStatus=401] - The error status returned for requests without valid token.
+ */
+function verifyBotToken(options) {
+    const verifyToken = createTokenVerifier(options);
+    const errorStatus = options.errorStatus || 401;
+
+    debug(`Creating verifyBotToken middleware for audience ${options.appId}. If token is not valid, the error will be ${errorStatus}`);
+
+    return (req, res, next) => {
+        debug('New request received, checking bearer token');
+        verifyToken(req.headers['authorization'], (error, claims) => {
+            if (error) {
+                debug(`Request not authenticated: ${error.message} Sending error code ${errorStatus}`);
+                return writeResponse(res, { status: errorStatus, headers: {}, body: null });
+            }
+            debug('Bearer token is valid');
+            req.tokenClaims = claims;
+            next();
+        });
+    };
+}
+
+module.exports = {
+    createTokenVerifier,
+    verifyBotToken
+};
@@ -1,9 +1,10 @@
 'use strict';
 
-const debug = require('debug')('skype-sdk.messagingHandler');
+const createMessagingProcessor = require('../http/processors').createMessagingProcessor;
+const toNodeHandler = require('../http/adapters').toNodeHandler;
 
 /**
- * Create a messaging handler for rest frameworks like Express or Restify.
+ * Create a messaging handler for rest frameworks like Express or Restify, or node's http server.
  * Returns function(req, res).
  * 
  * Example of usage:
@@ -17,25 +18,28 @@ const debug = require('debug')('skype-sdk.messagingHandler');
  * ...
  * ```
  * 
+ * By default the request is acknowledged with 201 right away. With `options.waitForHandlers` the handler
+ * waits until the handlers of all events finish (see [processMessagingRequestAndWait()]{@link BotService#processMessagingRequestAndWait})
+ * and responds with 201 on success, 400 if the request isn't a valid message and 500 if the handlers fail
+ * or don't finish in time, so the messaging service redelivers the message.
+ * 
+ * The handler doesn't authenticate the requests, use [verifyBotToken()]{@link verifyBotToken}
+ * in front of it to reject requests without a valid bearer token.
+ * 
+ * It's the [messaging processor]{@link createMessagingProcessor} mounted by [toNodeHandler()]{@link toNodeHandler},
+ * see also the adapters for Express, Restify and Koa.
+ * 
  * @param {BotService} botService - Bot service that should be used for handling the requests.
+ * @param {Object} [options] - The options of the handler.
+ * @param {boolean} [options.waitForHandlers=false] - True to respond only after the handlers finish.
+ * @param {number} [options.timeout=10000] - The time in milliseconds to wait for the handlers.
  */
-function messagingHandler(botService) {    
-    return (req, res) => {
-        if (req.body) {
-            debug(`Received request with body ${JSON.stringify(req.body)}, passing it to botService.`);
-            botService.processMessagingRequest(req.body);
-        } else {
-            let requestData = '';
-            debug('Received request, receiving data.');
-            req.on('data', (chunk) => requestData += chunk);
-            req.on('end', () => {
-                debug(`Received all data ${requestData}, passing it to botService.`);
-                botService.processMessagingRequest(requestData);
-            });
-        }
-        res.status(201);
-        res.end();
-    };
+function messagingHandler(botService, options) {    
+    options = options || {};
+    return toNodeHandler(createMessagingProcessor(botService, {
+        waitForHandlers: options.waitForHandlers,
+        timeout: options.timeout
+    }));
 }
 
-module.exports = messagingHandler;
\ No newline at end of file
+module.exports = messagingHandler;
@@ -0,0 +1,76 @@
+'use strict';
+
+const debug = require('debug')('skype-sdk.promiseUtils');
+
+/**
+ * Run an asynchronous operation either with a node-style callback or as a Promise.
+ *
+ * If callback is a function, the operation is started with it and nothing is returned.
+ * Otherwise a Promise is returned that is resolved with the result of the operation
+ * or rejected with its error (including errors thrown synchronously by the operation).
+ *
+ * @param {Function} [callback] - The callback provided by the caller.
+ * @param {Function} operation - Function starting the operation, takes a node-style callback.
+ * @returns {Promise|undefined}
+ *
+ * @ignore
+ */
+function callbackOrPromise(callback, operation) {
+    if (typeof callback === 'function') {
+        operation(callback);
+        return;
+    }
+
+    return new Promise((resolve, reject) => {
+        operation((error, result) => {
+            if (error) return reject(error);
+            resolve(result);
+        });
+    });
+}
+
+/**
+ * Check if the value is a Promise or another thenable.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ *
+ * @ignore
+ */
+function isThenable(value) {
+    return value != null && typeof value.then === 'function';
+}
+
+/**
+ * Log the error of an operation started without a callback, the default onError of callbackOrHandledPromise.
+ *
+ * @param {Error} error
+ *
+ * @ignore
+ */
+function reportIgnoredError(error) {
+    debug(`Operation called without a callback failed: ${error.message}`);
+}
+
+/**
+ * Like callbackOrPromise, for methods that used to be callback-only and are still called without a callback
+ * as fire-and-forget. The returned Promise rejects for callers awaiting it, but its errors are also passed
+ * to onError, so an ignored Promise never causes an unhandled rejection.
+ *
+ * @param {Function} [callback] - The callback provided by the caller.
+ * @param {Function} operation - Function starting the operation, takes a node-style callback.
+ * @param {Function} [onError] - Called with the error of a failed operation started without callback,
+ *                               the error is logged if not set.
+ * @returns {Promise|undefined}
+ *
+ * @ignore
+ */
+function callbackOrHandledPromise(callback, operation, onError) {
+    const promise = callbackOrPromise(callback, operation);
+    if (promise) {
+        promise.catch(onError || reportIgnoredError);
+    }
+    return promise;
+}
+
+module.exports = { callbackOrPromise, callbackOrHandledPromise, reportIgnoredError, isThenable };
@@ -0,0 +1,66 @@
+'use strict';
+
+const fs = require('fs');
+const stream = require('stream');
+
+/**
+ * Create a transform stream encoding binary data to base64.
+ *
+ * Bytes that don't fill a group of three are kept until the next chunk, so the output is
+ * a single valid base64 string.
+ *
+ * @returns {stream.Transform}
+ */
+function createBase64Encoder() {
+    let remainder = null;
+    return new stream.Transform({
+        transform(chunk, encoding, callback) {
+            const data = remainder === null ? chunk : Buffer.concat([ remainder, chunk ]);
+            const length = data.length - data.length % 3;
+            remainder = length < data.length ? data.slice(length) : null;
+            callback(null, length > 0 ? data.slice(0, length).toString('base64') : undefined);
+        },
+        flush(callback) {
+            callback(null, remainder === null ? undefined : remainder.toString('base64'));
+        }
+    });
+}
+
+/**
+ * Create a pass-through stream counting the bytes, failing once they exceed the limit.
+ *
+ * @param {number} [maxSize] - The maximum number of bytes, unlimited if not provided.
+ * @param {Function} [onProgress] - Called with the number of bytes passed so far after each chunk.
+ * @returns {stream.Transform}
+ */
+function createSizeLimiter(maxSize, onProgress) {
+    let size = 0;
+    return new stream.Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (maxSize != null && size > maxSize) {
+                return callback(new Error(`Content size exceeds maximum allowed limit of ${maxSize} bytes.`));
+            }
+            if (onProgress) onProgress(size);
+            callback(null, chunk);
+        }
+    });
+}
+
+/**
+ * Get the size of the data of a stream, if it can be known without reading it.
+ *
+ * The size is known for streams of files created by `fs.createReadStream()` without a range.
+ *
+ * @param {stream.Readable} source - The stream.
+ * @param {Function} callback - Called with `(error, size)`, the size is `null` if it's unknown.
+ */
+function getStreamSize(source, callback) {
+    if (source instanceof fs.ReadStream && typeof source.path === 'string' &&
+        source.start === undefined && source.end === Infinity) {
+        return fs.stat(source.path, (error, stats) => callback(error || null, error ? null : stats.size));
+    }
+    process.nextTick(() => callback(null, null));
+}
+
+module.exports = { createBase64Encoder, createSizeLimiter, getStreamSize };
@@ -0,0 +1,23 @@
+'use strict';
+
+const Entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Decode HTML entities in the content of a message.
+ *
+ * @param {string} text - The text with entities, e.g. "a &lt; b".
+ * @returns {string} The decoded text.
+ *
+ * @ignore
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const number = code[1] === 'x' || code[1] === 'X' ? parseInt(code.substr(2), 16) : parseInt(code.substr(1), 10);
+            return number <= 0x10FFFF ? String.fromCodePoint(number) : entity;
+        }
+        return Object.prototype.hasOwnProperty.call(Entities, code) ? Entities[code] : entity;
+    });
+}
+
+module.exports = { decodeEntities };
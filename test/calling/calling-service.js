@@ -0,0 +1,384 @@
+'use strict';
+
+const assert = require('assert');
+
+const BotService = require('../../lib/bot-service');
+const CallingService = require('../../lib/calling/calling-service');
+const actions = require('../../lib/calling/model/actions');
+
+function incomingCall(id, caller) {
+    return {
+        id: id,
+        appId: 'app',
+        callState: 'incoming',
+        presentedModalityTypes: [ 'audio' ],
+        participants: [ { identity: caller, originator: true }, { identity: '28:bot', originator: false } ]
+    };
+}
+
+function rosterUpdate(id, participants) {
+    return {
+        id: id,
+        type: 'rosterUpdate',
+        participants: participants.map(identity => ({ identity: identity, mediaType: 'audio', mediaStreamDirection: 'sendReceive' }))
+    };
+}
+
+function callStateChange(id, state) {
+    return { id: id, type: 'callStateChange', currentState: state };
+}
+
+function conversationResult(id, outcome) {
+    return { id: id, appId: 'app', links: {}, callState: 'established', operationOutcome: outcome };
+}
+
+function placeCallOutcome(id, operationId) {
+    return {
+        id: id,
+        appId: 'app',
+        links: {},
+        callState: 'established',
+        operationOutcome: { type: 'placeCallOutcome', id: operationId, outcome: 'success', acceptedModalityTypes: [ 'audio' ] }
+    };
+}
+
+// a handler ending the call
+function hangup(result, workflow, callback) {
+    workflow.actions.push(new actions.Hangup({ operationId: 'hangup1' }));
+    callback(null, workflow);
+}
+
+// a calling service client accepting or failing the posted workflows
+function fakeClient(posted, error) {
+    return { postCallWorkflow: (workflow, callback) => {
+        posted.push(workflow);
+        setImmediate(() => callback(error || null));
+    } };
+}
+
+describe('CallingService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new CallingService('https://bot.example.com/v1/callbacks');
+    });
+
+    describe('sessions', () => {
+        it('keeps the session of a call from the incoming call to its termination', () => {
+            const sessions = [];
+            service.onIncomingCall((conversation, workflow, callback, session) => {
+                sessions.push(session);
+                session.userData.step = 'answered';
+                workflow.actions.push(new actions.Answer({ operationId: 'answer1' }));
+                callback(null, workflow);
+            });
+            service.onAnswerCompleted((result, workflow, callback, session) => {
+                sessions.push(session);
+                hangup(result, workflow, callback);
+            });
+            service.onCallStateChange((notification, response, callback, session) => {
+                sessions.push(session);
+                callback(null, response);
+            });
+
+            return service.processCall(incomingCall('conv1', '8:alice'))
+                .then(() => {
+                    const session = service.getSession('conv1');
+                    assert.strictEqual(session.id, 'conv1');
+                    assert.strictEqual(session.userId, '8:alice');
+                    assert.strictEqual(session.callState, 'incoming');
+                    return service.processCallback(conversationResult('conv1', { type: 'answerOutcome', id: 'answer1', outcome: 'success' }), null);
+                })
+                .then(() => {
+                    const session = service.getSession('conv1');
+                    assert.strictEqual(session.callState, 'established');
+                    assert.deepStrictEqual(session.userData, { step: 'answered' });
+                    assert.deepStrictEqual(session.history.map(entry => `${entry.kind} ${entry.value.action || entry.value.type}`),
+                        [ 'action answer', 'outcome answerOutcome', 'action hangup' ]);
+                    assert.strictEqual(session.lastOutcome.id, 'answer1');
+                    assert.strictEqual(session.isTerminated, false);
+                    return service.processCallback(callStateChange('conv1', 'terminated'), null);
+                })
+                .then(() => {
+                    assert.strictEqual(sessions.length, 3);
+                    assert.ok(sessions.every(session => session === sessions[0]));
+                    assert.strictEqual(sessions[0].isTerminated, true);
+                    assert.strictEqual(service.getSession('conv1'), null);
+                });
+        });
+
+        it('keeps separate sessions for separate calls', () => {
+            service.onIncomingCall((conversation, workflow, callback, session) => {
+                session.userData.caller = conversation.participants[0].identity;
+                workflow.actions.push(new actions.Answer({ operationId: 'answer1' }));
+                callback(null, workflow);
+            });
+
+            return service.processCall(incomingCall('conv1', '8:alice'))
+                .then(() => service.processCall(incomingCall('conv2', '8:bob')))
+                .then(() => {
+                    assert.deepStrictEqual(service.getSession('conv1').userData, { caller: '8:alice' });
+                    assert.deepStrictEqual(service.getSession('conv2').userData, { caller: '8:bob' });
+                });
+        });
+
+        it('creates a session for callbacks of unknown calls', () => {
+            let session = null;
+            service.onTransferCompleted((result, workflow, callback, callSession) => {
+                session = callSession;
+                callback(null);
+            });
+
+            return service.processCallback(conversationResult('conv1', { type: 'transferOutcome', id: 'transfer1', outcome: 'success' }), null)
+                .then(() => {
+                    assert.strictEqual(session, service.getSession('conv1'));
+                    assert.strictEqual(session.userId, null);
+                    assert.strictEqual(session.lastOutcome.type, 'transferOutcome');
+                });
+        });
+
+        it('rejects an invalid incoming call without creating a session', () => {
+            service.onIncomingCall(() => assert.fail('The handler should not be called.'));
+            const content = incomingCall('conv1', '8:alice');
+            delete content.participants;
+
+            return service.processCall(content).then(
+                () => assert.fail('The call should fail.'),
+                error => {
+                    assert.strictEqual(error.message, 'Received invalid conversation.');
+                    assert.strictEqual(service.getSession('conv1'), null);
+                });
+        });
+    });
+
+    describe('roster updates', () => {
+        it('passes the roster and the changes since the previous roster to the handler', () => {
+            const received = [];
+            service.onRosterUpdate((notification, changes, response, callback) => {
+                received.push({ participants: notification.participants.map(p => p.identity), changes: changes });
+                callback(null, response);
+            });
+
+            return service.processCallback(rosterUpdate('conv1', [ '8:alice', '8:bob' ]), null)
+                .then(response => {
+                    assert.ok(response);
+                    return service.processCallback(rosterUpdate('conv1', [ '8:alice', '8:carol' ]), null);
+                })
+                .then(() => {
+                    assert.deepStrictEqual(received[0].participants, [ '8:alice', '8:bob' ]);
+                    assert.deepStrictEqual(received[0].changes.joined.map(p => p.identity), [ '8:alice', '8:bob' ]);
+                    assert.deepStrictEqual(received[1].changes.joined.map(p => p.identity), [ '8:carol' ]);
+                    assert.deepStrictEqual(received[1].changes.left.map(p => p.identity), [ '8:bob' ]);
+                });
+        });
+
+        it('forgets the roster once the call is terminated', () => {
+            const joined = [];
+            service.onCallStateChange((notification, response, callback) => callback(null, response));
+            service.onRosterUpdate((notification, changes, response, callback) => {
+                joined.push(changes.joined.length);
+                callback(null, response);
+            });
+
+            return service.processCallback(rosterUpdate('conv1', [ '8:alice' ]), null)
+                .then(() => service.processCallback(callStateChange('conv1', 'terminated'), null))
+                .then(() => service.processCallback(rosterUpdate('conv1', [ '8:alice' ]), null))
+                .then(() => assert.deepStrictEqual(joined, [ 1, 1 ]));
+        });
+
+        it('fails without a handler', () => {
+            return service.processCallback(rosterUpdate('conv1', [ '8:alice' ]), null).then(
+                () => assert.fail('The roster update should fail.'),
+                error => assert.strictEqual(error.message, 'No event handler found.'));
+        });
+
+        it('rejects an invalid roster', () => {
+            service.onRosterUpdate(() => assert.fail('The handler should not be called.'));
+            const content = rosterUpdate('conv1', [ '8:alice' ]);
+            content.participants[0].mediaType = 'smell';
+
+            return service.processCallback(content, null).then(
+                () => assert.fail('The roster update should fail.'),
+                error => assert.strictEqual(error.message, 'Invalid roster update notification.'));
+        });
+    });
+
+    describe('outcomes', () => {
+        it('routes the outcomes of placeCall, transfer, videoSubscription and answerAppHostedMedia to their handlers', () => {
+            const botService = new BotService({ calling: { callbackUri: 'https://bot.example.com/v1/callbacks' } });
+            const received = [];
+            const handler = (result, workflow, callback, session) => {
+                received.push([ result.operationOutcome.type, session.id ]);
+                hangup(result, workflow, callback);
+            };
+            botService.onPlaceCallCompleted(handler);
+            botService.onTransferCompleted(handler);
+            botService.onVideoSubscriptionCompleted(handler);
+            botService.onAnswerAppHostedMediaCompleted(handler);
+
+            const types = [ 'placeCallOutcome', 'transferOutcome', 'videoSubscriptionOutcome', 'answerAppHostedMediaOutcome' ];
+            return types.reduce((previous, type) => previous.then(() => {
+                const outcome = { type: type, id: `${type}1`, outcome: 'success' };
+                if (type === 'placeCallOutcome') outcome.acceptedModalityTypes = [ 'audio' ];
+                return botService.processCallback(conversationResult('conv1', outcome), null)
+                    .then(workflow => assert.strictEqual(workflow.actions[0].action, 'hangup'));
+            }), Promise.resolve())
+                .then(() => assert.deepStrictEqual(received, types.map(type => [ type, 'conv1' ])));
+        });
+
+        it('returns no workflow if the handler calls back without one', () => {
+            service.onTransferCompleted((result, workflow, callback) => callback(null));
+            return service.processCallback(conversationResult('conv1', { type: 'transferOutcome', id: 'transfer1', outcome: 'success' }), null)
+                .then(workflow => assert.strictEqual(workflow, undefined));
+        });
+
+        it('fails without a handler', () => {
+            return service.processCallback(conversationResult('conv1', { type: 'videoSubscriptionOutcome', id: 'video1', outcome: 'success' }), null).then(
+                () => assert.fail('The outcome should fail.'),
+                error => assert.strictEqual(error.message, 'No event handler found.'));
+        });
+
+        it('rejects an invalid workflow returned by the handler', () => {
+            service.onAnswerAppHostedMediaCompleted((result, workflow, callback) => callback(null, workflow));
+            return service.processCallback(conversationResult('conv1', { type: 'answerAppHostedMediaOutcome', id: 'answer1', outcome: 'success' }), null).then(
+                () => assert.fail('The empty workflow should be rejected.'),
+                error => assert.strictEqual(error.message, 'Received invalid workflow.'));
+        });
+    });
+
+    describe('asynchronous handlers', () => {
+        it('takes the workflow and the notification response from the Promise returned by the handler', () => {
+            service.onIncomingCall((conversation, workflow) => Promise.resolve().then(() => {
+                workflow.actions.push(new actions.Answer({ operationId: 'answer1' }));
+                return workflow;
+            }));
+            service.onCallStateChange(() => Promise.resolve());
+
+            return service.processCall(incomingCall('conv1', '8:alice'))
+                .then(workflow => {
+                    assert.strictEqual(workflow.actions[0].action, 'answer');
+                    return service.processCallback(callStateChange('conv1', 'established'), null);
+                })
+                .then(response => assert.ok(response));
+        });
+
+        it('fails if the handler throws or its Promise is rejected', () => {
+            service.onIncomingCall(() => {
+                throw new Error('Handler threw.');
+            });
+            service.onAnswerCompleted(() => Promise.reject(new Error('Handler rejected.')));
+
+            return service.processCall(incomingCall('conv1', '8:alice'))
+                .then(() => assert.fail('The call should fail.'), error => {
+                    assert.strictEqual(error.message, 'Handler threw.');
+                    return service.processCallback(conversationResult('conv1', { type: 'answerOutcome', id: 'answer1', outcome: 'success' }), null);
+                })
+                .then(() => assert.fail('The outcome should fail.'),
+                    error => assert.strictEqual(error.message, 'Handler rejected.'));
+        });
+
+        it('uses the first result if the handler both calls back and returns a Promise', () => {
+            service.onTransferCompleted((result, workflow, callback) => {
+                hangup(result, workflow, callback);
+                return Promise.reject(new Error('Handler rejected.'));
+            });
+            return service.processCallback(conversationResult('conv1', { type: 'transferOutcome', id: 'transfer1', outcome: 'success' }), null)
+                .then(workflow => assert.strictEqual(workflow.actions[0].action, 'hangup'));
+        });
+
+        it('calls the callback instead of returning a Promise if one is given', done => {
+            service.onTransferCompleted(hangup);
+            const returned = service.processCallback(conversationResult('conv1', { type: 'transferOutcome', id: 'transfer1', outcome: 'success' }), null, (error, workflow) => {
+                assert.ifError(error);
+                assert.strictEqual(workflow.actions[0].action, 'hangup');
+                done();
+            });
+            assert.strictEqual(returned, undefined);
+        });
+    });
+
+    describe('placed calls', () => {
+        function createPlacingService(posted, options) {
+            const placing = new CallingService('https://bot.example.com/v1/callbacks', Object.assign({ botId: '28:bot', appId: 'app' }, options));
+            placing._callingServiceClient = fakeClient(posted);
+            return placing;
+        }
+
+        it('posts a PlaceCall workflow and routes the outcome to the handler of the call', () => {
+            const posted = [];
+            const placing = createPlacingService(posted);
+            const outcomes = [];
+            placing.onPlaceCallCompleted(() => assert.fail('The default handler should not be called.'));
+
+            return placing.placeCall('8:alice', {
+                subject: 'Reminder',
+                completedHandler: (result, workflow, callback) => {
+                    outcomes.push(result.operationOutcome.id);
+                    hangup(result, workflow, callback);
+                }
+            })
+                .then(operationId => {
+                    const action = posted[0].actions[0];
+                    assert.strictEqual(action.action, 'placeCall');
+                    assert.strictEqual(action.operationId, operationId);
+                    assert.strictEqual(action.target.identity, '8:alice');
+                    assert.strictEqual(action.subject, 'Reminder');
+                    return placing.processCallback(placeCallOutcome('conv1', operationId), null)
+                        .then(() => assert.deepStrictEqual(outcomes, [ operationId ]));
+                })
+                .then(() => assert.strictEqual(placing._placedCalls.size, 0));
+        });
+
+        it('routes outcomes of unknown calls to the default handler', () => {
+            const placing = createPlacingService([]);
+            const outcomes = [];
+            placing.onPlaceCallCompleted((result, workflow, callback) => {
+                outcomes.push(result.operationOutcome.id);
+                hangup(result, workflow, callback);
+            });
+
+            return placing.processCallback(placeCallOutcome('conv1', 'unknown'), null)
+                .then(() => assert.deepStrictEqual(outcomes, [ 'unknown' ]));
+        });
+
+        it('forgets the call if the calling service rejects it', () => {
+            const placing = createPlacingService([]);
+            placing._callingServiceClient = fakeClient([], new Error('Rejected.'));
+
+            return placing.placeCall('8:alice', { completedHandler: hangup }).then(
+                () => assert.fail('The call should fail.'),
+                error => {
+                    assert.strictEqual(error.message, 'Rejected.');
+                    assert.strictEqual(placing._placedCalls.size, 0);
+                });
+        });
+
+        it('forgets the handler of a call without an outcome after placeCallTimeout', () => {
+            const placing = createPlacingService([], { placeCallTimeout: 20 });
+            const outcomes = [];
+            placing.onPlaceCallCompleted((result, workflow, callback) => {
+                outcomes.push('default');
+                hangup(result, workflow, callback);
+            });
+
+            let operationId;
+            return placing.placeCall('8:alice', { completedHandler: () => assert.fail('The expired handler should not be called.') })
+                .then(id => {
+                    operationId = id;
+                    assert.strictEqual(placing._placedCalls.size, 1);
+                    return new Promise(resolve => setTimeout(resolve, 40));
+                })
+                .then(() => {
+                    assert.strictEqual(placing._placedCalls.size, 0);
+                    return placing.processCallback(placeCallOutcome('conv1', operationId), null);
+                })
+                .then(() => assert.deepStrictEqual(outcomes, [ 'default' ]));
+        });
+
+        it('fails without a calling service endpoint', () => {
+            return service.placeCall('8:alice').then(
+                () => assert.fail('The call should fail.'),
+                error => assert.strictEqual(error.message, 'Calling service endpoint not configured.'));
+        });
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+
+const BotService = require('../../lib/bot-service');
+const IvrFlow = require('../../lib/calling/ivr-flow').IvrFlow;
+const CallingSimulator = require('../../lib/emulator/calling-simulator').CallingSimulator;
+const createServer = require('../../lib/http/server');
+
+function menuFlow() {
+    return {
+        start: 'menu',
+        nodes: {
+            menu: {
+                type: 'menu',
+                prompt: 'Press 1 for sales, 2 for a message or 3 for your account.',
+                choices: [
+                    { name: 'sales', dtmf: '1', speech: [ 'sales' ], next: 'sales' },
+                    { name: 'message', dtmf: '2', next: 'message' },
+                    { name: 'account', dtmf: '3', next: 'account' }
+                ],
+                retries: 1,
+                retryPrompt: 'Sorry, press 1, 2 or 3.',
+                fallback: 'goodbye'
+            },
+            sales: { type: 'transfer', target: '8:sales', next: 'goodbye' },
+            message: { type: 'record', prompt: 'Leave a message.', next: 'goodbye' },
+            account: { type: 'collectDigits', prompt: 'Enter your account number.', stopTones: [ '#' ], next: 'goodbye' },
+            goodbye: { type: 'prompt', prompt: 'Goodbye.', next: 'hangup' },
+            hangup: { type: 'hangup' }
+        }
+    };
+}
+
+describe('IvrFlow', () => {
+    let botService;
+    let server;
+    let simulator;
+    let flow;
+    let completed;
+
+    beforeEach(done => {
+        botService = new BotService({ calling: { callbackUri: 'https://bot.example.com/v1/callbacks' } });
+        flow = new IvrFlow(menuFlow());
+        flow.attach(botService);
+        completed = [];
+        flow.on('completed', session => completed.push(session.userData));
+
+        server = createServer(botService);
+        server.listen(0, '127.0.0.1', () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            simulator = new CallingSimulator({ callEndpoint: `${baseUrl}/v1/calls`, callbackUrl: `${baseUrl}/v1/callbacks` });
+            done();
+        });
+    });
+
+    afterEach(done => server.close(done));
+
+    it('answers the call and plays the start node once', () => {
+        return simulator.call([ { dtmf: '1' } ]).then(transcript => {
+            assert.deepStrictEqual(transcript.actions.map(action => action.action), [ 'answer', 'recognize', 'transfer' ]);
+            assert.deepStrictEqual(transcript.prompts, [ 'Press 1 for sales, 2 for a message or 3 for your account.' ]);
+            assert.strictEqual(transcript.endReason, 'transferred');
+        });
+    });
+
+    it('follows the recognized choice and stores it in the session', () => {
+        return simulator.call([ { speech: 'sales' } ]).then(transcript => {
+            assert.strictEqual(transcript.actions[2].target.identity, '8:sales');
+            assert.deepStrictEqual(completed, [ { menu: 'sales' } ]);
+        });
+    });
+
+    it('repeats the node with the retry prompt on silence and incorrect DTMF, then takes the fallback', () => {
+        return simulator.call([ 'silence', { dtmf: '9' } ]).then(transcript => {
+            assert.deepStrictEqual(transcript.prompts, [
+                'Press 1 for sales, 2 for a message or 3 for your account.',
+                'Sorry, press 1, 2 or 3.',
+                'Goodbye.'
+            ]);
+            assert.strictEqual(transcript.endReason, 'botHangup');
+        });
+    });
+
+    it('continues after a successful retry', () => {
+        return simulator.call([ 'silence', { dtmf: '3' }, { dtmf: '1234#' } ]).then(transcript => {
+            assert.deepStrictEqual(transcript.prompts.slice(-2), [ 'Enter your account number.', 'Goodbye.' ]);
+            assert.deepStrictEqual(completed, [ { menu: 'account', account: '1234' } ]);
+        });
+    });
+
+    it('stores recordings', () => {
+        return simulator.call([ { dtmf: '2' }, { record: Buffer.from('audio'), durationInSecs: 2 } ]).then(() => {
+            assert.strictEqual(completed.length, 1);
+            assert.strictEqual(completed[0].message.recording.toString(), 'audio');
+            assert.strictEqual(completed[0].message.outcome.lengthOfRecordingInSecs, 2);
+        });
+    });
+
+    it('takes the next node if the transfer fails', () => {
+        return simulator.call([ { dtmf: '1' }, { transfer: 'failure' } ]).then(transcript => {
+            assert.deepStrictEqual(transcript.prompts.slice(-1), [ 'Goodbye.' ]);
+            assert.strictEqual(transcript.endReason, 'botHangup');
+        });
+    });
+
+    it('stops if the caller hangs up during a node', () => {
+        return simulator.call([ 'hangup' ]).then(transcript => {
+            assert.strictEqual(transcript.endReason, 'callerHangup');
+            assert.strictEqual(completed.length, 0);
+        });
+    });
+
+    it('fails outcomes of calls it does not handle', done => {
+        const result = { id: 'conv1', operationOutcome: { type: 'playPromptOutcome', outcome: 'success' } };
+        flow.handleOutcome(result, null, null, { id: 'conv1' }, error => {
+            assert.strictEqual(error.message, 'Call conv1 is not handled by the IVR flow.');
+            done();
+        });
+    });
+
+    it('rejects invalid definitions', () => {
+        const definition = menuFlow();
+        definition.start = 'missing';
+        definition.nodes.sales.target = null;
+        definition.nodes.menu.choices[1].next = 'nowhere';
+        definition.nodes.goodbye.type = 'song';
+        assert.throws(() => new IvrFlow(definition), error => {
+            assert.ok(/start node missing is not defined/.test(error.message));
+            assert.ok(/transfer node sales has no target/.test(error.message));
+            assert.ok(/choice message of node menu refers to unknown node nowhere/.test(error.message));
+            assert.ok(/node goodbye has unknown type song/.test(error.message));
+            return true;
+        });
+        assert.throws(() => new IvrFlow(null), /nodes are missing/);
+    });
+});
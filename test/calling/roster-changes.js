@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+
+const RosterChanges = require('../../lib/calling/roster-changes');
+
+function participant(identity, mediaType, direction) {
+    return { identity: identity, mediaType: mediaType, mediaStreamDirection: direction };
+}
+
+describe('RosterChanges', () => {
+    it('reports all participants of the first roster as joined', () => {
+        const current = [ participant('8:alice', 'audio', 'sendReceive'), participant('8:bob', 'audio', 'sendReceive') ];
+        const changes = new RosterChanges(null, current);
+
+        assert.deepStrictEqual(changes.joined, current);
+        assert.deepStrictEqual(changes.left, []);
+        assert.deepStrictEqual(changes.mediaDirectionChanged, []);
+        assert.strictEqual(changes.isEmpty(), false);
+    });
+
+    it('reports joined and left participants', () => {
+        const alice = participant('8:alice', 'audio', 'sendReceive');
+        const bob = participant('8:bob', 'audio', 'sendReceive');
+        const carol = participant('8:carol', 'audio', 'receive');
+        const changes = new RosterChanges([ alice, bob ], [ alice, carol ]);
+
+        assert.deepStrictEqual(changes.joined, [ carol ]);
+        assert.deepStrictEqual(changes.left, [ bob ]);
+        assert.deepStrictEqual(changes.mediaDirectionChanged, []);
+    });
+
+    it('reports media direction changes of participants who stayed', () => {
+        const previous = [ participant('8:alice', 'audio', 'sendReceive'), participant('8:alice', 'video', 'send') ];
+        const current = [ participant('8:alice', 'audio', 'receive'), participant('8:alice', 'videoBasedScreenSharing', 'send') ];
+        const changes = new RosterChanges(previous, current);
+
+        assert.deepStrictEqual(changes.joined, []);
+        assert.deepStrictEqual(changes.left, []);
+        assert.deepStrictEqual(changes.mediaDirectionChanged, [
+            { identity: '8:alice', mediaType: 'audio', previousDirection: 'sendReceive', currentDirection: 'receive' },
+            { identity: '8:alice', mediaType: 'videoBasedScreenSharing', previousDirection: null, currentDirection: 'send' },
+            { identity: '8:alice', mediaType: 'video', previousDirection: 'send', currentDirection: null }
+        ]);
+    });
+
+    it('is empty for identical rosters', () => {
+        const roster = [ participant('8:alice', 'audio', 'sendReceive') ];
+        assert.strictEqual(new RosterChanges(roster, roster.slice()).isEmpty(), true);
+    });
+});
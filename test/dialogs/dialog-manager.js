@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+
+const BotService = require('../../lib/bot-service');
+const MessagingEmulator = require('../../lib/emulator/messaging-emulator');
+const DialogManager = require('../../lib/dialogs/dialog-manager');
+const WaterfallDialog = require('../../lib/dialogs/waterfall-dialog');
+const prompts = require('../../lib/dialogs/prompts');
+
+let nextId = 0;
+
+function message(content) {
+    return { activity: 'message', id: String(++nextId), from: '8:alice', to: '28:bot', time: new Date().toISOString(), content: content };
+}
+
+describe('DialogManager', () => {
+    let emulator;
+    let botService;
+    let dialogs;
+    let unhandled;
+
+    beforeEach(() => {
+        emulator = new MessagingEmulator();
+        return emulator.start().then(() => {
+            botService = new BotService({
+                messaging: {
+                    botId: '28:bot',
+                    serverUrl: emulator.serverUrl,
+                    oauthUrl: emulator.oauthUrl,
+                    appId: 'app',
+                    appSecret: 'secret',
+                    outboundQueue: false
+                }
+            });
+            unhandled = [];
+            botService.on('personalMessage', (bot, event) => {
+                if (event.text === 'start') return dialogs.begin(bot, 'profile');
+                unhandled.push(event.text);
+            });
+
+            dialogs = new DialogManager();
+            dialogs.add(new prompts.TextPrompt('text'));
+            dialogs.add(new prompts.NumberPrompt('number'));
+            dialogs.add(new WaterfallDialog('profile', [
+                dc => dc.prompt('text', 'Name?'),
+                (dc, name) => {
+                    dc.state.name = name;
+                    return dc.prompt('number', 'Age?');
+                },
+                (dc, age) => dc.reply(`${dc.state.name} is ${age}.`).then(() => dc.end())
+            ]));
+            dialogs.attach(botService);
+        });
+    });
+
+    afterEach(() => emulator.stop());
+
+    function send(content) {
+        return botService.processMessagingRequestAndWait([ message(content) ]);
+    }
+
+    function replies() {
+        return emulator.getActivities('8:alice').map(item => item.content);
+    }
+
+    it('runs a waterfall with prompts', () => {
+        return send('start')
+            .then(() => send('Alice'))
+            .then(() => send('many'))
+            .then(() => send('42'))
+            .then(() => {
+                assert.deepStrictEqual(replies(), [ 'Name?', 'Age?', 'Age?', 'Alice is 42.' ]);
+                assert.deepStrictEqual(unhandled, []);
+                return send('hello');
+            })
+            .then(() => assert.deepStrictEqual(unhandled, [ 'hello' ]));
+    });
+
+    it('cancels the dialogs', () => {
+        return send('start')
+            .then(() => send('cancel'))
+            .then(() => send('Alice'))
+            .then(() => {
+                assert.deepStrictEqual(replies(), [ 'Name?', 'Cancelled.' ]);
+                assert.deepStrictEqual(unhandled, [ 'Alice' ]);
+            });
+    });
+
+    it('passes a message received while the dialog is beginning to the dialog', () => {
+        // the message is sent as soon as the prompt reaches the messaging service, before the reply finished
+        const sentDuringBegin = new Promise(resolve => emulator.once('activity', () => resolve(send('cancel'))));
+        return Promise.all([ send('start'), sentDuringBegin ]).then(() => {
+            assert.deepStrictEqual(replies(), [ 'Name?', 'Cancelled.' ]);
+            assert.deepStrictEqual(unhandled, []);
+        });
+    });
+
+    it('fails to begin a dialog without state', () => {
+        return dialogs.begin({ state: null, context: {} }, 'profile').then(
+            () => assert.fail('The dialog should not begin.'),
+            error => assert.ok(/Dialog state is not available/.test(error.message)));
+    });
+
+    it('fails to begin an unknown dialog', () => {
+        botService.removeAllListeners('personalMessage');
+        botService.on('personalMessage', bot => dialogs.begin(bot, 'unknown'));
+        return send('start').then(
+            () => assert.fail('The dialog should not begin.'),
+            error => assert.strictEqual(error.message, 'Dialog unknown is not registered.'));
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('assert');
+
+const prompts = require('../../lib/dialogs/prompts');
+
+function recognize(prompt, text, options) {
+    return prompt.recognize({ type: 'message', event: { text: text } }, options || {});
+}
+
+describe('prompts', () => {
+    it('TextPrompt accepts any non-empty text', () => {
+        const prompt = new prompts.TextPrompt('text');
+        assert.deepStrictEqual(recognize(prompt, 'hi'), { succeeded: true, value: 'hi' });
+        assert.deepStrictEqual(recognize(prompt, ''), { succeeded: false });
+        assert.deepStrictEqual(prompt.recognize({ type: 'attachment', event: {} }, {}), { succeeded: false });
+    });
+
+    it('NumberPrompt recognizes numbers within the limits', () => {
+        const prompt = new prompts.NumberPrompt('number');
+        assert.deepStrictEqual(recognize(prompt, ' 1 000,5 '), { succeeded: true, value: 1000.5 });
+        assert.deepStrictEqual(recognize(prompt, '-3'), { succeeded: true, value: -3 });
+        assert.deepStrictEqual(recognize(prompt, 'many'), { succeeded: false });
+        assert.deepStrictEqual(recognize(prompt, '1.5', { integer: true }), { succeeded: false });
+        assert.deepStrictEqual(recognize(prompt, '17', { min: 18 }), { succeeded: false });
+        assert.deepStrictEqual(recognize(prompt, '130', { max: 120 }), { succeeded: false });
+    });
+
+    it('ConfirmPrompt recognizes yes and no', () => {
+        const prompt = new prompts.ConfirmPrompt('confirm');
+        assert.deepStrictEqual(recognize(prompt, 'Yes!'), { succeeded: true, value: true });
+        assert.deepStrictEqual(recognize(prompt, 'nope'), { succeeded: true, value: false });
+        assert.deepStrictEqual(recognize(prompt, 'maybe'), { succeeded: false });
+    });
+
+    it('ChoicePrompt recognizes the number, the choice or its unambiguous part', () => {
+        const prompt = new prompts.ChoicePrompt('choice');
+        const options = { choices: [ 'Red wine', 'White wine', 'Beer' ] };
+        assert.deepStrictEqual(recognize(prompt, '3', options), { succeeded: true, value: { index: 2, value: 'Beer' } });
+        assert.deepStrictEqual(recognize(prompt, 'white wine', options), { succeeded: true, value: { index: 1, value: 'White wine' } });
+        assert.deepStrictEqual(recognize(prompt, 'red', options), { succeeded: true, value: { index: 0, value: 'Red wine' } });
+        assert.deepStrictEqual(recognize(prompt, 'wine', options), { succeeded: false });
+        assert.deepStrictEqual(recognize(prompt, '4', options), { succeeded: false });
+        assert.throws(() => prompt.begin({}, { choices: [] }), /options.choices is missing/);
+    });
+
+    it('DatePrompt recognizes relative and ISO dates', () => {
+        const prompt = new prompts.DatePrompt('date');
+        const tomorrow = new Date();
+        tomorrow.setHours(0, 0, 0, 0);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        assert.deepStrictEqual(recognize(prompt, 'Tomorrow'), { succeeded: true, value: tomorrow });
+        assert.deepStrictEqual(recognize(prompt, '2016-04-30'), { succeeded: true, value: new Date(2016, 3, 30) });
+        assert.deepStrictEqual(recognize(prompt, '2016-02-30'), { succeeded: false });
+        assert.deepStrictEqual(recognize(prompt, 'someday'), { succeeded: false });
+    });
+
+    it('DatePrompt ignores inherited keys', () => {
+        const prompt = new prompts.DatePrompt('date');
+        [ 'constructor', 'toString', '__proto__', 'hasOwnProperty' ].forEach(text => {
+            assert.deepStrictEqual(recognize(prompt, text), { succeeded: false }, text);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const assert = require('assert');
+
+const BotService = require('../../lib/bot-service');
+const CallingSimulator = require('../../lib/emulator/calling-simulator').CallingSimulator;
+const actions = require('../../lib/calling/model/actions');
+const CollectDigits = require('../../lib/calling/model/collect-digits');
+const RecognitionOption = require('../../lib/calling/model/recognition-option');
+const createServer = require('../../lib/http/server');
+
+describe('CallingSimulator', () => {
+    let botService;
+    let server;
+    let baseUrl;
+    let simulator;
+    let received;
+
+    beforeEach(done => {
+        botService = new BotService({ calling: { callbackUri: 'https://bot.example.com/v1/callbacks' } });
+        received = [];
+
+        // asks for a PIN, then a yes/no confirmation and records a message
+        botService.onIncomingCall((conversation, workflow, callback) => {
+            received.push(`call from ${conversation.participants[0].identity}`);
+            workflow.actions.push(new actions.Answer({ operationId: 'answer' }));
+            workflow.actions.push(new actions.Recognize({
+                operationId: 'pin',
+                collectDigits: new CollectDigits({ maxNumberOfDtmfs: 4, stopTones: [ '#' ] })
+            }));
+            callback(null, workflow);
+        });
+        botService.onRecognizeCompleted((result, workflow, callback) => {
+            const outcome = result.operationOutcome;
+            if (outcome.collectDigitsOutcome) {
+                received.push(`pin ${outcome.collectDigitsOutcome.digits} ${outcome.collectDigitsOutcome.completionReason}`);
+                workflow.actions.push(new actions.Recognize({
+                    operationId: 'confirm',
+                    choices: [
+                        new RecognitionOption({ name: 'yes', dtmfVariation: '1', speechVariation: [ 'yes', 'sure' ] }),
+                        new RecognitionOption({ name: 'no', dtmfVariation: '2' })
+                    ]
+                }));
+                return callback(null, workflow);
+            }
+            received.push(`${outcome.outcome} ${outcome.choiceOutcome.choiceName || outcome.choiceOutcome.completionReason}`);
+            workflow.actions.push(new actions.Record({ operationId: 'record', playBeep: true }));
+            callback(null, workflow);
+        });
+        botService.onRecordCompleted((result, recordedAudio, workflow, callback) => {
+            received.push(`recorded ${recordedAudio ? recordedAudio.toString() : null} ${result.operationOutcome.completionReason}`);
+            workflow.actions.push(new actions.Hangup({ operationId: 'hangup' }));
+            callback(null, workflow);
+        });
+        botService.onHangupCompleted((result, workflow, callback) => callback(null));
+        botService.onCallStateChange((notification, response, callback) => {
+            received.push(`state ${notification.currentState}`);
+            callback(null, response);
+        });
+
+        server = createServer(botService);
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            simulator = new CallingSimulator({ callEndpoint: `${baseUrl}/v1/calls`, callbackUrl: `${baseUrl}/v1/callbacks`, caller: '8:alice' });
+            done();
+        });
+    });
+
+    afterEach(done => server.close(done));
+
+    it('executes the workflows against the script and records a transcript', () => {
+        return simulator.call([ { dtmf: '123456' }, { speech: 'Sure' }, { record: Buffer.from('audio'), durationInSecs: 2 } ]).then(transcript => {
+            assert.deepStrictEqual(received, [
+                'call from 8:alice',
+                'pin 1234 interDigitTimeout',
+                'success yes',
+                'recorded audio completedSilenceDetected',
+                'state terminated'
+            ]);
+            assert.deepStrictEqual(transcript.actions.map(action => action.operationId), [ 'answer', 'pin', 'confirm', 'record', 'hangup' ]);
+            assert.deepStrictEqual(transcript.outcomes.map(outcome => outcome.id), [ 'pin', 'confirm', 'record', 'hangup' ]);
+            assert.deepStrictEqual(transcript.entries.map(entry => entry.type).slice(0, 4), [ 'incomingCall', 'action', 'action', 'input' ]);
+            assert.strictEqual(transcript.endReason, 'botHangup');
+        });
+    });
+
+    it('ends collecting digits at a stop tone and matches choices by DTMF', () => {
+        return simulator.call([ { dtmf: '12#' }, { dtmf: '2' }, { stopTone: true, record: 'audio' } ]).then(() => {
+            assert.deepStrictEqual(received.slice(1), [
+                'pin 12 completedStopToneDetected',
+                'success no',
+                'recorded audio completedStopToneDetected',
+                'state terminated'
+            ]);
+        });
+    });
+
+    it('reports silence, incorrect DTMF and unrecognized speech as failures', () => {
+        botService.onRecognizeCompleted((result, workflow, callback) => {
+            const outcome = result.operationOutcome;
+            const reason = (outcome.collectDigitsOutcome || outcome.choiceOutcome).completionReason;
+            received.push(`${outcome.outcome} ${reason}`);
+            workflow.actions.push(new actions.Recognize({
+                operationId: `retry${received.length}`,
+                choices: [ new RecognitionOption({ name: 'yes', dtmfVariation: '1' }) ]
+            }));
+            callback(null, workflow);
+        });
+        return simulator.call([ 'silence', { dtmf: '9' }, { speech: 'maybe' } ]).then(transcript => {
+            assert.deepStrictEqual(received.slice(1), [
+                'failure initialSilenceTimeout',
+                'failure inCorrectDtmf',
+                'failure initialSilenceTimeout',
+                'state terminated'
+            ]);
+            assert.strictEqual(transcript.endReason, 'callerHangup');
+        });
+    });
+
+    it('notifies the bot when the caller hangs up', () => {
+        return simulator.call([ 'hangup' ]).then(transcript => {
+            assert.strictEqual(transcript.endReason, 'callerHangup');
+            assert.deepStrictEqual(received, [ 'call from 8:alice', 'state terminated' ]);
+            assert.strictEqual(transcript.entries[transcript.entries.length - 2].type, 'notification');
+        });
+    });
+
+    it('ends the call when the bot sends no actions', () => {
+        botService.onIncomingCall((conversation, workflow, callback) => callback(null));
+        return simulator.call([]).then(transcript => assert.strictEqual(transcript.endReason, 'noActions'));
+    });
+
+    it('ends endless calls after maxTurns', () => {
+        botService.onRecognizeCompleted((result, workflow, callback) => {
+            workflow.actions.push(new actions.Recognize({ operationId: 'again', collectDigits: new CollectDigits({ maxNumberOfDtmfs: 1 }) }));
+            callback(null, workflow);
+        });
+        const limited = new CallingSimulator({ callEndpoint: `${baseUrl}/v1/calls`, callbackUrl: `${baseUrl}/v1/callbacks`, maxTurns: 3 });
+        return limited.call(Array(10).fill({ dtmf: '1' })).then(transcript => {
+            assert.strictEqual(transcript.endReason, 'maxTurns');
+            assert.strictEqual(transcript.actions.length, 4);
+        });
+    });
+
+    it('fails with the transcript if the bot responds with an error', () => {
+        botService.onRecognizeCompleted((result, workflow, callback) => callback(new Error('Bot failed.')));
+        return simulator.call([ { dtmf: '1' } ]).then(() => assert.fail('The call should fail.'), error => {
+            assert.strictEqual(error.message, 'Bot responded with 500.');
+            assert.strictEqual(error.transcript.actions.length, 2);
+        });
+    });
+
+    it('requires the call endpoint', () => {
+        assert.throws(() => new CallingSimulator(), /options is null/);
+        assert.throws(() => new CallingSimulator({}), /options.callEndpoint is missing/);
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const request = require('request');
+
+const BotService = require('../../lib/bot-service');
+const MessagingEmulator = require('../../lib/emulator/messaging-emulator');
+const adapters = require('../../lib/http/adapters');
+const processors = require('../../lib/http/processors');
+
+function call(method, url, body) {
+    return new Promise((resolve, reject) => request({ method: method, url: url, json: true, body: body }, (error, res, data) => {
+        if (error) return reject(error);
+        resolve({ status: res.statusCode, body: data });
+    }));
+}
+
+describe('MessagingEmulator', () => {
+    let emulator;
+    let botService;
+    let server;
+
+    // the emulator needs the url of the bot and the bot the urls of the emulator,
+    // so the bot's server listens before the bot service is created
+    function startBot(options) {
+        options = options || {};
+        server = http.createServer();
+        return new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+            .then(() => {
+                emulator = new MessagingEmulator(Object.assign({
+                    botEndpoint: `http://127.0.0.1:${server.address().port}/v1/chat`,
+                    appId: 'app',
+                    appSecret: 'secret'
+                }, options.emulator));
+                return emulator.start();
+            })
+            .then(() => {
+                botService = new BotService({
+                    messaging: {
+                        botId: '28:bot',
+                        serverUrl: emulator.serverUrl,
+                        oauthUrl: emulator.oauthUrl,
+                        appId: 'app',
+                        appSecret: options.appSecret || 'secret',
+                        outboundQueue: false
+                    }
+                });
+                botService.on('personalMessage', (bot, event) => bot.reply(`echo: ${event.content}`));
+                const processor = typeof options.processor === 'function' ? options.processor(emulator) : options.processor;
+                const processorOptions = Object.assign({ waitForHandlers: true }, processor);
+                server.on('request', adapters.toNodeHandler(processors.createMessagingProcessor(botService, processorOptions)));
+            });
+    }
+
+    afterEach(done => {
+        const stopped = emulator ? emulator.stop() : Promise.resolve();
+        emulator = null;
+        stopped.then(() => server && server.listening ? server.close(() => done()) : done(), done);
+    });
+
+    it('delivers messages to the bot and stores its replies', () => {
+        return startBot()
+            .then(() => emulator.sendMessage('8:alice', 'hi'))
+            .then(statusCode => {
+                assert.strictEqual(statusCode, 201);
+                const activities = emulator.getActivities('8:alice');
+                assert.deepStrictEqual(activities.map(item => item.content), [ 'echo: hi' ]);
+                assert.strictEqual(activities[0].conversationId, '8:alice');
+                assert.deepStrictEqual(emulator.getActivities('8:bob'), []);
+            });
+    });
+
+    it('serves attachments sent to the bot and stores attachments sent by the bot', () => {
+        const png = Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]);
+        return startBot()
+            .then(() => {
+                botService.on('attachment', (bot, event) => botService.getAttachment(event.id, 'original')
+                    .then(content => bot.replyWithAttachment('copy', 'Image', content)));
+                return emulator.sendAttachment('8:alice', 'image.png', 'Image', png);
+            })
+            .then(() => {
+                const attachments = emulator.getAttachments();
+                assert.strictEqual(attachments.length, 2);
+                assert.strictEqual(attachments[0].conversationId, null);
+                assert.strictEqual(attachments[1].conversationId, '8:alice');
+                assert.strictEqual(attachments[1].name, 'copy');
+                assert.ok(attachments[1].original.equals(png));
+            });
+    });
+
+    it('issues tokens only for the configured application', () => {
+        return startBot({ appSecret: 'wrong' })
+            .then(() => botService.send('8:alice', 'hi'))
+            .then(() => assert.fail('The message should not be sent.'), error => {
+                assert.ok(error instanceof Error);
+                assert.deepStrictEqual(emulator.getActivities(), []);
+            });
+    });
+
+    it('rejects requests without a valid token', () => {
+        return startBot()
+            .then(() => call('POST', `${emulator.serverUrl}/v2/conversations/8:alice/activities`, { message: { content: 'hi' } }))
+            .then(response => assert.strictEqual(response.status, 401));
+    });
+
+    it('has an inspection API', () => {
+        return startBot()
+            .then(() => call('POST', `${emulator.serverUrl}/emulator/webhook`, [
+                { activity: 'message', id: '1', from: '8:alice', to: '28:bot', time: new Date().toISOString(), content: 'hi' }
+            ]))
+            .then(response => {
+                assert.deepStrictEqual(response.body, { statusCode: 201 });
+                return call('GET', `${emulator.serverUrl}/emulator/activities?conversationId=8:alice`);
+            })
+            .then(response => {
+                assert.deepStrictEqual(response.body.map(item => item.content), [ 'echo: hi' ]);
+                return call('POST', `${emulator.serverUrl}/emulator/reset`);
+            })
+            .then(response => {
+                assert.strictEqual(response.status, 204);
+                assert.deepStrictEqual(emulator.getActivities(), []);
+                return call('POST', `${emulator.serverUrl}/emulator/webhook`, []);
+            })
+            .then(response => {
+                assert.strictEqual(response.status, 502);
+                assert.ok(/Webhook message is invalid/.test(response.body.error));
+                return call('GET', `${emulator.serverUrl}/emulator/unknown`);
+            })
+            .then(response => assert.strictEqual(response.status, 404));
+    });
+
+    it('fails to send activities without the bot endpoint', () => {
+        emulator = new MessagingEmulator();
+        return emulator.start()
+            .then(() => emulator.sendMessage('8:alice', 'hi'))
+            .then(() => assert.fail('The message should not be sent.'),
+                error => assert.strictEqual(error.message, 'options.botEndpoint is missing in the options.'));
+    });
+
+    it('fails to start twice', () => {
+        emulator = new MessagingEmulator();
+        return emulator.start()
+            .then(() => emulator.start())
+            .then(() => assert.fail('The emulator should not start twice.'),
+                error => assert.strictEqual(error.message, 'Emulator is already running.'));
+    });
+
+    it('signs webhook requests with a key the bot can verify', function () {
+        // generating the signing key is slow in JavaScript
+        this.timeout(20000);
+        return startBot({
+            emulator: { signWebhooks: true },
+            processor: started => ({ verifyToken: { appId: 'app', jwksUri: started.jwksUri } })
+        })
+            .then(() => emulator.sendMessage('8:alice', 'signed'))
+            .then(() => {
+                assert.deepStrictEqual(emulator.getActivities().map(item => item.content), [ 'echo: signed' ]);
+                return new MessagingEmulator({ botEndpoint: `http://127.0.0.1:${server.address().port}/v1/chat` })
+                    .sendMessage('8:alice', 'unsigned');
+            })
+            .then(() => assert.fail('The unsigned request should be rejected.'),
+                error => assert.strictEqual(error.message, 'Bot responded with 401.'));
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+
+const adapters = require('../../lib/http/adapters');
+
+function nodeRequest(chunks, properties) {
+    const req = new EventEmitter();
+    Object.assign(req, { method: 'POST', url: '/v1/chat', headers: { 'content-type': 'application/json' }, socket: {} }, properties);
+    process.nextTick(() => {
+        chunks.forEach(chunk => req.emit('data', Buffer.from(chunk)));
+        req.emit('end');
+    });
+    return req;
+}
+
+function nodeResponse(callback) {
+    return {
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        end(body) { this.body = body; callback(this); }
+    };
+}
+
+const echo = (request, callback) => callback(null, {
+    status: 200,
+    headers: { 'Content-Type': 'text/plain' },
+    body: `${request.method} ${request.url} ${request.secure} ${request.body.toString()}`
+});
+
+describe('HTTP adapters', () => {
+    describe('toNodeHandler', () => {
+        it('reads the body and writes the response', done => {
+            adapters.toNodeHandler(echo)(nodeRequest([ '[', ']' ]), nodeResponse(res => {
+                assert.strictEqual(res.statusCode, 200);
+                assert.deepStrictEqual(res.headers, { 'Content-Type': 'text/plain' });
+                assert.strictEqual(res.body, 'POST /v1/chat false []');
+                done();
+            }));
+        });
+
+        it('uses the body parsed by the framework', done => {
+            const req = nodeRequest([], { body: { parsed: true }, _body: true });
+            adapters.toNodeHandler((request, callback) => {
+                assert.deepStrictEqual(request.body, { parsed: true });
+                callback(null, { status: 201, headers: {}, body: null });
+            })(req, nodeResponse(res => {
+                assert.strictEqual(res.statusCode, 201);
+                done();
+            }));
+        });
+
+        it('answers 413 for too large bodies', done => {
+            adapters.toNodeHandler(() => assert.fail('The processor should not be called.'), { maxBodySize: 3 })(
+                nodeRequest([ '[1,', '2]' ]), nodeResponse(res => {
+                    assert.strictEqual(res.statusCode, 413);
+                    done();
+                }));
+        });
+    });
+
+    describe('toExpressHandler', () => {
+        it('writes the response through the express API', done => {
+            const res = {
+                status(status) { this.statusCode = status; return this; },
+                set(headers) { this.headers = headers; return this; },
+                end(body) {
+                    assert.strictEqual(this.statusCode, 200);
+                    assert.strictEqual(body, 'POST /v1/chat true []');
+                    done();
+                }
+            };
+            adapters.toExpressHandler(echo)(nodeRequest([ '[]' ], { secure: true }), res, done);
+        });
+
+        it('passes errors of reading the body to next', done => {
+            adapters.toExpressHandler(echo, { maxBodySize: 1 })(nodeRequest([ '[]' ]), {}, error => {
+                assert.strictEqual(error.status, 413);
+                done();
+            });
+        });
+    });
+
+    describe('toKoaMiddleware', () => {
+        it('sets the response of the context', () => {
+            const headers = {};
+            const ctx = {
+                req: nodeRequest([ '[]' ]),
+                request: {},
+                originalUrl: '/api/messages',
+                secure: true,
+                set(values) { Object.assign(headers, values); }
+            };
+            return adapters.toKoaMiddleware(echo)(ctx).then(() => {
+                assert.strictEqual(ctx.status, 200);
+                assert.strictEqual(ctx.body, 'POST /api/messages true []');
+                assert.deepStrictEqual(headers, { 'Content-Type': 'text/plain' });
+            });
+        });
+    });
+});
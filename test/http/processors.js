@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert');
+
+const processors = require('../../lib/http/processors');
+const InvalidRequestError = require('../../lib/messaging/errors').InvalidRequestError;
+
+function request(body, headers) {
+    return { method: 'POST', url: '/', headers: headers || {}, body: body, secure: true };
+}
+
+describe('HTTP processors', () => {
+    describe('createMessagingProcessor', () => {
+        it('acknowledges requests right away', () => {
+            const received = [];
+            const process = processors.createMessagingProcessor({ processMessagingRequest: body => received.push(body) });
+
+            return process(request(Buffer.from('[]'))).then(response => {
+                assert.strictEqual(response.status, 201);
+                assert.deepStrictEqual(received, [ '[]' ]);
+            });
+        });
+
+        it('answers 500 instead of throwing if the processing throws', () => {
+            const process = processors.createMessagingProcessor({
+                processMessagingRequest: () => { throw new Error('Unhandled error.'); }
+            });
+            return process(request('null')).then(response => assert.strictEqual(response.status, 500));
+        });
+
+        it('answers 400 if the processing throws for an invalid request', () => {
+            const process = processors.createMessagingProcessor({
+                processMessagingRequest: () => { throw new InvalidRequestError('Invalid.'); }
+            });
+            return process(request('null')).then(response => assert.strictEqual(response.status, 400));
+        });
+
+        it('waits for the handlers and maps their result to the status', () => {
+            const results = [ null, new InvalidRequestError('Invalid.'), new Error('Handler failed.') ];
+            const process = processors.createMessagingProcessor({
+                processMessagingRequestAndWait: (body, options, callback) => callback(results.shift())
+            }, { waitForHandlers: true });
+
+            return process(request('[]'))
+                .then(response => {
+                    assert.strictEqual(response.status, 201);
+                    return process(request('[]'));
+                })
+                .then(response => {
+                    assert.strictEqual(response.status, 400);
+                    return process(request('[]'));
+                })
+                .then(response => assert.strictEqual(response.status, 500));
+        });
+
+        it('rejects requests without a valid token with 401', () => {
+            let processed = false;
+            const process = processors.createMessagingProcessor({ processMessagingRequest: () => processed = true }, {
+                verifyToken: (authorization, callback) => callback(authorization === 'Bearer good' ? null : new Error('Invalid token.'))
+            });
+
+            return process(request('[]', { authorization: 'Bearer bad' }))
+                .then(response => {
+                    assert.strictEqual(response.status, 401);
+                    assert.strictEqual(processed, false);
+                    return process(request('[]', { authorization: 'Bearer good' }));
+                })
+                .then(response => {
+                    assert.strictEqual(response.status, 201);
+                    assert.strictEqual(processed, true);
+                });
+        });
+    });
+
+    describe('createCallProcessor', () => {
+        it('responds with the workflow', () => {
+            const process = processors.createCallProcessor({
+                processCall: (body, callback) => callback(null, { actions: [ body.id ] })
+            });
+            return process(request('{"id":"conv1"}')).then(response => {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(JSON.parse(response.body), { actions: [ 'conv1' ] });
+            });
+        });
+
+        it('answers 400 for invalid JSON and 500 if the processing fails', () => {
+            const process = processors.createCallProcessor({ processCall: (body, callback) => callback(new Error('Failed.')) });
+            return process(request('{'))
+                .then(response => {
+                    assert.strictEqual(response.status, 400);
+                    return process(request('{}'));
+                })
+                .then(response => assert.strictEqual(response.status, 500));
+        });
+    });
+
+    describe('createCallbackProcessor', () => {
+        const botService = {
+            processCallback: (body, additionalData, callback) => callback(null, { id: body.id, audio: additionalData && additionalData.toString() })
+        };
+
+        it('processes JSON callbacks, also without a content type', () => {
+            const process = processors.createCallbackProcessor(botService);
+            return process(request('{"id":"conv1"}', { 'content-type': 'application/json; charset=utf-8' }))
+                .then(response => {
+                    assert.strictEqual(response.status, 200);
+                    return process(request('{"id":"conv2"}'));
+                })
+                .then(response => {
+                    assert.strictEqual(response.status, 200);
+                    assert.deepStrictEqual(JSON.parse(response.body), { id: 'conv2', audio: null });
+                    return process(request('{', { 'content-type': 'text/plain' }));
+                })
+                .then(response => assert.strictEqual(response.status, 400));
+        });
+
+        it('processes multipart callbacks with the recorded audio', () => {
+            const boundary = 'xyz';
+            const body = [
+                `--${boundary}`,
+                'Content-Disposition: form-data; name="conversationResult"',
+                '',
+                '{"id":"conv1"}',
+                `--${boundary}`,
+                'Content-Disposition: form-data; name="recordedAudio"',
+                '',
+                'audio',
+                `--${boundary}--`,
+                ''
+            ].join('\r\n');
+            const process = processors.createCallbackProcessor(botService);
+
+            return process(request(Buffer.from(body), { 'content-type': `multipart/form-data; boundary=${boundary}` }))
+                .then(response => {
+                    assert.strictEqual(response.status, 200);
+                    assert.deepStrictEqual(JSON.parse(response.body), { id: 'conv1', audio: 'audio' });
+                });
+        });
+    });
+
+    describe('checkHttps', () => {
+        it('accepts secure requests and rejects or redirects others', () => {
+            assert.strictEqual(processors.checkHttps({ headers: {}, secure: true }), null);
+            assert.strictEqual(processors.checkHttps({ headers: { 'x-site-deployment-id': 'a', 'x-arr-ssl': 'b' } }), null);
+            assert.strictEqual(processors.checkHttps({ headers: {}, secure: false }).status, 404);
+            assert.deepStrictEqual(processors.checkHttps({ headers: { host: 'bot' }, url: '/v1/chat' }, { redirect: true }).headers,
+                { 'Location': 'https://bot/v1/chat' });
+        });
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const BotService = require('../../lib/bot-service');
+const actions = require('../../lib/calling/model/actions');
+const createServer = require('../../lib/http/server');
+
+function post(server, path, body, headers) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port: server.address().port,
+            method: 'POST',
+            path: path,
+            headers: headers || { 'Content-Type': 'application/json' }
+        }, response => {
+            let data = '';
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: data }));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+}
+
+describe('createServer', () => {
+    let botService;
+    let server;
+
+    beforeEach(() => {
+        botService = new BotService({
+            messaging: { botId: '28:bot', serverUrl: 'http://127.0.0.1:1', appId: 'app', appSecret: 'secret', outboundQueue: false },
+            calling: { callbackUri: 'https://bot.example.com/v1/callbacks' }
+        });
+    });
+
+    afterEach(done => {
+        if (server && server.listening) {
+            return server.close(done);
+        }
+        done();
+    });
+
+    it('passes messages to the bot service', () => {
+        const received = [];
+        botService.on('personalMessage', (bot, event) => received.push(event.content));
+        server = createServer(botService);
+        const activity = { activity: 'message', id: '1', from: '8:alice', to: '28:bot', time: '2016-05-01T10:00:00.000Z', content: 'hi' };
+
+        return listen(server)
+            .then(() => post(server, '/v1/chat', JSON.stringify([ activity ])))
+            .then(response => {
+                assert.strictEqual(response.status, 201);
+                assert.deepStrictEqual(received, [ 'hi' ]);
+            });
+    });
+
+    it('survives invalid messaging requests', () => {
+        server = createServer(botService);
+        return listen(server)
+            .then(() => post(server, '/v1/chat', 'null'))
+            .then(response => {
+                assert.ok(response.status >= 400);
+                return post(server, '/v1/chat', '[]');
+            })
+            .then(response => assert.ok(response.status >= 400));
+    });
+
+    it('answers invalid requests with 400 when waiting for the handlers', () => {
+        server = createServer(botService, null, { waitForHandlers: true });
+        return listen(server)
+            .then(() => post(server, '/v1/chat', 'null'))
+            .then(response => assert.strictEqual(response.status, 400));
+    });
+
+    it('mounts the calling endpoints if calling is configured', () => {
+        botService.onIncomingCall((conversation, workflow, callback) => {
+            workflow.actions.push(new actions.Answer({ operationId: 'answer1' }));
+            callback(null, workflow);
+        });
+        server = createServer(botService);
+        const call = {
+            id: 'conv1',
+            participants: [ { identity: '8:alice', originator: true }, { identity: '28:bot', originator: false } ],
+            isMultiParty: false,
+            presentedModalityTypes: [ 'audio' ],
+            callState: 'incoming'
+        };
+
+        return listen(server)
+            .then(() => post(server, '/v1/calls', JSON.stringify(call)))
+            .then(response => {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(JSON.parse(response.body).actions.map(action => action.operationId), [ 'answer1' ]);
+            });
+    });
+
+    it('answers 404 for unknown paths and 405 for other methods', () => {
+        server = createServer(botService, { messaging: '/api/messages' });
+        return listen(server)
+            .then(() => post(server, '/v1/chat', '[]'))
+            .then(response => {
+                assert.strictEqual(response.status, 404);
+                return new Promise(resolve => http.get({ port: server.address().port, path: '/api/messages' }, resolve));
+            })
+            .then(response => {
+                response.resume();
+                assert.strictEqual(response.statusCode, 405);
+                assert.strictEqual(response.headers['allow'], 'POST');
+            });
+    });
+
+    it('rejects unknown keys in the routes', () => {
+        assert.throws(() => createServer(botService, { waitForHandlers: true }), /Unknown route "waitForHandlers"/);
+    });
+});
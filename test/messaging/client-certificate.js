@@ -0,0 +1,193 @@
+'use strict';
+
+const assert = require('assert');
+const forge = require('node-forge');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const querystring = require('querystring');
+
+const AuthService = require('../../lib/messaging/auth-service');
+const ClientCertificate = require('../../lib/messaging/client-certificate');
+
+function createCredentials(name) {
+    const keys = forge.pki.rsa.generateKeyPair(1024);
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = keys.publicKey;
+    certificate.serialNumber = '01';
+    certificate.validity.notBefore = new Date();
+    certificate.validity.notAfter = new Date(Date.now() + 24 * 3600 * 1000);
+    certificate.setSubject([ { name: 'commonName', value: name } ]);
+    certificate.setIssuer([ { name: 'commonName', value: name } ]);
+    certificate.sign(keys.privateKey, forge.md.sha256.create());
+
+    const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+    const md = forge.md.sha1.create();
+    md.update(der);
+    return {
+        privateKey: forge.pki.privateKeyToPem(keys.privateKey),
+        certificate: forge.pki.certificateToPem(certificate),
+        publicKey: keys.publicKey,
+        thumbprint: md.digest().toHex()
+    };
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function decode(part) {
+    return JSON.parse(Buffer.from(part, 'base64').toString('utf8'));
+}
+
+// verifies the signature of the assertion and returns its header and claims
+function verifyAssertion(assertion, publicKey) {
+    const parts = assertion.split('.');
+    const md = forge.md.sha256.create();
+    md.update(parts[0] + '.' + parts[1], 'utf8');
+    const signature = Buffer.from(parts[2], 'base64').toString('binary');
+    assert.ok(publicKey.verify(md.digest().bytes(), signature), 'The assertion signature is invalid.');
+    return { header: decode(parts[0]), claims: decode(parts[1]) };
+}
+
+describe('ClientCertificate', () => {
+    let first;
+    let second;
+
+    before(function () {
+        // generating the keys is slow in JavaScript
+        this.timeout(20000);
+        first = createCredentials('first');
+        second = createCredentials('second');
+    });
+
+    it('creates assertions signed by the key and identifying the certificate', () => {
+        const credentials = new ClientCertificate({ privateKey: first.privateKey, certificate: first.certificate, assertionLifetime: 300 });
+        assert.strictEqual(credentials.thumbprint, first.thumbprint);
+
+        const fields = credentials.getCredentials('app', 'https://login.example.com/token');
+        assert.strictEqual(fields.client_assertion_type, 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+        const assertion = verifyAssertion(fields.client_assertion, first.publicKey);
+        assert.strictEqual(assertion.header.alg, 'RS256');
+        assert.strictEqual(Buffer.from(assertion.header.x5t, 'base64').toString('hex'), first.thumbprint);
+        assert.strictEqual(assertion.claims.aud, 'https://login.example.com/token');
+        assert.strictEqual(assertion.claims.iss, 'app');
+        assert.strictEqual(assertion.claims.sub, 'app');
+        assert.strictEqual(assertion.claims.exp - assertion.claims.nbf, 300);
+        assert.notStrictEqual(verifyAssertion(credentials.createAssertion('app', 'aud'), first.publicKey).claims.jti, assertion.claims.jti);
+    });
+
+    it('takes the thumbprint instead of the certificate and decrypts encrypted keys', () => {
+        const encrypted = forge.pki.encryptRsaPrivateKey(forge.pki.privateKeyFromPem(first.privateKey), 'passphrase');
+        const thumbprint = first.thumbprint.toUpperCase().match(/../g).join(':');
+        const credentials = new ClientCertificate({ privateKey: encrypted, passphrase: 'passphrase', thumbprint: thumbprint });
+        assert.strictEqual(credentials.thumbprint, first.thumbprint);
+        verifyAssertion(credentials.createAssertion('app', 'aud'), first.publicKey);
+
+        assert.throws(() => new ClientCertificate({ privateKey: encrypted, passphrase: 'wrong', thumbprint: thumbprint }),
+            /Failed to decrypt the private key/);
+    });
+
+    it('rejects invalid options and a key not matching the certificate', () => {
+        assert.throws(() => new ClientCertificate(), /options is null/);
+        assert.throws(() => new ClientCertificate({ certificate: first.certificate }), /options.privateKey is missing/);
+        assert.throws(() => new ClientCertificate({ privateKey: first.privateKey }), /options.certificate is missing/);
+        assert.throws(() => new ClientCertificate({ privateKey: first.privateKey, certificate: second.certificate }),
+            /The private key doesn't match the certificate/);
+    });
+
+    describe('files', () => {
+        const directory = path.join(os.tmpdir(), `skype-sdk-certificate-${process.pid}`);
+        const keyFile = path.join(directory, 'key.pem');
+        const certificateFile = path.join(directory, 'certificate.pem');
+        let credentials;
+
+        beforeEach(() => {
+            fs.mkdirSync(directory);
+            fs.writeFileSync(keyFile, first.privateKey);
+            fs.writeFileSync(certificateFile, first.certificate);
+            credentials = new ClientCertificate({ privateKeyFile: keyFile, certificateFile: certificateFile, watchInterval: 10 });
+        });
+
+        afterEach(() => {
+            credentials.close();
+            fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+            fs.rmdirSync(directory);
+        });
+
+        it('reloads the credentials when the files change', () => {
+            assert.strictEqual(credentials.thumbprint, first.thumbprint);
+            const reloaded = new Promise(resolve => credentials.on('reload', resolve));
+            // the watcher compares the files with their state when the watching started
+            return delay(50).then(() => {
+                fs.writeFileSync(certificateFile, second.certificate);
+                fs.writeFileSync(keyFile, second.privateKey);
+                return reloaded;
+            }).then(() => {
+                assert.strictEqual(credentials.thumbprint, second.thumbprint);
+                verifyAssertion(credentials.createAssertion('app', 'aud'), second.publicKey);
+            });
+        });
+
+        it('keeps the current credentials if the changed files can not be used', () => {
+            const failed = new Promise(resolve => credentials.on('reloadFailed', resolve));
+            return delay(50).then(() => {
+                fs.writeFileSync(certificateFile, second.certificate);
+                return failed;
+            }).then(error => {
+                assert.ok(/The private key doesn't match the certificate/.test(error.message));
+                assert.strictEqual(credentials.thumbprint, first.thumbprint);
+                verifyAssertion(credentials.createAssertion('app', 'aud'), first.publicKey);
+            });
+        });
+    });
+
+    describe('AuthService', () => {
+        let server;
+        let requests;
+
+        beforeEach(done => {
+            requests = [];
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => body += chunk);
+                req.on('end', () => {
+                    requests.push(Object.assign({}, querystring.parse(body)));
+                    res.end(JSON.stringify({ access_token: 'token', expires_in: 3600 }));
+                });
+            });
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        afterEach(done => server.close(done));
+
+        it('authenticates token requests by the certificate instead of the secret', () => {
+            const oauthUrl = `http://127.0.0.1:${server.address().port}/token`;
+            const service = new AuthService('app', null, {
+                oauthUrl: oauthUrl,
+                refreshInBackground: false,
+                certificate: { privateKey: first.privateKey, certificate: first.certificate }
+            });
+            return service.getToken().then(token => {
+                assert.strictEqual(token, 'token');
+                assert.strictEqual(requests.length, 1);
+                assert.strictEqual(requests[0].client_secret, undefined);
+                assert.strictEqual(requests[0].client_assertion_type, 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+                assert.strictEqual(verifyAssertion(requests[0].client_assertion, first.publicKey).claims.aud, oauthUrl);
+            });
+        });
+
+        it('fails the token request if the assertion can not be created', () => {
+            const certificate = new ClientCertificate({ privateKey: first.privateKey, certificate: first.certificate });
+            certificate.createAssertion = () => {
+                throw new Error('Signing failed.');
+            };
+            const service = new AuthService('app', null, { oauthUrl: 'http://127.0.0.1:1/token', refreshInBackground: false, certificate: certificate });
+            return service.getToken().then(() => assert.fail('The token should not be requested.'), error => {
+                assert.strictEqual(error.message, 'Signing failed.');
+                assert.strictEqual(requests.length, 0);
+            });
+        });
+    });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const assert = require('assert');
+
+const MessagingService = require('../../lib/messaging/messaging-service');
+const commandRouter = require('../../lib/messaging/command-router');
+const CommandRouter = commandRouter.CommandRouter;
+const UsageError = commandRouter.UsageError;
+
+function message(id, content, to) {
+    return { activity: 'message', id: id, from: '8:alice', to: to || '28:bot', time: '2016-05-01T10:00:00.000Z', content: content };
+}
+
+describe('CommandRouter', () => {
+    let router;
+
+    beforeEach(() => {
+        router = new CommandRouter({ botId: '28:bot' });
+        router.command('weather', {
+            description: 'Show the weather forecast.',
+            aliases: [ 'w' ],
+            args: [ { name: 'city', required: true, rest: true } ],
+            options: [
+                { name: 'days', alias: 'd', type: 'integer', default: 1 },
+                { name: 'units', choices: [ 'metric', 'imperial' ], default: 'metric' },
+                { name: 'wind', type: 'boolean' }
+            ]
+        }, () => {});
+        router.command('kick', { scope: 'group', args: [ 'user', { name: 'minutes', type: 'number' } ] }, () => {});
+    });
+
+    describe('match', () => {
+        it('parses positional and named arguments', () => {
+            const match = router.match('W "New York" -d 3 --units=imperial --wind');
+            assert.strictEqual(match.command.name, 'weather');
+            assert.strictEqual(match.error, null);
+            assert.deepStrictEqual(match.args, { city: 'New York', days: 3, units: 'imperial', wind: true });
+            assert.deepStrictEqual(router.match('weather New York').args, { city: 'New York', days: 1, units: 'metric', wind: false });
+            assert.deepStrictEqual(router.match('weather --no-wind -- -10\\ below').args.city, '-10 below');
+        });
+
+        it('strips the mention of the bot and decodes entities', () => {
+            assert.deepStrictEqual(router.match('<at id="28:bot">Bot</at> kick &quot;Bob Smith&quot; 1.5', true).args, { user: 'Bob Smith', minutes: 1.5 });
+            assert.strictEqual(router.match('<at id="8:bob">Bob</at> kick bob', true), null);
+            assert.strictEqual(router.match('weather &amp;#60;x&amp;#62;').args.city, '&#60;x&#62;');
+        });
+
+        it('matches commands only in their scope and with the prefix', () => {
+            assert.strictEqual(router.match('kick bob', false), null);
+            assert.strictEqual(router.match('kick bob', true).command.name, 'kick');
+            assert.strictEqual(router.match('hello there'), null);
+            assert.strictEqual(router.match(''), null);
+            const prefixed = new CommandRouter({ prefix: '/' }).command('ping', () => {});
+            assert.strictEqual(prefixed.match('ping'), null);
+            assert.strictEqual(prefixed.match('/ping').command.name, 'ping');
+        });
+
+        it('reports invalid arguments as usage errors', () => {
+            const cases = [
+                [ 'weather', 'Missing argument city.' ],
+                [ 'weather Paris --days 2.5', 'Argument days must be an integer, got "2.5".' ],
+                [ 'weather Paris --units kelvin', 'Argument units must be one of metric, imperial, got "kelvin".' ],
+                [ 'weather Paris --days', 'Option --days needs a value.' ],
+                [ 'weather Paris --rain', 'Unknown option --rain.' ],
+                [ 'weather "Paris', 'Missing closing quote ".' ],
+                [ 'kick bob soon', 'Argument minutes must be a number, got "soon".' ],
+                [ 'kick bob 1 2', 'Too many arguments.' ]
+            ];
+            cases.forEach(item => {
+                const match = router.match(item[0], true);
+                assert.ok(match.error instanceof UsageError, item[0]);
+                assert.strictEqual(match.error.message, item[1]);
+                assert.strictEqual(match.args, null);
+            });
+        });
+    });
+
+    describe('command', () => {
+        it('generates the usage of the commands', () => {
+            assert.strictEqual(router.usage('w'), 'weather <city...> [--days <integer>] [--units <string>] [--wind]');
+            assert.strictEqual(router.usage('kick'), 'kick [user] [minutes]');
+            assert.strictEqual(router.usage('missing'), null);
+        });
+
+        it('rejects invalid declarations', () => {
+            assert.throws(() => router.command('w', () => {}), /Command w is already registered/);
+            assert.throws(() => router.command('ban'), /Handler of command ban must be a function/);
+            assert.throws(() => router.command('ban', { scope: 'everywhere' }, () => {}), /Invalid scope everywhere/);
+            assert.throws(() => router.command('ban', { args: [ { type: 'string' } ] }, () => {}), /has no name/);
+            assert.throws(() => router.command('ban', { args: [ { name: 'user', type: 'date' } ] }, () => {}), /Invalid type date/);
+            assert.throws(() => router.command('ban', { args: [ { name: 'users', rest: true }, 'reason' ] }, () => {}), /Only the last argument/);
+        });
+    });
+
+    describe('attach', () => {
+        let service;
+        let replies;
+
+        beforeEach(() => {
+            service = new MessagingService({ botId: '28:bot', serverUrl: 'http://127.0.0.1:1', appId: 'app', appSecret: 'secret', outboundQueue: false });
+            replies = [];
+            service.useOutgoing((context, next, done) => {
+                replies.push(`${context.to}: ${context.content}`);
+                done(null);
+            });
+        });
+
+        it('runs the handlers of commands instead of emitting the messages', () => {
+            const received = [];
+            router = new CommandRouter();
+            router.command('roll', { args: [ { name: 'sides', type: 'integer', default: 6 } ] }, (bot, args, event) => {
+                received.push(`${event.from} ${args.sides}`);
+                return bot.reply('4');
+            });
+            router.attach(service);
+            service.on('personalMessage', (bot, event) => received.push(`message ${event.content}`));
+
+            return service.processRequestAndWait([ message('1', 'roll 20'), message('2', 'hello') ])
+                .then(() => service.processRequestAndWait([ message('3', '<at id="28:bot">Bot</at> roll', '19:group@thread.skype') ]))
+                .then(() => {
+                    assert.deepStrictEqual(received, [ '8:alice 20', 'message hello', '8:alice 6' ]);
+                    assert.deepStrictEqual(replies, [ '8:alice: 4', '19:group@thread.skype: 4' ]);
+                });
+        });
+
+        it('replies with the usage to invalid arguments', () => {
+            router.attach(service);
+            return service.processRequestAndWait([ message('1', 'weather --days two Paris') ])
+                .then(() => assert.deepStrictEqual(replies, [
+                    '8:alice: Argument days must be an integer, got "two".\nUsage: weather <city...> [--days <integer>] [--units <string>] [--wind]'
+                ]));
+        });
+
+        it('replies to help with the commands in scope and their usage', () => {
+            router.attach(service);
+            return service.processRequestAndWait([ message('1', 'help'), message('2', 'help w'), message('3', 'help kick') ])
+                .then(() => assert.deepStrictEqual(replies, [
+                    '8:alice: Available commands:\n' +
+                        '  help - Show the available commands or the usage of a command.\n' +
+                        '  weather - Show the weather forecast.',
+                    '8:alice: Usage: weather <city...> [--days <integer>] [--units <string>] [--wind]\n' +
+                        'Show the weather forecast.\n' +
+                        'Aliases: w\n' +
+                        '  city\n' +
+                        '  --days, -d [default: 1]\n' +
+                        '  --units (metric, imperial) [default: metric]\n' +
+                        '  --wind',
+                    '8:alice: Unknown command kick.'
+                ]));
+        });
+
+        it('fails the request if a command fails', () => {
+            router.command('fail', () => Promise.reject(new Error('Command failed.')));
+            router.command('throw', () => {
+                throw new Error('Command threw.');
+            });
+            router.attach(service);
+            return service.processRequestAndWait([ message('1', 'fail') ])
+                .then(() => assert.fail('The command failure should be returned.'), error => {
+                    assert.strictEqual(error.message, 'Command failed.');
+                    return service.processRequestAndWait([ message('2', 'throw') ]);
+                })
+                .then(() => assert.fail('The command failure should be returned.'),
+                    error => assert.strictEqual(error.message, 'Command threw.'));
+        });
+
+        it('requires messaging', () => {
+            assert.throws(() => router.attach({ messagingBotService: null }), /Messaging not configured/);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('assert');
+
+const Message = require('../../../lib/messaging/events/message');
+const MessagingService = require('../../../lib/messaging/messaging-service');
+
+function event(content, to) {
+    return { from: '8:alice', to: to || '19:group@thread.skype', content: content, contentType: 'text', messageId: 1, eventTime: 1462096800000 };
+}
+
+function activity(id, content) {
+    return { activity: 'message', id: id, from: '8:alice', to: '19:group@thread.skype', time: '2016-05-01T10:00:00.000Z', content: content };
+}
+
+describe('Message', () => {
+    it('parses mentions, quotes, links and emoticons of the content', () => {
+        const message = new Message(event(
+            '<quote author="8:bob" authorname="Bob" timestamp="1462096800" messageid="7" conversation="19:group@thread.skype">' +
+            'Lunch? <at id="8:carol">Carol</at></quote>' +
+            '<at id="28:bot">Bot</at> book it for <at id="8:dave">Dave &amp; me</at> ' +
+            '<a href="https://example.com/menu">menu</a> <ss type="smile">:)</ss>'), '28:bot');
+        assert.deepStrictEqual(message.mentions, [ { id: '28:bot', name: 'Bot' }, { id: '8:dave', name: 'Dave & me' } ]);
+        assert.strictEqual(message.botMentioned, true);
+        assert.deepStrictEqual(message.quotes, [ {
+            messageId: '7',
+            author: '8:bob',
+            authorName: 'Bob',
+            timestamp: 1462096800000,
+            conversation: '19:group@thread.skype',
+            text: 'Lunch? Carol'
+        } ]);
+        assert.deepStrictEqual(message.links, [ { url: 'https://example.com/menu', text: 'menu' } ]);
+        assert.deepStrictEqual(message.emoticons, [ { type: 'smile', text: ':)' } ]);
+        assert.strictEqual(message.plainText, 'Bot book it for Dave & me menu :)');
+        assert.strictEqual(message.text, 'book it for Dave & me menu :)');
+        assert.strictEqual(message.tree.type, 'root');
+    });
+
+    it('recognizes the bot mentioned without the prefix of its id', () => {
+        assert.strictEqual(new Message(event('<at id="bot">Bot</at> hi'), '28:bot').botMentioned, true);
+        assert.strictEqual(new Message(event('<at id="8:bob">Bob</at> hi'), '28:bot').botMentioned, false);
+        assert.strictEqual(new Message(event('<at id="28:bot">Bot</at> hi')).botMentioned, false);
+    });
+
+    it('parses the content only once when a parsed field is used', () => {
+        const message = new Message(event('<b>hi</b>'));
+        const tree = message.tree;
+        assert.strictEqual(message.tree, tree);
+        assert.strictEqual(message.plainText, 'hi');
+    });
+
+    it('requires the mandatory fields', () => {
+        [ 'content', 'contentType', 'messageId', 'eventTime' ].forEach(field => {
+            const data = event('hi');
+            delete data[field];
+            assert.throws(() => new Message(data), new RegExp(`Missing mandatory field "${field}"`));
+        });
+    });
+
+    describe('group commands', () => {
+        let service;
+        let received;
+
+        beforeEach(() => {
+            service = new MessagingService({ botId: '28:bot', serverUrl: 'http://127.0.0.1:1', appId: 'app', appSecret: 'secret', outboundQueue: false });
+            received = [];
+            service.on('groupMessage', (bot, message) => received.push(`message ${message.text}`));
+        });
+
+        it('match the text without the mention of the bot and the raw content', () => {
+            service.onGroupCommand(/^help$/, (bot, message) => received.push(`help ${message.botMentioned}`));
+            service.onGroupCommand(/^<b>stats<\/b>$/, () => received.push('stats'));
+            return service.processRequestAndWait([
+                activity('1', '<at id="28:bot">Bot</at> help'),
+                activity('2', 'help'),
+                activity('3', '<b>stats</b>'),
+                activity('4', 'helpful')
+            ]).then(() => assert.deepStrictEqual(received.sort(), [ 'help false', 'help true', 'message helpful', 'stats' ]));
+        });
+
+        it('match only messages mentioning the bot if the mention is required', () => {
+            service.onGroupCommand(/^deploy$/, { mentionRequired: true }, (bot, message) => received.push(`deploy ${message.from}`));
+            return service.processRequestAndWait([ activity('1', 'deploy'), activity('2', '<at id="28:bot">Bot</at> deploy') ])
+                .then(() => assert.deepStrictEqual(received.sort(), [ 'deploy 8:alice', 'message deploy' ]));
+        });
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+
+const MessagingService = require('../../lib/messaging/messaging-service');
+const MessagingEmulator = require('../../lib/emulator/messaging-emulator');
+const outgoing = require('../../lib/messaging/model/v2/activity-outgoing');
+const format = require('../../lib/messaging/text-format');
+const renderFallback = require('../../lib/messaging/fallback-renderer').renderFallback;
+
+const CardAction = outgoing.CardAction;
+
+function menu() {
+    return new outgoing.Message({
+        content: 'Today\'s menu:',
+        attachments: [
+            new outgoing.HeroCard({
+                title: 'Fish & chips',
+                subtitle: 'Fresh',
+                text: 'With <peas>',
+                images: [ { url: 'https://example.com/fish.png', alt: 'Fish' } ],
+                buttons: [
+                    CardAction.openUrl('Details', 'https://example.com/fish'),
+                    CardAction.imBack('Order', 'order fish'),
+                    CardAction.postBack('Like', 'like:fish'),
+                    CardAction.call('Call', 'tel:+14258828080')
+                ]
+            }),
+            new outgoing.ThumbnailCard({ title: 'Salad', tap: CardAction.imBack('Salad') })
+        ],
+        suggestedActions: { actions: [ CardAction.imBack('More', 'more please'), CardAction.postBack('Done', 'done') ] }
+    });
+}
+
+describe('renderFallback', () => {
+    it('renders cards and suggested actions as escaped text', () => {
+        assert.strictEqual(renderFallback(menu()), [
+            'Today\'s menu:',
+            '',
+            '<b>Fish &amp; chips</b>',
+            '<i>Fresh</i>',
+            'With &lt;peas&gt;',
+            '<a href="https://example.com/fish.png">Fish</a>',
+            '1. Details: <a href="https://example.com/fish">https://example.com/fish</a>',
+            '2. Order (reply "order fish")',
+            '3. Like (reply "Like")',
+            '4. Call: +14258828080',
+            '',
+            '<b>Salad</b>',
+            'Salad (reply "Salad")',
+            '',
+            'Reply with: more please | Done'
+        ].join('\n'));
+    });
+
+    it('renders messages without cards as their content', () => {
+        assert.strictEqual(renderFallback(new outgoing.Message({ content: 'hi' })), 'hi');
+    });
+});
+
+describe('MessagingService sending rich messages', () => {
+    let emulator;
+
+    beforeEach(() => {
+        emulator = new MessagingEmulator();
+        return emulator.start();
+    });
+
+    afterEach(() => emulator.stop());
+
+    function createService(options) {
+        return new MessagingService(Object.assign({
+            botId: '28:bot',
+            serverUrl: emulator.serverUrl,
+            oauthUrl: emulator.oauthUrl,
+            appId: 'app',
+            appSecret: 'secret',
+            outboundQueue: false
+        }, options));
+    }
+
+    it('sends the cards and suggested actions', () => {
+        return createService().send('8:alice', menu())
+            .then(() => {
+                const message = emulator.getActivities('8:alice')[0].activity.message;
+                assert.strictEqual(message.content, 'Today\'s menu:');
+                assert.deepStrictEqual(message.attachments.map(card => card.contentType),
+                    [ 'application/vnd.microsoft.card.hero', 'application/vnd.microsoft.card.thumbnail' ]);
+                assert.strictEqual(message.suggestedActions.actions.length, 2);
+            });
+    });
+
+    it('sends the text fallback if cards are disabled', () => {
+        return createService({ cards: false }).send('8:alice', menu())
+            .then(() => {
+                const activity = emulator.getActivities('8:alice')[0];
+                assert.strictEqual(activity.content, renderFallback(menu()));
+                assert.strictEqual(activity.activity.message.attachments, undefined);
+            });
+    });
+
+    it('sends formatted text without escaping it', () => {
+        return createService().send('8:alice', format.text`${format.bold('Hi')} <${'you'}>`, true)
+            .then(() => assert.strictEqual(emulator.getActivities('8:alice')[0].content, '<b>Hi</b> <you>'));
+    });
+
+    it('rejects invalid messages without sending them', () => {
+        const message = new outgoing.Message({ attachments: [ new outgoing.HeroCard({ buttons: [ CardAction.imBack('Yes') ] }) ] });
+        return createService().send('8:alice', message)
+            .then(() => assert.fail('The invalid message should be rejected.'), error => {
+                assert.ok(/Message validation has failed/.test(error.message));
+                assert.deepStrictEqual(emulator.getActivities(), []);
+            });
+    });
+});
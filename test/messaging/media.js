@@ -0,0 +1,82 @@
+'use strict';
+
+const assert = require('assert');
+
+const media = require('../../lib/messaging/media');
+
+function png(width, height) {
+    const content = Buffer.alloc(24);
+    Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]).copy(content);
+    content.writeUInt32BE(13, 8);
+    content.write('IHDR', 12, 'ascii');
+    content.writeUInt32BE(width, 16);
+    content.writeUInt32BE(height, 20);
+    return content;
+}
+
+function gif(width, height) {
+    const content = Buffer.alloc(10);
+    content.write('GIF89a', 0, 'ascii');
+    content.writeUInt16LE(width, 6);
+    content.writeUInt16LE(height, 8);
+    return content;
+}
+
+function jpeg(width, height) {
+    const app0 = Buffer.from([ 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00 ]);
+    const sof = Buffer.from([ 0xFF, 0xC0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03 ]);
+    sof.writeUInt16BE(height, 5);
+    sof.writeUInt16BE(width, 7);
+    return Buffer.concat([ Buffer.from([ 0xFF, 0xD8 ]), app0, sof ]);
+}
+
+const mp4 = Buffer.from([ 0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70, 0x6D, 0x70, 0x34, 0x32 ]);
+
+describe('media', () => {
+    describe('detectMedia', () => {
+        it('detects the format and dimensions of images', () => {
+            assert.deepStrictEqual(media.detectMedia(png(640, 480)), { format: 'png', mimeType: 'image/png', width: 640, height: 480 });
+            assert.deepStrictEqual(media.detectMedia(gif(32, 16)), { format: 'gif', mimeType: 'image/gif', width: 32, height: 16 });
+            assert.deepStrictEqual(media.detectMedia(jpeg(800, 600)), { format: 'jpeg', mimeType: 'image/jpeg', width: 800, height: 600 });
+        });
+
+        it('detects videos', () => {
+            assert.deepStrictEqual(media.detectMedia(mp4), { format: 'mp4', mimeType: 'video/mp4', width: null, height: null });
+        });
+
+        it('returns null dimensions for truncated headers', () => {
+            assert.deepStrictEqual(media.detectMedia(png(640, 480).slice(0, 8)), { format: 'png', mimeType: 'image/png', width: null, height: null });
+            assert.deepStrictEqual(media.detectMedia(Buffer.from([ 0xFF, 0xD8, 0xFF ])), { format: 'jpeg', mimeType: 'image/jpeg', width: null, height: null });
+        });
+
+        it('returns null for unknown formats', () => {
+            assert.strictEqual(media.detectMedia(Buffer.from('plain text')), null);
+            assert.strictEqual(media.detectMedia(Buffer.alloc(0)), null);
+        });
+    });
+
+    describe('validateMedia', () => {
+        it('accepts supported formats', () => {
+            assert.deepStrictEqual(media.validateMedia('Image', png(2000, 2000)), []);
+            assert.deepStrictEqual(media.validateMedia('Image', gif(1, 1), png(1, 1)), []);
+            assert.deepStrictEqual(media.validateMedia('Video', mp4, jpeg(320, 240)), []);
+        });
+
+        it('rejects unsupported formats', () => {
+            assert.deepStrictEqual(media.validateMedia('Image', Buffer.from('plain text')),
+                [ 'Attachment content of type Image must be png, jpeg, gif, got an unknown format' ]);
+            assert.deepStrictEqual(media.validateMedia('Video', png(1, 1)),
+                [ 'Attachment content of type Video must be mp4, got png' ]);
+        });
+
+        it('rejects images larger than the maximum resolution', () => {
+            assert.deepStrictEqual(media.validateMedia('Image', png(2001, 100)),
+                [ 'Image resolution 2001x100 exceeds maximum resolution of 2000x2000' ]);
+        });
+
+        it('rejects video thumbnails that are not JPEG', () => {
+            assert.deepStrictEqual(media.validateMedia('Video', mp4, png(1, 1)),
+                [ 'Attachment thumbnail of type Video must be jpeg, got png' ]);
+        });
+    });
+});
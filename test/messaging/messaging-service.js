@@ -0,0 +1,268 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const stream = require('stream');
+
+const MessagingService = require('../../lib/messaging/messaging-service');
+const InvalidRequestError = require('../../lib/messaging/errors').InvalidRequestError;
+const MessagingEmulator = require('../../lib/emulator/messaging-emulator');
+
+function createService(options) {
+    return new MessagingService(Object.assign({
+        botId: '28:bot',
+        serverUrl: 'http://127.0.0.1:1',
+        appId: 'app',
+        appSecret: 'secret',
+        outboundQueue: false
+    }, options));
+}
+
+// the PNG signature and header of an image
+function png(width, height) {
+    const content = Buffer.alloc(24);
+    Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]).copy(content);
+    content.writeUInt32BE(13, 8);
+    content.write('IHDR', 12, 'ascii');
+    content.writeUInt32BE(width, 16);
+    content.writeUInt32BE(height, 20);
+    return content;
+}
+
+function message(id, content) {
+    return { activity: 'message', id: id, from: '8:alice', to: '28:bot', time: '2016-05-01T10:00:00.000Z', content: content };
+}
+
+describe('MessagingService', () => {
+    describe('duplicate activities', () => {
+        it('emits an error for a null request', done => {
+            const service = createService();
+            service.on('error', error => {
+                assert.ok(/could not be parsed|invalid/.test(error.message));
+                done();
+            });
+            service.processRequest('null');
+        });
+
+        it('emits an error for an empty request', done => {
+            const service = createService();
+            service.on('error', error => {
+                assert.ok(/WebhookMessage.activities is empty/.test(error.message));
+                done();
+            });
+            service.processRequest([]);
+        });
+
+        it('rejects null and empty requests when waiting for the handlers', () => {
+            const service = createService();
+            return service.processRequestAndWait('null')
+                .then(() => assert.fail('The null request should be rejected.'), error => {
+                    assert.ok(error instanceof InvalidRequestError);
+                    return service.processRequestAndWait([]);
+                })
+                .then(() => assert.fail('The empty request should be rejected.'), error => {
+                    assert.ok(error instanceof InvalidRequestError);
+                    assert.ok(/WebhookMessage.activities is empty/.test(error.message));
+                });
+        });
+
+        it('skips redelivered activities', () => {
+            const service = createService();
+            const received = [];
+            const duplicates = [];
+            service.on('personalMessage', (bot, event) => received.push(event.content));
+            service.on('duplicate', (activity, id) => duplicates.push(id));
+
+            return service.processRequestAndWait([ message('1', 'one') ])
+                .then(() => service.processRequestAndWait([ message('1', 'one'), message('2', 'two') ]))
+                .then(() => service.processRequestAndWait([ message('2', 'two') ]))
+                .then(() => {
+                    assert.deepStrictEqual(received, [ 'one', 'two' ]);
+                    assert.deepStrictEqual(duplicates, [ 'message:1', 'message:2' ]);
+                });
+        });
+
+        it('processes a redelivered activity again if its handlers failed', () => {
+            const service = createService();
+            let calls = 0;
+            service.on('personalMessage', () => {
+                if (++calls === 1) throw new Error('Handler failed.');
+            });
+
+            return service.processRequestAndWait([ message('1', 'one') ])
+                .then(() => assert.fail('The handler failure should be returned.'), error => {
+                    assert.strictEqual(error.message, 'Handler failed.');
+                    return service.processRequestAndWait([ message('1', 'one') ]);
+                })
+                .then(() => assert.strictEqual(calls, 2));
+        });
+
+        it('processes all activities if deduplication is disabled', () => {
+            const service = createService({ deduplication: false });
+            let calls = 0;
+            service.on('personalMessage', () => calls++);
+
+            return service.processRequestAndWait([ message('1', 'one') ])
+                .then(() => service.processRequestAndWait([ message('1', 'one') ]))
+                .then(() => assert.strictEqual(calls, 2));
+        });
+    });
+
+    describe('attachment streams', () => {
+        let emulator;
+
+        beforeEach(() => {
+            emulator = new MessagingEmulator();
+            return emulator.start();
+        });
+
+        afterEach(() => emulator.stop());
+
+        function createEmulatedService(serverUrl) {
+            return createService({ serverUrl: serverUrl || emulator.serverUrl, oauthUrl: emulator.oauthUrl });
+        }
+
+        function source(content) {
+            const readable = new stream.PassThrough();
+            readable.end(content);
+            return readable;
+        }
+
+        it('sends the streamed content', () => {
+            const service = createEmulatedService();
+            const progress = [];
+            const options = { size: 5, onProgress: sent => progress.push(sent) };
+            return service.sendAttachmentStream('8:alice', 'image.png', 'Image', source(Buffer.from('image')), options)
+                .then(response => {
+                    const stored = emulator.getAttachment(response.attachmentId);
+                    assert.strictEqual(stored.name, 'image.png');
+                    assert.strictEqual(stored.original.toString(), 'image');
+                    assert.strictEqual(progress[progress.length - 1], 5);
+                });
+        });
+
+        it('passes an invalid response of the messaging service to the callback', done => {
+            const server = http.createServer((req, res) => {
+                req.resume();
+                req.on('end', () => res.end('not json'));
+            });
+            server.listen(0, '127.0.0.1', () => {
+                const service = createEmulatedService(`http://127.0.0.1:${server.address().port}`);
+                service.sendAttachmentStream('8:alice', 'image.png', 'Image', source(Buffer.from('image')), error => {
+                    server.close();
+                    assert.ok(/Invalid response to the posted attachment/.test(error.message));
+                    done();
+                });
+            });
+        });
+
+        function read(readable) {
+            return new Promise((resolve, reject) => {
+                const chunks = [];
+                readable.on('data', chunk => chunks.push(chunk));
+                readable.on('end', () => resolve(Buffer.concat(chunks)));
+                readable.on('error', reject);
+            });
+        }
+
+        it('downloads the streamed content and reports the progress', () => {
+            const service = createEmulatedService();
+            return service.sendAttachmentStream('8:alice', 'image.png', 'Image', source(Buffer.from('image')), { size: 5 })
+                .then(response => {
+                    const progress = [];
+                    const content = service.getAttachmentStream(response.attachmentId, 'original');
+                    content.on('progress', (received, total) => progress.push(`${received}/${total}`));
+                    return read(content).then(data => {
+                        assert.strictEqual(data.toString(), 'image');
+                        assert.strictEqual(progress[progress.length - 1], '5/5');
+                    });
+                });
+        });
+
+        it('fails the download of content larger than maxSize and of missing attachments', () => {
+            const service = createEmulatedService();
+            return service.sendAttachmentStream('8:alice', 'image.png', 'Image', source(Buffer.from('image')), { size: 5 })
+                .then(response => read(service.getAttachmentStream(response.attachmentId, 'original', { maxSize: 4 })))
+                .then(() => assert.fail('The content should exceed the limit.'), error => {
+                    assert.strictEqual(error.message, 'Content size 5 exceeds maximum allowed limit of 4 bytes.');
+                    return read(service.getAttachmentStream('missing', 'original'));
+                })
+                .then(() => assert.fail('The missing attachment should not be downloaded.'),
+                    error => assert.strictEqual(error.statusCode, 404));
+        });
+
+        it('requires the attachment and the view', () => {
+            const service = createEmulatedService();
+            assert.throws(() => service.getAttachmentStream(null, 'original'), /attachmentId is null/);
+            assert.throws(() => service.getAttachmentStream('attachment1', null), /viewId is null/);
+        });
+
+        it('rejects for callers awaiting the Promise without causing an unhandled rejection if it is ignored', () => {
+            const service = createEmulatedService('http://127.0.0.1:1');
+            const unhandled = [];
+            const listener = reason => unhandled.push(reason);
+            process.on('unhandledRejection', listener);
+            service.sendAttachmentStream('8:alice', 'image.png', 'Image', source(Buffer.from('image')));
+            return service.sendAttachmentStream('8:alice', 'image.png', 'Image', source(Buffer.from('image')))
+                .then(() => assert.fail('The attachment should not be sent to a closed port.'), error => {
+                    assert.strictEqual(error.code, 'ECONNREFUSED');
+                    return new Promise(resolve => setImmediate(resolve));
+                })
+                .then(() => {
+                    process.removeListener('unhandledRejection', listener);
+                    assert.deepStrictEqual(unhandled, []);
+                }, error => {
+                    process.removeListener('unhandledRejection', listener);
+                    throw error;
+                });
+        });
+    });
+
+    describe('attachments', () => {
+        let emulator;
+
+        beforeEach(() => {
+            emulator = new MessagingEmulator();
+            return emulator.start();
+        });
+
+        afterEach(() => emulator.stop());
+
+        function createEmulatedService(options) {
+            return createService(Object.assign({ serverUrl: emulator.serverUrl, oauthUrl: emulator.oauthUrl }, options));
+        }
+
+        it('sends images without a thumbnail by default', () => {
+            return createEmulatedService().sendAttachment('8:alice', 'image.png', 'Image', png(640, 480))
+                .then(response => assert.strictEqual(emulator.getAttachment(response.attachmentId).thumbnail, null));
+        });
+
+        it('sends the thumbnail created by the thumbnail generator', () => {
+            const generated = [];
+            const service = createEmulatedService({
+                thumbnailGenerator: (content, mediaInfo) => {
+                    generated.push(mediaInfo.format);
+                    return Promise.resolve(png(64, 48));
+                }
+            });
+            return service.sendAttachment('8:alice', 'image.png', 'Image', png(640, 480))
+                .then(response => {
+                    assert.deepStrictEqual(generated, [ 'png' ]);
+                    assert.ok(emulator.getAttachment(response.attachmentId).thumbnail.equals(png(64, 48)));
+                });
+        });
+
+        it('rejects unsupported content and thumbnails created in an unsupported format', () => {
+            const service = createEmulatedService({ thumbnailGenerator: () => Buffer.from('not an image') });
+            return service.sendAttachment('8:alice', 'text.txt', 'Image', Buffer.from('plain text'))
+                .then(() => assert.fail('The text should be rejected.'), error => {
+                    assert.ok(/must be png, jpeg, gif, got an unknown format/.test(error.message));
+                    return service.sendAttachment('8:alice', 'image.png', 'Image', png(640, 480));
+                })
+                .then(() => assert.fail('The generated thumbnail should be rejected.'), error => {
+                    assert.ok(/thumbnail of type Image must be png, jpeg, gif/.test(error.message));
+                    assert.deepStrictEqual(emulator.getAttachments(), []);
+                });
+        });
+    });
+});
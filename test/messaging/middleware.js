@@ -0,0 +1,222 @@
+'use strict';
+
+const assert = require('assert');
+
+const MessagingService = require('../../lib/messaging/messaging-service');
+const MessagingEmulator = require('../../lib/emulator/messaging-emulator');
+const middleware = require('../../lib/messaging/middleware');
+
+function createService(options) {
+    return new MessagingService(Object.assign({
+        botId: '28:bot',
+        serverUrl: 'http://127.0.0.1:1',
+        appId: 'app',
+        appSecret: 'secret',
+        outboundQueue: false
+    }, options));
+}
+
+function message(id, content) {
+    return { activity: 'message', id: id, from: '8:alice', to: '28:bot', time: '2016-05-01T10:00:00.000Z', content: content };
+}
+
+describe('middleware', () => {
+    describe('runIncoming', () => {
+        it('runs the middlewares in order and calls back after the last one', done => {
+            const order = [];
+            const middlewares = [
+                (context, next) => {
+                    order.push(1);
+                    next();
+                },
+                (context, next) => {
+                    order.push(2);
+                    setImmediate(next);
+                }
+            ];
+            middleware.runIncoming(middlewares, {}, error => {
+                assert.strictEqual(error, null);
+                assert.deepStrictEqual(order, [ 1, 2 ]);
+                done();
+            });
+        });
+
+        it('stops at errors passed to next, thrown or rejected', () => {
+            const fail = error => [ (context, next) => next(error) ];
+            const cases = [
+                fail(new Error('Passed.')),
+                [ () => {
+                    throw new Error('Thrown.');
+                } ],
+                [ () => Promise.reject(new Error('Rejected.')) ],
+                [ () => Promise.reject() ]
+            ];
+            return Promise.all(cases.map(middlewares => new Promise(resolve => middleware.runIncoming(middlewares, {}, resolve))))
+                .then(errors => assert.deepStrictEqual(errors.map(error => error.message), [ 'Passed.', 'Thrown.', 'Rejected.', 'Middleware was rejected.' ]));
+        });
+
+        it('ignores next called more than once', () => {
+            let calls = 0;
+            middleware.runIncoming([ (context, next) => {
+                next();
+                next();
+            } ], {}, () => calls++);
+            assert.strictEqual(calls, 1);
+        });
+
+        it('reports middlewares resolved without calling next as stopped', done => {
+            let called = false;
+            middleware.runIncoming([ () => Promise.resolve() ], {}, () => {
+                called = true;
+            }, () => {
+                assert.strictEqual(called, false);
+                done();
+            });
+        });
+    });
+
+    describe('runOutgoing', () => {
+        it('runs the middlewares around the send', done => {
+            const order = [];
+            const middlewares = [
+                (context, next, finish) => {
+                    order.push('first');
+                    next((error, result) => {
+                        order.push('first done');
+                        finish(error, `${result}!`);
+                    });
+                },
+                (context, next) => {
+                    context.content = context.content.toUpperCase();
+                    next();
+                }
+            ];
+            middleware.runOutgoing(middlewares, { content: 'hi' }, (context, callback) => {
+                order.push(`send ${context.content}`);
+                callback(null, 'sent');
+            }, (error, result) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(result, 'sent!');
+                assert.deepStrictEqual(order, [ 'first', 'send HI', 'first done' ]);
+                done();
+            });
+        });
+
+        it('does not send if a middleware finishes without calling next', done => {
+            middleware.runOutgoing([ (context, next, finish) => finish(null, 'filtered') ], {}, () => {
+                assert.fail('The message should not be sent.');
+            }, (error, result) => {
+                assert.strictEqual(result, 'filtered');
+                done();
+            });
+        });
+
+        it('passes errors of the middlewares and of the send to the callback', () => {
+            const run = (middlewares, send) => new Promise(resolve => middleware.runOutgoing(middlewares, {}, send, resolve));
+            const sent = (context, callback) => callback(null);
+            return Promise.all([
+                run([ () => {
+                    throw new Error('Thrown.');
+                } ], sent),
+                run([ () => Promise.reject(new Error('Rejected.')) ], sent),
+                run([ (context, next) => next() ], () => {
+                    throw new Error('Send failed.');
+                })
+            ]).then(errors => assert.deepStrictEqual(errors.map(error => error.message), [ 'Thrown.', 'Rejected.', 'Send failed.' ]));
+        });
+    });
+
+    describe('MessagingService', () => {
+        it('passes the context of the middlewares to the handlers', () => {
+            const service = createService();
+            const received = [];
+            service.use((context, next) => {
+                context.locale = 'en-GB';
+                context.event.content = context.event.content.trim();
+                next();
+            });
+            service.use((context, next) => {
+                context.type = 'greeting';
+                next();
+            });
+            service.on('greeting', (bot, event) => received.push(`${bot.context.locale} ${event.content}`));
+            service.on('personalMessage', () => assert.fail('The event type should be changed.'));
+            return service.processRequestAndWait([ message('1', ' hi ') ])
+                .then(() => assert.deepStrictEqual(received, [ 'en-GB hi' ]));
+        });
+
+        it('drops events if a middleware does not continue', () => {
+            const service = createService();
+            service.use(context => Promise.resolve(context));
+            service.on('personalMessage', () => assert.fail('The event should be dropped.'));
+            return service.processRequestAndWait([ message('1', 'hi') ]);
+        });
+
+        it('fails the request or emits an error if a middleware fails', done => {
+            const service = createService();
+            service.use((context, next) => next(new Error('Middleware failed.')));
+            service.on('personalMessage', () => assert.fail('The event should be dropped.'));
+            service.processRequestAndWait([ message('1', 'hi') ])
+                .then(() => assert.fail('The middleware failure should be returned.'), error => {
+                    assert.strictEqual(error.message, 'Middleware failed.');
+                    service.on('error', emitted => {
+                        assert.strictEqual(emitted.message, 'Middleware failed.');
+                        done();
+                    });
+                    service.processRequest([ message('2', 'hi') ]);
+                })
+                .catch(done);
+        });
+
+        it('rejects middlewares which are not functions', () => {
+            const service = createService();
+            assert.throws(() => service.use(null), /Middleware must be a function/);
+            assert.throws(() => service.useOutgoing('log'), /Middleware must be a function/);
+        });
+
+        describe('outgoing', () => {
+            let emulator;
+
+            beforeEach(() => {
+                emulator = new MessagingEmulator();
+                return emulator.start();
+            });
+
+            afterEach(() => emulator.stop());
+
+            function createEmulatedService() {
+                return createService({ serverUrl: emulator.serverUrl, oauthUrl: emulator.oauthUrl });
+            }
+
+            it('sends the messages changed by the middlewares', () => {
+                const service = createEmulatedService();
+                const log = [];
+                service.useOutgoing((context, next, done) => next((error, result) => {
+                    log.push(`${context.kind} to ${context.to}`);
+                    done(error, result);
+                }));
+                service.useOutgoing((context, next) => {
+                    if (context.kind === 'message') {
+                        context.content = `<b>${context.content}</b>`;
+                    }
+                    next();
+                });
+                return service.send('8:alice', 'hi', true)
+                    .then(() => {
+                        assert.deepStrictEqual(emulator.getActivities('8:alice').map(item => item.content), [ '&lt;b&gt;hi&lt;/b&gt;' ]);
+                        assert.deepStrictEqual(log, [ 'message to 8:alice' ]);
+                    });
+            });
+
+            it('does not send filtered messages', () => {
+                const service = createEmulatedService();
+                service.useOutgoing((context, next, done) => /secret/.test(context.content) ? done(new Error('Filtered.')) : next());
+                return service.send('8:alice', 'the secret')
+                    .then(() => assert.fail('The message should be filtered.'), error => {
+                        assert.strictEqual(error.message, 'Filtered.');
+                        assert.deepStrictEqual(emulator.getActivities(), []);
+                    });
+            });
+        });
+    });
+});
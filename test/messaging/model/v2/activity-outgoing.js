@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+
+const outgoing = require('../../../../lib/messaging/model/v2/activity-outgoing');
+const Limits = require('../../../../lib/messaging/model/v2/limits');
+
+const CardAction = outgoing.CardAction;
+
+function repeat(count, create) {
+    return Array.apply(null, Array(count)).map((item, index) => create(index));
+}
+
+describe('activity-outgoing', () => {
+    it('serializes messages with cards and suggested actions', () => {
+        const message = new outgoing.Message({
+            attachmentLayout: 'carousel',
+            attachments: [
+                new outgoing.HeroCard({
+                    title: 'Pizza',
+                    images: [ { url: 'https://example.com/pizza.png' } ],
+                    buttons: [ CardAction.openUrl('Menu', 'https://example.com/menu'), CardAction.postBack('Order', 'order:pizza') ]
+                }),
+                { contentType: 'application/vnd.microsoft.card.thumbnail', content: { text: 'Salad', tap: CardAction.imBack('Salad') } }
+            ],
+            suggestedActions: { actions: [ CardAction.call('Call us', 'tel:+14258828080') ] }
+        });
+        assert.deepStrictEqual(message.validate(), []);
+        assert.ok(message.attachments[1] instanceof outgoing.ThumbnailCard);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(new outgoing.Activity({ message: message }))), {
+            message: {
+                content: null,
+                attachments: [
+                    {
+                        contentType: 'application/vnd.microsoft.card.hero',
+                        content: {
+                            title: 'Pizza',
+                            images: [ { url: 'https://example.com/pizza.png', alt: null } ],
+                            buttons: [
+                                { type: 'openUrl', title: 'Menu', value: 'https://example.com/menu' },
+                                { type: 'postBack', title: 'Order', value: 'order:pizza' }
+                            ]
+                        }
+                    },
+                    {
+                        contentType: 'application/vnd.microsoft.card.thumbnail',
+                        content: { text: 'Salad', tap: { type: 'imBack', title: 'Salad', value: 'Salad' } }
+                    }
+                ],
+                attachmentLayout: 'carousel',
+                suggestedActions: { actions: [ { type: 'call', title: 'Call us', value: 'tel:+14258828080' } ] }
+            }
+        });
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(new outgoing.Message({ content: 'hi' }))), { content: 'hi' });
+    });
+
+    it('requires the content of messages without cards', () => {
+        assert.strictEqual(new outgoing.Message().validate().length, 1);
+        assert.deepStrictEqual(new outgoing.Message({ content: 'hi' }).validate(), []);
+    });
+
+    it('validates the cards and actions against the limits', () => {
+        const message = new outgoing.Message({
+            attachmentLayout: 'grid',
+            attachments: [
+                new outgoing.HeroCard({ buttons: [ CardAction.imBack('Yes') ] }),
+                new outgoing.HeroCard({
+                    title: 'x'.repeat(Limits.CardTitleLength.Max + 1),
+                    buttons: repeat(Limits.NumberOfCardButtons.Max + 1, index => CardAction.imBack(`${index}`))
+                }),
+                new outgoing.ThumbnailCard({ text: 'Link', tap: CardAction.openUrl('Open', 'javascript:alert(1)') })
+            ]
+        });
+        const errors = message.validate().join('\n');
+        assert.ok(/HeroCard must have a title, a subtitle, a text or an image/.test(errors), errors);
+        assert.ok(/HeroCard.title/.test(errors), errors);
+        assert.ok(/HeroCard.buttons/.test(errors), errors);
+        assert.ok(/CardAction.value must be a http or https url for openUrl action/.test(errors), errors);
+        assert.ok(/Message.attachmentLayout/.test(errors), errors);
+
+        const suggested = new outgoing.SuggestedActions({ actions: repeat(Limits.NumberOfSuggestedActions.Max + 1, index => CardAction.imBack(`${index}`)) });
+        assert.ok(suggested.validate().length > 0);
+        assert.ok(new CardAction({ type: 'download', title: 'Get', value: 'x' }).validate().length > 0);
+    });
+
+    it('rejects attachments of unsupported content types', () => {
+        assert.throws(() => new outgoing.Message({ attachments: [ { contentType: 'application/vnd.microsoft.card.adaptive', content: {} } ] }),
+            /unsupported attachment content type application\/vnd.microsoft.card.adaptive/);
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const assert = require('assert');
+
+const OutboundQueue = require('../../lib/messaging/outbound-queue');
+const MessagingService = require('../../lib/messaging/messaging-service');
+const MessagingEmulator = require('../../lib/emulator/messaging-emulator');
+
+// a request finishing after the given time
+function request(log, name, delay) {
+    return done => {
+        log.push(`start ${name}`);
+        setTimeout(() => {
+            log.push(`end ${name}`);
+            done(null, name);
+        }, delay || 0);
+    };
+}
+
+describe('OutboundQueue', () => {
+    it('sends requests to a conversation one by one in order and to other conversations in parallel', done => {
+        const queue = new OutboundQueue({ conversationRate: 1000, conversationBurst: 10 });
+        const log = [];
+        const results = [];
+        const callback = (error, result) => {
+            results.push(result);
+            if (results.length < 3) return;
+            assert.deepStrictEqual(log, [ 'start a1', 'start b1', 'end b1', 'end a1', 'start a2', 'end a2' ]);
+            assert.deepStrictEqual(results, [ 'b1', 'a1', 'a2' ]);
+            assert.strictEqual(queue.depth, 0);
+            done();
+        };
+
+        queue.enqueue('a', request(log, 'a1', 20), callback);
+        queue.enqueue('a', request(log, 'a2', 0), callback);
+        queue.enqueue('b', request(log, 'b1', 5), callback);
+        assert.strictEqual(queue.depth, 3);
+        assert.strictEqual(queue.getDepth('a'), 2);
+    });
+
+    it('limits the rate of requests to a conversation', done => {
+        const queue = new OutboundQueue({ conversationRate: 20, conversationBurst: 1 });
+        const start = Date.now();
+        const times = [];
+        for (let i = 0; i < 3; ++i) {
+            queue.enqueue('a', next => next(null), () => {
+                times.push(Date.now() - start);
+                if (times.length < 3) return;
+                assert.ok(times[0] < 40, `first request after ${times[0]} ms`);
+                assert.ok(times[2] >= 90, `third request after ${times[2]} ms`);
+                done();
+            });
+        }
+    });
+
+    it('emits conversationDrain once the conversation is empty', done => {
+        const queue = new OutboundQueue();
+        const drained = [];
+        queue.on('conversationDrain', conversationId => drained.push(conversationId));
+        queue.enqueue('a', request([], 'a1', 5), () => {});
+        queue.enqueue('b', request([], 'b1', 0), () => {});
+        queue.once('drain', () => {
+            assert.deepStrictEqual(drained, [ 'b', 'a' ]);
+            done();
+        });
+    });
+
+    it('passes errors of requests, also thrown ones, to the callback', done => {
+        const queue = new OutboundQueue();
+        const errors = [];
+        queue.enqueue('a', next => next(new Error('Failed.')), error => errors.push(error.message));
+        queue.enqueue('a', () => { throw new Error('Thrown.'); }, error => {
+            errors.push(error.message);
+            assert.deepStrictEqual(errors, [ 'Failed.', 'Thrown.' ]);
+            done();
+        });
+    });
+
+    it('keeps going if a callback throws', done => {
+        const queue = new OutboundQueue();
+        let drained = 0;
+        queue.on('drain', () => drained++);
+
+        assert.throws(() => queue.enqueue('a', next => next(null), () => {
+            throw new Error('Callback failed.');
+        }), /Callback failed/);
+        assert.strictEqual(drained, 1);
+
+        queue.enqueue('a', next => next(null, 'second'), (error, result) => {
+            assert.strictEqual(result, 'second');
+            assert.strictEqual(drained, 2);
+            done();
+        });
+    });
+
+    it('keeps going if the callback of an asynchronous request throws', done => {
+        const queue = new OutboundQueue();
+        const listeners = process.listeners('uncaughtException');
+        process.removeAllListeners('uncaughtException');
+        process.once('uncaughtException', error => {
+            listeners.forEach(listener => process.on('uncaughtException', listener));
+            assert.strictEqual(error.message, 'Callback failed.');
+        });
+
+        queue.enqueue('a', next => setImmediate(next), () => {
+            throw new Error('Callback failed.');
+        });
+        queue.enqueue('a', next => next(null, 'second'), (error, result) => {
+            assert.strictEqual(result, 'second');
+            done();
+        });
+    });
+
+    it('waits for the queued requests on shutdown and rejects new ones', () => {
+        const queue = new OutboundQueue();
+        const log = [];
+        queue.enqueue('a', request(log, 'a1', 10), () => {});
+        return queue.shutdown()
+            .then(() => {
+                assert.deepStrictEqual(log, [ 'start a1', 'end a1' ]);
+                return new Promise(resolve => queue.enqueue('a', () => assert.fail('The request should not be sent.'), resolve));
+            })
+            .then(error => assert.strictEqual(error.message, 'Outbound queue is shut down.'));
+    });
+});
+
+describe('MessagingService outbound queue', () => {
+    let emulator;
+
+    beforeEach(() => {
+        emulator = new MessagingEmulator();
+        return emulator.start();
+    });
+
+    afterEach(() => emulator.stop());
+
+    function createService(outboundQueue) {
+        return new MessagingService({
+            botId: '28:bot',
+            serverUrl: emulator.serverUrl,
+            oauthUrl: emulator.oauthUrl,
+            appId: 'app',
+            appSecret: 'secret',
+            outboundQueue: outboundQueue
+        });
+    }
+
+    it('is disabled unless configured', () => {
+        assert.strictEqual(createService().outboundQueue, null);
+        assert.ok(createService(true).outboundQueue instanceof OutboundQueue);
+        return createService().shutdown();
+    });
+
+    it('delivers the messages to a conversation in order and waits for them on shutdown', () => {
+        const service = createService({ conversationRate: 1000, conversationBurst: 10 });
+        [ 'one', 'two', 'three' ].forEach(content => service.send('8:alice', content));
+        return service.shutdown()
+            .then(() => {
+                assert.deepStrictEqual(emulator.getActivities('8:alice').map(item => item.content), [ 'one', 'two', 'three' ]);
+                return service.send('8:alice', 'four');
+            })
+            .then(() => assert.fail('The message should not be sent after shutdown.'),
+                error => assert.strictEqual(error.message, 'Outbound queue is shut down.'));
+    });
+});
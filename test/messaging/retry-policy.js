@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const RetryPolicy = require('../../lib/messaging/retry-policy');
+const MessagingServiceClientV2 = require('../../lib/messaging/messaging-service-client-v2');
+const errors = require('../../lib/messaging/errors');
+
+function responseError(statusCode, headers) {
+    return errors.fromResponse({ statusCode: statusCode, statusMessage: 'Status', headers: headers || {} }, 'body');
+}
+
+function networkError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+// a messaging service answering requests with the given responses in order
+function createService(responses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+        const next = responses.shift() || { status: 201 };
+        res.writeHead(next.status, next.headers || {});
+        res.end(next.body || '');
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server: server, requests: requests })));
+}
+
+// a token provider issuing a new token after each invalidation
+function createTokenProvider() {
+    const provider = {
+        version: 1,
+        invalidated: [],
+        getToken: callback => setImmediate(() => callback(null, `token${provider.version}`)),
+        invalidateToken: token => {
+            provider.invalidated.push(token);
+            provider.version++;
+        }
+    };
+    return provider;
+}
+
+describe('RetryPolicy', () => {
+    describe('shouldRetry', () => {
+        const policy = new RetryPolicy();
+
+        it('retries idempotent requests after network errors and retryable status codes', () => {
+            [ 408, 429, 500, 502, 503, 504 ].forEach(status => assert.strictEqual(policy.shouldRetry(1, responseError(status), true), true, status));
+            [ 400, 401, 404, 501 ].forEach(status => assert.strictEqual(policy.shouldRetry(1, responseError(status), true), false, status));
+            assert.strictEqual(policy.shouldRetry(1, networkError('ECONNRESET'), true), true);
+            assert.strictEqual(policy.shouldRetry(1, new Error('Unknown.'), true), false);
+        });
+
+        it('retries other requests only if they certainly were not processed', () => {
+            assert.strictEqual(policy.shouldRetry(1, responseError(429), false), true);
+            assert.strictEqual(policy.shouldRetry(1, responseError(503), false), true);
+            assert.strictEqual(policy.shouldRetry(1, responseError(500), false), false);
+            assert.strictEqual(policy.shouldRetry(1, responseError(502), false), false);
+            assert.strictEqual(policy.shouldRetry(1, networkError('ECONNREFUSED'), false), true);
+            assert.strictEqual(policy.shouldRetry(1, networkError('ECONNRESET'), false), false);
+            assert.strictEqual(policy.shouldRetry(1, networkError('ETIMEDOUT'), false), false);
+        });
+
+        it('stops after maxAttempts and when Retry-After is longer than maxDelay', () => {
+            assert.strictEqual(policy.shouldRetry(2, responseError(503), true), true);
+            assert.strictEqual(policy.shouldRetry(3, responseError(503), true), false);
+            assert.strictEqual(new RetryPolicy({ maxAttempts: 1 }).shouldRetry(1, responseError(503), true), false);
+            assert.strictEqual(policy.shouldRetry(1, responseError(429, { 'retry-after': '30' }), true), true);
+            assert.strictEqual(policy.shouldRetry(1, responseError(429, { 'retry-after': '31' }), true), false);
+        });
+    });
+
+    describe('getDelay', () => {
+        it('grows exponentially up to maxDelay', () => {
+            const policy = new RetryPolicy({ initialDelay: 100, maxDelay: 300 });
+            for (let i = 0; i < 20; ++i) {
+                assert.ok(policy.getDelay(1) < 100);
+                assert.ok(policy.getDelay(2) < 200);
+                assert.ok(policy.getDelay(5) < 300);
+            }
+        });
+
+        it('waits at least for the Retry-After of the service', () => {
+            const policy = new RetryPolicy({ initialDelay: 100 });
+            assert.strictEqual(policy.getDelay(1, responseError(503, { 'retry-after': '2' })), 2000);
+            const date = new Date(Date.now() + 5000).toUTCString();
+            const delay = policy.getDelay(1, responseError(429, { 'retry-after': date }));
+            assert.ok(delay > 3000 && delay <= 5000, `delay ${delay}`);
+            assert.ok(policy.getDelay(1, responseError(503, { 'retry-after': 'soon' })) < 100);
+        });
+    });
+
+    describe('errors', () => {
+        it('creates typed errors with the status code and the body of the response', () => {
+            assert.ok(responseError(401) instanceof errors.AuthenticationError);
+            assert.ok(responseError(403) instanceof errors.AuthenticationError);
+            assert.ok(responseError(404) instanceof errors.NotFoundError);
+            assert.ok(responseError(429) instanceof errors.ThrottledError);
+            assert.ok(responseError(502) instanceof errors.ServerError);
+            const error = responseError(400, { 'x-id': '1' });
+            assert.strictEqual(error.constructor, errors.MessagingServiceError);
+            assert.strictEqual(error.name, 'MessagingServiceError');
+            assert.strictEqual(error.statusCode, 400);
+            assert.strictEqual(error.body, 'body');
+            assert.deepStrictEqual(error.headers, { 'x-id': '1' });
+        });
+    });
+
+    describe('MessagingServiceClientV2', () => {
+        let service;
+
+        afterEach(done => service.server.close(done));
+
+        function createClient(tokenProvider, retry) {
+            return new MessagingServiceClientV2({
+                botId: '28:bot',
+                serverUrl: `http://127.0.0.1:${service.server.address().port}`,
+                appId: 'app',
+                appSecret: 'secret',
+                tokenProvider: tokenProvider || createTokenProvider(),
+                retry: retry || { initialDelay: 1 }
+            });
+        }
+
+        it('repeats a message throttled by the service after Retry-After', () => {
+            return createService([ { status: 429, headers: { 'Retry-After': '1' } } ])
+                .then(created => {
+                    service = created;
+                    const start = Date.now();
+                    return new Promise((resolve, reject) => createClient().sendMessage('8:alice', 'hi', error => error ? reject(error) : resolve(Date.now() - start)));
+                })
+                .then(elapsed => {
+                    assert.strictEqual(service.requests.length, 2);
+                    assert.ok(elapsed >= 1000, `retried after ${elapsed} ms`);
+                });
+        });
+
+        it('does not repeat a message after a server error', () => {
+            return createService([ { status: 500, body: 'failed' } ])
+                .then(created => {
+                    service = created;
+                    return new Promise(resolve => createClient().sendMessage('8:alice', 'hi', resolve));
+                })
+                .then(error => {
+                    assert.ok(error instanceof errors.ServerError);
+                    assert.strictEqual(error.statusCode, 500);
+                    assert.strictEqual(error.body, 'failed');
+                    assert.strictEqual(service.requests.length, 1);
+                });
+        });
+
+        it('repeats idempotent requests after server errors up to maxAttempts', () => {
+            return createService([ { status: 502 }, { status: 503 }, { status: 504 } ])
+                .then(created => {
+                    service = created;
+                    return new Promise(resolve => createClient().getAttachmentInfo('attachment1', resolve));
+                })
+                .then(error => {
+                    assert.ok(error instanceof errors.ServerError);
+                    assert.strictEqual(error.statusCode, 504);
+                    assert.strictEqual(service.requests.length, 3);
+                });
+        });
+
+        it('refreshes the token once if the service rejects it', () => {
+            const tokenProvider = createTokenProvider();
+            return createService([ { status: 401 }, { status: 401 } ])
+                .then(created => {
+                    service = created;
+                    return new Promise(resolve => createClient(tokenProvider).sendMessage('8:alice', 'hi', resolve));
+                })
+                .then(error => {
+                    assert.ok(error instanceof errors.AuthenticationError);
+                    assert.deepStrictEqual(service.requests.map(item => item.authorization), [ 'Bearer token1', 'Bearer token2' ]);
+                    assert.deepStrictEqual(tokenProvider.invalidated, [ 'token1' ]);
+                });
+        });
+    });
+});
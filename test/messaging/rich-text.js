@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('assert');
+
+const format = require('../../lib/messaging/text-format');
+const richText = require('../../lib/messaging/rich-text');
+
+function tags(content) {
+    return richText.parseRichText(content).tree.children.map(node => node.tag || node.text);
+}
+
+describe('RichTextBuilder', () => {
+    it('escapes the texts and nests the formatting', () => {
+        const message = new richText.RichTextBuilder()
+            .mention('8:alice', 'Alice <3')
+            .text(' order <#1> & more ')
+            .bold(b => b.text('shipped').italic('!'))
+            .strikethrough('late')
+            .code('a < b')
+            .newLine()
+            .link('https://example.com/?a=1&b=2', i => i.italic('orders'))
+            .link('tel:+14258828080')
+            .emoticon('smile', ':)')
+            .append(format.bold('ok'))
+            .append('<plain>')
+            .build();
+        assert.ok(message instanceof format.FormattedText);
+        assert.strictEqual(message.markup,
+            '<at id="8:alice">Alice &lt;3</at> order &lt;#1&gt; &amp; more <b>shipped<i>!</i></b><s>late</s><pre>a &lt; b</pre>\n' +
+            '<a href="https://example.com/?a=1&amp;b=2"><i>orders</i></a><a href="tel:+14258828080">tel:+14258828080</a>' +
+            '<ss type="smile">:)</ss><b>ok</b>&lt;plain&gt;');
+    });
+
+    it('quotes the plain text of a message', () => {
+        const message = {
+            messageId: 1462096800123,
+            from: '8:bob',
+            to: '19:group@thread.skype',
+            eventTime: '2016-05-01T10:00:00.500Z',
+            content: '<b>Lunch</b> at &lt;noon&gt;? <quote>older</quote>'
+        };
+        assert.strictEqual(new richText.RichTextBuilder().quote(message, 'Bob').build().markup,
+            '<quote author="8:bob" authorname="Bob" timestamp="1462096800" conversation="19:group@thread.skype" messageid="1462096800123">' +
+            'Lunch at &lt;noon&gt;? </quote>');
+        assert.strictEqual(new richText.RichTextBuilder().quote({ messageId: '1', eventTime: 'never' }).build().markup,
+            '<quote messageid="1"></quote>');
+    });
+
+    it('rejects links that are not allowed', () => {
+        assert.throws(() => new richText.RichTextBuilder().link('javascript:alert(1)', 'click'), /Invalid link/);
+    });
+
+    it('builds markup parsed back to the same text', () => {
+        const markup = new richText.RichTextBuilder().text('1 < 2 & "3"').bold('!').build().markup;
+        assert.strictEqual(richText.parseRichText(markup).plainText, '1 < 2 & "3"!');
+    });
+});
+
+describe('parseRichText', () => {
+    it('builds a tree of typed nodes and the plain text without quotes', () => {
+        const parsed = richText.parseRichText('<at id="28:bot">Bot</at> hi <b>you<i>!</i></b><quote author="8:bob">old</quote> &#128512;');
+        const children = parsed.tree.children;
+        assert.deepStrictEqual(children.map(node => node.type), [ 'mention', 'text', 'bold', 'quote', 'text' ]);
+        assert.deepStrictEqual(children[0].attributes, { id: '28:bot' });
+        assert.deepStrictEqual(children[2].children[1], { type: 'italic', tag: 'i', attributes: {}, children: [ { type: 'text', text: '!' } ] });
+        assert.strictEqual(parsed.plainText, 'Bot hi you! \u{1F600}');
+        assert.strictEqual(richText.plainText(children[3]), '');
+    });
+
+    it('tolerates unknown, unmatched and unclosed tags', () => {
+        const parsed = richText.parseRichText('</b><custom x>a<b>b</i>c');
+        assert.deepStrictEqual(parsed.tree.children.map(node => node.type), [ 'element' ]);
+        assert.deepStrictEqual(parsed.tree.children[0].children.map(node => node.type), [ 'text', 'bold' ]);
+        assert.strictEqual(parsed.plainText, 'abc');
+        assert.strictEqual(richText.parseRichText('a < b <').plainText, 'a < b <');
+        assert.strictEqual(richText.parseRichText(null).plainText, '');
+    });
+
+    it('parses tags, attributes and entities', () => {
+        assert.deepStrictEqual(tags('<b>bold</b> <at id="8:bob">Bob</at> <ss type=smile>:)</ss><br/>x &lt; y'),
+            [ 'b', ' ', 'at', ' ', 'ss', 'br', 'x < y' ]);
+        assert.deepStrictEqual(richText.parseRichText('<a href=http://x/y title=\'t\'>link</a>').tree.children[0].attributes,
+            { href: 'http://x/y', title: 't' });
+    });
+
+    it('parses unclosed tags in linear time', () => {
+        [ '<a ', '<a x="', '<a x=', '<a x=y ', '<a b', '<a x="<a x=\'' ].forEach(pattern => {
+            const content = pattern.repeat(Math.ceil(1000000 / pattern.length));
+            const start = Date.now();
+            richText.parseRichText(content);
+            const duration = Date.now() - start;
+            assert.ok(duration < 1000, `Parsing of ${JSON.stringify(pattern)} repeated took ${duration} ms.`);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const assert = require('assert');
+
+const format = require('../../lib/messaging/text-format');
+
+describe('text-format', () => {
+    it('escapes plain texts and nests formatted texts', () => {
+        assert.strictEqual(format.bold('a < b & c').markup, '<b>a &lt; b &amp; c</b>');
+        assert.strictEqual(format.italic(format.bold('x')).markup, '<i><b>x</b></i>');
+        assert.strictEqual(format.strikethrough('x').toString(), '<s>x</s>');
+        assert.strictEqual(format.code('<pre>').markup, '<pre>&lt;pre&gt;</pre>');
+        assert.strictEqual(format.escape(null), '');
+        assert.strictEqual(format.concat('1 < 2', format.bold('!'), 3).markup, '1 &lt; 2<b>!</b>3');
+    });
+
+    it('escapes only the values substituted in templates', () => {
+        const name = '<script>';
+        assert.strictEqual(format.text`<b>Hi</b> ${name}, ${format.italic(name)}`.markup, '<b>Hi</b> &lt;script&gt;, <i>&lt;script&gt;</i>');
+    });
+
+    it('creates links with escaped urls and allowed schemes only', () => {
+        assert.strictEqual(format.link('https://example.com/?a=1&b="2"').markup,
+            '<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">https://example.com/?a=1&amp;b="2"</a>');
+        assert.strictEqual(format.link('mailto:alice@example.com', format.bold('Mail')).markup,
+            '<a href="mailto:alice@example.com"><b>Mail</b></a>');
+        assert.throws(() => format.link('javascript:alert(1)'), /Invalid link javascript:alert\(1\)/);
+    });
+
+    it('creates quotes, mentions and emoticons', () => {
+        const quote = format.quote('hi', {
+            author: '8:alice',
+            authorName: 'Alice "A"',
+            timestamp: new Date(1462096800500),
+            conversation: '8:alice',
+            messageId: '1'
+        });
+        assert.strictEqual(quote.markup,
+            '<quote author="8:alice" authorname="Alice &quot;A&quot;" timestamp="1462096800" conversation="8:alice" messageid="1">hi</quote>');
+        assert.strictEqual(format.quote('hi').markup, '<quote>hi</quote>');
+        assert.strictEqual(format.mention('8:alice').markup, '<at id="8:alice">alice</at>');
+        assert.strictEqual(format.mention('8:a"b', 'A & B').markup, '<at id="8:a&quot;b">A &amp; B</at>');
+        assert.strictEqual(format.emoticon('smile').markup, '<ss type="smile">(smile)</ss>');
+        assert.strictEqual(format.emoticon('smile', ':)').markup, '<ss type="smile">:)</ss>');
+        assert.throws(() => format.emoticon('"><b>'), /Invalid emoticon/);
+    });
+});
@@ -0,0 +1,255 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const querystring = require('querystring');
+
+const TokenProvider = require('../../lib/messaging/token-provider');
+const AuthService = require('../../lib/messaging/auth-service');
+const S2SClient = require('../../lib/messaging/s2s');
+const MemoryStorage = require('../../lib/state/memory-storage');
+
+// a provider issuing numbered tokens after a short delay
+class TestProvider extends TokenProvider {
+    constructor(options, issuer) {
+        super(Object.assign({ cacheKey: 'test' }, options));
+        this.issuer = issuer || { count: 0, expiresIn: 3600, error: null };
+    }
+
+    _requestToken(callback) {
+        const issuer = this.issuer;
+        setTimeout(() => {
+            if (issuer.error) return callback(issuer.error);
+            issuer.count++;
+            callback(null, { accessToken: `token${issuer.count}`, expiresIn: issuer.expiresIn });
+        }, 10);
+    }
+}
+
+function events(provider) {
+    const emitted = [];
+    [ 'cacheHit', 'tokenRequested', 'tokenRefreshed', 'tokenRefreshFailed', 'tokenInvalidated' ].forEach(name => {
+        provider.on(name, () => emitted.push(name));
+    });
+    return emitted;
+}
+
+describe('TokenProvider', () => {
+    let providers;
+
+    function create(options, issuer) {
+        const provider = new TestProvider(options, issuer);
+        providers.push(provider);
+        return provider;
+    }
+
+    beforeEach(() => {
+        providers = [];
+    });
+
+    afterEach(() => providers.forEach(provider => provider.stop()));
+
+    it('requests one token for concurrent callers and keeps it until it has to be renewed', () => {
+        const provider = create();
+        const emitted = events(provider);
+        return Promise.all([ provider.getToken(), provider.getToken() ])
+            .then(tokens => {
+                assert.deepStrictEqual(tokens, [ 'token1', 'token1' ]);
+                return provider.getToken();
+            })
+            .then(token => {
+                assert.strictEqual(token, 'token1');
+                assert.strictEqual(provider.issuer.count, 1);
+                assert.deepStrictEqual(emitted, [ 'tokenRequested', 'tokenRefreshed' ]);
+            });
+    });
+
+    it('shares the tokens and the renewals of processes through the cache', () => {
+        const cache = new MemoryStorage();
+        const issuer = { count: 0, expiresIn: 3600 };
+        const first = create({ cache: cache, lockRetryInterval: 5 }, issuer);
+        const second = create({ cache: cache, lockRetryInterval: 5 }, issuer);
+        const emitted = events(second);
+        return Promise.all([ first.getToken(), second.getToken() ])
+            .then(tokens => {
+                assert.deepStrictEqual(tokens, [ 'token1', 'token1' ]);
+                assert.strictEqual(issuer.count, 1);
+                assert.deepStrictEqual(emitted, [ 'cacheHit' ]);
+                return create({ cache: cache }, issuer).getToken();
+            })
+            .then(token => {
+                assert.strictEqual(token, 'token1');
+                assert.strictEqual(issuer.count, 1);
+            });
+    });
+
+    it('renews the token in the background before it expires', () => {
+        const provider = create({ renewBeforeExpiration: 600 }, { count: 0, expiresIn: 600.05 });
+        return provider.getToken()
+            .then(token => {
+                assert.strictEqual(token, 'token1');
+                return new Promise(resolve => provider.once('token', (error, renewed) => resolve(renewed)));
+            })
+            .then(renewed => {
+                assert.strictEqual(renewed, 'token2');
+                return provider.getToken();
+            })
+            .then(token => assert.strictEqual(token, 'token2'));
+    });
+
+    it('renews tokens only when requested if the background renewal is disabled', () => {
+        const provider = create({ renewBeforeExpiration: 600, refreshInBackground: false }, { count: 0, expiresIn: 600.02 });
+        return provider.getToken()
+            .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+            .then(() => {
+                assert.strictEqual(provider.issuer.count, 1);
+                return provider.getToken();
+            })
+            .then(token => assert.strictEqual(token, 'token2'));
+    });
+
+    it('drops invalidated tokens from the cache, unless they were already replaced', () => {
+        const cache = new MemoryStorage();
+        const provider = create({ cache: cache });
+        const emitted = events(provider);
+        return provider.getToken()
+            .then(() => {
+                provider.invalidateToken('token0');
+                provider.invalidateToken('token1');
+                return provider.getToken();
+            })
+            .then(token => {
+                assert.strictEqual(token, 'token2');
+                assert.deepStrictEqual(emitted, [ 'tokenRequested', 'tokenRefreshed', 'tokenInvalidated', 'tokenRequested', 'tokenRefreshed' ]);
+                return cache.read('test');
+            })
+            .then(item => assert.strictEqual(item.data.accessToken, 'token2'));
+    });
+
+    it('passes failed renewals to all waiting callers', () => {
+        const provider = create({}, { count: 0, error: new Error('Endpoint failed.') });
+        const failures = [];
+        provider.on('tokenRefreshFailed', (error, background) => failures.push(`${error.message} ${background}`));
+        return Promise.all([ provider.getToken().then(null, error => error), provider.getToken().then(null, error => error) ])
+            .then(errors => {
+                assert.deepStrictEqual(errors.map(error => error.message), [ 'Endpoint failed.', 'Endpoint failed.' ]);
+                assert.deepStrictEqual(failures, [ 'Endpoint failed. false' ]);
+                provider.issuer.error = null;
+                provider.issuer.expiresIn = 0;
+                return provider.getToken();
+            })
+            .then(() => assert.fail('The token without expiration should be rejected.'),
+                error => assert.strictEqual(error.message, 'Token endpoint returned no access token.'));
+    });
+
+    it('uses the lock hook and renews the token itself when the lock is not released in time', () => {
+        const locks = [];
+        const provider = create({
+            lock: (key, ttl) => {
+                locks.push(`${key} ${ttl}`);
+                return Promise.resolve(null);
+            },
+            lockTimeout: 30,
+            lockRetryInterval: 10
+        });
+        return provider.getToken().then(token => {
+            assert.strictEqual(token, 'token1');
+            assert.ok(locks.length >= 2, `locked ${locks.length} times`);
+            assert.strictEqual(locks[0], 'test 30');
+        });
+    });
+
+    it('renews the token without the lock if locking fails', () => {
+        const released = [];
+        const failing = create({ lock: () => Promise.reject(new Error('Lock failed.')) });
+        const throwing = create({
+            lock: () => {
+                throw new Error('Lock threw.');
+            }
+        });
+        const locking = create({ lock: (key, ttl, callback) => callback(null, () => released.push(key)) });
+        return Promise.all([ failing.getToken(), throwing.getToken(), locking.getToken() ])
+            .then(tokens => {
+                assert.deepStrictEqual(tokens, [ 'token1', 'token1', 'token1' ]);
+                assert.deepStrictEqual(released, [ 'test' ]);
+            });
+    });
+});
+
+describe('AuthService', () => {
+    let server;
+    let requests;
+    let responses;
+
+    beforeEach(done => {
+        requests = [];
+        responses = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push(Object.assign({}, querystring.parse(body)));
+                const response = responses.shift() || { status: 200, body: JSON.stringify({ access_token: `token${requests.length}`, expires_in: 3600 }) };
+                res.writeHead(response.status);
+                res.end(response.body);
+            });
+        });
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(done => server.close(done));
+
+    function create(options) {
+        return new AuthService('app', 'secret', Object.assign({ oauthUrl: `http://127.0.0.1:${server.address().port}/token`, refreshInBackground: false }, options));
+    }
+
+    it('requests tokens by the client credentials grant', () => {
+        return create({ scope: 'https://api.botframework.com/.default' }).getToken().then(token => {
+            assert.strictEqual(token, 'token1');
+            assert.deepStrictEqual(requests, [ {
+                client_id: 'app',
+                grant_type: 'client_credentials',
+                scope: 'https://api.botframework.com/.default',
+                client_secret: 'secret'
+            } ]);
+        });
+    });
+
+    it('fails for error responses and invalid tokens', () => {
+        responses.push({ status: 401, body: '' }, { status: 200, body: 'not json' });
+        const service = create();
+        return service.getToken()
+            .then(() => assert.fail('The token should not be issued.'), error => {
+                assert.ok(/Received error 401/.test(error.message), error.message);
+                return service.getToken();
+            })
+            .then(() => assert.fail('The token should not be issued.'),
+                error => assert.ok(/Failed to parse token response/.test(error.message), error.message));
+    });
+
+    it('caches tokens per endpoint, application and scope', () => {
+        const cache = new MemoryStorage();
+        return create({ cache: cache }).getToken()
+            .then(() => create({ cache: cache }).getToken())
+            .then(token => {
+                assert.strictEqual(token, 'token1');
+                return create({ cache: cache, scope: 'other' }).getToken();
+            })
+            .then(token => assert.strictEqual(token, 'token2'));
+    });
+});
+
+describe('S2SClient', () => {
+    it('requires the site id and the agent certificate', () => {
+        assert.throws(() => new S2SClient({ key: 'key', cert: 'cert' }), /Missing "siteId" option/);
+        assert.throws(() => new S2SClient({ siteId: 1, cert: 'cert' }), /Missing "key" option/);
+        assert.throws(() => new S2SClient({ siteId: 1, key: 'key' }), /Missing "cert" option/);
+    });
+
+    it('uses a token renewed by another process', () => {
+        const cache = new MemoryStorage();
+        return cache.write('s2s:1:ssl.live.com', { accessToken: 'shared', expiresAt: Date.now() + 3600 * 1000 })
+            .then(() => new S2SClient({ siteId: 1, key: 'key', cert: 'cert', cache: cache, s2sEndpoint: 'https://127.0.0.1:1/token' }).getToken())
+            .then(token => assert.strictEqual(token, 'shared'));
+    });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const assert = require('assert');
+
+const BotService = require('../../lib/bot-service');
+const StateManager = require('../../lib/state/bot-state').StateManager;
+const ConcurrencyError = require('../../lib/state/errors').ConcurrencyError;
+const MemoryStorage = require('../../lib/state/memory-storage');
+const CallingSimulator = require('../../lib/emulator/calling-simulator').CallingSimulator;
+const actions = require('../../lib/calling/model/actions');
+const CollectDigits = require('../../lib/calling/model/collect-digits');
+const createServer = require('../../lib/http/server');
+
+function message(id, from, to, content) {
+    return { activity: 'message', id: id, from: from, to: to, time: '2016-05-01T10:00:00.000Z', content: content };
+}
+
+describe('StateManager', () => {
+    let storage;
+    let manager;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        manager = new StateManager({ storage: storage, ttl: 1000, userTtl: 0 });
+    });
+
+    it('loads the scopes of the conversation and the user', () => {
+        return manager.load('19:group@thread.skype', '8:alice')
+            .then(state => {
+                assert.deepStrictEqual([ state.conversation, state.user, state.privateConversation ], [ {}, {}, {} ]);
+                state.conversation.topic = 'lunch';
+                state.user.name = 'Alice';
+                state.privateConversation.vote = 'pizza';
+                return state.save();
+            })
+            .then(() => Promise.all([
+                storage.read('conversation:19:group@thread.skype'),
+                storage.read('user:8:alice'),
+                storage.read('private:19:group@thread.skype:8:alice')
+            ]))
+            .then(items => {
+                assert.deepStrictEqual(items.map(item => item.data), [ { topic: 'lunch' }, { name: 'Alice' }, { vote: 'pizza' } ]);
+                return manager.load('19:group@thread.skype');
+            })
+            .then(state => {
+                assert.deepStrictEqual(state.conversation, { topic: 'lunch' });
+                assert.strictEqual(state.user, null);
+                assert.strictEqual(state.privateConversation, null);
+            });
+    });
+
+    it('writes only the changed scopes and deletes cleared ones', () => {
+        const writes = [];
+        const write = storage.write;
+        storage.write = function (key) {
+            writes.push(key);
+            return write.apply(this, arguments);
+        };
+        let state;
+        return manager.load('8:alice', '8:alice')
+            .then(loaded => {
+                state = loaded;
+                state.user.name = 'Alice';
+                return state.save();
+            })
+            .then(() => state.save())
+            .then(() => {
+                assert.deepStrictEqual(writes, [ 'user:8:alice' ]);
+                state.clear();
+                return state.save();
+            })
+            .then(() => storage.read('user:8:alice'))
+            .then(item => assert.strictEqual(item, null));
+    });
+
+    it('fails to save the state modified by another event', () => {
+        return Promise.all([ manager.load('8:alice'), manager.load('8:alice') ])
+            .then(states => {
+                states[0].conversation.step = 1;
+                states[1].conversation.step = 2;
+                return states[0].save().then(() => states[1].save());
+            })
+            .then(() => assert.fail('The second save should fail.'), error => {
+                assert.ok(error instanceof ConcurrencyError);
+                assert.strictEqual(error.key, 'conversation:8:alice');
+                return manager.load('8:alice');
+            })
+            .then(state => assert.deepStrictEqual(state.conversation, { step: 1 }));
+    });
+
+    it('passes errors of the storage to the callback', done => {
+        storage.read = (key, callback) => setImmediate(() => callback(new Error('Storage failed.')));
+        manager.load('8:alice', '8:alice', (error, state) => {
+            assert.strictEqual(error.message, 'Storage failed.');
+            assert.strictEqual(state, undefined);
+            done();
+        });
+    });
+
+    it('uses the ttl of the scopes', () => {
+        assert.strictEqual(manager.getTtl('conversation'), 1000);
+        assert.strictEqual(manager.getTtl('user'), null);
+        assert.strictEqual(new StateManager().getTtl('user'), null);
+    });
+
+    describe('messaging', () => {
+        it('provides the state to the handlers as bot.state', () => {
+            const botService = new BotService({
+                messaging: { botId: '28:bot', serverUrl: 'http://127.0.0.1:1', appId: 'app', appSecret: 'secret', outboundQueue: false },
+                state: { storage: storage }
+            });
+            const counts = [];
+            const count = (bot, event) => {
+                bot.state.user.messages = (bot.state.user.messages || 0) + 1;
+                bot.state.conversation.messages = (bot.state.conversation.messages || 0) + 1;
+                counts.push(`${event.from} ${bot.state.user.messages} ${bot.state.conversation.messages}`);
+                return bot.state.save();
+            };
+            botService.on('personalMessage', count);
+            botService.on('groupMessage', count);
+            const processor = botService.messagingBotService;
+
+            return processor.processRequestAndWait([ message('1', '8:alice', '28:bot', 'hi') ])
+                .then(() => processor.processRequestAndWait([ message('2', '8:alice', '19:group@thread.skype', 'hi') ]))
+                .then(() => processor.processRequestAndWait([ message('3', '8:bob', '19:group@thread.skype', 'hi') ]))
+                .then(() => assert.deepStrictEqual(counts, [ '8:alice 1 1', '8:alice 2 1', '8:bob 1 2' ]));
+        });
+
+        it('fails the request if the state can not be loaded', () => {
+            storage.read = (key, callback) => setImmediate(() => callback(new Error('Storage failed.')));
+            const botService = new BotService({
+                messaging: { botId: '28:bot', serverUrl: 'http://127.0.0.1:1', appId: 'app', appSecret: 'secret', outboundQueue: false },
+                state: { storage: storage }
+            });
+            botService.on('personalMessage', () => assert.fail('The handler should not be called.'));
+            return botService.messagingBotService.processRequestAndWait([ message('1', '8:alice', '28:bot', 'hi') ])
+                .then(() => assert.fail('The request should fail.'), error => assert.strictEqual(error.message, 'Storage failed.'));
+        });
+    });
+
+    describe('calling', () => {
+        let server;
+        let simulator;
+        let botService;
+
+        beforeEach(done => {
+            botService = new BotService({ calling: { callbackUri: 'https://bot.example.com/v1/callbacks' }, state: { storage: storage } });
+            server = createServer(botService);
+            server.listen(0, '127.0.0.1', () => {
+                const baseUrl = `http://127.0.0.1:${server.address().port}`;
+                simulator = new CallingSimulator({ callEndpoint: `${baseUrl}/v1/calls`, callbackUrl: `${baseUrl}/v1/callbacks`, caller: '8:alice' });
+                done();
+            });
+        });
+
+        afterEach(done => server.close(done));
+
+        it('saves the state of the call and the caller after each handler', () => {
+            const digits = [];
+            botService.onIncomingCall((conversation, workflow, callback, session) => {
+                session.state.user.calls = (session.state.user.calls || 0) + 1;
+                workflow.actions.push(new actions.Answer({ operationId: 'answer' }));
+                workflow.actions.push(new actions.Recognize({ operationId: 'digit', collectDigits: new CollectDigits({ maxNumberOfDtmfs: 1 }) }));
+                callback(null, workflow);
+            });
+            botService.onRecognizeCompleted((result, workflow, callback, session) => {
+                const state = session.state.conversation;
+                state.digits = (state.digits || '') + result.operationOutcome.collectDigitsOutcome.digits;
+                digits.push(state.digits);
+                workflow.actions.push(state.digits.length < 2 ?
+                    new actions.Recognize({ operationId: 'digit', collectDigits: new CollectDigits({ maxNumberOfDtmfs: 1 }) }) :
+                    new actions.Hangup({ operationId: 'hangup' }));
+                callback(null, workflow);
+            });
+            botService.onHangupCompleted((result, workflow, callback) => callback(null));
+            botService.onCallStateChange((notification, response, callback) => callback(null, response));
+
+            return simulator.call([ { dtmf: '4' }, { dtmf: '2' } ])
+                .then(() => simulator.call([ 'hangup' ]))
+                .then(() => storage.read('user:8:alice'))
+                .then(item => {
+                    assert.deepStrictEqual(digits, [ '4', '42' ]);
+                    assert.deepStrictEqual(item.data, { calls: 2 });
+                });
+        });
+
+        it('fails the callback if the state can not be saved', () => {
+            storage.write = (key, data, options, callback) => setImmediate(() => callback(new Error('Storage failed.')));
+            botService.onIncomingCall((conversation, workflow, callback, session) => {
+                session.state.conversation.answered = true;
+                workflow.actions.push(new actions.Answer({ operationId: 'answer' }));
+                callback(null, workflow);
+            });
+            return simulator.call([])
+                .then(() => assert.fail('The call should fail.'), error => assert.strictEqual(error.message, 'Bot responded with 500.'));
+        });
+    });
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConcurrencyError = require('../../lib/state/errors').ConcurrencyError;
+const FileStorage = require('../../lib/state/file-storage');
+const MemoryStorage = require('../../lib/state/memory-storage');
+const RedisStorage = require('../../lib/state/redis-storage');
+
+function removeDirectory(directory) {
+    if (!fs.existsSync(directory)) return;
+    fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+    fs.rmdirSync(directory);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// the behaviour shared by the storages keeping the items themselves
+function describeStorage(createStorage) {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorage();
+    });
+
+    it('writes, reads and deletes items', () => {
+        return storage.read('a')
+            .then(item => {
+                assert.strictEqual(item, null);
+                return storage.write('a', { count: 1 });
+            })
+            .then(etag => {
+                assert.strictEqual(typeof etag, 'string');
+                return storage.read('a').then(item => assert.deepStrictEqual(item, { data: { count: 1 }, etag: etag }));
+            })
+            .then(() => storage.delete('a'))
+            .then(() => storage.read('a'))
+            .then(item => assert.strictEqual(item, null));
+    });
+
+    it('writes and deletes only items with the expected etag', () => {
+        let etag;
+        return storage.write('a', { count: 1 }, { etag: null })
+            .then(written => {
+                etag = written;
+                return storage.write('a', { count: 2 }, { etag: null });
+            })
+            .then(() => assert.fail('The existing item should not be overwritten.'), error => {
+                assert.ok(error instanceof ConcurrencyError);
+                assert.strictEqual(error.key, 'a');
+                return storage.write('a', { count: 2 }, { etag: etag });
+            })
+            .then(() => storage.write('a', { count: 3 }, { etag: etag }))
+            .then(() => assert.fail('The item with an old etag should not be written.'), error => {
+                assert.strictEqual(error.message, 'State a was modified concurrently.');
+                return storage.delete('a', { etag: etag });
+            })
+            .then(() => assert.fail('The item with an old etag should not be deleted.'), error => {
+                assert.ok(error instanceof ConcurrencyError);
+                return storage.write('a', { count: 4 }, { etag: '*' });
+            })
+            .then(() => storage.read('a'))
+            .then(item => assert.deepStrictEqual(item.data, { count: 4 }));
+    });
+
+    it('expires items after the ttl', () => {
+        return storage.write('a', { count: 1 }, { ttl: 20 })
+            .then(() => storage.write('b', { count: 1 }))
+            .then(() => delay(30))
+            .then(() => Promise.all([ storage.read('a'), storage.read('b') ]))
+            .then(items => {
+                assert.strictEqual(items[0], null);
+                assert.deepStrictEqual(items[1].data, { count: 1 });
+            });
+    });
+
+    it('copies the data', () => {
+        const data = { list: [ 1 ] };
+        return storage.write('a', data)
+            .then(() => {
+                data.list.push(2);
+                return storage.read('a');
+            })
+            .then(item => {
+                item.data.list.push(3);
+                return storage.read('a');
+            })
+            .then(item => assert.deepStrictEqual(item.data, { list: [ 1 ] }));
+    });
+}
+
+describe('MemoryStorage', () => {
+    describeStorage(() => new MemoryStorage());
+
+    it('removes the least recently written items above maxItems', () => {
+        const storage = new MemoryStorage({ maxItems: 2 });
+        return storage.write('a', {})
+            .then(() => storage.write('b', {}))
+            .then(() => storage.write('a', { count: 1 }))
+            .then(() => storage.write('c', {}))
+            .then(() => Promise.all([ storage.read('a'), storage.read('b'), storage.read('c') ]))
+            .then(items => assert.deepStrictEqual(items.map(item => item !== null), [ true, false, true ]));
+    });
+});
+
+describe('FileStorage', () => {
+    const directory = path.join(os.tmpdir(), `skype-sdk-state-${process.pid}`, 'nested');
+
+    afterEach(() => {
+        removeDirectory(directory);
+        removeDirectory(path.dirname(directory));
+    });
+
+    describeStorage(() => new FileStorage({ directory: directory }));
+
+    it('keeps each item in a JSON file named by the key', () => {
+        const storage = new FileStorage({ directory: directory });
+        return storage.write('user:8:alice', { name: 'Alice' })
+            .then(() => {
+                assert.deepStrictEqual(fs.readdirSync(directory), [ 'user%3A8%3Aalice.json' ]);
+                return new FileStorage({ directory: directory }).read('user:8:alice');
+            })
+            .then(item => assert.deepStrictEqual(item.data, { name: 'Alice' }));
+    });
+
+    it('serializes concurrent writes of an item', () => {
+        const storage = new FileStorage({ directory: directory });
+        return Promise.all([
+            storage.write('a', { writer: 1 }, { etag: null }),
+            storage.write('a', { writer: 2 }, { etag: null }).then(() => assert.fail('The second write should fail.'), error => error)
+        ]).then(results => {
+            assert.ok(results[1] instanceof ConcurrencyError);
+            return storage.read('a');
+        }).then(item => assert.deepStrictEqual(item, { data: { writer: 1 }, etag: item.etag }));
+    });
+
+    it('fails to read corrupted items', () => {
+        const storage = new FileStorage({ directory: directory });
+        return storage.write('a', {})
+            .then(() => {
+                fs.writeFileSync(path.join(directory, 'a.json'), '{');
+                return storage.read('a');
+            })
+            .then(() => assert.fail('The corrupted item should not be read.'),
+                error => assert.ok(/State a is corrupted/.test(error.message)));
+    });
+
+    it('requires the directory', () => {
+        assert.throws(() => new FileStorage(), /options.directory is missing/);
+    });
+});
+
+describe('RedisStorage', () => {
+    // a client answering the commands with the given results
+    function createClient(results) {
+        const client = {
+            commands: [],
+            get: (key, callback) => {
+                client.commands.push([ 'get', key ]);
+                setImmediate(() => callback.apply(null, results.shift()));
+            },
+            eval: function () {
+                const args = Array.prototype.slice.call(arguments);
+                const callback = args.pop();
+                client.commands.push([ 'eval' ].concat(args.slice(1)));
+                setImmediate(() => callback.apply(null, results.shift()));
+            }
+        };
+        return client;
+    }
+
+    it('reads the items stored with the prefix', () => {
+        const client = createClient([ [ null, JSON.stringify({ etag: 'e1', data: { count: 1 } }) ], [ null, null ] ]);
+        const storage = new RedisStorage({ client: client, keyPrefix: 'bot:' });
+        return storage.read('a')
+            .then(item => {
+                assert.deepStrictEqual(item, { data: { count: 1 }, etag: 'e1' });
+                return storage.read('b');
+            })
+            .then(item => {
+                assert.strictEqual(item, null);
+                assert.deepStrictEqual(client.commands, [ [ 'get', 'bot:a' ], [ 'get', 'bot:b' ] ]);
+            });
+    });
+
+    it('passes the expected etag and the ttl to the scripts', () => {
+        const client = createClient([ [ null, 1 ], [ null, 1 ], [ null, 1 ], [ null, 1 ] ]);
+        const storage = new RedisStorage({ client: client });
+        return storage.write('a', { count: 1 })
+            .then(etag => {
+                const item = JSON.parse(client.commands[0][4]);
+                assert.deepStrictEqual(item, { etag: etag, data: { count: 1 } });
+                return storage.write('a', {}, { etag: null, ttl: 1000 });
+            })
+            .then(() => storage.delete('a', { etag: 'e1' }))
+            .then(() => storage.delete('a'))
+            .then(() => {
+                const args = client.commands.map(command => command.slice(1, 4).concat(command.length > 5 ? [ command[5] ] : []));
+                assert.deepStrictEqual(args, [
+                    [ 1, 'skype-sdk:state:a', '*', '0' ],
+                    [ 1, 'skype-sdk:state:a', '', '1000' ],
+                    [ 1, 'skype-sdk:state:a', 'e1' ],
+                    [ 1, 'skype-sdk:state:a', '*' ]
+                ]);
+            });
+    });
+
+    it('fails with concurrency errors if the scripts reject the etag', () => {
+        const storage = new RedisStorage({ client: createClient([ [ null, 0 ], [ null, '0' ] ]) });
+        return storage.write('a', {}, { etag: 'e1' })
+            .then(() => assert.fail('The write should fail.'), error => {
+                assert.ok(error instanceof ConcurrencyError);
+                return storage.delete('a', { etag: 'e1' });
+            })
+            .then(() => assert.fail('The delete should fail.'), error => assert.ok(error instanceof ConcurrencyError));
+    });
+
+    it('passes errors of the client and corrupted items to the callback', () => {
+        const storage = new RedisStorage({ client: createClient([ [ new Error('Connection lost.') ], [ null, '{' ], [ new Error('Script failed.') ] ]) });
+        return storage.read('a')
+            .then(() => assert.fail('The read should fail.'), error => {
+                assert.strictEqual(error.message, 'Connection lost.');
+                return storage.read('a');
+            })
+            .then(() => assert.fail('The read should fail.'), error => {
+                assert.ok(/State a is corrupted/.test(error.message));
+                return storage.write('a', {});
+            })
+            .then(() => assert.fail('The write should fail.'), error => assert.strictEqual(error.message, 'Script failed.'));
+    });
+
+    it('requires the client', () => {
+        assert.throws(() => new RedisStorage({}), /options.client is missing/);
+    });
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+const assert = require('assert');
+const forge = require('node-forge');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const jwtAuth = require('../../lib/utils/jwt-auth');
+
+function base64Url(value) {
+    return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function bigIntegerToBase64Url(value) {
+    let hex = value.toString(16);
+    if (hex.length % 2 === 1) hex = '0' + hex;
+    return base64Url(Buffer.from(hex, 'hex'));
+}
+
+function createKey(kid) {
+    const keyPair = forge.pki.rsa.generateKeyPair(1024);
+    return {
+        privateKey: keyPair.privateKey,
+        jwk: { kty: 'RSA', kid: kid, n: bigIntegerToBase64Url(keyPair.publicKey.n), e: bigIntegerToBase64Url(keyPair.publicKey.e) }
+    };
+}
+
+function sign(key, claims, header) {
+    const now = Math.floor(Date.now() / 1000);
+    const encodedHeader = base64Url(JSON.stringify(Object.assign({ alg: 'RS256', typ: 'JWT', kid: key.jwk.kid }, header)));
+    const payload = base64Url(JSON.stringify(Object.assign({ iss: 'https://api.botframework.com', aud: 'app', exp: now + 60 }, claims)));
+    const md = forge.md.sha256.create();
+    md.update(encodedHeader + '.' + payload, 'utf8');
+    return encodedHeader + '.' + payload + '.' + base64Url(Buffer.from(key.privateKey.sign(md), 'binary'));
+}
+
+function verify(verifier, authorization) {
+    return new Promise(resolve => verifier(authorization, (error, claims) => resolve({ error: error, claims: claims })));
+}
+
+describe('jwt-auth', () => {
+    let key;
+    let otherKey;
+
+    before(function () {
+        // generating the keys is slow in JavaScript
+        this.timeout(20000);
+        key = createKey('key1');
+        otherKey = createKey('key2');
+    });
+
+    describe('createTokenVerifier', () => {
+        let verifier;
+
+        beforeEach(() => {
+            verifier = jwtAuth.createTokenVerifier({ appId: 'app', keys: [ key.jwk ] });
+        });
+
+        it('returns the claims of a valid token', () => {
+            return verify(verifier, `Bearer ${sign(key, { sub: 'skype' })}`).then(result => {
+                assert.strictEqual(result.error, null);
+                assert.strictEqual(result.claims.sub, 'skype');
+            });
+        });
+
+        it('requires the options', () => {
+            assert.throws(() => jwtAuth.createTokenVerifier(null), /options is null/);
+            assert.throws(() => jwtAuth.createTokenVerifier({ keys: [ key.jwk ] }), /options.appId is missing/);
+            assert.throws(() => jwtAuth.createTokenVerifier({ appId: 'app' }), /One of options.keys, options.jwksFile or options.jwksUri is required/);
+        });
+
+        it('rejects missing and malformed tokens', () => {
+            const header = base64Url(JSON.stringify({ alg: 'RS256', kid: 'key1' }));
+            const cases = [
+                [ undefined, /Bearer token is missing/ ],
+                [ sign(key, {}), /Bearer token is missing/ ],
+                [ 'Bearer a.b', /Token is not a valid JWT/ ],
+                [ 'Bearer not.json.token', /Token can't be decoded/ ],
+                [ `Bearer ${header}.${base64Url('null')}.c2ln`, /must be objects/ ],
+                [ `Bearer ${header}.${base64Url('[]')}.c2ln`, /must be objects/ ]
+            ];
+            return Promise.all(cases.map(item => verify(verifier, item[0])))
+                .then(results => results.forEach((result, index) => assert.ok(cases[index][1].test(result.error.message), result.error.message)));
+        });
+
+        it('rejects unsupported algorithms and unknown keys', () => {
+            return verify(verifier, `Bearer ${sign(key, {}, { alg: 'none' })}`)
+                .then(result => {
+                    assert.strictEqual(result.error.message, 'Unsupported token algorithm none.');
+                    return verify(verifier, `Bearer ${sign(key, {}, { alg: 'constructor' })}`);
+                })
+                .then(result => {
+                    assert.strictEqual(result.error.message, 'Unsupported token algorithm constructor.');
+                    return verify(verifier, `Bearer ${sign(otherKey, {})}`);
+                })
+                .then(result => assert.strictEqual(result.error.message, 'Unknown signing key key2.'));
+        });
+
+        it('rejects tokens with an invalid signature', () => {
+            const parts = sign(key, {}).split('.');
+            const forged = [ parts[0], base64Url(JSON.stringify({ iss: 'https://api.botframework.com', aud: 'app', exp: 9999999999 })), parts[2] ];
+            return verify(verifier, `Bearer ${forged.join('.')}`)
+                .then(result => {
+                    assert.strictEqual(result.error.message, 'Invalid token signature.');
+                    return verify(verifier, `Bearer ${sign(otherKey, {}, { kid: 'key1' })}`);
+                })
+                .then(result => assert.strictEqual(result.error.message, 'Invalid token signature.'));
+        });
+
+        it('checks the issuer, audience and validity period with the clock skew', () => {
+            const now = Math.floor(Date.now() / 1000);
+            const cases = [
+                [ { iss: 'https://evil.example.com' }, /unexpected issuer/ ],
+                [ { aud: 'other' }, /unexpected audience/ ],
+                [ { exp: undefined }, /expiration is missing/ ],
+                [ { exp: now - 310 }, /token expired/ ],
+                [ { nbf: now + 310 }, /token not valid before/ ],
+                [ { exp: now - 200, nbf: now + 200 }, null ],
+                [ { aud: [ 'other', 'app' ] }, null ]
+            ];
+            return Promise.all(cases.map(item => verify(verifier, `Bearer ${sign(key, item[0])}`)))
+                .then(results => results.forEach((result, index) => {
+                    if (cases[index][1] === null) {
+                        assert.strictEqual(result.error, null);
+                    } else {
+                        assert.ok(cases[index][1].test(result.error.message), result.error.message);
+                    }
+                }));
+        });
+
+        it('loads the keys from a JWKS file', () => {
+            const file = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+            fs.writeFileSync(file, JSON.stringify({ keys: [ otherKey.jwk ] }));
+            try {
+                verifier = jwtAuth.createTokenVerifier({ appId: 'app', jwksFile: file });
+            } finally {
+                fs.unlinkSync(file);
+            }
+            assert.throws(() => jwtAuth.createTokenVerifier({ appId: 'app', jwksFile: file }), /Failed to load signing keys/);
+            return verify(verifier, `Bearer ${sign(otherKey, {})}`).then(result => assert.strictEqual(result.error, null));
+        });
+
+        it('downloads the keys from a JWKS URL once for concurrent requests', () => {
+            let downloads = 0;
+            const server = http.createServer((req, res) => {
+                downloads++;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ keys: [ key.jwk ] }));
+            });
+            return new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+                .then(() => {
+                    verifier = jwtAuth.createTokenVerifier({ appId: 'app', jwksUri: `http://127.0.0.1:${server.address().port}/keys` });
+                    const token = `Bearer ${sign(key, {})}`;
+                    return Promise.all([ verify(verifier, token), verify(verifier, token) ]);
+                })
+                .then(results => {
+                    server.close();
+                    results.forEach(result => assert.strictEqual(result.error, null));
+                    assert.strictEqual(downloads, 1);
+                }, error => {
+                    server.close();
+                    throw error;
+                });
+        });
+
+        it('fails if the keys can not be downloaded', () => {
+            verifier = jwtAuth.createTokenVerifier({ appId: 'app', jwksUri: 'http://127.0.0.1:1/keys' });
+            return verify(verifier, `Bearer ${sign(key, {})}`).then(result => assert.strictEqual(result.error.code, 'ECONNREFUSED'));
+        });
+    });
+
+    describe('verifyBotToken', () => {
+        function response() {
+            return { headers: {}, setHeader(name, value) { this.headers[name] = value; }, end() { this.ended = true; } };
+        }
+
+        it('passes requests with a valid token on with their claims', done => {
+            const middleware = jwtAuth.verifyBotToken({ appId: 'app', keys: [ key.jwk ] });
+            const req = { headers: { authorization: `Bearer ${sign(key, { sub: 'skype' })}` } };
+            middleware(req, response(), () => {
+                assert.strictEqual(req.tokenClaims.sub, 'skype');
+                done();
+            });
+        });
+
+        it('rejects requests without a valid token with 401 or the configured status', () => {
+            const middleware = jwtAuth.verifyBotToken({ appId: 'app', keys: [ key.jwk ] });
+            const res = response();
+            middleware({ headers: {} }, res, () => assert.fail('The request should be rejected.'));
+            assert.strictEqual(res.statusCode, 401);
+            assert.ok(res.ended);
+
+            const forbidding = jwtAuth.verifyBotToken({ appId: 'app', keys: [ key.jwk ], errorStatus: 403 });
+            const forbidden = response();
+            forbidding({ headers: { authorization: `Bearer ${sign(otherKey, {})}` } }, forbidden, () => assert.fail('The request should be rejected.'));
+            assert.strictEqual(forbidden.statusCode, 403);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const request = require('request');
+
+const BotService = require('../../lib/bot-service');
+const messagingHandler = require('../../lib/utils/messaging-handler');
+
+function message(id, content) {
+    return { activity: 'message', id: id, from: '8:alice', to: '28:bot', time: '2016-05-01T10:00:00.000Z', content: content };
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('messagingHandler', () => {
+    let botService;
+    let server;
+
+    function start(options) {
+        botService = new BotService({
+            messaging: { botId: '28:bot', serverUrl: 'http://127.0.0.1:1', appId: 'app', appSecret: 'secret', outboundQueue: false }
+        });
+        server = http.createServer(messagingHandler(botService, options));
+        return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    }
+
+    function post(body) {
+        const url = `http://127.0.0.1:${server.address().port}/v1/chat`;
+        return new Promise((resolve, reject) => request.post({ url: url, body: body, json: typeof body !== 'string' }, (error, res) => {
+            if (error) return reject(error);
+            resolve(res.statusCode);
+        }));
+    }
+
+    afterEach(done => server.close(done));
+
+    it('acknowledges requests before the handlers run by default', () => {
+        const received = [];
+        const errors = [];
+        return start()
+            .then(() => {
+                botService.on('personalMessage', (bot, event) => delay(20).then(() => received.push(event.content)));
+                botService.on('error', error => errors.push(error.message));
+                return post([ message('1', 'hi') ]);
+            })
+            .then(status => {
+                assert.strictEqual(status, 201);
+                assert.deepStrictEqual(received, []);
+                return post('not json');
+            })
+            .then(status => {
+                assert.strictEqual(status, 201);
+                assert.strictEqual(errors.length, 1);
+            });
+    });
+
+    it('responds after asynchronous handlers and commands finish', () => {
+        const received = [];
+        return start({ waitForHandlers: true })
+            .then(() => {
+                botService.on('personalMessage', (bot, event) => delay(20).then(() => received.push(`message ${event.content}`)));
+                botService.onPersonalCommand(/^ping$/, () => delay(20).then(() => received.push('command ping')));
+                return post([ message('1', 'hi'), message('2', 'ping') ]);
+            })
+            .then(status => {
+                assert.strictEqual(status, 201);
+                assert.deepStrictEqual(received.sort(), [ 'command ping', 'message hi' ]);
+            });
+    });
+
+    it('answers 400 for requests that are not valid webhook messages', () => {
+        return start({ waitForHandlers: true })
+            .then(() => post('not json'))
+            .then(status => {
+                assert.strictEqual(status, 400);
+                return post([ { activity: 'message' } ]);
+            })
+            .then(status => {
+                assert.strictEqual(status, 400);
+                return post([]);
+            })
+            .then(status => assert.strictEqual(status, 400));
+    });
+
+    it('answers 500 if a handler fails, so the message is redelivered', () => {
+        let calls = 0;
+        return start({ waitForHandlers: true })
+            .then(() => {
+                botService.on('personalMessage', () => {
+                    if (++calls === 1) return Promise.reject(new Error('Handler failed.'));
+                });
+                return post([ message('1', 'hi') ]);
+            })
+            .then(status => {
+                assert.strictEqual(status, 500);
+                return post([ message('1', 'hi') ]);
+            })
+            .then(status => {
+                assert.strictEqual(status, 201);
+                assert.strictEqual(calls, 2);
+            });
+    });
+
+    it('answers 500 if the handlers do not finish in time', () => {
+        return start({ waitForHandlers: true, timeout: 20 })
+            .then(() => {
+                botService.on('personalMessage', () => delay(200));
+                return post([ message('1', 'hi') ]);
+            })
+            .then(status => assert.strictEqual(status, 500));
+    });
+});
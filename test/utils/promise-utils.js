@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert');
+
+const promiseUtils = require('../../lib/utils/promise-utils');
+
+// fail the test if a rejection is not handled while running the function
+function withoutUnhandledRejections(fn) {
+    const unhandled = [];
+    const listener = reason => unhandled.push(reason);
+    process.on('unhandledRejection', listener);
+    return fn()
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => {
+            process.removeListener('unhandledRejection', listener);
+            assert.deepStrictEqual(unhandled, []);
+        }, error => {
+            process.removeListener('unhandledRejection', listener);
+            throw error;
+        });
+}
+
+describe('promiseUtils', () => {
+    describe('callbackOrPromise', () => {
+        it('calls the callback and returns nothing if a callback is given', () => {
+            const calls = [];
+            const result = promiseUtils.callbackOrPromise((error, value) => calls.push([ error, value ]), next => next(null, 42));
+            assert.strictEqual(result, undefined);
+            assert.deepStrictEqual(calls, [ [ null, 42 ] ]);
+        });
+
+        it('resolves with the result of the operation', () => {
+            return promiseUtils.callbackOrPromise(null, next => next(null, 42))
+                .then(value => assert.strictEqual(value, 42));
+        });
+
+        it('rejects with the error of the operation, also a thrown one', () => {
+            return promiseUtils.callbackOrPromise(null, next => next(new Error('Failed.')))
+                .then(() => assert.fail('resolved'), error => assert.strictEqual(error.message, 'Failed.'))
+                .then(() => promiseUtils.callbackOrPromise(null, () => { throw new Error('Thrown.'); }))
+                .then(() => assert.fail('resolved'), error => assert.strictEqual(error.message, 'Thrown.'));
+        });
+    });
+
+    describe('callbackOrHandledPromise', () => {
+        it('rejects for callers awaiting the Promise', () => {
+            return promiseUtils.callbackOrHandledPromise(null, next => next(new Error('Failed.')))
+                .then(() => assert.fail('resolved'), error => assert.strictEqual(error.message, 'Failed.'));
+        });
+
+        it('does not cause an unhandled rejection if the Promise is ignored', () => {
+            return withoutUnhandledRejections(() => {
+                promiseUtils.callbackOrHandledPromise(null, next => next(new Error('Failed.')));
+                return Promise.resolve();
+            });
+        });
+
+        it('passes the error of an ignored Promise to onError', done => {
+            promiseUtils.callbackOrHandledPromise(null, next => next(new Error('Failed.')), error => {
+                assert.strictEqual(error.message, 'Failed.');
+                done();
+            });
+        });
+
+        it('does not call onError if a callback is given', done => {
+            const errors = [];
+            const result = promiseUtils.callbackOrHandledPromise(error => errors.push(error.message),
+                next => next(new Error('Failed.')), () => assert.fail('onError called'));
+            assert.strictEqual(result, undefined);
+            assert.deepStrictEqual(errors, [ 'Failed.' ]);
+            setImmediate(done);
+        });
+    });
+
+    describe('isThenable', () => {
+        it('detects Promises and other thenables', () => {
+            assert.strictEqual(promiseUtils.isThenable(Promise.resolve()), true);
+            assert.strictEqual(promiseUtils.isThenable({ then: () => {} }), true);
+            assert.strictEqual(promiseUtils.isThenable(null), false);
+            assert.strictEqual(promiseUtils.isThenable(undefined), false);
+            assert.strictEqual(promiseUtils.isThenable({ then: 1 }), false);
+        });
+    });
+});